@@ -5,8 +5,14 @@ const tempDir = path.join(__dirname, 'temp');
 const dataDir = path.join(__dirname, 'data');
 
 // Base de datos local para datos financieros
+const SQLITE_FILE = path.join(dataDir, 'financial_data.sqlite');
+
+// Archivo JSON de versiones anteriores (se migra a SQLite al iniciar)
 const DB_FILE = path.join(dataDir, 'financial_data.json');
 
+// Chat dueño de los datos creados antes de separar la información por chat
+const ownerChatId = process.env.OWNER_CHAT_ID ? Number(process.env.OWNER_CHAT_ID) : null;
+
 // Categorías de gastos personalizadas
 const expenseCategories = {
   'supermercado': ['mercado', 'super', 'carrefour', 'día', 'coto', 'jumbo', 'walmart', 'alimento', 'verdulería', 'frutería', 'compras'],
@@ -59,20 +65,42 @@ const intentKeywords = {
   gasto: ['gasté', 'pagué', 'compré', 'abono', 'pagado', 'costo', 'compra', 'gasto', 'pago'],
   ingreso: ['cobré', 'recibí', 'ingresé', 'ingreso', 'depósito', 'transferencia', 'sueldo', 'honorarios', 'cobro', 'freelance'],
   meta: ['meta', 'objetivo', 'ahorrar', 'ahorro', 'reservar', 'apartado', 'destinar'],
-  reporte: ['reporte', 'informe', 'estadísticas', 'análisis', 'balance', 'resumen'],
+  reporte: ['reporte', 'informe', 'estadísticas', 'análisis', 'balance', 'resumen', 'comparativo', 'comparar'],
   presupuesto: ['presupuesto', 'límite', 'asignar', 'destinar']
 };
 
-// Patrones para extracción de montos
+// Patrones para extracción de montos. El monto admite separadores de miles y
+// decimales, una escala opcional ("$1.500.000", "45.000,50", "50 mil", "20k", "2 palos")
+// y la moneda antes o después ("USD 20", "15 euros")
+const AMOUNT = '([0-9][0-9.,]*(?:\\s*(?:k|mil|mill[oó]n|millones|palos?|lucas?)(?![a-záéíóúñ]))?)';
 const amountPatterns = [
-  /\$\s*([0-9.,]+)/,
-  /([0-9.,]+)\s*pesos/i,
-  /([0-9.,]+)\s*\$/,
-  /([0-9.,]+)\s*ars/i,
-  /(?:pagué|gasté|costó|compré|abono|costo|compra|pago|gasto)\s*(?:de)?\s*\$?\s*([0-9.,]+)/i,
-  /\$?\s*([0-9.,]+)\s*(?:en|por)/i
+  new RegExp(`(?:\\$|€|\\b(?:usd|eur|cop|ars)\\b)\\s*${AMOUNT}`, 'i'),
+  new RegExp(`${AMOUNT}\\s*(?:de\\s+)?pesos`, 'i'),
+  new RegExp(`${AMOUNT}\\s*\\$`, 'i'),
+  new RegExp(`${AMOUNT}\\s*(?:€|(?:ars|cop|usd|eur|euros?|d[oó]lares?)(?![a-záéíóúñ]))`, 'i'),
+  new RegExp(`(?:pagué|gasté|costó|compré|abono|costo|compra|pago|gasto|recibí|cobré|ingresé)\\s*(?:de)?\\s*\\$?\\s*${AMOUNT}`, 'i'),
+  new RegExp(`\\$?\\s*${AMOUNT}\\s*(?:en|por)`, 'i')
 ];
 
+// Formato de los números escritos por el usuario
+// locale: define los separadores de miles y decimales ('es-CO' y 'es-AR': 1.500.000,50; 'en-US': 1,500,000.50)
+const numberFormat = {
+  locale: process.env.NUMBER_LOCALE || 'es-CO'
+};
+
+// Monedas y tasas de cambio
+// base: moneda base por defecto de los chats (cada chat la puede cambiar con /moneda)
+// ratesProvider: 'file' (archivo local, sin conexión) o 'api' (servicio web de tasas históricas)
+// ratesFile: tasas por fecha del proveedor local; también se usa si el proveedor falla
+// ratesUrl: URL del servicio web; '{date}' se reemplaza por la fecha yyyy-mm-dd
+const currency = {
+  base: process.env.BASE_CURRENCY || 'COP',
+  ratesProvider: process.env.RATES_PROVIDER || 'file',
+  ratesFile: process.env.RATES_FILE || path.join(__dirname, 'exchange_rates.json'),
+  ratesUrl: process.env.RATES_URL || null,
+  timeoutMs: 10000
+};
+
 // Patrones para extracción de fechas
 const datePatterns = [
   /(?:el|del|fecha)\s*(\d{1,2})[\/\-\.](\d{1,2})(?:[\/\-\.](\d{2,4}))?/i,
@@ -80,10 +108,159 @@ const datePatterns = [
   /(?:lunes|martes|miércoles|jueves|viernes|sábado|domingo)\s*(?:pasado)?/i,
 ];
 
+// Minutos que un recibo escaneado espera confirmación antes de descartarse
+const receiptReviewTimeoutMinutes = Number(process.env.RECEIPT_REVIEW_TIMEOUT_MIN) || 30;
+
+// Zona horaria por defecto de los chats (se puede cambiar con /zona_horaria)
+const timezone = process.env.TIMEZONE || 'America/Bogota';
+
+// Recordatorios de gastos e ingresos fijos
+// daysBefore: días de anticipación del aviso de pago
+// hour: hora local a partir de la cual se envían los avisos del día
+const reminders = {
+  daysBefore: process.env.REMINDER_DAYS_BEFORE !== undefined ? Number(process.env.REMINDER_DAYS_BEFORE) : 3,
+  hour: process.env.REMINDER_HOUR !== undefined ? Number(process.env.REMINDER_HOUR) : 9,
+  intervalMinutes: 30
+};
+
+// Reconocimiento de voz para notas de voz
+// provider: 'local' (whisper.cpp, sin conexión) u 'openai' (API de transcripción)
+const speechToText = {
+  provider: process.env.STT_PROVIDER || 'local',
+  language: process.env.STT_LANGUAGE || 'es',
+  whisperBinary: process.env.WHISPER_BIN || 'whisper-cli',
+  whisperModel: process.env.WHISPER_MODEL || path.join(__dirname, 'models', 'ggml-base.bin'),
+  openaiModel: process.env.STT_OPENAI_MODEL || 'whisper-1',
+  timeoutMs: 120000
+};
+
+// Archivo de fotos de recibos (comprobantes para garantías e impuestos).
+// Cada imagen se guarda una sola vez, con el hash de su contenido como nombre.
+// retentionDays: días que se conservan las fotos según la fecha del movimiento (0 = siempre)
+// maxSizeMb: tamaño máximo del archivo; se borran primero las fotos más antiguas (0 = sin límite)
+// orphanDays: días que se guardan las fotos de recibos descartados o movimientos eliminados
+const receiptArchive = {
+  dir: process.env.RECEIPT_ARCHIVE_DIR || path.join(dataDir, 'recibos'),
+  retentionDays: Number(process.env.RECEIPT_RETENTION_DAYS) || 0,
+  maxSizeMb: Number(process.env.RECEIPT_ARCHIVE_MAX_MB) || 0,
+  orphanDays: 7
+};
+
+// OCR de recibos.
+// workers: workers de Tesseract que se mantienen cargados (cada uno ocupa memoria)
+// jobTimeoutSeconds: tiempo máximo del OCR de una foto
+// maxQueuedPerChat: fotos de un mismo chat que pueden estar en cola a la vez
+// Preprocesamiento de las fotos antes del OCR:
+// OCR_PREPROCESS=false lo desactiva; OCR_PREPROCESS_SKIP=deskew,threshold omite pasos sueltos.
+// minWidth: ancho mínimo en píxeles; las imágenes más pequeñas se amplían
+// maxSkewDegrees: inclinación máxima que se busca al enderezar
+// thresholdPercent: qué tan por debajo del promedio local debe estar un píxel para ser tinta
+const preprocessSkip = (process.env.OCR_PREPROCESS_SKIP || '').split(',').map(step => step.trim());
+const preprocessStep = step => process.env.OCR_PREPROCESS !== 'false' && !preprocessSkip.includes(step);
+const ocr = {
+  workers: Number(process.env.OCR_WORKERS) || 2,
+  jobTimeoutSeconds: Number(process.env.OCR_TIMEOUT_SEC) || 60,
+  maxQueuedPerChat: 3,
+  // Reintentos al reiniciar un worker que falló (la espera se duplica en cada intento)
+  restartAttempts: 3,
+  restartDelaySeconds: 5,
+  preprocessing: {
+    grayscale: preprocessStep('grayscale'),
+    perspective: preprocessStep('perspective'),
+    deskew: preprocessStep('deskew'),
+    upscale: preprocessStep('upscale'),
+    normalize: preprocessStep('normalize'),
+    threshold: preprocessStep('threshold'),
+    minWidth: 1200,
+    maxSkewDegrees: 15,
+    thresholdPercent: 15
+  }
+};
+
+// Extracción de datos de los mensajes de texto y del texto de los recibos
+// provider: 'nlu' (clasificador entrenado sin conexión, ver nlu), 'regex' (palabras clave
+//   y expresiones regulares) o 'llm' (modelo de lenguaje con una API compatible con OpenAI);
+//   si el proveedor falla o responde algo inválido se usan las reglas locales.
+//   Los recibos se leen con las reglas locales salvo con 'llm'.
+// llm.baseUrl: por ejemplo http://localhost:11434/v1 para un servidor local (Ollama, llama.cpp, vLLM)
+// llm.jsonMode: pedir respuesta en JSON (response_format); desactivarlo si el servidor no lo admite
+const extraction = {
+  provider: process.env.EXTRACTION_PROVIDER || 'nlu',
+  llm: {
+    baseUrl: process.env.LLM_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || '',
+    model: process.env.LLM_MODEL || 'gpt-4o-mini',
+    jsonMode: process.env.LLM_JSON_MODE !== 'false',
+    timeoutMs: Number(process.env.LLM_TIMEOUT_MS) || 20000
+  }
+};
+
+// Clasificador de intenciones de los mensajes de texto (@nlpjs)
+// corpusFile: frases de ejemplo por intención y entidades con las que se entrena el modelo
+// threshold: confianza mínima para actuar; por debajo se le pregunta al usuario qué quiso hacer
+// candidateThreshold: confianza mínima de una intención para ofrecerla en esa pregunta
+const nlu = {
+  corpusFile: process.env.NLU_CORPUS_FILE || path.join(__dirname, 'intent_corpus.json'),
+  threshold: Number(process.env.NLU_THRESHOLD) || 0.7,
+  candidateThreshold: 0.15
+};
+
+// Gráficos PNG de reportes y presupuesto (se generan en el servidor)
+// enabled: enviar los gráficos junto a /reporte y /presupuesto
+const charts = {
+  enabled: process.env.CHARTS_ENABLED !== 'false',
+  width: 800,
+  height: 500
+};
+
+// Archivos CSV y Excel de /exportar
+// csvSeparator: ';' para que Excel en español separe las columnas (la coma es el decimal)
+const spreadsheet = {
+  csvSeparator: process.env.CSV_SEPARATOR || ';'
+};
+
+// Importación de extractos bancarios (CSV, OFX/QFX)
+// columns: nombres de columna reconocidos en los CSV (en minúsculas y sin tildes);
+//   se pueden indicar otros en el texto del archivo: "fecha=Fecha Op, monto=Valor"
+// dateOrder: 'dmy' o 'mdy' para interpretar fechas como 03/04/2025
+// expensesNegative: en los CSV con una sola columna de monto, los gastos son negativos
+// dateWindowDays, amountTolerance, merchantSimilarity: criterios para detectar
+//   movimientos ya registrados (por ejemplo, desde un recibo)
+const statementImport = {
+  columns: {
+    fecha: ['fecha', 'date', 'fecha transaccion', 'fecha operacion', 'fecha movimiento', 'fecha valor'],
+    concepto: ['descripcion', 'concepto', 'detalle', 'description', 'comercio', 'establecimiento', 'referencia'],
+    monto: ['monto', 'valor', 'importe', 'amount', 'valor transaccion'],
+    debito: ['debito', 'debitos', 'cargo', 'cargos', 'debit', 'retiro', 'retiros'],
+    credito: ['credito', 'creditos', 'abono', 'abonos', 'credit', 'deposito', 'depositos'],
+    moneda: ['moneda', 'currency', 'divisa']
+  },
+  dateOrder: process.env.STATEMENT_DATE_ORDER || 'dmy',
+  expensesNegative: process.env.STATEMENT_EXPENSES_NEGATIVE !== 'false',
+  dateWindowDays: 3,
+  amountTolerance: 0.01,
+  merchantSimilarity: 0.8,
+  maxFileSizeKb: 2048,
+  previewRows: 10
+};
+
 module.exports = {
   tempDir,
   dataDir,
+  SQLITE_FILE,
   DB_FILE,
+  ownerChatId,
+  receiptReviewTimeoutMinutes,
+  receiptArchive,
+  ocr,
+  extraction,
+  nlu,
+  timezone,
+  reminders,
+  speechToText,
+  charts,
+  spreadsheet,
+  statementImport,
   expenseCategories,
   fixedExpenses,
   financialGoals,
@@ -91,5 +268,7 @@ module.exports = {
   fixedIncomes,
   intentKeywords,
   amountPatterns,
+  numberFormat,
+  currency,
   datePatterns
 };
\ No newline at end of file
@@ -0,0 +1,238 @@
+const config = require('../config');
+const database = require('../database');
+const money = require('../utils/money');
+const expenseController = require('./expenseController');
+
+// Varios movimientos escritos en un mismo mensaje ("Gasté 12000 en uber y 35000
+// en almuerzo", una lista pegada) se muestran juntos y se guardan al confirmarlos.
+
+// Lotes que esperan confirmación: id -> { chatId, entries: [{ id, transaccion }], skipped, timer }.
+// Cada movimiento tiene un ID propio para que los botones de quitar sigan
+// apuntando al mismo aunque se quiten otros antes.
+const pendingBatches = new Map();
+let nextBatchId = 1;
+
+// Con más movimientos no se muestran botones para quitar cada uno
+const MAX_REMOVE_BUTTONS = 10;
+
+/**
+ * Muestra los movimientos de un mensaje y pide confirmarlos antes de guardarlos
+ * @param {Object} msg - Mensaje de Telegram
+ * @param {Array} transacciones - Movimientos extraídos del mensaje
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function confirmBatch(msg, transacciones, bot) {
+  const chatId = msg.chat.id;
+  const valid = transacciones.filter(t => t.monto);
+  
+  if (valid.length <= 1) {
+    // Con un solo monto reconocido se registra como un movimiento normal
+    const data = valid[0] || transacciones[0];
+    await expenseController.processExpenseOrIncome(msg, data.tipo, bot, data);
+    return;
+  }
+  
+  const batchId = nextBatchId++;
+  pendingBatches.set(batchId, {
+    chatId,
+    entries: valid.map((transaccion, index) => ({ id: index + 1, transaccion })),
+    skipped: transacciones.length - valid.length,
+    timer: null
+  });
+  scheduleExpiration(batchId, bot);
+  
+  const { text, options } = buildPreview(batchId);
+  bot.sendMessage(chatId, text, options);
+}
+
+/**
+ * Programa el vencimiento de un lote pendiente
+ * @param {number} batchId - ID del lote pendiente
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+function scheduleExpiration(batchId, bot) {
+  const pending = pendingBatches.get(batchId);
+  if (pending.timer) clearTimeout(pending.timer);
+  
+  pending.timer = setTimeout(() => {
+    if (!pendingBatches.delete(batchId)) return;
+    bot.sendMessage(pending.chatId, '⌛ Los movimientos de tu mensaje expiraron sin confirmarse y no se guardaron.');
+  }, config.receiptReviewTimeoutMinutes * 60 * 1000);
+  
+  // El temporizador no debe impedir que el proceso termine
+  if (pending.timer.unref) pending.timer.unref();
+}
+
+/**
+ * Formatea un movimiento del lote
+ * @param {Object} t - Movimiento
+ * @param {number} index - Posición en el lote (desde 0)
+ * @returns {string}
+ */
+function formatEntry(t, index) {
+  const sign = t.tipo === 'gasto' ? '🔴' : '🟢';
+  return `${index + 1}. ${sign} ${money.formatAmount(t.monto, t.moneda)} - ${t.concepto} (${t.categoria}) ${t.fecha}`;
+}
+
+/**
+ * Suma los montos del lote por tipo y moneda
+ * @param {number} chatId - ID del chat
+ * @param {Array} transacciones - Movimientos del lote
+ * @returns {string} - Una línea por total
+ */
+function formatTotals(chatId, transacciones) {
+  const base = database.getBaseCurrency(chatId);
+  const totals = {};
+  transacciones.forEach(t => {
+    const key = `${t.tipo === 'gasto' ? 'Gastos' : 'Ingresos'} ${t.moneda || base}`;
+    totals[key] = (totals[key] || 0) + t.monto;
+  });
+  
+  return Object.entries(totals)
+    .map(([key, total]) => `${key}: ${money.formatAmount(Math.round(total * 100) / 100, key.split(' ')[1])}`)
+    .join('\n');
+}
+
+/**
+ * Arma el mensaje de confirmación de un lote con sus botones
+ * @param {number} batchId - ID del lote pendiente
+ * @returns {Object} - { text, options } para sendMessage o editMessageText
+ */
+function buildPreview(batchId) {
+  const { chatId, entries, skipped } = pendingBatches.get(batchId);
+  const transacciones = entries.map(entry => entry.transaccion);
+  
+  let text = `🧾 Encontré ${transacciones.length} movimientos en tu mensaje:\n\n`;
+  text += transacciones.map(formatEntry).join('\n');
+  text += `\n\n${formatTotals(chatId, transacciones)}`;
+  if (skipped > 0) text += `\n\n⚠️ ${skipped} parte(s) del mensaje no tenían monto y no se incluyeron.`;
+  text += `\n\n¿Los guardo? Se descartarán en ${config.receiptReviewTimeoutMinutes} minutos si no los confirmas.`;
+  
+  const rows = [[
+    { text: `✅ Guardar ${transacciones.length}`, callback_data: `lote:guardar:${batchId}` },
+    { text: '🗑️ Cancelar', callback_data: `lote:cancelar:${batchId}` }
+  ]];
+  
+  if (transacciones.length <= MAX_REMOVE_BUTTONS) {
+    const removeButtons = entries.map((entry, index) => ({
+      text: `❌ ${index + 1}`,
+      callback_data: `lote:quitar:${batchId}:${entry.id}`
+    }));
+    for (let i = 0; i < removeButtons.length; i += 5) rows.push(removeButtons.slice(i, i + 5));
+  }
+  
+  // Sin Markdown: los conceptos escritos por el usuario pueden traer * o _
+  return { text, options: { reply_markup: { inline_keyboard: rows } } };
+}
+
+/**
+ * Guarda los movimientos de un lote confirmado
+ * @param {number} batchId - ID del lote pendiente
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function saveBatch(batchId, bot) {
+  const pending = pendingBatches.get(batchId);
+  const { chatId } = pending;
+  
+  // Los movimientos en otra moneda necesitan la tasa de su día para los totales
+  const base = database.getBaseCurrency(chatId);
+  const foreignDates = [...new Set(pending.entries
+    .map(entry => entry.transaccion)
+    .filter(t => t.moneda && t.moneda !== base)
+    .map(t => t.fecha))];
+  for (const fecha of foreignDates) {
+    if (!(await database.ensureExchangeRates(fecha))) {
+      bot.sendMessage(chatId, '❌ No pude obtener las tasas de cambio. Intenta confirmar de nuevo más tarde.');
+      return;
+    }
+  }
+  
+  // Otro botón pudo confirmar el lote mientras se obtenían las tasas
+  if (!pendingBatches.delete(batchId)) return;
+  clearTimeout(pending.timer);
+  
+  // Los movimientos que quedan, aunque se haya quitado alguno mientras tanto
+  const transacciones = pending.entries.map(entry => entry.transaccion);
+  
+  // Un solo movimiento (después de quitar los demás) se registra como cualquier otro
+  if (transacciones.length === 1) {
+    database.registerTransaction(chatId, transacciones[0]);
+  } else {
+    database.importTransactions(chatId, transacciones, 'lote');
+  }
+  
+  // Una alerta por categoría, ya con todos los gastos del lote registrados
+  const lastByCategory = new Map();
+  transacciones.filter(t => t.tipo === 'gasto').forEach(t => lastByCategory.set(t.categoria, t));
+  const alerts = [...lastByCategory.values()]
+    .map(t => expenseController.checkBudgetAlert(chatId, t))
+    .filter(Boolean);
+  
+  let message = transacciones.length === 1
+    ? '✅ Se registró 1 movimiento:\n\n'
+    : `✅ Se registraron ${transacciones.length} movimientos:\n\n`;
+  message += transacciones.map(formatEntry).join('\n');
+  if (alerts.length > 0) {
+    message += `\n\n⚠️ ¡Alerta de presupuesto!\n${alerts.join('\n')}`;
+  }
+  message += transacciones.length === 1
+    ? '\n\nUsa /movimientos para editarlo o /deshacer para revertirlo.'
+    : '\n\nUsa /movimientos para editarlos o /deshacer para revertirlos todos juntos.';
+  
+  bot.sendMessage(chatId, message);
+}
+
+/**
+ * Maneja los botones de la confirmación de un lote
+ * @param {Object} query - callback_query de Telegram
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function handleCallback(query, bot) {
+  const chatId = query.message.chat.id;
+  const [, action, idText, entryText] = query.data.split(':');
+  const batchId = parseInt(idText, 10);
+  const pending = pendingBatches.get(batchId);
+  
+  if (!pending || pending.chatId !== chatId) {
+    bot.sendMessage(chatId, '⌛ Estos movimientos ya no están pendientes. Envía el mensaje nuevamente si no se guardaron.');
+    return;
+  }
+  
+  switch (action) {
+    case 'guardar':
+      await saveBatch(batchId, bot);
+      break;
+    case 'cancelar':
+      clearTimeout(pending.timer);
+      pendingBatches.delete(batchId);
+      bot.sendMessage(chatId, '🗑️ Cancelado. No se guardó ningún movimiento.');
+      break;
+    case 'quitar': {
+      // Un toque repetido o sobre un teclado anterior no quita otro movimiento
+      const entryId = parseInt(entryText, 10);
+      const index = pending.entries.findIndex(entry => entry.id === entryId);
+      if (index < 0) return;
+      pending.entries.splice(index, 1);
+      
+      if (pending.entries.length === 0) {
+        clearTimeout(pending.timer);
+        pendingBatches.delete(batchId);
+        bot.editMessageText('🗑️ Quitaste todos los movimientos. No se guardó nada.', {
+          chat_id: chatId,
+          message_id: query.message.message_id
+        }).catch(() => {});
+        return;
+      }
+      
+      scheduleExpiration(batchId, bot);
+      const { text, options } = buildPreview(batchId);
+      bot.editMessageText(text, { chat_id: chatId, message_id: query.message.message_id, ...options }).catch(() => {});
+      break;
+    }
+  }
+}
+
+module.exports = {
+  confirmBatch,
+  handleCallback
+};
\ No newline at end of file
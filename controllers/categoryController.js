@@ -0,0 +1,411 @@
+const database = require('../database');
+const textUtils = require('../utils/textProcessing');
+
+// Órdenes en texto libre sobre categorías
+const PATTERNS = [
+  { action: 'crear', regex: /^\s*(?:crear|agregar|añadir|nueva)\s+(?:la\s+)?categor[ií]a\s+(.+?)(?:\s+(?:con\s+)?(?:las\s+)?palabras?(?:\s+clave)?:?\s+(.+))?\s*$/i },
+  { action: 'renombrar', regex: /^\s*(?:renombrar|cambiar\s+nombre\s+de)\s+(?:la\s+)?categor[ií]a\s+(.+?)\s+(?:a|como|por)\s+(.+?)\s*$/i },
+  { action: 'fusionar', regex: /^\s*(?:fusionar|unir|combinar|juntar)\s+(?:la\s+)?categor[ií]a\s+(.+?)\s+(?:con|en)\s+(?:la\s+)?(?:categor[ií]a\s+)?(.+?)\s*$/i },
+  { action: 'eliminar', regex: /^\s*(?:eliminar|borrar|quitar)\s+(?:la\s+)?categor[ií]a\s+(.+?)\s*$/i },
+  { action: 'palabra', regex: /^\s*(?:agregar|añadir|asignar)\s+(?:la\s+)?palabras?(?:\s+clave)?\s+(.+?)\s+(?:a|en)\s+(?:la\s+)?(?:categor[ií]a\s+)?(.+?)\s*$/i },
+  { action: 'quitarPalabra', regex: /^\s*(?:quitar|eliminar|borrar)\s+(?:la\s+)?palabras?(?:\s+clave)?\s+(.+?)(?:\s+de\s+(?:la\s+)?(?:categor[ií]a\s+)?(.+?))?\s*$/i }
+];
+
+// Longitud máxima del nombre de una categoría (se muestra en botones)
+const MAX_NAME_LENGTH = 30;
+
+// Conceptos genéricos que no identifican un comercio
+const GENERIC_CONCEPTS = ['no especificado', 'comercio no identificado', 'sin concepto'];
+
+// Nombres y palabras clave los escribe el usuario: se escapan en los mensajes
+// con Markdown y se dejan fuera de la negrita, donde no se pueden escapar
+const md = textUtils.escapeMarkdown;
+
+/**
+ * Obtiene las reglas de categorización del chat
+ * @param {number} chatId - ID del chat
+ * @returns {Array} - [{ keyword, categoria, aprendida }]
+ */
+function getRules(chatId) {
+  const rules = [];
+  
+  database.getCategories(chatId).forEach(category => {
+    rules.push({ keyword: category.nombre, categoria: category.nombre, aprendida: false });
+    category.keywords.forEach(k => rules.push({ keyword: k.keyword, categoria: category.nombre, aprendida: k.aprendida }));
+  });
+  
+  return rules;
+}
+
+/**
+ * Categoriza un texto con las categorías y reglas del chat
+ * @param {number} chatId - ID del chat
+ * @param {string} text - Texto del mensaje o recibo
+ * @returns {string} - Categoría
+ */
+function categorize(chatId, text) {
+  return textUtils.categorizeExpense(text, getRules(chatId));
+}
+
+/**
+ * Obtiene los nombres de las categorías del chat
+ * @param {number} chatId - ID del chat
+ * @returns {Array} - Nombres de categoría
+ */
+function getCategoryNames(chatId) {
+  return database.getCategories(chatId).map(c => c.nombre);
+}
+
+/**
+ * Construye un teclado con las categorías del chat. El valor de cada botón
+ * es el ID de la categoría para no superar el límite de Telegram.
+ * @param {number} chatId - ID del chat
+ * @param {string} prefix - Prefijo del callback_data
+ * @returns {Object} - reply_markup para Telegram
+ */
+function buildCategoryKeyboard(chatId, prefix) {
+  const buttons = database.getCategories(chatId)
+    .map(category => ({ text: category.nombre, callback_data: `${prefix}:${category.id}` }));
+  
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) {
+    rows.push(buttons.slice(i, i + 2));
+  }
+  
+  return { inline_keyboard: rows };
+}
+
+/**
+ * Obtiene el nombre de la categoría elegida en un botón
+ * @param {number} chatId - ID del chat
+ * @param {string} value - ID de la categoría (o su nombre en botones antiguos)
+ * @returns {string|null} - Nombre de la categoría o null si ya no existe
+ */
+function resolveCategory(chatId, value) {
+  const categories = database.getCategories(chatId);
+  const category = categories.find(c => String(c.id) === value) || categories.find(c => c.nombre === value);
+  return category ? category.nombre : null;
+}
+
+/**
+ * Aprende una regla comercio/palabra -> categoría cuando el usuario corrige
+ * la categoría de un gasto
+ * @param {number} chatId - ID del chat
+ * @param {Object} transaction - Transacción corregida (se usa su concepto)
+ * @param {string} categoria - Categoría elegida por el usuario
+ * @returns {string|null} - Palabra aprendida o null si no se aprendió nada
+ */
+function learnFromCorrection(chatId, transaction, categoria) {
+  if (!transaction || transaction.tipo !== 'gasto') return null;
+  
+  const keyword = String(transaction.concepto || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  const names = getCategoryNames(chatId).map(textUtils.normalizeText);
+  
+  // No aprender conceptos vacíos, genéricos o que son el nombre de una categoría
+  if (keyword.length < 3 || keyword.length > 40) return null;
+  if (GENERIC_CONCEPTS.includes(textUtils.normalizeText(keyword))) return null;
+  if (names.includes(textUtils.normalizeText(keyword))) return null;
+  
+  return database.setCategoryKeyword(chatId, keyword, categoria, true) ? keyword : null;
+}
+
+/**
+ * Indica si un texto es una orden sobre categorías
+ * @param {string} text - Texto del usuario
+ * @returns {boolean}
+ */
+function isCategoryText(text) {
+  return PATTERNS.some(pattern => pattern.regex.test(text));
+}
+
+/**
+ * Procesa una orden en texto libre sobre categorías
+ * @param {Object} msg - Mensaje de Telegram
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function processCategoryText(msg, bot) {
+  const chatId = msg.chat.id;
+  const { action, regex } = PATTERNS.find(pattern => pattern.regex.test(msg.text));
+  const [, first, second] = msg.text.match(regex);
+  
+  switch (action) {
+    case 'crear':
+      await createCategory(chatId, cleanName(first), splitKeywords(second), bot);
+      break;
+    case 'renombrar':
+      await renameCategory(chatId, first, cleanName(second), bot);
+      break;
+    case 'fusionar':
+      await mergeCategories(chatId, first, second, bot);
+      break;
+    case 'eliminar':
+      await deleteCategory(chatId, first, bot);
+      break;
+    case 'palabra':
+      await addKeywords(chatId, splitKeywords(first), second, bot);
+      break;
+    case 'quitarPalabra':
+      await removeKeywords(chatId, splitKeywords(first), bot);
+      break;
+  }
+}
+
+/**
+ * Crea una categoría
+ * @param {number} chatId - ID del chat
+ * @param {string} name - Nombre de la categoría
+ * @param {Array} keywords - Palabras clave iniciales
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function createCategory(chatId, name, keywords, bot) {
+  const error = validateName(chatId, name);
+  if (error) {
+    await bot.sendMessage(chatId, error);
+    return;
+  }
+  
+  database.addCategory(chatId, name, keywords);
+  
+  await bot.sendMessage(chatId,
+    `✅ Categoría ${md(name)} creada` +
+    (keywords.length > 0 ? ` con las palabras: ${keywords.map(md).join(', ')}` : '') + '.\n\n' +
+    `Puedes asignarle presupuesto con: "Asignar presupuesto de $100000 para ${md(name)}"`,
+    { parse_mode: 'Markdown' }
+  );
+}
+
+/**
+ * Renombra una categoría
+ * @param {number} chatId - ID del chat
+ * @param {string} from - Nombre escrito por el usuario
+ * @param {string} to - Nombre nuevo
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function renameCategory(chatId, from, to, bot) {
+  const category = findCategory(chatId, from);
+  
+  if (!category) {
+    await sendUnknownCategory(chatId, from, bot);
+    return;
+  }
+  if (category === database.DEFAULT_CATEGORY) {
+    await bot.sendMessage(chatId, `ℹ️ La categoría ${database.DEFAULT_CATEGORY} no se puede renombrar.`);
+    return;
+  }
+  
+  const error = validateName(chatId, to);
+  if (error) {
+    await bot.sendMessage(chatId, error);
+    return;
+  }
+  
+  database.renameCategory(chatId, category, to);
+  await bot.sendMessage(chatId, `✏️ Categoría ${md(category)} renombrada a ${md(to)}. Tus movimientos y presupuesto se actualizaron.`, {
+    parse_mode: 'Markdown'
+  });
+}
+
+/**
+ * Fusiona una categoría en otra
+ * @param {number} chatId - ID del chat
+ * @param {string} fromText - Categoría que desaparece (texto del usuario)
+ * @param {string} intoText - Categoría que se conserva (texto del usuario)
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function mergeCategories(chatId, fromText, intoText, bot) {
+  const from = findCategory(chatId, fromText);
+  const into = findCategory(chatId, intoText);
+  
+  if (!from || !into) {
+    await sendUnknownCategory(chatId, !from ? fromText : intoText, bot);
+    return;
+  }
+  if (from === into) {
+    await bot.sendMessage(chatId, 'ℹ️ Elige dos categorías distintas para fusionarlas.');
+    return;
+  }
+  if (from === database.DEFAULT_CATEGORY) {
+    await bot.sendMessage(chatId, `ℹ️ La categoría ${database.DEFAULT_CATEGORY} no se puede fusionar en otra.`);
+    return;
+  }
+  
+  database.mergeCategories(chatId, from, into);
+  await bot.sendMessage(chatId,
+    `🔀 Categoría ${md(from)} fusionada en ${md(into)}. Sus movimientos, palabras clave y presupuesto ahora son de ${md(into)}.`,
+    { parse_mode: 'Markdown' }
+  );
+}
+
+/**
+ * Elimina una categoría
+ * @param {number} chatId - ID del chat
+ * @param {string} text - Nombre escrito por el usuario
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function deleteCategory(chatId, text, bot) {
+  const category = findCategory(chatId, text);
+  
+  if (!category) {
+    await sendUnknownCategory(chatId, text, bot);
+    return;
+  }
+  if (category === database.DEFAULT_CATEGORY) {
+    await bot.sendMessage(chatId, `ℹ️ La categoría ${database.DEFAULT_CATEGORY} no se puede eliminar.`);
+    return;
+  }
+  
+  database.deleteCategory(chatId, category);
+  await bot.sendMessage(chatId,
+    `🗑️ Categoría ${md(category)} eliminada. Sus movimientos pasaron a ${md(database.DEFAULT_CATEGORY)}.`,
+    { parse_mode: 'Markdown' }
+  );
+}
+
+/**
+ * Asocia palabras clave a una categoría
+ * @param {number} chatId - ID del chat
+ * @param {Array} keywords - Palabras clave
+ * @param {string} text - Categoría escrita por el usuario
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function addKeywords(chatId, keywords, text, bot) {
+  const category = findCategory(chatId, text);
+  
+  if (!category) {
+    await sendUnknownCategory(chatId, text, bot);
+    return;
+  }
+  
+  keywords.forEach(keyword => database.setCategoryKeyword(chatId, keyword, category));
+  await bot.sendMessage(chatId, `🏷️ Los gastos con "${keywords.map(md).join('", "')}" ahora irán a ${md(category)}.`, {
+    parse_mode: 'Markdown'
+  });
+}
+
+/**
+ * Quita palabras clave
+ * @param {number} chatId - ID del chat
+ * @param {Array} keywords - Palabras clave
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function removeKeywords(chatId, keywords, bot) {
+  const removed = keywords.filter(keyword => database.removeCategoryKeyword(chatId, keyword));
+  
+  await bot.sendMessage(chatId, removed.length > 0
+    ? `🗑️ Palabras quitadas: ${removed.join(', ')}.`
+    : '❓ Esas palabras no estaban asociadas a ninguna categoría.');
+}
+
+/**
+ * Envía las categorías del chat con sus palabras clave (comando /categorias)
+ * @param {number} chatId - ID del chat
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function sendCategories(chatId, bot) {
+  let message = '🏷️ *Tus categorías de gasto*\n\n';
+  
+  database.getCategories(chatId).forEach(category => {
+    const keywords = category.keywords.filter(k => !k.aprendida).map(k => k.keyword);
+    const learned = category.keywords.filter(k => k.aprendida).map(k => k.keyword);
+    
+    message += `📂 ${md(category.nombre)}\n`;
+    if (keywords.length > 0) message += `- Palabras: ${keywords.map(md).join(', ')}\n`;
+    if (learned.length > 0) message += `- Aprendidas: ${learned.map(md).join(', ')}\n`;
+    message += '\n';
+  });
+  
+  message += '✍️ *Para administrarlas envía, por ejemplo:*\n' +
+    '- "Crear categoría mascotas con palabras veterinario, concentrado"\n' +
+    '- "Renombrar categoría snacks a antojos"\n' +
+    '- "Fusionar categoría snacks con restaurante"\n' +
+    '- "Eliminar categoría educación"\n' +
+    '- "Agregar palabra café a snacks"\n' +
+    '- "Quitar palabra café"\n\n' +
+    'Cuando corriges la categoría de un gasto, aprendo a categorizar ese comercio.';
+  
+  await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+}
+
+/**
+ * Busca una categoría del chat por el nombre escrito por el usuario
+ * @param {number} chatId - ID del chat
+ * @param {string} text - Nombre escrito
+ * @returns {string|null} - Nombre de la categoría o null
+ */
+function findCategory(chatId, text) {
+  const textNorm = textUtils.normalizeText(text).replace(/^(?:la\s+)?categoria\s+/, '');
+  const names = getCategoryNames(chatId);
+  
+  // Coincidencia exacta o singular/plural ("restaurantes" -> "restaurante")
+  return names.find(name => textUtils.normalizeText(name) === textNorm) ||
+    names.find(name => textUtils.normalizeText(name) === textNorm.replace(/e?s$/, '')) ||
+    null;
+}
+
+/**
+ * Valida el nombre de una categoría nueva
+ * @param {number} chatId - ID del chat
+ * @param {string} name - Nombre propuesto
+ * @returns {string|null} - Mensaje de error o null si es válido
+ */
+function validateName(chatId, name) {
+  if (!name) {
+    return '❓ Indica el nombre de la categoría.';
+  }
+  if (name.length > MAX_NAME_LENGTH || name.includes(':')) {
+    return `❓ El nombre debe tener como máximo ${MAX_NAME_LENGTH} caracteres y no incluir ":".`;
+  }
+  if (getCategoryNames(chatId).some(existing => textUtils.normalizeText(existing) === textUtils.normalizeText(name))) {
+    return `ℹ️ Ya tienes una categoría llamada ${name}.`;
+  }
+  return null;
+}
+
+/**
+ * Informa que no existe la categoría y muestra las disponibles
+ * @param {number} chatId - ID del chat
+ * @param {string} text - Nombre escrito por el usuario
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function sendUnknownCategory(chatId, text, bot) {
+  await bot.sendMessage(chatId,
+    `❓ No encontré la categoría "${text.trim()}".\n\n` +
+    'Las categorías disponibles son:\n' +
+    getCategoryNames(chatId).map(c => `- ${c}`).join('\n')
+  );
+}
+
+/**
+ * Limpia el nombre de una categoría
+ * @param {string} text - Texto del usuario
+ * @returns {string} - Nombre en minúsculas
+ */
+function cleanName(text) {
+  return String(text || '').toLowerCase().replace(/["']/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Separa una lista de palabras clave ("café, té y pan")
+ * @param {string} text - Texto del usuario
+ * @returns {Array} - Palabras clave en minúsculas
+ */
+function splitKeywords(text) {
+  if (!text) return [];
+  
+  return text.toLowerCase()
+    .split(/\s*(?:,|;|\sy\s)\s*/)
+    .map(keyword => keyword.replace(/["']/g, '').trim())
+    .filter(Boolean);
+}
+
+module.exports = {
+  getRules,
+  categorize,
+  getCategoryNames,
+  buildCategoryKeyboard,
+  resolveCategory,
+  learnFromCorrection,
+  isCategoryText,
+  processCategoryText,
+  sendCategories
+};
\ No newline at end of file
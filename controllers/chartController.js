@@ -0,0 +1,221 @@
+const database = require('../database');
+const charts = require('../utils/charts');
+const dates = require('../utils/dates');
+const periods = require('../utils/periods');
+
+// Meses de la tendencia de ingresos vs gastos
+const TREND_MONTHS = 12;
+
+/**
+ * Envía una imagen PNG como foto de Telegram
+ * @param {number} chatId - ID del chat
+ * @param {Object} bot - Instancia del bot de Telegram
+ * @param {Buffer} image - Imagen PNG
+ * @param {string} caption - Texto de la foto
+ */
+function sendImage(chatId, bot, image, caption) {
+  return bot.sendPhoto(chatId, image, { caption }, { filename: 'grafico.png', contentType: 'image/png' });
+}
+
+/**
+ * Genera varios gráficos. Un gráfico que falla no impide generar los demás.
+ * @param {Array} list - [{ caption, build: () => Promise<Buffer>|null }]
+ * @returns {Promise<Array>} - [{ caption, image }] de los gráficos generados
+ */
+async function renderChartList(list) {
+  const rendered = [];
+  
+  for (const { caption, build } of list) {
+    try {
+      const image = await build();
+      if (image) rendered.push({ caption, image });
+    } catch (error) {
+      console.error(`Error generando el gráfico "${caption}":`, error.message);
+    }
+  }
+  
+  return rendered;
+}
+
+/**
+ * Genera y envía varios gráficos
+ * @param {number} chatId - ID del chat
+ * @param {Object} bot - Instancia del bot de Telegram
+ * @param {Array} list - [{ caption, build: () => Promise<Buffer>|null }]
+ * @returns {Promise<number>} - Cantidad de gráficos enviados
+ */
+async function sendChartList(chatId, bot, list) {
+  const rendered = await renderChartList(list);
+  
+  let sent = 0;
+  
+  for (const { caption, image } of rendered) {
+    try {
+      await sendImage(chatId, bot, image, caption);
+      sent++;
+    } catch (error) {
+      console.error(`Error enviando el gráfico "${caption}":`, error.message);
+    }
+  }
+  
+  return sent;
+}
+
+/**
+ * Gráfico de gastos por categoría de un período
+ * @param {number} chatId - ID del chat
+ * @param {Object} period - Período { desde, hasta, nombre }
+ * @returns {Promise<Buffer>|null} - Imagen PNG o null si no hay gastos
+ */
+function buildCategoryChart(chatId, period) {
+  const totals = database.sumByCategory(chatId, { desde: period.desde, hasta: period.hasta, tipo: 'gasto' });
+  if (Object.keys(totals).length === 0) return null;
+  
+  return charts.renderCategoryChart(totals, `Gastos por categoría ${period.nombre} (${database.getBaseCurrency(chatId)})`);
+}
+
+/**
+ * Gráfico de presupuesto contra gasto real del mes
+ * @param {number} chatId - ID del chat
+ * @param {string} today - Fecha actual yyyy-mm-dd
+ * @returns {Promise<Buffer>|null} - Imagen PNG o null si no hay presupuesto
+ */
+function buildBudgetChart(chatId, today) {
+  const month = periods.presetPeriod('mensual', today);
+  const budget = database.getBudget(chatId);
+  const spent = database.sumByCategory(chatId, { desde: month.desde, hasta: month.hasta, tipo: 'gasto' });
+  
+  const rows = Object.entries(budget)
+    .filter(([, presupuesto]) => presupuesto > 0)
+    .map(([categoria, presupuesto]) => ({ categoria, presupuesto, gastado: spent[categoria] || 0 }));
+  if (rows.length === 0) return null;
+  
+  return charts.renderBudgetChart(rows, database.getBaseCurrency(chatId));
+}
+
+/**
+ * Gráfico del gasto de cada día del mes hasta hoy
+ * @param {number} chatId - ID del chat
+ * @param {Object} period - Período de un mes { desde, hasta }
+ * @returns {Promise<Buffer>} - Imagen PNG
+ */
+function buildDailyChart(chatId, period) {
+  const totals = database.sumByDate(chatId, { desde: period.desde, hasta: period.hasta, tipo: 'gasto' });
+  
+  // Incluir los días sin gastos para que la línea no los salte
+  const days = [];
+  for (let fecha = period.desde; fecha <= period.hasta; fecha = dates.addDays(fecha, 1)) {
+    days.push({ fecha, total: totals[fecha] || 0 });
+  }
+  
+  return charts.renderDailyChart(days, database.getBaseCurrency(chatId));
+}
+
+/**
+ * Gráfico de ingresos contra gastos de los últimos meses
+ * @param {number} chatId - ID del chat
+ * @param {string} today - Fecha actual yyyy-mm-dd
+ * @returns {Promise<Buffer>} - Imagen PNG
+ */
+function buildTrendChart(chatId, today) {
+  const [year, month] = today.split('-').map(n => parseInt(n, 10));
+  const months = [];
+  
+  for (let i = TREND_MONTHS - 1; i >= 0; i--) {
+    const index = year * 12 + (month - 1) - i;
+    const y = Math.floor(index / 12);
+    const m = index % 12 + 1;
+    const mes = `${y}-${String(m).padStart(2, '0')}`;
+    
+    const totals = database.sumByType(chatId, { desde: `${mes}-01`, hasta: `${mes}-${dates.daysInMonth(y, m)}` });
+    months.push({
+      mes,
+      ingresos: (totals.ingreso || 0) + (totals.ingreso_fijo || 0),
+      gastos: totals.gasto || 0
+    });
+  }
+  
+  return charts.renderTrendChart(months, database.getBaseCurrency(chatId));
+}
+
+/**
+ * Gráficos que acompañan un reporte financiero
+ * @param {number} chatId - ID del chat
+ * @param {Object} period - Período del reporte (ver utils/periods)
+ * @param {string} today - Fecha actual yyyy-mm-dd
+ * @returns {Array} - [{ caption, build }]
+ */
+function reportChartList(chatId, period, today) {
+  const list = [{ caption: `🍩 Gastos por categoría ${period.nombre}`, build: () => buildCategoryChart(chatId, period) }];
+  
+  // La línea diaria solo tiene sentido para reportes de un mes
+  if (period.meses === 1) {
+    list.push({ caption: `📈 Gasto diario ${period.nombre}`, build: () => buildDailyChart(chatId, period) });
+  }
+  
+  list.push({ caption: `📊 Ingresos vs gastos de los últimos ${TREND_MONTHS} meses`, build: () => buildTrendChart(chatId, today) });
+  return list;
+}
+
+/**
+ * Envía los gráficos que acompañan un reporte financiero
+ * @param {number} chatId - ID del chat
+ * @param {Object} period - Período del reporte (ver utils/periods)
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function sendReportCharts(chatId, period, bot) {
+  const today = dates.todayInTimezone(database.getChatTimezone(chatId));
+  await sendChartList(chatId, bot, reportChartList(chatId, period, today));
+}
+
+/**
+ * Genera los gráficos de un reporte financiero sin enviarlos (para incluirlos en documentos)
+ * @param {number} chatId - ID del chat
+ * @param {Object} period - Período del reporte (ver utils/periods)
+ * @returns {Promise<Array>} - [{ caption, image }]
+ */
+function renderReportCharts(chatId, period) {
+  const today = dates.todayInTimezone(database.getChatTimezone(chatId));
+  return renderChartList(reportChartList(chatId, period, today));
+}
+
+/**
+ * Envía el gráfico de presupuesto contra gasto real
+ * @param {number} chatId - ID del chat
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function sendBudgetChart(chatId, bot) {
+  const today = dates.todayInTimezone(database.getChatTimezone(chatId));
+  await sendChartList(chatId, bot, [
+    { caption: '📋 Presupuesto vs gasto real del mes', build: () => buildBudgetChart(chatId, today) }
+  ]);
+}
+
+/**
+ * Envía todos los gráficos (comando /graficos). Acepta un período como en
+ * los reportes: "/graficos marzo", "/graficos Q1 2025"
+ * @param {Object} msg - Mensaje de Telegram
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function sendCharts(msg, bot) {
+  const chatId = msg.chat.id;
+  const today = dates.todayInTimezone(database.getChatTimezone(chatId));
+  const period = periods.parsePeriod(msg.text.replace(/^\/\S+/, ''), today) || periods.presetPeriod('mensual', today);
+  
+  bot.sendMessage(chatId, '🎨 Generando tus gráficos...');
+  
+  const list = reportChartList(chatId, period, today);
+  list.splice(list.length - 1, 0, { caption: '📋 Presupuesto vs gasto real del mes', build: () => buildBudgetChart(chatId, today) });
+  
+  const sent = await sendChartList(chatId, bot, list);
+  if (sent === 0) {
+    bot.sendMessage(chatId, '❌ No pude generar los gráficos. Registra algunos movimientos e intenta de nuevo.');
+  }
+}
+
+module.exports = {
+  sendReportCharts,
+  renderReportCharts,
+  sendBudgetChart,
+  sendCharts
+};
\ No newline at end of file
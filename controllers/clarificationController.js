@@ -0,0 +1,73 @@
+// Preguntas de aclaración cuando el clasificador no está seguro de la intención
+// de un mensaje: se ofrecen las intenciones candidatas como botones y, al elegir
+// una, el mensaje original se procesa con esa intención.
+
+// Pregunta pendiente por chat: chatId -> { questionId, msg, entidades }
+const pendingQuestions = new Map();
+
+// Texto de los botones de cada intención
+const INTENT_LABELS = {
+  gasto: '💸 Registrar un gasto',
+  ingreso: '💰 Registrar un ingreso',
+  meta: '🎯 Mis metas de ahorro',
+  presupuesto: '📋 Mi presupuesto',
+  reporte: '📈 Ver un reporte',
+  consulta: '🔎 Consultar mis movimientos',
+  correccion: '✏️ Corregir el último movimiento'
+};
+
+/**
+ * Pregunta al usuario qué quiso hacer con su mensaje
+ * @param {Object} msg - Mensaje de Telegram
+ * @param {Array} candidates - Intenciones candidatas, de la más probable a la menos
+ * @param {Object} entities - Entidades extraídas del mensaje
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function askIntent(msg, candidates, entities, bot) {
+  const chatId = msg.chat.id;
+  
+  const rows = candidates
+    .filter(intent => INTENT_LABELS[intent])
+    .map(intent => [{ text: INTENT_LABELS[intent], callback_data: `nlu:${intent}:${msg.message_id}` }]);
+  rows.push([{ text: '❌ Nada de eso', callback_data: `nlu:nada:${msg.message_id}` }]);
+  
+  const question = await bot.sendMessage(chatId, '🤔 No estoy seguro de qué quieres hacer. ¿Qué quisiste decir?', {
+    reply_markup: { inline_keyboard: rows }
+  });
+  
+  pendingQuestions.set(chatId, { questionId: question.message_id, messageId: msg.message_id, msg, entidades: entities });
+}
+
+/**
+ * Maneja la respuesta a una pregunta de aclaración
+ * @param {Object} query - callback_query de Telegram
+ * @param {Object} bot - Instancia del bot de Telegram
+ * @param {Function} dispatch - Procesa el mensaje con la intención elegida: (msg, intent, entities)
+ */
+async function handleCallback(query, bot, dispatch) {
+  const chatId = query.message.chat.id;
+  const [, intent, messageId] = query.data.split(':');
+  const pending = pendingQuestions.get(chatId);
+  
+  // Solo se atiende la última pregunta del chat
+  if (!pending || String(pending.messageId) !== messageId) {
+    bot.sendMessage(chatId, '⌛ Esa pregunta ya no está vigente. Envía tu mensaje de nuevo.');
+    return;
+  }
+  
+  pendingQuestions.delete(chatId);
+  
+  const answer = intent === 'nada'
+    ? '👌 Entendido. Puedes escribirlo de otra forma o usar /help para ver lo que puedo hacer.'
+    : INTENT_LABELS[intent];
+  bot.editMessageText(answer, { chat_id: chatId, message_id: pending.questionId }).catch(() => {});
+  
+  if (intent !== 'nada' && INTENT_LABELS[intent]) {
+    await dispatch(pending.msg, intent, pending.entidades);
+  }
+}
+
+module.exports = {
+  askIntent,
+  handleCallback
+};
\ No newline at end of file
@@ -1,25 +1,43 @@
 const config = require('../config');
 const database = require('../database');
 const textUtils = require('../utils/textProcessing');
+const money = require('../utils/money');
+const recurrence = require('../utils/recurrence');
+const dates = require('../utils/dates');
+const periods = require('../utils/periods');
+const transactionController = require('./transactionController');
+const fixedItemsController = require('./fixedItemsController');
+const categoryController = require('./categoryController');
+const chartController = require('./chartController');
 
 /**
  * Procesa gastos o ingresos identificados en mensajes de texto
  * @param {Object} msg - Mensaje de Telegram
  * @param {string} intent - Intención identificada ('gasto' o 'ingreso')
  * @param {Object} bot - Instancia del bot de Telegram 
+ * @param {Object} extracted - Datos ya extraídos del mensaje (ver utils/extraction); si no
+ *   se indican se extraen con las reglas locales
  */
-function processExpenseOrIncome(msg, intent, bot) {
+async function processExpenseOrIncome(msg, intent, bot, extracted = null) {
   const chatId = msg.chat.id;
-  const textData = textUtils.processText(msg.text, intent);
+  const textData = extracted || textUtils.processText(msg.text, intent, categoryController.getRules(chatId),
+    dates.todayInTimezone(database.getChatTimezone(chatId)));
   
   if (textData && textData.monto) {
+    // Los montos en otra moneda necesitan la tasa del día para los totales
+    const base = database.getBaseCurrency(chatId);
+    if (textData.moneda && textData.moneda !== base && !(await database.ensureExchangeRates(textData.fecha))) {
+      bot.sendMessage(chatId, `❌ No pude obtener la tasa de cambio de ${textData.moneda} a ${base}. Intenta de nuevo más tarde.`);
+      return;
+    }
+    
     // Registrar la transacción
-    database.registerTransaction(textData);
+    database.registerTransaction(chatId, textData);
     
     // Verificar alerta de presupuesto si es un gasto
     let budgetAlert = '';
     if (intent === 'gasto') {
-      budgetAlert = checkBudgetAlert(textData);
+      budgetAlert = checkBudgetAlert(chatId, textData);
     }
     
     // Enviar resultados al usuario
@@ -29,7 +47,10 @@ function processExpenseOrIncome(msg, intent, bot) {
       message += `\n\n⚠️ *¡Alerta de presupuesto!* ${budgetAlert}`;
     }
     
-    bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    bot.sendMessage(chatId, message, {
+      parse_mode: 'Markdown',
+      reply_markup: transactionController.buildTransactionKeyboard(textData.id)
+    });
   } else {
     bot.sendMessage(chatId, 
       '❓ No pude identificar el monto o algunos detalles importantes.\n\n' +
@@ -45,28 +66,29 @@ function processExpenseOrIncome(msg, intent, bot) {
  * @param {Object} msg - Mensaje de Telegram
  * @param {Object} bot - Instancia del bot de Telegram
  */
-function processBudget(msg, bot) {
+async function processBudget(msg, bot) {
   const chatId = msg.chat.id;
   const text = msg.text.toLowerCase();
   
   // Verificar si es una consulta de estado de presupuesto
   if (text.includes('ver') || text.includes('estado') || text.includes('consultar')) {
-    sendBudgetStatus(chatId, bot);
+    await sendBudgetStatus(chatId, bot);
     return;
   }
   
   // Verificar si es una actualización de presupuesto
-  const categoryMatch = text.match(/(?:presupuesto|asignar|destinar)\s+(?:para|a|en)?\s+(.+?)\s+(?:de)?\s*\$?\s*([0-9.,]+)/i);
+  const categoryMatch = text.match(new RegExp(`(?:presupuesto|asignar|destinar)\\s+(?:para|a|en)?\\s+(.+?)\\s+(?:de)?\\s*\\$?\\s*(${money.AMOUNT_PATTERN})`, 'i'));
   
   if (categoryMatch) {
     const categoryName = categoryMatch[1].trim().toLowerCase();
-    const amount = parseFloat(categoryMatch[2].replace(',', '.'));
+    const amount = money.parseAmount(categoryMatch[2]);
+    const categories = database.getCategories(chatId);
     
     // Encontrar la categoría que mejor coincida
     let bestCategory = null;
     let bestScore = 0;
     
-    for (const category of Object.keys(config.expenseCategories)) {
+    for (const { nombre: category, keywords } of categories) {
       // Simple coincidencia por inclusión de texto
       if (categoryName.includes(category) || category.includes(categoryName)) {
         const score = Math.min(category.length, categoryName.length);
@@ -77,7 +99,7 @@ function processBudget(msg, bot) {
       }
       
       // Buscar en palabras clave de la categoría
-      for (const keyword of config.expenseCategories[category]) {
+      for (const { keyword } of keywords) {
         if (categoryName.includes(keyword)) {
           const score = keyword.length;
           if (score > bestScore) {
@@ -90,14 +112,12 @@ function processBudget(msg, bot) {
     
     if (bestCategory) {
       // Actualizar presupuesto
-      const db = database.loadDatabase();
-      db.budget[bestCategory] = amount;
-      database.saveDatabase(db);
+      database.setBudget(chatId, bestCategory, amount);
       
       bot.sendMessage(chatId, 
         `✅ *Presupuesto actualizado*\n\n` +
         `*Categoría:* ${bestCategory}\n` +
-        `*Nuevo presupuesto:* ${amount.toLocaleString()}\n\n` +
+        `*Nuevo presupuesto:* ${formatBase(chatId, amount)}\n\n` +
         `Usa /presupuesto para ver tu presupuesto completo.`,
         { parse_mode: 'Markdown' }
       );
@@ -105,11 +125,11 @@ function processBudget(msg, bot) {
       bot.sendMessage(chatId, 
         '❓ No pude identificar claramente la categoría.\n\n' +
         'Las categorías disponibles son:\n' +
-        Object.keys(config.expenseCategories).map(c => `- ${c}`).join('\n')
+        categories.map(c => `- ${c.nombre}`).join('\n')
       );
     }
   } else {
-    sendBudgetStatus(chatId, bot);
+    await sendBudgetStatus(chatId, bot);
   }
 }
 
@@ -118,35 +138,30 @@ function processBudget(msg, bot) {
  * @param {number} chatId - ID del chat
  * @param {Object} bot - Instancia del bot de Telegram
  */
-function sendBudgetStatus(chatId, bot) {
-  const db = database.loadDatabase();
-  
-  // Filtrar transacciones del mes actual
-  const today = new Date();
-  const startOfMonth = new Date(today.getFullYear(), today.getMonth(), 1);
-  
-  const expenses = db.transactions.filter(t => {
-    const transDate = new Date(t.fecha);
-    return t.tipo === 'gasto' && 
-           transDate >= startOfMonth && 
-           transDate <= today;
-  });
+async function sendBudgetStatus(chatId, bot) {
+  const budget = database.getBudget(chatId);
   
-  // Agrupar gastos por categoría
-  const expensesByCategory = expenses.reduce((acc, t) => {
-    const category = t.categoria || 'otros';
-    if (!acc[category]) acc[category] = 0;
-    acc[category] += parseFloat(t.monto);
-    return acc;
-  }, {});
+  // Gastos del mes actual agrupados por categoría
+  const month = currentMonth(chatId);
+  
+  const expensesByCategory = database.sumByCategory(chatId, {
+    tipo: 'gasto',
+    desde: month.desde,
+    hasta: month.hasta
+  });
   
   // Generar mensaje
-  let message = '📊 *Estado del presupuesto mensual*\n\n';
+  let message = `📊 *Estado del presupuesto mensual* (${database.getBaseCurrency(chatId)})\n\n`;
   
   let totalBudget = 0;
   let totalSpent = 0;
   
-  Object.entries(db.budget).forEach(([category, budgeted]) => {
+  // Categorías del chat con presupuesto asignado
+  const categories = database.getCategories(chatId).map(c => c.nombre);
+  const budgetedCategories = categories.filter(category => budget[category]);
+  
+  budgetedCategories.forEach(category => {
+    const budgeted = budget[category];
     const spent = expensesByCategory[category] || 0;
     const remaining = budgeted - spent;
     const percentage = budgeted > 0 ? (spent / budgeted) * 100 : 0;
@@ -166,58 +181,105 @@ function sendBudgetStatus(chatId, bot) {
     }
     
     message += `*${category}:*\n`;
-    message += `- Gastado: ${spent.toLocaleString()} de ${budgeted.toLocaleString()} (${percentage.toFixed(0)}%)\n`;
-    message += `- Restante: ${remaining.toLocaleString()} ${status}\n\n`;
+    message += `- Gastado: ${formatBase(chatId, spent)} de ${formatBase(chatId, budgeted)} (${percentage.toFixed(0)}%)\n`;
+    message += `- Restante: ${formatBase(chatId, remaining)} ${status}\n\n`;
   });
   
+  // Gastos en categorías sin presupuesto
+  const unbudgeted = categories.filter(category => !budget[category] && expensesByCategory[category]);
+  if (unbudgeted.length > 0) {
+    message += `*Sin presupuesto:*\n`;
+    unbudgeted.forEach(category => {
+      totalSpent += expensesByCategory[category];
+      message += `- ${category}: ${formatBase(chatId, expensesByCategory[category])}\n`;
+    });
+    message += '\n';
+  }
+  
   // Resumen general
   const totalPercentage = totalBudget > 0 ? (totalSpent / totalBudget) * 100 : 0;
   message += `📈 *Resumen general:*\n`;
-  message += `- Presupuesto total: ${totalBudget.toLocaleString()}\n`;
-  message += `- Gasto total: ${totalSpent.toLocaleString()} (${totalPercentage.toFixed(0)}%)\n`;
-  message += `- Restante: ${(totalBudget - totalSpent).toLocaleString()}\n\n`;
+  message += `- Presupuesto total: ${formatBase(chatId, totalBudget)}\n`;
+  message += `- Gasto total: ${formatBase(chatId, totalSpent)} (${totalPercentage.toFixed(0)}%)\n`;
+  message += `- Restante: ${formatBase(chatId, totalBudget - totalSpent)}\n\n`;
   
   message += `Para modificar tu presupuesto, envía un mensaje como:\n`;
   message += `"Asignar presupuesto de $200000 para restaurantes"`;
   
-  bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+  await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+  
+  if (config.charts.enabled) {
+    await chartController.sendBudgetChart(chatId, bot);
+  }
+}
+
+/**
+ * Formatea un monto en la moneda base del chat, redondeado a centavos
+ * @param {number} chatId - ID del chat
+ * @param {number} amount - Monto en la moneda base
+ * @returns {string} - "$1.500.000", "US$20,50"
+ */
+function formatBase(chatId, amount) {
+  return money.formatAmount(Math.round(amount * money.MINOR_UNITS) / money.MINOR_UNITS, database.getBaseCurrency(chatId));
+}
+
+/**
+ * Equivalente mensual de un gasto o ingreso fijo en la moneda base del chat
+ * (cada ítem conserva su moneda y se convierte con la tasa de hoy)
+ * @param {number} chatId - ID del chat
+ * @param {Object} item - Gasto o ingreso fijo
+ * @returns {number} - Monto mensual en la moneda base
+ */
+function monthlyInBase(chatId, item) {
+  const today = dates.todayInTimezone(database.getChatTimezone(chatId));
+  return database.convertAmount(recurrence.monthlyEquivalent(item.monto, item.frecuencia), item.moneda,
+    database.getBaseCurrency(chatId), today);
+}
+
+/**
+ * Mes actual del chat hasta hoy, según su zona horaria (período de los presupuestos)
+ * @param {number} chatId - ID del chat
+ * @returns {Object} - { desde, hasta } en formato yyyy-mm-dd
+ */
+function currentMonth(chatId) {
+  return periods.presetPeriod('mensual', dates.todayInTimezone(database.getChatTimezone(chatId)));
 }
 
 /**
  * Verifica si el gasto supera el porcentaje del presupuesto mensual
+ * @param {number} chatId - ID del chat
  * @param {Object} data - Datos de la transacción
  * @returns {string|null} - Mensaje de alerta o null si no hay alerta
  */
-function checkBudgetAlert(data) {
+function checkBudgetAlert(chatId, data) {
   if (data.tipo !== 'gasto' || !data.categoria) return null;
   
-  const db = database.loadDatabase();
+  const budget = database.getBudget(chatId);
   const category = data.categoria;
   
   // Verificar si la categoría tiene presupuesto
-  if (!db.budget[category]) return null;
+  if (!budget[category]) return null;
   
   // Obtener gastos del mes en esa categoría
-  const today = new Date();
-  const startOfMonth = new Date(today.getFullYear(), today.getMonth(), 1);
-  
-  const expenses = db.transactions.filter(t => {
-    const transDate = new Date(t.fecha);
-    return t.tipo === 'gasto' && 
-           t.categoria === category &&
-           transDate >= startOfMonth && 
-           transDate <= today;
+  const month = currentMonth(chatId);
+  
+  const monthSpent = database.sumTransactions(chatId, {
+    tipo: 'gasto',
+    categoria: category,
+    desde: month.desde,
+    hasta: month.hasta
   });
   
-  // Sumar todos los gastos incluyendo el actual
-  const totalSpent = expenses.reduce((sum, t) => sum + parseFloat(t.monto), 0) + parseFloat(data.monto);
-  const budgeted = db.budget[category];
+  // Sumar todos los gastos incluyendo el actual (si aún no fue registrado)
+  const pending = data.id ? 0 : database.convertAmount(parseFloat(data.monto), data.moneda, database.getBaseCurrency(chatId), data.fecha);
+  const totalSpent = monthSpent + pending;
+  const budgeted = budget[category];
   
   // Calcular porcentaje gastado
   const percentageSpent = (totalSpent / budgeted) * 100;
   
   if (percentageSpent >= 100) {
-    return `Has superado el presupuesto para ${category} (${budgeted.toLocaleString()}).`;
+    return `Has superado el presupuesto para ${category} (${formatBase(chatId, budgeted)}).`;
   } else if (percentageSpent >= 75) {
     return `Has alcanzado el ${percentageSpent.toFixed(0)}% del presupuesto para ${category}.`;
   }
@@ -231,32 +293,33 @@ function checkBudgetAlert(data) {
  * @param {Object} bot - Instancia del bot de Telegram
  */
 function sendFixedExpenses(chatId, bot) {
-  const db = database.loadDatabase();
+  // Ordenar por fecha de pago
+  const fixedExpenses = database.getFixedExpenses(chatId).sort((a, b) => a.fechaPago - b.fechaPago);
   
   let message = '📌 *Gastos fijos configurados*\n\n';
   
-  if (db.fixedExpenses.length === 0) {
+  if (fixedExpenses.length === 0) {
     message += 'No tienes gastos fijos configurados.';
   } else {
-    // Ordenar por fecha de pago
-    const sortedExpenses = [...db.fixedExpenses].sort((a, b) => a.fechaPago - b.fechaPago);
-    
     let totalMonthly = 0;
     
-    sortedExpenses.forEach(expense => {
-      totalMonthly += expense.monto;
-      message += `*${expense.nombre}*\n`;
-      message += `- Monto: ${expense.monto.toLocaleString()}\n`;
-      message += `- Fecha de pago: Día ${expense.fechaPago} de cada mes\n`;
+    fixedExpenses.forEach(expense => {
+      if (expense.activo) totalMonthly += monthlyInBase(chatId, expense);
+      message += `*${expense.nombre}*${expense.activo ? '' : ' (pausado)'}\n`;
+      message += `- Monto: ${money.formatAmount(expense.monto, expense.moneda)}\n`;
+      message += `- Fecha de pago: ${recurrence.describeSchedule(recurrence.scheduleOf(expense))}\n`;
       message += `- Categoría: ${expense.categoria}\n\n`;
     });
     
-    message += `💰 *Total mensual en gastos fijos:* ${totalMonthly.toLocaleString()}\n\n`;
+    message += `💰 *Total mensual en gastos fijos:* ${formatBase(chatId, Math.round(totalMonthly))}\n\n`;
   }
   
-  message += `Para agregar un nuevo gasto fijo, contacta al administrador del sistema.`;
+  message += `Toca un gasto para editarlo, pausarlo o eliminarlo.\n\n${fixedItemsController.formatHelp('g')}`;
   
-  bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+  bot.sendMessage(chatId, message, {
+    parse_mode: 'Markdown',
+    reply_markup: fixedItemsController.buildListKeyboard('g', fixedExpenses)
+  });
 }
 
 /**
@@ -265,69 +328,110 @@ function sendFixedExpenses(chatId, bot) {
  * @param {Object} bot - Instancia del bot de Telegram
  */
 function sendIncomeStatus(chatId, bot) {
-  const db = database.loadDatabase();
-  
-  // Obtener promedio de ingresos variables
-  const today = new Date();
-  const sixMonthsAgo = new Date(today);
-  sixMonthsAgo.setMonth(today.getMonth() - 6);
-  
-  // Filtrar ingresos variables de los últimos 6 meses
-  const variableIncomes = db.transactions.filter(t => {
-    const transDate = new Date(t.fecha);
-    return t.tipo === 'ingreso' && 
-           transDate >= sixMonthsAgo && 
-           transDate <= today &&
-           !t.concepto.toLowerCase().includes('salario');
+  const fixedIncomes = database.getFixedIncomes(chatId);
+  
+  // Ingresos variables de los últimos 6 meses, hasta hoy en la zona horaria del chat
+  const period = periods.parseRelativePeriod('ultimos 6 meses', dates.todayInTimezone(database.getChatTimezone(chatId)));
+  const variableIncomes = database.queryTransactions(chatId, {
+    tipo: 'ingreso',
+    desde: period.desde,
+    hasta: period.hasta,
+    excludeConcepto: 'salario',
+    order: 'desc'
   });
   
   // Calcular promedio mensual
-  const variableIncomeTotal = variableIncomes.reduce((sum, t) => sum + parseFloat(t.monto), 0);
-  const monthsInRange = Math.max(1, Math.ceil((today - sixMonthsAgo) / (30 * 24 * 60 * 60 * 1000)));
-  const averageMonthlyVariable = variableIncomeTotal / monthsInRange;
+  const base = database.getBaseCurrency(chatId);
+  const variableIncomeTotal = variableIncomes.reduce((sum, t) => sum + database.convertAmount(t.monto, t.moneda, base, t.fecha), 0);
+  const averageMonthlyVariable = variableIncomeTotal / period.meses;
   
   // Generar mensaje
   let message = '💵 *Fuentes de ingreso*\n\n';
   
   // Ingresos fijos
   message += '📌 *Ingresos fijos:*\n';
-  if (db.fixedIncomes.length === 0) {
+  if (fixedIncomes.length === 0) {
     message += 'No tienes ingresos fijos configurados.\n';
   } else {
     let totalFixed = 0;
-    db.fixedIncomes.forEach(income => {
-      totalFixed += income.monto;
-      message += `- *${income.nombre}:* ${income.monto.toLocaleString()} (Día ${income.fechaIngreso})\n`;
+    fixedIncomes.forEach(income => {
+      if (income.activo) totalFixed += monthlyInBase(chatId, income);
+      message += `- *${income.nombre}:* ${money.formatAmount(income.monto, income.moneda)} (${recurrence.describeSchedule(recurrence.scheduleOf(income))})` +
+        `${income.activo ? '' : ' (pausado)'}\n`;
     });
-    message += `*Total mensual fijo:* ${totalFixed.toLocaleString()}\n`;
+    message += `*Total mensual fijo:* ${formatBase(chatId, Math.round(totalFixed))}\n`;
   }
   
   // Ingresos variables
   message += '\n💹 *Ingresos variables (promedio últimos 6 meses):*\n';
-  message += `- *Freelance y otros:* ${Math.round(averageMonthlyVariable).toLocaleString()}/mes\n`;
+  message += `- *Freelance y otros:* ${formatBase(chatId, Math.round(averageMonthlyVariable))}/mes\n`;
   
   // Total combinado
-  const totalFixedIncome = db.fixedIncomes.reduce((sum, inc) => sum + inc.monto, 0);
+  const totalFixedIncome = fixedIncomes
+    .filter(inc => inc.activo)
+    .reduce((sum, inc) => sum + monthlyInBase(chatId, inc), 0);
   const estimatedMonthlyIncome = totalFixedIncome + averageMonthlyVariable;
   
   message += '\n📊 *Proyección de ingresos mensuales:*\n';
-  message += `- *Total estimado:* ${Math.round(estimatedMonthlyIncome).toLocaleString()}\n`;
+  message += `- *Total estimado:* ${formatBase(chatId, Math.round(estimatedMonthlyIncome))}\n`;
   
   if (variableIncomes.length > 0) {
     // Mostrar últimos ingresos variables
     message += '\n📝 *Últimos ingresos variables:*\n';
     variableIncomes
-      .sort((a, b) => new Date(b.fecha) - new Date(a.fecha))
       .slice(0, 3)
       .forEach(income => {
-        message += `- ${income.fecha}: ${income.concepto} - ${parseFloat(income.monto).toLocaleString()}\n`;
+        message += `- ${income.fecha}: ${income.concepto} - ${money.formatAmount(income.monto, income.moneda)}\n`;
       });
   }
   
   message += '\nPara registrar un nuevo ingreso, envía un mensaje como:\n';
-  message += '"Recibí $450000 por proyecto de diseño"';
+  message += '"Recibí $450000 por proyecto de diseño"\n\n';
+  message += 'Toca un ingreso fijo para editarlo, pausarlo o eliminarlo. ';
+  message += fixedItemsController.formatHelp('i');
+  
+  bot.sendMessage(chatId, message, {
+    parse_mode: 'Markdown',
+    reply_markup: fixedItemsController.buildListKeyboard('i', fixedIncomes)
+  });
+}
+
+/**
+ * Muestra o cambia la moneda base del chat (comando /moneda)
+ * @param {Object} msg - Mensaje de Telegram
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function setBaseCurrency(msg, bot) {
+  const chatId = msg.chat.id;
+  const code = msg.text.split(' ').slice(1).join('').trim();
+  const available = Object.keys(money.CURRENCIES).join(', ');
+  
+  if (!code) {
+    bot.sendMessage(chatId,
+      `💱 Tu moneda base es *${database.getBaseCurrency(chatId)}*. ` +
+      'Los presupuestos y reportes se muestran en esta moneda.\n\n' +
+      `Para cambiarla envía, por ejemplo: /moneda USD (disponibles: ${available})`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  const moneda = money.normalizeCurrency(code);
+  if (!moneda) {
+    bot.sendMessage(chatId, `❓ No reconozco la moneda "${code}". Disponibles: ${available}.`);
+    return;
+  }
+  
+  if (!(await database.setBaseCurrency(chatId, moneda))) {
+    bot.sendMessage(chatId, '❌ No pude obtener las tasas de cambio para convertir tus movimientos. Intenta de nuevo más tarde.');
+    return;
+  }
   
-  bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+  bot.sendMessage(chatId,
+    `✅ Moneda base actualizada a ${moneda} (${money.CURRENCIES[moneda].name}).\n\n` +
+    'Tus presupuestos y metas se muestran convertidos con la tasa de hoy. ' +
+    'Los gastos e ingresos fijos conservan su moneda.'
+  );
 }
 
 module.exports = {
@@ -336,5 +440,6 @@ module.exports = {
   sendBudgetStatus,
   checkBudgetAlert,
   sendFixedExpenses,
-  sendIncomeStatus
+  sendIncomeStatus,
+  setBaseCurrency
 };
\ No newline at end of file
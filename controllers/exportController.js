@@ -0,0 +1,221 @@
+const database = require('../database');
+const spreadsheets = require('../utils/spreadsheets');
+const dates = require('../utils/dates');
+const periods = require('../utils/periods');
+
+const TYPE_NAMES = {
+  gasto: 'Gasto',
+  ingreso: 'Ingreso',
+  ingreso_fijo: 'Ingreso fijo',
+  ahorro: 'Ahorro'
+};
+
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * Hoja de movimientos del período, con el monto original y convertido a la moneda base
+ * @param {Array} transactions - Transacciones del período
+ * @param {string} base - Moneda base del chat
+ * @returns {Object} - Hoja { name, columns, rows }
+ */
+function buildTransactionsSheet(transactions, base) {
+  return {
+    name: 'Movimientos',
+    columns: [
+      { header: 'ID', key: 'id', type: 'integer', width: 8 },
+      { header: 'Fecha', key: 'fecha', type: 'date', width: 12 },
+      { header: 'Tipo', key: 'tipo', width: 12 },
+      { header: 'Concepto', key: 'concepto', width: 30 },
+      { header: 'Categoría', key: 'categoria', width: 18 },
+      { header: 'Monto', key: 'monto', type: 'number' },
+      { header: 'Moneda', key: 'moneda', width: 8 },
+      { header: `Monto (${base})`, key: 'montoBase', type: 'number' }
+    ],
+    rows: transactions.map(t => ({
+      id: t.id,
+      fecha: t.fecha,
+      tipo: TYPE_NAMES[t.tipo] || t.tipo,
+      concepto: t.concepto,
+      categoria: t.categoria,
+      monto: t.monto,
+      moneda: t.moneda || base,
+      montoBase: t.montoBase
+    }))
+  };
+}
+
+/**
+ * Hoja con los ítems de los recibos escaneados del período
+ * @param {Array} transactions - Transacciones del período
+ * @param {string} base - Moneda base del chat
+ * @returns {Object} - Hoja { name, columns, rows }
+ */
+function buildItemsSheet(transactions, base) {
+  const rows = [];
+  transactions
+    .filter(t => t.items && t.items.length > 0)
+    .forEach(t => t.items.forEach(item => rows.push({
+      id: t.id,
+      fecha: t.fecha,
+      comercio: t.concepto,
+      nombre: item.nombre,
+      precio: item.precio,
+      moneda: t.moneda || base
+    })));
+  
+  return {
+    name: 'Ítems de recibos',
+    columns: [
+      { header: 'ID movimiento', key: 'id', type: 'integer', width: 14 },
+      { header: 'Fecha', key: 'fecha', type: 'date', width: 12 },
+      { header: 'Comercio', key: 'comercio', width: 25 },
+      { header: 'Ítem', key: 'nombre', width: 30 },
+      { header: 'Precio', key: 'precio', type: 'number' },
+      { header: 'Moneda', key: 'moneda', width: 8 }
+    ],
+    rows
+  };
+}
+
+/**
+ * Hoja con el resumen de gastos por categoría
+ * @param {Array} transactions - Transacciones del período
+ * @param {string} base - Moneda base del chat
+ * @returns {Object} - Hoja { name, columns, rows }
+ */
+function buildCategorySheet(transactions, base) {
+  const expenses = transactions.filter(t => t.tipo === 'gasto');
+  const total = expenses.reduce((sum, t) => sum + t.montoBase, 0);
+  const byCategory = {};
+  
+  expenses.forEach(t => {
+    const category = t.categoria || 'otros';
+    byCategory[category] = byCategory[category] || { categoria: category, movimientos: 0, total: 0 };
+    byCategory[category].movimientos++;
+    byCategory[category].total += t.montoBase;
+  });
+  
+  return {
+    name: 'Resumen por categoría',
+    columns: [
+      { header: 'Categoría', key: 'categoria', width: 18 },
+      { header: 'Movimientos', key: 'movimientos', type: 'integer', width: 13 },
+      { header: `Total (${base})`, key: 'total', type: 'number' },
+      { header: '% del gasto', key: 'porcentaje', type: 'percent', width: 12 }
+    ],
+    rows: Object.values(byCategory)
+      .sort((a, b) => b.total - a.total)
+      .map(row => ({ ...row, porcentaje: total > 0 ? row.total / total : 0 }))
+  };
+}
+
+/**
+ * Hoja de presupuesto contra gasto real. El presupuesto es mensual, así
+ * que se ajusta a la duración del período.
+ * @param {number} chatId - ID del chat
+ * @param {Object} period - Período exportado
+ * @param {Array} transactions - Transacciones del período
+ * @param {string} base - Moneda base del chat
+ * @returns {Object} - Hoja { name, columns, rows }
+ */
+function buildBudgetSheet(chatId, period, transactions, base) {
+  const months = period.meses || (dates.daysBetween(period.desde, period.hasta) + 1) / 30;
+  const spent = {};
+  transactions
+    .filter(t => t.tipo === 'gasto')
+    .forEach(t => { spent[t.categoria] = (spent[t.categoria] || 0) + t.montoBase; });
+  
+  return {
+    name: 'Presupuesto vs real',
+    columns: [
+      { header: 'Categoría', key: 'categoria', width: 18 },
+      { header: `Presupuesto mensual (${base})`, key: 'mensual', type: 'number', width: 26 },
+      { header: `Presupuesto del período (${base})`, key: 'presupuesto', type: 'number', width: 30 },
+      { header: `Gastado (${base})`, key: 'gastado', type: 'number', width: 18 },
+      { header: `Diferencia (${base})`, key: 'diferencia', type: 'number', width: 18 },
+      { header: '% usado', key: 'porcentaje', type: 'percent', width: 10 }
+    ],
+    rows: Object.entries(database.getBudget(chatId)).map(([categoria, mensual]) => {
+      const presupuesto = Math.round(mensual * months * 100) / 100;
+      const gastado = spent[categoria] || 0;
+      return {
+        categoria,
+        mensual,
+        presupuesto,
+        gastado,
+        diferencia: presupuesto - gastado,
+        porcentaje: presupuesto > 0 ? gastado / presupuesto : 0
+      };
+    })
+  };
+}
+
+/**
+ * Arma las hojas de la exportación de un período
+ * @param {number} chatId - ID del chat
+ * @param {Object} period - Período (ver utils/periods)
+ * @returns {Array} - Hojas [{ name, columns, rows }]
+ */
+function buildSheets(chatId, period) {
+  const base = database.getBaseCurrency(chatId);
+  const transactions = database.queryTransactions(chatId, { desde: period.desde, hasta: period.hasta })
+    .map(t => ({ ...t, montoBase: database.convertAmount(t.monto, t.moneda, base, t.fecha) }));
+  
+  return [
+    buildTransactionsSheet(transactions, base),
+    buildItemsSheet(transactions, base),
+    buildCategorySheet(transactions, base),
+    buildBudgetSheet(chatId, period, transactions, base)
+  ];
+}
+
+/**
+ * Exporta los movimientos y resúmenes de un período a CSV y Excel (comando /exportar).
+ * Acepta un período como en los reportes y, opcionalmente, el formato:
+ * "/exportar marzo", "/exportar Q1 2025 excel", "/exportar csv"
+ * @param {Object} msg - Mensaje de Telegram
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function exportData(msg, bot) {
+  const chatId = msg.chat.id;
+  const text = msg.text.replace(/^\/\S+/, '').toLowerCase();
+  const today = dates.todayInTimezone(database.getChatTimezone(chatId));
+  const period = periods.parsePeriod(text, today) || periods.presetPeriod('mensual', today);
+  
+  // Sin formato indicado se envían ambos
+  const wantsCsv = /\bcsv\b/.test(text);
+  const wantsXlsx = /\b(?:xlsx|excel)\b/.test(text);
+  const csv = wantsCsv || !wantsXlsx;
+  const xlsx = wantsXlsx || !wantsCsv;
+  
+  const sheets = buildSheets(chatId, period);
+  if (sheets[0].rows.length === 0) {
+    bot.sendMessage(chatId, `📭 No hay movimientos ${period.nombre} (${periods.describeRange(period)}).`);
+    return;
+  }
+  
+  const name = `finanzas_${period.desde}_${period.hasta}`;
+  const caption = `📤 Movimientos ${period.nombre}`;
+  
+  try {
+    if (xlsx) {
+      await bot.sendDocument(chatId, await spreadsheets.toXLSX(sheets), { caption },
+        { filename: `${name}.xlsx`, contentType: XLSX_TYPE });
+    }
+    
+    if (csv) {
+      for (const sheet of sheets.filter(s => s.rows.length > 0)) {
+        const slug = sheet.name.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, '_');
+        await bot.sendDocument(chatId, spreadsheets.toCSV(sheet), { caption: `${sheet.name} ${period.nombre}` },
+          { filename: `${name}_${slug}.csv`, contentType: 'text/csv' });
+      }
+    }
+  } catch (error) {
+    console.error('Error exportando los datos:', error);
+    bot.sendMessage(chatId, '❌ No pude generar los archivos. Intenta de nuevo más tarde.');
+  }
+}
+
+module.exports = {
+  exportData
+};
\ No newline at end of file
@@ -0,0 +1,661 @@
+const database = require('../database');
+const textUtils = require('../utils/textProcessing');
+const dates = require('../utils/dates');
+const recurrence = require('../utils/recurrence');
+const money = require('../utils/money');
+const categoryController = require('./categoryController');
+
+// Tipos de ítem fijo: 'g' (gasto) e 'i' (ingreso), usados también en los botones
+const KINDS = {
+  g: {
+    tipo: 'gasto_fijo',
+    label: 'gasto fijo',
+    dayField: 'fechaPago',
+    list: chatId => database.getFixedExpenses(chatId),
+    add: (chatId, item) => database.addFixedExpense(chatId, item),
+    update: (chatId, id, changes) => database.updateFixedExpense(chatId, id, changes),
+    remove: (chatId, id) => database.deleteFixedExpense(chatId, id)
+  },
+  i: {
+    tipo: 'ingreso_fijo',
+    label: 'ingreso fijo',
+    dayField: 'fechaIngreso',
+    list: chatId => database.getFixedIncomes(chatId),
+    add: (chatId, item) => database.addFixedIncome(chatId, item),
+    update: (chatId, id, changes) => database.updateFixedIncome(chatId, id, changes),
+    remove: (chatId, id) => database.deleteFixedIncome(chatId, id)
+  }
+};
+
+// Mensajes como "Agregar gasto fijo Netflix $35000 el día 3"
+const COMMAND_PATTERN = /^\s*(agregar|añadir|anadir|nuevo|nueva|crear|registrar|editar|cambiar|modificar|actualizar|pausar|suspender|reanudar|activar|eliminar|borrar|quitar)\s+(?:un\s+|el\s+|mi\s+)?(gasto|ingreso)\s+fijo\b\s*(.*)$/i;
+
+const ACTIONS = {
+  agregar: 'agregar', añadir: 'agregar', anadir: 'agregar', nuevo: 'agregar', nueva: 'agregar', crear: 'agregar', registrar: 'agregar',
+  editar: 'editar', cambiar: 'editar', modificar: 'editar', actualizar: 'editar',
+  pausar: 'pausar', suspender: 'pausar',
+  reanudar: 'reanudar', activar: 'reanudar',
+  eliminar: 'eliminar', borrar: 'eliminar', quitar: 'eliminar'
+};
+
+const MONTHS = ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio',
+  'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'];
+
+const WEEKDAYS = ['domingo', 'lunes', 'martes', 'miercoles', 'jueves', 'viernes', 'sabado'];
+
+// Palabras de relleno que no forman parte del nombre
+const FILLER_WORDS = ['de', 'del', 'por', 'el', 'la', 'los', 'las', 'en', 'a', 'al', 'cada', 'con', 'monto', 'dia', 'frecuencia', 'categoria', 'nombre'];
+
+// Ediciones en curso: chatId -> { kind, id, field }
+const pendingEdits = new Map();
+
+const FIELD_PROMPTS = {
+  monto: '💲 Envía el nuevo monto (por ejemplo: 35000)',
+  dia: '📅 Envía el nuevo día del mes (1 a 31)',
+  nombre: '📝 Envía el nuevo nombre'
+};
+
+/**
+ * Indica si un texto es una orden sobre gastos o ingresos fijos
+ * @param {string} text - Texto del usuario
+ * @returns {boolean}
+ */
+function isFixedItemText(text) {
+  return COMMAND_PATTERN.test(text);
+}
+
+/**
+ * Procesa una orden en texto libre sobre gastos o ingresos fijos
+ * @param {Object} msg - Mensaje de Telegram
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function processFixedItemText(msg, bot) {
+  const chatId = msg.chat.id;
+  const match = msg.text.match(COMMAND_PATTERN);
+  const action = ACTIONS[match[1].toLowerCase()];
+  const kind = match[2].toLowerCase() === 'gasto' ? 'g' : 'i';
+  const rest = match[3].trim();
+  
+  if (action === 'agregar') {
+    await addItem(chatId, kind, rest, bot);
+    return;
+  }
+  
+  const item = findItem(KINDS[kind].list(chatId), rest);
+  
+  if (!item) {
+    await bot.sendMessage(chatId, `❓ No encontré ese ${KINDS[kind].label}. Revisa el nombre en ${kind === 'g' ? '/gastosfijos' : '/ingresos'}.`);
+    return;
+  }
+  
+  switch (action) {
+    case 'pausar':
+    case 'reanudar':
+      await setActive(chatId, kind, item.id, action === 'reanudar', bot);
+      break;
+    case 'eliminar':
+      await removeItem(chatId, kind, item.id, bot);
+      break;
+    case 'editar': {
+      const today = dates.todayInTimezone(database.getChatTimezone(chatId));
+      const spec = parseItemSpec(removeName(rest, item.nombre), kind, today, categoryController.getCategoryNames(chatId));
+      const changes = specToChanges(spec, kind);
+      
+      if (Object.keys(changes).length === 0) {
+        await sendItem(chatId, kind, item, bot);
+        return;
+      }
+      
+      await applyChanges(chatId, kind, item.id, changes, bot);
+      break;
+    }
+  }
+}
+
+/**
+ * Agrega un gasto o ingreso fijo (comandos /add_gastofijo y /add_ingreso)
+ * @param {Object} msg - Mensaje de Telegram
+ * @param {string} kind - 'g' para gasto, 'i' para ingreso
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function processAddCommand(msg, kind, bot) {
+  const rest = msg.text.split(' ').slice(1).join(' ').trim();
+  
+  if (!rest) {
+    await bot.sendMessage(msg.chat.id, formatHelp(kind), { parse_mode: 'Markdown' });
+    return;
+  }
+  
+  await addItem(msg.chat.id, kind, rest, bot);
+}
+
+/**
+ * Crea un ítem fijo a partir de su descripción
+ * @param {number} chatId - ID del chat
+ * @param {string} kind - 'g' o 'i'
+ * @param {string} text - Descripción (nombre, monto, día, frecuencia...)
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function addItem(chatId, kind, text, bot) {
+  const today = dates.todayInTimezone(database.getChatTimezone(chatId));
+  const spec = parseItemSpec(text, kind, today, categoryController.getCategoryNames(chatId));
+  const frecuencia = spec.frecuencia || 'mensual';
+  const weekly = frecuencia === 'semanal' || frecuencia === 'catorcenal';
+  
+  if (!spec.nombre || !spec.monto || (!weekly && !spec.dia)) {
+    await bot.sendMessage(chatId, `❓ Me faltan datos del ${KINDS[kind].label}.\n\n${formatHelp(kind)}`, { parse_mode: 'Markdown' });
+    return;
+  }
+  
+  const item = {
+    nombre: spec.nombre,
+    monto: spec.monto,
+    frecuencia,
+    fechaInicio: spec.fechaInicio || today
+  };
+  item[KINDS[kind].dayField] = spec.dia || parseInt(item.fechaInicio.slice(8), 10);
+  
+  if (kind === 'g') {
+    item.categoria = spec.categoria || categoryController.categorize(chatId, spec.nombre);
+  }
+  
+  // Un pago anual cuya fecha ya pasó este año empieza el próximo año
+  if (frecuencia === 'anual') {
+    const month = spec.mes || parseInt(today.slice(5, 7), 10);
+    const year = parseInt(today.slice(0, 4), 10);
+    const date = dates.dueDateInMonth(year, month, item[KINDS[kind].dayField]);
+    item.fechaInicio = date >= today ? date : dates.dueDateInMonth(year + 1, month, item[KINDS[kind].dayField]);
+  }
+  
+  KINDS[kind].add(chatId, item);
+  
+  await bot.sendMessage(chatId, `✅ *${capitalize(KINDS[kind].label)} agregado*\n\n${formatItem(kind, item)}`, {
+    parse_mode: 'Markdown',
+    reply_markup: buildItemKeyboard(kind, item)
+  });
+}
+
+/**
+ * Interpreta la descripción de un ítem fijo
+ * @param {string} text - Texto como "Netflix $35000 el día 3 mensual"
+ * @param {string} kind - 'g' o 'i'
+ * @param {string} today - Fecha actual del chat (yyyy-mm-dd)
+ * @param {Array} categories - Nombres de las categorías de gasto del chat
+ * @returns {Object} - nombre, monto, dia, mes, frecuencia, fechaInicio, categoria (los que se encuentren)
+ */
+function parseItemSpec(text, kind, today = textUtils.formatDate(new Date()), categories = []) {
+  const spec = {};
+  let rest = ` ${text} `;
+  
+  // Monto: "$35000", "35 mil pesos" o "monto 35000"
+  const amountMatch = rest.match(new RegExp(`\\$\\s*(${money.AMOUNT_PATTERN})`, 'i')) ||
+    rest.match(new RegExp(`\\s(${money.AMOUNT_PATTERN})\\s*(?:de\\s+)?(?:pesos|cop)\\b`, 'i')) ||
+    rest.match(new RegExp(`monto\\s+(${money.AMOUNT_PATTERN})`, 'i'));
+  if (amountMatch) {
+    const amount = money.parseAmount(amountMatch[1]);
+    if (amount) spec.monto = amount;
+    rest = rest.replace(amountMatch[0], ' ');
+  }
+  
+  // Día y mes: "el día 3", "día 15 de febrero", "el 3 de marzo"
+  const dayMatch = rest.match(/\s(?:el\s+)?d[ií]a\s+(\d{1,2})(?:\s+de\s+([a-záéíóú]+))?/i) ||
+    rest.match(/\sel\s+(\d{1,2})(?:\s+de\s+([a-záéíóú]+))?(?=\s)/i);
+  if (dayMatch) {
+    const day = parseInt(dayMatch[1], 10);
+    const month = dayMatch[2] ? MONTHS.indexOf(normalize(dayMatch[2])) + 1 : 0;
+    if (day >= 1 && day <= 31) spec.dia = day;
+    if (month > 0) spec.mes = month;
+    rest = rest.replace(month > 0 || !dayMatch[2] ? dayMatch[0] : dayMatch[0].replace(/\s+de\s+\S+$/, ''), ' ');
+  }
+  
+  // Fecha de inicio: "desde 01/11/2026"
+  const sinceMatch = rest.match(/\sdesde\s+(\S+)/i);
+  if (sinceMatch) {
+    const date = textUtils.parseDateInput(sinceMatch[1], today);
+    if (date) spec.fechaInicio = date;
+    rest = rest.replace(sinceMatch[0], ' ');
+  }
+  
+  const words = rest.trim().split(/\s+/).filter(Boolean);
+  const nameWords = [];
+  
+  words.forEach(word => {
+    const norm = normalize(word);
+    const frequency = recurrence.normalizeFrequency(norm);
+    // Acepta también el plural ("los sábados")
+    const weekday = WEEKDAYS.includes(norm) ? WEEKDAYS.indexOf(norm) : WEEKDAYS.indexOf(norm.replace(/s$/, ''));
+    
+    if (frequency) {
+      spec.frecuencia = frequency;
+    } else if (weekday >= 0) {
+      // "cada lunes": vence semanalmente desde el próximo lunes
+      spec.frecuencia = spec.frecuencia || 'semanal';
+      spec.fechaInicio = spec.fechaInicio || nextWeekday(today, weekday);
+    } else if (kind === 'g' && findCategory(norm, categories)) {
+      spec.categoria = findCategory(norm, categories);
+    } else {
+      nameWords.push(word);
+    }
+  });
+  
+  // Quitar palabras de relleno al principio y al final del nombre
+  while (nameWords.length > 0 && FILLER_WORDS.includes(normalize(nameWords[0]))) nameWords.shift();
+  while (nameWords.length > 0 && FILLER_WORDS.includes(normalize(nameWords[nameWords.length - 1]))) nameWords.pop();
+  
+  if (nameWords.length > 0) spec.nombre = nameWords.join(' ');
+  
+  return spec;
+}
+
+/**
+ * Convierte la descripción interpretada en cambios para un ítem existente
+ * @param {Object} spec - Resultado de parseItemSpec
+ * @param {string} kind - 'g' o 'i'
+ * @returns {Object} - Campos a modificar
+ */
+function specToChanges(spec, kind) {
+  const changes = {};
+  if (spec.monto) changes.monto = spec.monto;
+  if (spec.dia) changes[KINDS[kind].dayField] = spec.dia;
+  if (spec.frecuencia) changes.frecuencia = spec.frecuencia;
+  if (spec.fechaInicio) changes.fechaInicio = spec.fechaInicio;
+  if (spec.categoria && kind === 'g') changes.categoria = spec.categoria;
+  return changes;
+}
+
+/**
+ * Maneja los botones de gastos e ingresos fijos
+ * @param {Object} query - callback_query de Telegram
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function handleCallback(query, bot) {
+  const chatId = query.message.chat.id;
+  const [, action, kind, idText, value] = query.data.split(':');
+  const id = parseInt(idText, 10);
+  
+  if (!KINDS[kind]) return;
+  
+  const item = KINDS[kind].list(chatId).find(i => i.id === id);
+  
+  if (!item) {
+    await bot.sendMessage(chatId, `❓ Ese ${KINDS[kind].label} ya no existe.`);
+    return;
+  }
+  
+  switch (action) {
+    case 'ver':
+      await sendItem(chatId, kind, item, bot);
+      break;
+    
+    case 'campo':
+      pendingEdits.set(chatId, { kind, id, field: value });
+      await bot.sendMessage(chatId, `${FIELD_PROMPTS[value]}\n\nEnvía /cancelar para no modificarlo.`);
+      break;
+    
+    case 'frecs':
+      await bot.sendMessage(chatId, '🔁 Elige la frecuencia:', {
+        reply_markup: buildOptionsKeyboard(Object.keys(recurrence.FREQUENCIES), `fijo:frec:${kind}:${id}`)
+      });
+      break;
+    
+    case 'frec':
+      await applyChanges(chatId, kind, id, { frecuencia: value }, bot);
+      break;
+    
+    case 'cats':
+      await bot.sendMessage(chatId, '🏷️ Elige la categoría:', {
+        reply_markup: categoryController.buildCategoryKeyboard(chatId, `fijo:cat:${kind}:${id}`)
+      });
+      break;
+    
+    case 'cat': {
+      const categoria = categoryController.resolveCategory(chatId, value);
+      if (!categoria) {
+        await bot.sendMessage(chatId, '❌ Esa categoría ya no existe.');
+        return;
+      }
+      await applyChanges(chatId, kind, id, { categoria }, bot);
+      break;
+    }
+    
+    case 'pausar':
+    case 'reanudar':
+      await setActive(chatId, kind, id, action === 'reanudar', bot);
+      break;
+    
+    case 'eliminar':
+      await bot.sendMessage(chatId, `🗑️ ¿Eliminar el ${KINDS[kind].label} *${item.nombre}*? Los movimientos ya registrados se conservan.`, {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [[
+            { text: '🗑️ Sí, eliminar', callback_data: `fijo:confirmar:${kind}:${id}` },
+            { text: '✖️ No', callback_data: `fijo:ver:${kind}:${id}` }
+          ]]
+        }
+      });
+      break;
+    
+    case 'confirmar':
+      await removeItem(chatId, kind, id, bot);
+      break;
+  }
+}
+
+/**
+ * Indica si el chat tiene una edición de ítem fijo pendiente de respuesta
+ * @param {number} chatId - ID del chat
+ * @returns {boolean}
+ */
+function hasPendingEdit(chatId) {
+  return pendingEdits.has(chatId);
+}
+
+/**
+ * Cancela la edición pendiente del chat
+ * @param {number} chatId - ID del chat
+ * @returns {boolean} - true si había una edición pendiente
+ */
+function cancelPendingEdit(chatId) {
+  return pendingEdits.delete(chatId);
+}
+
+/**
+ * Procesa la respuesta del usuario a una edición pendiente
+ * @param {Object} msg - Mensaje de Telegram
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function handlePendingEdit(msg, bot) {
+  const chatId = msg.chat.id;
+  const { kind, id, field } = pendingEdits.get(chatId);
+  const text = msg.text.trim();
+  
+  let changes = null;
+  switch (field) {
+    case 'monto': {
+      const amount = textUtils.parseAmountInput(text);
+      if (amount) changes = { monto: amount };
+      break;
+    }
+    case 'dia': {
+      const day = parseInt(text, 10);
+      if (day >= 1 && day <= 31) changes = { [KINDS[kind].dayField]: day };
+      break;
+    }
+    case 'nombre':
+      if (text.length > 0) changes = { nombre: text };
+      break;
+  }
+  
+  if (!changes) {
+    await bot.sendMessage(chatId, `❓ No pude entender el valor.\n\n${FIELD_PROMPTS[field]}`);
+    return;
+  }
+  
+  pendingEdits.delete(chatId);
+  await applyChanges(chatId, kind, id, changes, bot);
+}
+
+/**
+ * Aplica cambios a un ítem fijo y confirma al usuario
+ * @param {number} chatId - ID del chat
+ * @param {string} kind - 'g' o 'i'
+ * @param {number} id - ID del ítem
+ * @param {Object} changes - Campos modificados
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function applyChanges(chatId, kind, id, changes, bot) {
+  const updated = KINDS[kind].update(chatId, id, changes);
+  
+  if (!updated) {
+    await bot.sendMessage(chatId, `❓ Ese ${KINDS[kind].label} ya no existe.`);
+    return;
+  }
+  
+  await bot.sendMessage(chatId, `✏️ *${capitalize(KINDS[kind].label)} actualizado*\n\n${formatItem(kind, updated)}`, {
+    parse_mode: 'Markdown',
+    reply_markup: buildItemKeyboard(kind, updated)
+  });
+}
+
+/**
+ * Pausa o reanuda un ítem fijo
+ * @param {number} chatId - ID del chat
+ * @param {string} kind - 'g' o 'i'
+ * @param {number} id - ID del ítem
+ * @param {boolean} active - true para reanudar
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function setActive(chatId, kind, id, active, bot) {
+  const updated = database.setFixedActive(chatId, KINDS[kind].tipo, id, active);
+  
+  if (!updated) {
+    await bot.sendMessage(chatId, `❓ Ese ${KINDS[kind].label} ya no existe.`);
+    return;
+  }
+  
+  const status = active
+    ? '▶️ Reanudado: se volverá a registrar desde hoy.'
+    : '⏸️ Pausado: no se registrará ni se enviarán recordatorios hasta que lo reanudes.';
+  
+  await bot.sendMessage(chatId, `${status}\n\n${formatItem(kind, updated)}`, {
+    parse_mode: 'Markdown',
+    reply_markup: buildItemKeyboard(kind, updated)
+  });
+}
+
+/**
+ * Elimina un ítem fijo
+ * @param {number} chatId - ID del chat
+ * @param {string} kind - 'g' o 'i'
+ * @param {number} id - ID del ítem
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function removeItem(chatId, kind, id, bot) {
+  const item = KINDS[kind].list(chatId).find(i => i.id === id);
+  
+  if (!item || !KINDS[kind].remove(chatId, id)) {
+    await bot.sendMessage(chatId, `❓ Ese ${KINDS[kind].label} ya no existe.`);
+    return;
+  }
+  
+  await bot.sendMessage(chatId, `🗑️ ${capitalize(KINDS[kind].label)} *${item.nombre}* eliminado.`, { parse_mode: 'Markdown' });
+}
+
+/**
+ * Envía el detalle de un ítem fijo con sus botones
+ * @param {number} chatId - ID del chat
+ * @param {string} kind - 'g' o 'i'
+ * @param {Object} item - Ítem fijo
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function sendItem(chatId, kind, item, bot) {
+  await bot.sendMessage(chatId, formatItem(kind, item), {
+    parse_mode: 'Markdown',
+    reply_markup: buildItemKeyboard(kind, item)
+  });
+}
+
+/**
+ * Construye los botones para administrar un ítem fijo
+ * @param {string} kind - 'g' o 'i'
+ * @param {Object} item - Ítem fijo
+ * @returns {Object} - reply_markup para Telegram
+ */
+function buildItemKeyboard(kind, item) {
+  const prefix = `fijo:%s:${kind}:${item.id}`;
+  const data = action => prefix.replace('%s', action);
+  
+  const rows = [
+    [
+      { text: '💲 Monto', callback_data: `${data('campo')}:monto` },
+      { text: '📅 Día', callback_data: `${data('campo')}:dia` },
+      { text: '🔁 Frecuencia', callback_data: data('frecs') }
+    ],
+    [
+      { text: '📝 Nombre', callback_data: `${data('campo')}:nombre` }
+    ],
+    [
+      item.activo
+        ? { text: '⏸️ Pausar', callback_data: data('pausar') }
+        : { text: '▶️ Reanudar', callback_data: data('reanudar') },
+      { text: '🗑️ Eliminar', callback_data: data('eliminar') }
+    ]
+  ];
+  
+  if (kind === 'g') {
+    rows[1].push({ text: '🏷️ Categoría', callback_data: data('cats') });
+  }
+  
+  return { inline_keyboard: rows };
+}
+
+/**
+ * Construye los botones del listado de ítems fijos (uno por ítem)
+ * @param {string} kind - 'g' o 'i'
+ * @param {Array} items - Ítems fijos
+ * @returns {Object} - reply_markup para Telegram
+ */
+function buildListKeyboard(kind, items) {
+  const buttons = items.map(item => ({
+    text: `${item.activo ? '✏️' : '⏸️'} ${item.nombre}`,
+    callback_data: `fijo:ver:${kind}:${item.id}`
+  }));
+  
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) {
+    rows.push(buttons.slice(i, i + 2));
+  }
+  
+  return { inline_keyboard: rows };
+}
+
+/**
+ * Construye un teclado de opciones en dos columnas
+ * @param {Array} options - Valores
+ * @param {string} prefix - Prefijo del callback_data
+ * @returns {Object} - reply_markup para Telegram
+ */
+function buildOptionsKeyboard(options, prefix) {
+  const buttons = options.map(option => ({ text: option, callback_data: `${prefix}:${option}` }));
+  
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) {
+    rows.push(buttons.slice(i, i + 2));
+  }
+  
+  return { inline_keyboard: rows };
+}
+
+/**
+ * Formatea el detalle de un ítem fijo
+ * @param {string} kind - 'g' o 'i'
+ * @param {Object} item - Ítem fijo
+ * @returns {string} - Texto en Markdown
+ */
+function formatItem(kind, item) {
+  let message = `*${item.nombre}*${item.activo === false ? ' (pausado)' : ''}\n`;
+  message += `- Monto: ${money.formatAmount(item.monto, item.moneda)}\n`;
+  message += `- ${kind === 'g' ? 'Pago' : 'Ingreso'}: ${recurrence.describeSchedule(recurrence.scheduleOf(item))}\n`;
+  if (kind === 'g') message += `- Categoría: ${item.categoria}\n`;
+  return message;
+}
+
+/**
+ * Texto de ayuda para agregar un ítem fijo
+ * @param {string} kind - 'g' o 'i'
+ * @returns {string} - Texto en Markdown
+ */
+function formatHelp(kind) {
+  if (kind === 'g') {
+    return 'Para agregar un gasto fijo envía, por ejemplo:\n' +
+      '"Agregar gasto fijo Netflix $35000 el día 3"\n' +
+      '"Agregar gasto fijo Arriendo $900000 el día 1 servicios"\n' +
+      '"Agregar gasto fijo Seguro $400000 anual el 15 de marzo"';
+  }
+  
+  return 'Para agregar un ingreso fijo envía, por ejemplo:\n' +
+    '"Agregar ingreso fijo Salario $1718010 el día 15 quincenal"\n' +
+    '"Agregar ingreso fijo Clases $80000 cada viernes"';
+}
+
+/**
+ * Busca un ítem fijo por su nombre dentro del texto
+ * @param {Array} items - Ítems fijos
+ * @param {string} text - Texto del usuario
+ * @returns {Object|null} - Ítem encontrado
+ */
+function findItem(items, text) {
+  const textNorm = normalize(text);
+  
+  // Preferir el nombre más largo contenido en el texto ("Internet ETB" antes que "Internet")
+  const matches = items
+    .filter(item => textNorm.includes(normalize(item.nombre)))
+    .sort((a, b) => b.nombre.length - a.nombre.length);
+  
+  if (matches.length > 0) return matches[0];
+  
+  // Coincidencia parcial por palabras significativas
+  return items.find(item => normalize(item.nombre).split(/\s+/).some(w => w.length > 3 && textNorm.includes(w))) || null;
+}
+
+/**
+ * Quita el nombre del ítem de un texto para interpretar el resto
+ * @param {string} text - Texto del usuario
+ * @param {string} name - Nombre del ítem
+ * @returns {string} - Texto sin el nombre
+ */
+function removeName(text, name) {
+  const index = normalize(text).indexOf(normalize(name));
+  return index >= 0 ? text.slice(0, index) + text.slice(index + name.length) : text;
+}
+
+/**
+ * Busca una categoría de gasto por su nombre
+ * @param {string} word - Palabra normalizada
+ * @param {Array} categories - Nombres de las categorías del chat
+ * @returns {string|null} - Categoría o null
+ */
+function findCategory(word, categories) {
+  return categories.find(category => normalize(category) === word) || null;
+}
+
+/**
+ * Próxima fecha (inclusive) que cae en un día de la semana
+ * @param {string} from - Fecha yyyy-mm-dd
+ * @param {number} weekday - Día de la semana (0 = domingo)
+ * @returns {string} - Fecha yyyy-mm-dd
+ */
+function nextWeekday(from, weekday) {
+  const current = new Date(`${from}T00:00:00Z`).getUTCDay();
+  return dates.addDays(from, (weekday - current + 7) % 7);
+}
+
+/**
+ * Normaliza un texto para comparaciones (minúsculas y sin tildes)
+ * @param {string} text - Texto a normalizar
+ * @returns {string} - Texto normalizado
+ */
+function normalize(text) {
+  return String(text).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+}
+
+/**
+ * Pone en mayúscula la primera letra
+ * @param {string} text - Texto
+ * @returns {string}
+ */
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+module.exports = {
+  isFixedItemText,
+  processFixedItemText,
+  processAddCommand,
+  handleCallback,
+  hasPendingEdit,
+  cancelPendingEdit,
+  handlePendingEdit,
+  buildListKeyboard,
+  formatHelp
+};
\ No newline at end of file
@@ -0,0 +1,327 @@
+const database = require('../database');
+const textUtils = require('../utils/textProcessing');
+const dates = require('../utils/dates');
+const money = require('../utils/money');
+
+/**
+ * Procesa mensajes relacionados con metas financieras
+ * (creación de metas, aportes y consultas de estado)
+ * @param {Object} msg - Mensaje de Telegram
+ * @param {Object} bot - Instancia del bot de Telegram
+ * @param {Object} entities - Entidades del mensaje { monto, meta } (opcional, ver utils/extraction)
+ */
+async function processGoal(msg, bot, entities = {}) {
+  const chatId = msg.chat.id;
+  const text = msg.text;
+  
+  // Formato de creación: "Meta: X, Monto: $Y, Fecha: DD/MM/YYYY"
+  const newGoal = parseGoalDefinition(text);
+  if (newGoal) {
+    await createGoal(chatId, newGoal, bot);
+    return;
+  }
+  
+  // Aportes a una meta existente: "Destiné $50000 para mi meta de pantalla nueva"
+  const monto = textUtils.extractAmountFromText(text) || entities.monto || null;
+  if (monto !== null) {
+    await registerContribution(chatId, text, monto, bot, entities.meta);
+    return;
+  }
+  
+  // Sin monto ni formato de creación: mostrar el estado de las metas
+  await sendGoalsStatus(chatId, bot);
+}
+
+/**
+ * Interpreta el formato de creación de metas
+ * @param {string} text - Texto del usuario
+ * @returns {Object|null} - Datos de la meta o null si el texto no sigue el formato
+ */
+function parseGoalDefinition(text) {
+  const nameMatch = text.match(/meta\s*:\s*([^,\n]+)/i);
+  const amountMatch = text.match(/monto\s*:\s*([^\n]+)/i);
+  
+  if (!nameMatch || !amountMatch) return null;
+  
+  const montoObjetivo = money.parseAmount(amountMatch[1]);
+  if (!montoObjetivo || montoObjetivo <= 0) return null;
+  
+  let fecha = null;
+  const dateMatch = text.match(/fecha\s*:\s*(\d{1,2})[\/\-\.](\d{1,2})[\/\-\.](\d{2,4})/i);
+  if (dateMatch) {
+    const day = parseInt(dateMatch[1], 10);
+    const month = parseInt(dateMatch[2], 10);
+    let year = parseInt(dateMatch[3], 10);
+    
+    // Ajustar año si está en formato de 2 dígitos
+    if (year < 100) {
+      year += 2000;
+    }
+    
+    const date = new Date(year, month - 1, day);
+    if (date.getMonth() === month - 1 && date.getDate() === day) {
+      fecha = textUtils.formatDate(date);
+    }
+  }
+  
+  return {
+    nombre: nameMatch[1].trim(),
+    montoObjetivo,
+    montoAcumulado: 0,
+    fecha
+  };
+}
+
+/**
+ * Guarda una nueva meta financiera
+ * @param {number} chatId - ID del chat
+ * @param {Object} goal - Datos de la meta
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function createGoal(chatId, goal, bot) {
+  if (!goal.fecha) {
+    await bot.sendMessage(chatId,
+      '❓ No pude identificar la fecha límite de la meta.\n\n' +
+      'Usa el formato DD/MM/YYYY, por ejemplo:\n' +
+      '"Meta: Viaje a la playa, Monto: $1500000, Fecha: 15/12/2024"'
+    );
+    return;
+  }
+  
+  const goals = database.getGoals(chatId);
+  
+  const existing = goals.find(g => normalize(g.nombre) === normalize(goal.nombre));
+  if (existing) {
+    await bot.sendMessage(chatId,
+      `⚠️ Ya tienes una meta llamada "${textUtils.escapeMarkdown(existing.nombre)}".\n\n` +
+      'Usa /metas para ver su progreso.',
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  database.addGoal(chatId, goal);
+  
+  const moneda = database.getBaseCurrency(chatId);
+  const monthly = calculateMonthlyContribution(goal, dates.todayInTimezone(database.getChatTimezone(chatId)));
+  
+  let message = `🎯 *Meta creada*\n\n`;
+  message += `*Meta:* ${textUtils.escapeMarkdown(goal.nombre)}\n`;
+  message += `*Monto objetivo:* ${money.formatAmount(goal.montoObjetivo, moneda)}\n`;
+  message += `*Fecha límite:* ${goal.fecha}\n`;
+  if (monthly !== null) {
+    message += `*Aporte mensual sugerido:* ${money.formatAmount(Math.ceil(monthly), moneda)}\n`;
+  }
+  message += `\nPara aportar, envía un mensaje como:\n`;
+  message += `"Destiné $50000 para mi meta de ${textUtils.escapeMarkdown(goal.nombre.toLowerCase())}"`;
+  
+  await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+}
+
+/**
+ * Registra un aporte a una meta como transacción de ahorro
+ * @param {number} chatId - ID del chat
+ * @param {string} text - Texto del usuario
+ * @param {number} monto - Monto del aporte
+ * @param {Object} bot - Instancia del bot de Telegram
+ * @param {string} goalName - Nombre de la meta mencionado en el texto (opcional)
+ */
+async function registerContribution(chatId, text, monto, bot, goalName = null) {
+  const goals = database.getGoals(chatId);
+  const goal = (goalName && findGoal(goals, goalName)) || findGoal(goals, text);
+  
+  if (!goal) {
+    let message = '❓ No pude identificar a qué meta corresponde el aporte.\n\n';
+    if (goals.length > 0) {
+      message += 'Tus metas actuales son:\n';
+      message += goals.map(g => `- ${g.nombre}`).join('\n');
+      message += '\n\nEjemplo: "Destiné $50000 para mi meta de pantalla nueva"';
+    } else {
+      message += 'Aún no tienes metas. Usa /add_meta para crear una.';
+    }
+    await bot.sendMessage(chatId, message);
+    return;
+  }
+  
+  const today = dates.todayInTimezone(database.getChatTimezone(chatId));
+  
+  // El aporte se registra como ahorro para que aparezca en los reportes
+  database.contributeToGoal(chatId, goal.id, {
+    tipo: 'ahorro',
+    monto: monto,
+    fecha: textUtils.extractDateFromText(text, today),
+    concepto: `Meta: ${goal.nombre}`,
+    categoria: 'ahorro',
+    meta: goal.nombre,
+    texto_completo: text,
+    timestamp: new Date().toISOString()
+  });
+  goal.montoAcumulado = (parseFloat(goal.montoAcumulado) || 0) + monto;
+  
+  const moneda = database.getBaseCurrency(chatId);
+  
+  let message = `🏦 *Aporte registrado*\n\n`;
+  message += `*Meta:* ${textUtils.escapeMarkdown(goal.nombre)}\n`;
+  message += `*Aporte:* ${money.formatAmount(monto, moneda)}\n\n`;
+  message += formatGoalProgress(goal, moneda, today);
+  
+  if (goal.montoAcumulado >= goal.montoObjetivo) {
+    message += `\n🎉 *¡Felicitaciones! Alcanzaste tu meta.*`;
+  }
+  
+  await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+}
+
+/**
+ * Envía el estado de todas las metas financieras
+ * @param {number} chatId - ID del chat
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function sendGoalsStatus(chatId, bot) {
+  const goals = database.getGoals(chatId);
+  const moneda = database.getBaseCurrency(chatId);
+  const today = dates.todayInTimezone(database.getChatTimezone(chatId));
+  
+  let message = '🎯 *Metas financieras*\n\n';
+  
+  if (goals.length === 0) {
+    message += 'No tienes metas configuradas.\n\n';
+  } else {
+    // Ordenar por fecha límite
+    const sortedGoals = [...goals].sort((a, b) => new Date(a.fecha) - new Date(b.fecha));
+    
+    let totalTarget = 0;
+    let totalSaved = 0;
+    
+    sortedGoals.forEach(goal => {
+      totalTarget += parseFloat(goal.montoObjetivo) || 0;
+      totalSaved += parseFloat(goal.montoAcumulado) || 0;
+      message += `📌 ${textUtils.escapeMarkdown(goal.nombre)}\n`;
+      message += formatGoalProgress(goal, moneda, today);
+      message += '\n';
+    });
+    
+    const totalPercentage = totalTarget > 0 ? (totalSaved / totalTarget) * 100 : 0;
+    message += `📈 *Resumen general:*\n`;
+    message += `- Ahorrado: ${money.formatAmount(totalSaved, moneda)} de ${money.formatAmount(totalTarget, moneda)} (${totalPercentage.toFixed(0)}%)\n\n`;
+  }
+  
+  message += `Para crear una meta usa /add_meta.\n`;
+  message += `Para aportar, envía un mensaje como:\n`;
+  message += `"Destiné $50000 para mi meta de pantalla nueva"`;
+  
+  await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+}
+
+/**
+ * Formatea el progreso de una meta
+ * @param {Object} goal - Meta financiera
+ * @param {string} moneda - Moneda base del chat
+ * @param {string} today - Fecha actual del chat yyyy-mm-dd
+ * @returns {string} - Texto formateado en Markdown
+ */
+function formatGoalProgress(goal, moneda, today) {
+  const target = parseFloat(goal.montoObjetivo) || 0;
+  const saved = parseFloat(goal.montoAcumulado) || 0;
+  const remaining = Math.max(0, target - saved);
+  const percentage = target > 0 ? Math.min(100, (saved / target) * 100) : 0;
+  
+  let text = `${progressBar(percentage)} ${percentage.toFixed(0)}%\n`;
+  text += `- Ahorrado: ${money.formatAmount(saved, moneda)} de ${money.formatAmount(target, moneda)}\n`;
+  text += `- Restante: ${money.formatAmount(remaining, moneda)}\n`;
+  text += `- Fecha límite: ${goal.fecha}\n`;
+  
+  if (remaining > 0) {
+    const monthly = calculateMonthlyContribution(goal, today);
+    if (monthly === null) {
+      text += `- ⚠️ La fecha límite ya pasó\n`;
+    } else {
+      text += `- Aporte mensual necesario: ${money.formatAmount(Math.ceil(monthly), moneda)}\n`;
+    }
+  } else {
+    text += `- ✅ Meta alcanzada\n`;
+  }
+  
+  return text;
+}
+
+/**
+ * Calcula el aporte mensual necesario para alcanzar la meta a tiempo
+ * @param {Object} goal - Meta financiera
+ * @param {string} today - Fecha actual del chat yyyy-mm-dd (según su zona horaria)
+ * @returns {number|null} - Aporte mensual o null si la fecha límite ya pasó
+ */
+function calculateMonthlyContribution(goal, today) {
+  const remaining = Math.max(0, (parseFloat(goal.montoObjetivo) || 0) - (parseFloat(goal.montoAcumulado) || 0));
+  const [year, month, day] = String(goal.fecha).split('-').map(n => parseInt(n, 10));
+  const [todayYear, todayMonth, todayDay] = today.split('-').map(n => parseInt(n, 10));
+  
+  if ([year, month, day].some(isNaN) || String(goal.fecha) < today) return null;
+  
+  // Meses restantes, contando el mes en curso
+  let months = (year - todayYear) * 12 + (month - todayMonth);
+  if (day >= todayDay) months += 1;
+  
+  return remaining / Math.max(1, months);
+}
+
+/**
+ * Busca la meta mencionada en el texto
+ * @param {Array} goals - Metas financieras
+ * @param {string} text - Texto del usuario
+ * @returns {Object|null} - Meta encontrada o null
+ */
+function findGoal(goals, text) {
+  const textNorm = normalize(text);
+  let bestGoal = null;
+  let bestScore = 0;
+  
+  for (const goal of goals) {
+    const name = normalize(goal.nombre);
+    
+    // Coincidencia exacta del nombre completo
+    if (textNorm.includes(name)) {
+      const score = 100 + name.length;
+      if (score > bestScore) {
+        bestScore = score;
+        bestGoal = goal;
+      }
+      continue;
+    }
+    
+    // Coincidencia parcial por palabras significativas
+    const words = name.split(/\s+/).filter(w => w.length > 3);
+    const matched = words.filter(w => textNorm.includes(w)).length;
+    if (matched > bestScore) {
+      bestScore = matched;
+      bestGoal = goal;
+    }
+  }
+  
+  return bestGoal;
+}
+
+/**
+ * Normaliza un texto para comparaciones (minúsculas y sin tildes)
+ * @param {string} text - Texto a normalizar
+ * @returns {string} - Texto normalizado
+ */
+function normalize(text) {
+  return String(text).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+}
+
+/**
+ * Genera una barra de progreso en texto
+ * @param {number} percentage - Porcentaje de avance (0-100)
+ * @returns {string} - Barra de progreso
+ */
+function progressBar(percentage) {
+  const filled = Math.round(percentage / 10);
+  return '▓'.repeat(filled) + '░'.repeat(10 - filled);
+}
+
+module.exports = {
+  processGoal,
+  sendGoalsStatus,
+  calculateMonthlyContribution
+};
\ No newline at end of file
@@ -0,0 +1,337 @@
+const fs = require('fs');
+const path = require('path');
+const { JaroWinklerDistance } = require('natural');
+const config = require('../config');
+const database = require('../database');
+const money = require('../utils/money');
+const dates = require('../utils/dates');
+const statementParser = require('../utils/statementParser');
+const telegramFiles = require('../utils/telegramFiles');
+const categoryController = require('./categoryController');
+
+// Extractos leídos que esperan confirmación: id -> { chatId, rows, timer }
+const pendingImports = new Map();
+let nextImportId = 1;
+
+const SUPPORTED_EXTENSIONS = ['csv', 'txt', 'ofx', 'qfx'];
+
+// Palabras que los bancos agregan al concepto y no identifican al comercio
+const GENERIC_WORDS = ['compra', 'compras', 'pago', 'pagos', 'pos', 'tarjeta', 'tarj', 'debito', 'credito',
+  'transferencia', 'trans', 'datafono', 'internet', 'web', 'en', 'de', 'la', 'el', 'sa', 'sas', 'ltda'];
+
+/**
+ * Normaliza el nombre de un comercio para compararlo: sin tildes, números ni
+ * palabras genéricas del banco
+ * @param {string} text - Concepto del movimiento
+ * @returns {string}
+ */
+function merchantKey(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 1 && !GENERIC_WORDS.includes(word))
+    .join(' ');
+}
+
+/**
+ * Similitud entre dos nombres de comercio (0 a 1)
+ * @param {string} a - Concepto del extracto
+ * @param {string} b - Concepto del movimiento registrado
+ * @returns {number}
+ */
+function merchantSimilarity(a, b) {
+  const keyA = merchantKey(a);
+  const keyB = merchantKey(b);
+  if (!keyA || !keyB) return 0;
+  
+  // El banco suele agregar la sede ("EXITO CALLE 80" frente a "Almacenes Éxito"):
+  // con monto y fecha iguales, basta compartir una palabra distintiva
+  const wordsB = keyB.split(' ');
+  if (keyA.split(' ').some(word => word.length >= 4 && wordsB.includes(word))) return 1;
+  
+  return JaroWinklerDistance(keyA, keyB);
+}
+
+/**
+ * Agrupa los tipos que se comparan entre sí (un ingreso fijo también es un ingreso)
+ * @param {string} tipo - Tipo de transacción
+ * @returns {string}
+ */
+function typeGroup(tipo) {
+  return tipo === 'gasto' ? 'gasto' : 'ingreso';
+}
+
+/**
+ * Marca los movimientos del extracto que ya están registrados. Un movimiento
+ * es duplicado si coincide la referencia del banco, o el tipo, el monto, la
+ * fecha (con unos días de margen) y el comercio. Si coinciden monto y fecha
+ * pero no el comercio, se marca como posible duplicado.
+ * @param {number} chatId - ID del chat
+ * @param {Array} rows - Movimientos del extracto
+ */
+function markDuplicates(chatId, rows) {
+  const { dateWindowDays, amountTolerance, merchantSimilarity: threshold } = config.statementImport;
+  const fechas = rows.map(row => row.fecha).sort();
+  const existing = database.queryTransactions(chatId, {
+    desde: dates.addDays(fechas[0], -dateWindowDays),
+    hasta: dates.addDays(fechas[fechas.length - 1], dateWindowDays)
+  });
+  
+  // Cada movimiento registrado solo puede explicar una fila del extracto
+  const used = new Set();
+  const seenReferences = new Set();
+  
+  rows.forEach(row => {
+    if (row.referencia && seenReferences.has(row.referencia)) {
+      row.estado = 'repetido';
+      return;
+    }
+    if (row.referencia) seenReferences.add(row.referencia);
+    
+    const candidates = existing.filter(t => !used.has(t.id));
+    
+    const byReference = row.referencia && candidates.find(t => t.referencia === row.referencia);
+    if (byReference) {
+      used.add(byReference.id);
+      row.estado = 'duplicado';
+      row.coincidencia = byReference;
+      return;
+    }
+    
+    const sameAmount = candidates.filter(t =>
+      typeGroup(t.tipo) === row.tipo &&
+      (t.moneda || database.getBaseCurrency(chatId)) === row.moneda &&
+      Math.abs(t.monto - row.monto) <= amountTolerance &&
+      Math.abs(dates.daysBetween(t.fecha, row.fecha)) <= dateWindowDays
+    );
+    if (sameAmount.length === 0) {
+      row.estado = 'nuevo';
+      return;
+    }
+    
+    const scored = sameAmount
+      .map(t => ({ t, score: merchantSimilarity(row.concepto, `${t.concepto || ''} ${t.texto_completo || ''}`) }))
+      .sort((a, b) => b.score - a.score);
+    const best = scored[0];
+    
+    if (best.score >= threshold) {
+      used.add(best.t.id);
+      row.estado = 'duplicado';
+    } else {
+      row.estado = 'posible';
+    }
+    row.coincidencia = best.t;
+  });
+}
+
+/**
+ * Convierte los movimientos del extracto en transacciones categorizadas
+ * @param {number} chatId - ID del chat
+ * @param {Array} movements - Movimientos leídos del archivo
+ * @returns {Array} - Filas { ...transacción, estado, coincidencia }
+ */
+function buildRows(chatId, movements) {
+  const base = database.getBaseCurrency(chatId);
+  
+  return movements.map(movement => ({
+    fecha: movement.fecha,
+    monto: movement.monto,
+    moneda: movement.moneda || base,
+    tipo: movement.tipo,
+    concepto: movement.concepto || 'Movimiento del extracto',
+    categoria: movement.tipo === 'gasto' ? categoryController.categorize(chatId, movement.concepto) : 'ingreso',
+    texto_completo: movement.concepto,
+    origen: 'extracto',
+    referencia: movement.referencia || undefined
+  }));
+}
+
+/**
+ * Procesa un extracto bancario enviado como documento. El texto que acompaña
+ * al archivo puede indicar las columnas del CSV: "fecha=Fecha Op, monto=Valor"
+ * @param {Object} msg - Mensaje de Telegram con documento
+ * @param {Object} bot - Instancia del bot de Telegram
+ * @param {string} token - Token de Telegram
+ */
+async function processStatementDocument(msg, bot, token) {
+  const chatId = msg.chat.id;
+  const { file_id: fileId, file_name: fileName = '', file_size: fileSize = 0 } = msg.document;
+  const extension = (fileName.split('.').pop() || '').toLowerCase();
+  
+  if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+    bot.sendMessage(chatId, '📎 Solo puedo importar extractos en CSV, OFX o QFX.');
+    return;
+  }
+  if (fileSize > config.statementImport.maxFileSizeKb * 1024) {
+    bot.sendMessage(chatId, `📎 El archivo es muy grande (máximo ${config.statementImport.maxFileSizeKb} KB).`);
+    return;
+  }
+  
+  bot.sendMessage(chatId, '🏦 Leyendo tu extracto...');
+  
+  const filePath = path.join(config.tempDir, `${Date.now()}.${extension}`);
+  await telegramFiles.downloadFile(bot, token, fileId, filePath);
+  
+  let movements;
+  try {
+    movements = statementParser.parseStatement(fileName, fs.readFileSync(filePath, 'utf8'), msg.caption || '');
+  } catch (error) {
+    bot.sendMessage(chatId,
+      `❌ No pude leer el extracto: ${error.message}.\n\n` +
+      'Si es un CSV, indica las columnas en el texto del archivo, por ejemplo: fecha=Fecha Op, monto=Valor, concepto=Detalle'
+    );
+    return;
+  } finally {
+    fs.unlinkSync(filePath); // Limpiar archivo temporal
+  }
+  
+  if (movements.length === 0) {
+    bot.sendMessage(chatId, '📭 El extracto no tiene movimientos que pueda importar.');
+    return;
+  }
+  
+  const rows = buildRows(chatId, movements);
+  markDuplicates(chatId, rows);
+  
+  const importId = nextImportId++;
+  pendingImports.set(importId, { chatId, rows, timer: null });
+  scheduleExpiration(importId, bot);
+  sendPreview(importId, bot);
+}
+
+/**
+ * Programa el vencimiento de una importación pendiente
+ * @param {number} importId - ID de la importación pendiente
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+function scheduleExpiration(importId, bot) {
+  const pending = pendingImports.get(importId);
+  if (pending.timer) clearTimeout(pending.timer);
+  
+  pending.timer = setTimeout(() => {
+    if (!pendingImports.delete(importId)) return;
+    bot.sendMessage(pending.chatId, '⌛ La importación del extracto expiró sin confirmarse y no se guardó nada.');
+  }, config.receiptReviewTimeoutMinutes * 60 * 1000);
+  
+  // El temporizador no debe impedir que el proceso termine
+  if (pending.timer.unref) pending.timer.unref();
+}
+
+/**
+ * Formatea una fila del extracto para la vista previa
+ * @param {Object} row - Fila del extracto
+ * @returns {string}
+ */
+function formatRow(row) {
+  const sign = row.tipo === 'gasto' ? '🔴' : '🟢';
+  const flag = { duplicado: ' ♻️', posible: ' ⚠️', repetido: ' ♻️' }[row.estado] || '';
+  return `${sign} ${row.fecha} ${row.concepto} - ${money.formatAmount(row.monto, row.moneda)} (${row.categoria})${flag}`;
+}
+
+/**
+ * Envía la vista previa de una importación con los botones para confirmarla
+ * @param {number} importId - ID de la importación pendiente
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+function sendPreview(importId, bot) {
+  const { chatId, rows } = pendingImports.get(importId);
+  const { previewRows } = config.statementImport;
+  const count = estado => rows.filter(row => row.estado === estado).length;
+  const nuevos = rows.filter(row => row.estado !== 'duplicado' && row.estado !== 'repetido');
+  const duplicados = rows.length - nuevos.length;
+  const posibles = count('posible');
+  
+  let message = `🏦 Extracto con ${rows.length} movimientos\n\n`;
+  message += `🆕 Nuevos: ${nuevos.length}\n`;
+  if (posibles > 0) message += `⚠️ Posibles duplicados (se importan): ${posibles}\n`;
+  if (duplicados > 0) message += `♻️ Ya registrados (se omiten): ${duplicados}\n`;
+  
+  const totals = {};
+  nuevos.forEach(row => {
+    const key = `${row.tipo === 'gasto' ? 'Gastos' : 'Ingresos'} ${row.moneda}`;
+    totals[key] = (totals[key] || 0) + row.monto;
+  });
+  Object.entries(totals).forEach(([key, total]) => {
+    message += `\n${key}: ${money.formatAmount(Math.round(total * 100) / 100, key.split(' ')[1])}`;
+  });
+  
+  message += '\n\n';
+  rows.slice(0, previewRows).forEach(row => { message += `${formatRow(row)}\n`; });
+  if (rows.length > previewRows) {
+    message += `... y ${rows.length - previewRows} más\n`;
+  }
+  message += `\nSe descartará en ${config.receiptReviewTimeoutMinutes} minutos si no lo confirmas.`;
+  
+  const buttons = [{ text: `✅ Importar ${nuevos.length}`, callback_data: `imp:ok:${importId}` }];
+  if (duplicados > 0) {
+    buttons.push({ text: `📥 Importar los ${rows.length}`, callback_data: `imp:todos:${importId}` });
+  }
+  buttons.push({ text: '🗑️ Cancelar', callback_data: `imp:cancelar:${importId}` });
+  
+  // Sin Markdown: los conceptos del banco pueden traer * o _
+  bot.sendMessage(chatId, message, { reply_markup: { inline_keyboard: [buttons] } });
+}
+
+/**
+ * Maneja los botones de la vista previa de una importación
+ * @param {Object} query - callback_query de Telegram
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function handleCallback(query, bot) {
+  const chatId = query.message.chat.id;
+  const [, action, idText] = query.data.split(':');
+  const importId = parseInt(idText, 10);
+  const pending = pendingImports.get(importId);
+  
+  if (!pending || pending.chatId !== chatId) {
+    bot.sendMessage(chatId, '⌛ Esta importación ya no está pendiente. Envía el extracto nuevamente si no se guardó.');
+    return;
+  }
+  
+  if (action === 'cancelar') {
+    clearTimeout(pending.timer);
+    pendingImports.delete(importId);
+    bot.sendMessage(chatId, '🗑️ Importación cancelada. No se guardó ningún movimiento.');
+    return;
+  }
+  
+  const rows = action === 'todos'
+    ? pending.rows
+    : pending.rows.filter(row => row.estado !== 'duplicado' && row.estado !== 'repetido');
+  
+  if (rows.length === 0) {
+    clearTimeout(pending.timer);
+    pendingImports.delete(importId);
+    bot.sendMessage(chatId, '♻️ Todos los movimientos del extracto ya estaban registrados. No se importó nada.');
+    return;
+  }
+  
+  // Los movimientos en otra moneda necesitan la tasa de su día para los totales
+  const base = database.getBaseCurrency(chatId);
+  const foreignDates = [...new Set(rows.filter(row => row.moneda !== base).map(row => row.fecha))];
+  for (const fecha of foreignDates) {
+    if (!(await database.ensureExchangeRates(fecha))) {
+      bot.sendMessage(chatId, '❌ No pude obtener las tasas de cambio del extracto. Intenta confirmar de nuevo más tarde.');
+      return;
+    }
+  }
+  
+  // Otro botón pudo confirmar la importación mientras se obtenían las tasas
+  if (!pendingImports.delete(importId)) return;
+  clearTimeout(pending.timer);
+  
+  database.importTransactions(chatId, rows.map(({ estado, coincidencia, ...data }) => data));
+  
+  bot.sendMessage(chatId,
+    `✅ Se importaron ${rows.length} movimientos del extracto.\n\n` +
+    'Usa /movimientos para revisarlos o /deshacer para revertir la importación completa.'
+  );
+}
+
+module.exports = {
+  processStatementDocument,
+  handleCallback
+};
\ No newline at end of file
@@ -0,0 +1,92 @@
+const config = require('../config');
+const database = require('../database');
+const dates = require('../utils/dates');
+const periods = require('../utils/periods');
+const recurrence = require('../utils/recurrence');
+const pdfStatement = require('../utils/pdfStatement');
+const reportController = require('./reportController');
+const chartController = require('./chartController');
+
+/**
+ * Vencimientos de los gastos fijos activos en el mes, indicando si ya se pagaron
+ * @param {number} chatId - ID del chat
+ * @param {string} desde - Primer día del mes yyyy-mm-dd
+ * @param {string} hasta - Último día del mes yyyy-mm-dd
+ * @returns {Array} - [{ fecha, nombre, categoria, monto, moneda, pagado }] ordenados por fecha
+ */
+function buildFixedCalendar(chatId, desde, hasta) {
+  const calendar = [];
+  
+  database.getFixedExpenses(chatId)
+    .filter(expense => expense.activo)
+    .forEach(expense => {
+      recurrence.occurrencesBetween(recurrence.scheduleOf(expense), desde, hasta).forEach(fecha => {
+        const reminder = database.getReminder(chatId, 'gasto_fijo', expense.id, fecha);
+        const pagado = Boolean(reminder && reminder.transactionId && database.getTransaction(chatId, reminder.transactionId));
+        calendar.push({ fecha, nombre: expense.nombre, categoria: expense.categoria, monto: expense.monto, moneda: expense.moneda, pagado });
+      });
+    });
+  
+  return calendar.sort((a, b) => a.fecha.localeCompare(b.fecha));
+}
+
+/**
+ * Reúne los datos del estado de cuenta de un mes
+ * @param {number} chatId - ID del chat
+ * @param {Object} period - Período de un mes (ver utils/periods)
+ * @param {string} today - Fecha actual yyyy-mm-dd
+ * @returns {Promise<Object>} - Datos para utils/pdfStatement
+ */
+async function buildStatement(chatId, period, today) {
+  const moneda = database.getBaseCurrency(chatId);
+  const [year, month] = period.desde.split('-').map(n => parseInt(n, 10));
+  const monthEnd = `${period.desde.slice(0, 7)}-${String(dates.daysInMonth(year, month)).padStart(2, '0')}`;
+  
+  const movimientos = database.queryTransactions(chatId, { desde: period.desde, hasta: period.hasta, order: 'asc' })
+    .map(t => ({ ...t, montoBase: database.convertAmount(t.monto, t.moneda, moneda, t.fecha) }));
+  
+  return {
+    titulo: `Estado de cuenta de ${recurrence.MONTH_NAMES[month - 1]} de ${year}`,
+    subtitulo: periods.describeRange(period),
+    generado: today,
+    moneda,
+    resumen: reportController.summarizePeriod(chatId, period),
+    metas: [...database.getGoals(chatId)].sort((a, b) => String(a.fecha).localeCompare(String(b.fecha))),
+    fijos: buildFixedCalendar(chatId, period.desde, monthEnd),
+    movimientos,
+    graficos: config.charts.enabled ? await chartController.renderReportCharts(chatId, period) : []
+  };
+}
+
+/**
+ * Genera y envía el estado de cuenta mensual en PDF (comando /estado_pdf).
+ * Acepta un mes como en los reportes: "/estado_pdf marzo", "/estado_pdf septiembre 2025"
+ * @param {Object} msg - Mensaje de Telegram
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function sendStatementPdf(msg, bot) {
+  const chatId = msg.chat.id;
+  const today = dates.todayInTimezone(database.getChatTimezone(chatId));
+  const period = periods.parsePeriod(msg.text.replace(/^\/\S+/, '').toLowerCase(), today) || periods.presetPeriod('mensual', today);
+  
+  if (period.meses !== 1) {
+    bot.sendMessage(chatId, '📄 El estado de cuenta es mensual. Indica un mes, por ejemplo: /estado_pdf marzo');
+    return;
+  }
+  
+  bot.sendMessage(chatId, '📄 Generando tu estado de cuenta...');
+  
+  try {
+    const statement = await buildStatement(chatId, period, today);
+    const pdf = await pdfStatement.renderStatement(statement);
+    await bot.sendDocument(chatId, pdf, { caption: `📄 ${statement.titulo}` },
+      { filename: `estado_${period.desde.slice(0, 7)}.pdf`, contentType: 'application/pdf' });
+  } catch (error) {
+    console.error('Error generando el estado de cuenta:', error);
+    bot.sendMessage(chatId, '❌ No pude generar el estado de cuenta. Intenta de nuevo más tarde.');
+  }
+}
+
+module.exports = {
+  sendStatementPdf
+};
\ No newline at end of file
@@ -0,0 +1,152 @@
+const database = require('../database');
+const dates = require('../utils/dates');
+const money = require('../utils/money');
+const periods = require('../utils/periods');
+const queryParser = require('../utils/queryParser');
+const categoryController = require('./categoryController');
+
+// Movimientos que se listan como máximo en una respuesta
+const MAX_LISTED = 10;
+
+/**
+ * Busca los movimientos de una pregunta ya interpretada
+ * @param {number} chatId - ID del chat
+ * @param {Object} query - Pregunta interpretada (ver utils/queryParser.parseQuestion)
+ * @returns {Array} - Transacciones, con el monto en la moneda base en montoBase
+ */
+function findTransactions(chatId, query) {
+  const base = database.getBaseCurrency(chatId);
+  
+  return database.queryTransactions(chatId, query.filtro)
+    .filter(t => !query.comercio || queryParser.matchesMerchant(t, query.comercio))
+    .map(t => ({ ...t, montoBase: database.convertAmount(t.monto, t.moneda || base, base, t.fecha) }));
+}
+
+/**
+ * Formatea un movimiento de la respuesta
+ * @param {Object} t - Transacción
+ * @returns {string}
+ */
+function formatLine(t) {
+  const category = t.tipo === 'gasto' ? ` (${t.categoria})` : '';
+  return `${periods.formatDate(t.fecha)} - ${t.concepto || 'Sin concepto'}${category}: ${money.formatAmount(t.monto, t.moneda)}`;
+}
+
+/**
+ * Título de la respuesta: qué se buscó y en qué período
+ * @param {Object} query - Pregunta interpretada
+ * @returns {string} - "Gastos en Uber del año actual"
+ */
+function describeQuery(query) {
+  let title = query.tipo === 'ingreso' ? 'Ingresos' : 'Gastos';
+  if (query.categoria) title += ` en ${query.categoria}`;
+  if (query.comercio) title += ` en ${query.comercio.charAt(0).toUpperCase()}${query.comercio.slice(1)}`;
+  if (query.periodo) title += ` ${query.periodo.nombre}`;
+  return title;
+}
+
+/**
+ * Calcula la respuesta a una pregunta
+ * @param {number} chatId - ID del chat
+ * @param {Object} query - Pregunta interpretada
+ * @param {Array} transactions - Movimientos que cumplen el filtro
+ * @returns {string} - Respuesta en texto plano
+ */
+function buildAnswer(chatId, query, transactions) {
+  const base = database.getBaseCurrency(chatId);
+  const format = amount => money.formatAmount(Math.round(amount * 100) / 100, base);
+  const noun = query.tipo === 'ingreso' ? 'ingreso' : 'gasto';
+  const total = transactions.reduce((sum, t) => sum + t.montoBase, 0);
+  const count = transactions.length;
+  const plural = count === 1 ? `1 ${noun}` : `${count} ${noun}s`;
+  
+  let answer = `🔎 ${describeQuery(query)}\n\n`;
+  
+  if (count === 0) {
+    return `${answer}No encontré ${noun}s registrados.`;
+  }
+  
+  switch (query.agregacion) {
+    case 'conteo':
+      answer += `Registraste ${plural}, por ${format(total)} en total.`;
+      break;
+    case 'promedio':
+      if (query.mensual) {
+        const months = query.periodo.meses || Math.max(1, (dates.daysBetween(query.periodo.desde, query.periodo.hasta) + 1) / 30);
+        answer += `Promedio mensual: ${format(total / months)} (${format(total)} en ${Math.round(months * 10) / 10} meses).`;
+      } else {
+        answer += `Promedio por ${noun}: ${format(total / count)} (${plural}, ${format(total)} en total).`;
+      }
+      break;
+    case 'maximo':
+    case 'minimo': {
+      const sorted = [...transactions].sort((a, b) => a.montoBase - b.montoBase);
+      const pick = query.agregacion === 'maximo' ? sorted[sorted.length - 1] : sorted[0];
+      answer += `${query.agregacion === 'maximo' ? 'El más grande' : 'El más pequeño'} de ${plural}:\n${formatLine(pick)}`;
+      break;
+    }
+    case 'ultimo':
+      answer += `El último:\n${formatLine(transactions[transactions.length - 1])}`;
+      break;
+    case 'lista':
+      answer += transactions.slice(-MAX_LISTED).reverse().map(formatLine).join('\n');
+      if (count > MAX_LISTED) answer += `\n... y ${count - MAX_LISTED} más`;
+      answer += `\n\nTotal: ${format(total)} en ${plural}.`;
+      break;
+    case 'categorias': {
+      const byCategory = {};
+      transactions.forEach(t => { byCategory[t.categoria] = (byCategory[t.categoria] || 0) + t.montoBase; });
+      answer += Object.entries(byCategory)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([categoria, amount]) => `- ${categoria}: ${format(amount)} (${(amount / total * 100).toFixed(1)}%)`)
+        .join('\n');
+      answer += `\n\nTotal: ${format(total)} en ${plural}.`;
+      break;
+    }
+    case 'suma':
+    default:
+      answer += `Total: ${format(total)} en ${plural}.`;
+  }
+  
+  return answer;
+}
+
+/**
+ * Responde una pregunta en lenguaje natural sobre los movimientos del chat
+ * ("¿cuánto gasté en restaurantes en marzo?", "¿cuál fue mi gasto más grande esta semana?")
+ * @param {Object} msg - Mensaje de Telegram
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function answerQuestion(msg, bot) {
+  const chatId = msg.chat.id;
+  let query = queryParser.parseQuestion(msg.text, {
+    today: dates.todayInTimezone(database.getChatTimezone(chatId)),
+    categorias: categoryController.getCategoryNames(chatId),
+    rules: categoryController.getRules(chatId)
+  });
+  
+  let transactions = findTransactions(chatId, query);
+  
+  // Sin movimientos con ese nombre, se busca en su categoría ("comida" -> restaurante)
+  if (transactions.length === 0 && query.categoriaSugerida) {
+    const byCategory = {
+      ...query,
+      categoria: query.categoriaSugerida,
+      comercio: null,
+      filtro: { ...query.filtro, categoria: query.categoriaSugerida }
+    };
+    const found = findTransactions(chatId, byCategory);
+    if (found.length > 0) {
+      query = byCategory;
+      transactions = found;
+    }
+  }
+  
+  // Sin Markdown: los conceptos escritos por el usuario pueden traer * o _
+  await bot.sendMessage(chatId, buildAnswer(chatId, query, transactions));
+}
+
+module.exports = {
+  answerQuestion
+};
\ No newline at end of file
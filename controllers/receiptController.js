@@ -1,248 +1,529 @@
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
-const { createWorker } = require('tesseract.js');
 const config = require('../config');
+const database = require('../database');
 const textUtils = require('../utils/textProcessing');
+const dates = require('../utils/dates');
+const money = require('../utils/money');
+const telegramFiles = require('../utils/telegramFiles');
+const imagePreprocessing = require('../utils/imagePreprocessing');
+const ocrPool = require('../utils/ocrPool');
+const receiptParser = require('../utils/receiptParser');
+const extraction = require('../utils/extraction');
+const expenseController = require('./expenseController');
+const transactionController = require('./transactionController');
+const categoryController = require('./categoryController');
+
+// Recibos escaneados que esperan confirmación: id -> { chatId, data, advertencias, timer, categoryCorrected }
+const pendingReceipts = new Map();
+let nextReceiptId = 1;
+
+// Campos del recibo que se están editando: chatId -> { receiptId, field }
+const pendingFields = new Map();
+
+// Fotos que se están descargando o leyendo: chatId -> cantidad
+const photosInProgress = new Map();
+
+// Datos del recibo que se guardan con el movimiento solo si aparecen en el recibo
+const STRUCTURED_FIELDS = ['subtotal', 'impuestos', 'propina', 'descuentos', 'medio_pago', 'nit', 'factura'];
+
+// Textos para pedir cada campo editable del recibo
+const FIELD_PROMPTS = {
+  monto: '💲 Envía el monto total correcto (por ejemplo: 45000)',
+  fecha: '📅 Envía la fecha correcta (DD/MM/YYYY, "hoy" o "ayer")',
+  concepto: '🏪 Envía el nombre correcto del comercio'
+};
+
+/**
+ * Indica si un chat ya tiene el máximo de fotos en proceso
+ * @param {number} chatId - ID del chat
+ * @returns {boolean}
+ */
+function isQueueFull(chatId) {
+  return (photosInProgress.get(chatId) || 0) >= config.ocr.maxQueuedPerChat;
+}
 
 /**
  * Procesa una foto de recibo desde Telegram
  * @param {Object} msg - Mensaje de Telegram con foto
  * @param {Object} bot - Instancia del bot de Telegram
  * @param {string} token - Token de Telegram
+ * @param {Function} onStatus - Avisos de la cola de OCR (ver utils/ocrPool)
  * @returns {Object} - Datos extraídos del recibo
  */
-async function processReceiptPhoto(msg, bot, token) {
+async function processReceiptPhoto(msg, bot, token, onStatus) {
+  const chatId = msg.chat.id;
+  
   // Obtener la foto en la mejor resolución disponible
   const photoId = msg.photo[msg.photo.length - 1].file_id;
-  const fileInfo = await bot.getFile(photoId);
-  const fileUrl = `https://api.telegram.org/file/bot${token}/${fileInfo.file_path}`;
-  
-  // Descargar la imagen
-  const response = await axios({
-    method: 'GET',
-    url: fileUrl,
-    responseType: 'stream'
-  });
   
-  const imagePath = path.join(config.tempDir, `${Date.now()}.jpg`);
-  const writer = fs.createWriteStream(imagePath);
+  // Descargar la imagen (puede haber varias fotos del mismo chat en proceso)
+  const imagePath = path.join(config.tempDir, `${chatId}_${msg.message_id}.jpg`);
+  photosInProgress.set(chatId, (photosInProgress.get(chatId) || 0) + 1);
   
-  return new Promise((resolve, reject) => {
-    response.data.pipe(writer);
+  try {
+    await telegramFiles.downloadFile(bot, token, photoId, imagePath);
     
-    writer.on('finish', async () => {
-      try {
-        // Procesar la imagen con OCR
-        const receiptData = await processReceipt(imagePath);
-        fs.unlinkSync(imagePath); // Limpiar archivo temporal
-        resolve(receiptData);
-      } catch (error) {
-        reject(error);
-      }
-    });
+    // Procesar la imagen con OCR
+    const data = await processReceipt(imagePath, { chatId, onStatus });
     
-    writer.on('error', (error) => {
-      reject(error);
-    });
-  });
+    // Conservar la foto original como comprobante de compra
+    try {
+      data.recibo = database.archiveReceiptImage(imagePath);
+    } catch (error) {
+      console.error('Error archivando la foto del recibo:', error);
+    }
+    
+    return data;
+  } finally {
+    const count = photosInProgress.get(chatId) - 1;
+    if (count > 0) {
+      photosInProgress.set(chatId, count);
+    } else {
+      photosInProgress.delete(chatId);
+    }
+    if (fs.existsSync(imagePath)) fs.unlinkSync(imagePath); // Limpiar archivo temporal
+  }
 }
 
 /**
  * Procesa una imagen de recibo usando Tesseract OCR
  * @param {string} imagePath - Ruta de la imagen a procesar
+ * @param {Object} options - Opciones
+ * @param {Object} options.preprocessing - Pasos de preprocesamiento (por defecto config.ocr.preprocessing)
+ * @param {number} options.chatId - Chat que envió la foto (turnos de la cola de OCR y fecha por defecto)
+ * @param {Function} options.onStatus - Avisos de la cola de OCR (ver utils/ocrPool)
  * @returns {Object} - Datos estructurados del recibo
  */
-async function processReceipt(imagePath) {
-  // Inicializar Tesseract
-  const worker = await createWorker('spa');
-  
-  // Configurar para optimizar el reconocimiento de recibos
-  await worker.setParameters({
-    tessedit_char_whitelist: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789.,:/%-$€ ',
-  });
+async function processReceipt(imagePath, options = {}) {
+  const steps = options.preprocessing || config.ocr.preprocessing;
+  const ocrPath = await preprocessForOcr(imagePath, steps);
   
-  // Procesar la imagen
-  const { data } = await worker.recognize(imagePath);
-  await worker.terminate();
+  // Reconocer el texto con un worker del pool
+  let data;
+  try {
+    data = await ocrPool.recognize(ocrPath, { chatId: options.chatId, onStatus: options.onStatus });
+  } finally {
+    if (ocrPath !== imagePath) fs.unlink(ocrPath, () => {});
+  }
   
   // Texto extraído
   const extractedText = data.text;
   
-  // Extraer información relevante
+  // Interpretar el recibo: totales, impuestos, medio de pago, etc.
+  const receipt = await extraction.extractReceipt(extractedText);
+  const categoria = textUtils.categorizeExpense(extractedText);
+  
   const receiptData = {
     tipo: 'gasto',
     texto_completo: extractedText,
-    monto: extractAmount(extractedText),
-    fecha: extractDate(extractedText),
-    concepto: extractMerchant(extractedText),
-    categoria: textUtils.categorizeExpense(extractedText),
-    items: extractItems(extractedText),
+    monto: receipt.total,
+    moneda: money.detectCurrency(extractedText),
+    // Si no se encuentra fecha, se usa la fecha actual del chat
+    fecha: receipt.fecha || (options.chatId
+      ? dates.todayInTimezone(database.getChatTimezone(options.chatId))
+      : textUtils.formatDate(new Date())),
+    // Si no se encuentra un comercio, se usa la categoría
+    concepto: receipt.comercio || (categoria !== 'otros'
+      ? categoria.charAt(0).toUpperCase() + categoria.slice(1)
+      : 'Comercio no identificado'),
+    categoria,
+    items: receipt.items,
+    subtotal: receipt.subtotal,
+    impuestos: receipt.impuestos,
+    propina: receipt.propina,
+    descuentos: receipt.descuentos,
+    medio_pago: receipt.medio_pago,
+    nit: receipt.nit,
+    factura: receipt.factura,
+    advertencias: receipt.advertencias,
     timestamp: new Date().toISOString()
   };
   
+  // Los datos que el recibo no trae no se guardan con el movimiento
+  STRUCTURED_FIELDS.forEach(field => {
+    const value = receiptData[field];
+    if (value === null || (Array.isArray(value) && value.length === 0)) delete receiptData[field];
+  });
+  
   return receiptData;
 }
 
 /**
- * Extrae el monto total del texto
- * @param {string} text - Texto extraído del recibo
- * @returns {string} - Monto total formateado
+ * Prepara la imagen para el OCR (ver utils/imagePreprocessing). Si el
+ * preprocesamiento falla se usa la imagen original.
+ * @param {string} imagePath - Imagen original
+ * @param {Object} steps - Pasos activos
+ * @returns {Promise<string>} - Ruta de la imagen que se debe reconocer
  */
-function extractAmount(text) {
-  // Patrones comunes para montos en recibos
-  const patterns = [
-    /TOTAL\s*[\$€]?\s*([0-9.,]+)/i,
-    /IMPORTE\s*[\$€]?\s*([0-9.,]+)/i,
-    /TOTAL\s*:?\s*[\$€]?\s*([0-9.,]+)/i,
-    /[\$€]\s*([0-9.,]+)/
-  ];
-  
-  for (const pattern of patterns) {
-    const match = text.match(pattern);
-    if (match && match[1]) {
-      return match[1].trim().replace(',', '.');
-    }
+async function preprocessForOcr(imagePath, steps) {
+  if (!imagePreprocessing.STEPS.some(step => steps[step])) return imagePath;
+  
+  const outputPath = `${imagePath}.ocr.png`;
+  try {
+    await imagePreprocessing.preprocessImage(imagePath, outputPath, steps);
+    return outputPath;
+  } catch (error) {
+    console.error('Error preprocesando la imagen del recibo:', error);
+    if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+    return imagePath;
+  }
+}
+
+/**
+ * Deja un recibo escaneado pendiente de confirmación y lo muestra al usuario
+ * @param {number} chatId - ID del chat
+ * @param {Object} data - Datos extraídos del recibo
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function startReview(chatId, data, bot) {
+  const receiptId = nextReceiptId++;
+  
+  // Categorizar con las categorías y reglas aprendidas del chat
+  data.categoria = categoryController.categorize(chatId, `${data.concepto || ''}\n${data.texto_completo || ''}`);
+  
+  // Las advertencias de la verificación de montos se muestran al revisar, no se guardan
+  const advertencias = data.advertencias || [];
+  delete data.advertencias;
+  
+  pendingReceipts.set(receiptId, { chatId, data, advertencias, timer: null, categoryCorrected: false });
+  scheduleExpiration(receiptId, bot);
+  await sendReview(receiptId, bot);
+}
+
+/**
+ * Programa (o reinicia) el vencimiento de un recibo pendiente
+ * @param {number} receiptId - ID del recibo pendiente
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+function scheduleExpiration(receiptId, bot) {
+  const pending = pendingReceipts.get(receiptId);
+  if (pending.timer) clearTimeout(pending.timer);
+  
+  pending.timer = setTimeout(() => {
+    if (!pendingReceipts.has(receiptId)) return;
+    discardReceipt(receiptId);
+    bot.sendMessage(pending.chatId,
+      `⌛ El recibo de ${textUtils.escapeMarkdown(pending.data.concepto)} expiró sin confirmarse y no se guardó.`,
+      { parse_mode: 'Markdown' }
+    ).catch(error => console.error('Error avisando el vencimiento del recibo:', error));
+  }, config.receiptReviewTimeoutMinutes * 60 * 1000);
+  
+  // El temporizador no debe impedir que el proceso termine
+  if (pending.timer.unref) pending.timer.unref();
+}
+
+/**
+ * Elimina un recibo pendiente y cualquier edición en curso asociada
+ * @param {number} receiptId - ID del recibo pendiente
+ */
+function discardReceipt(receiptId) {
+  const pending = pendingReceipts.get(receiptId);
+  if (!pending) return;
+  
+  clearTimeout(pending.timer);
+  pendingReceipts.delete(receiptId);
+  
+  const field = pendingFields.get(pending.chatId);
+  if (field && field.receiptId === receiptId) pendingFields.delete(pending.chatId);
+}
+
+/**
+ * Envía el resumen de un recibo pendiente con los botones de revisión. Si no
+ * se puede enviar, el recibo se descarta: sin los botones no se podría confirmar.
+ * @param {number} receiptId - ID del recibo pendiente
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function sendReview(receiptId, bot) {
+  const { chatId, data, advertencias } = pendingReceipts.get(receiptId);
+  
+  let message = formatReceiptData(data, '🧾 *Revisa tu recibo*');
+  
+  if (!data.monto) {
+    message += '\n⚠️ No pude leer el monto total. Usa *Editar* para ingresarlo.\n';
+  } else if (advertencias.length > 0) {
+    // Los montos del recibo no cuadran: probablemente el OCR leyó mal algún valor
+    message += '\n⚠️ *Revisa los montos:*\n';
+    advertencias.forEach(advertencia => { message += `- ${advertencia}\n`; });
   }
+  message += `\n_Se descartará en ${config.receiptReviewTimeoutMinutes} minutos si no lo confirmas._`;
   
-  return null;
+  try {
+    await bot.sendMessage(chatId, message, {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [[
+          { text: '✅ Confirmar', callback_data: `rcpt:ok:${receiptId}` },
+          { text: '✏️ Editar', callback_data: `rcpt:editar:${receiptId}` },
+          { text: '🗑️ Descartar', callback_data: `rcpt:descartar:${receiptId}` }
+        ]]
+      }
+    });
+  } catch (error) {
+    console.error('Error enviando la revisión del recibo:', error);
+    discardReceipt(receiptId);
+    await bot.sendMessage(chatId, '❌ No pude mostrarte el recibo para revisarlo, así que no se guardó. Envía la foto nuevamente.');
+  }
 }
 
 /**
- * Extrae la fecha del texto
- * @param {string} text - Texto extraído del recibo
- * @returns {string} - Fecha formateada (YYYY-MM-DD)
+ * Maneja los botones de revisión de recibos
+ * @param {Object} query - callback_query de Telegram
+ * @param {Object} bot - Instancia del bot de Telegram
  */
-function extractDate(text) {
-  // Patrones comunes para fechas en recibos
-  const patterns = [
-    /FECHA\s*:?\s*(\d{1,2})[-\/\.](\d{1,2})[-\/\.](\d{2,4})/i,
-    /FECHA\s*:?\s*(\d{2,4})[-\/\.](\d{1,2})[-\/\.](\d{1,2})/i,
-    /(\d{1,2})[-\/\.](\d{1,2})[-\/\.](\d{2,4})/,
-    /(\d{2,4})[-\/\.](\d{1,2})[-\/\.](\d{1,2})/
-  ];
-  
-  const today = new Date();
-  
-  for (const pattern of patterns) {
-    const match = text.match(pattern);
-    if (match) {
-      let day, month, year;
+async function handleReviewCallback(query, bot) {
+  const chatId = query.message.chat.id;
+  const [, action, idText, value] = query.data.split(':');
+  const receiptId = parseInt(idText, 10);
+  const pending = pendingReceipts.get(receiptId);
+  
+  if (!pending || pending.chatId !== chatId) {
+    bot.sendMessage(chatId, '⌛ Este recibo ya no está pendiente. Envía la foto nuevamente si no se guardó.');
+    return;
+  }
+  
+  scheduleExpiration(receiptId, bot);
+  
+  switch (action) {
+    case 'ok':
+      await confirmReceipt(receiptId, bot);
+      break;
       
-      // Determinar el formato de la fecha
-      if (parseInt(match[1]) > 31) {
-        // Formato yyyy-mm-dd
-        year = parseInt(match[1]);
-        month = parseInt(match[2]);
-        day = parseInt(match[3]);
-      } else {
-        // Formato dd-mm-yyyy
-        day = parseInt(match[1]);
-        month = parseInt(match[2]);
-        year = parseInt(match[3]);
-        
-        // Ajustar año si está en formato de 2 dígitos
-        if (year < 100) {
-          year += year < 50 ? 2000 : 1900;
+    case 'descartar':
+      discardReceipt(receiptId);
+      bot.sendMessage(chatId, '🗑️ Recibo descartado. No se guardó ningún movimiento.');
+      break;
+      
+    case 'editar':
+      bot.sendMessage(chatId, '✏️ ¿Qué dato quieres corregir?', {
+        reply_markup: {
+          inline_keyboard: [
+            [
+              { text: '💲 Monto', callback_data: `rcpt:campo:${receiptId}:monto` },
+              { text: '📅 Fecha', callback_data: `rcpt:campo:${receiptId}:fecha` }
+            ],
+            [
+              { text: '🏪 Comercio', callback_data: `rcpt:campo:${receiptId}:concepto` },
+              { text: '🏷️ Categoría', callback_data: `rcpt:campo:${receiptId}:categoria` }
+            ]
+          ]
         }
+      });
+      break;
+      
+    case 'campo':
+      if (value === 'categoria') {
+        bot.sendMessage(chatId, '🏷️ Elige la categoría:', {
+          reply_markup: categoryController.buildCategoryKeyboard(chatId, `rcpt:cat:${receiptId}`)
+        });
+      } else if (FIELD_PROMPTS[value]) {
+        pendingFields.set(chatId, { receiptId, field: value });
+        bot.sendMessage(chatId, `${FIELD_PROMPTS[value]}\n\nEnvía /cancelar para no modificarlo.`);
       }
+      break;
       
-      return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    case 'cat': {
+      const categoria = categoryController.resolveCategory(chatId, value);
+      if (categoria && categoria !== pending.data.categoria) {
+        pending.data.categoria = categoria;
+        pending.categoryCorrected = true;
+      }
+      await sendReview(receiptId, bot);
+      break;
     }
   }
+}
+
+/**
+ * Guarda un recibo confirmado como transacción
+ * @param {number} receiptId - ID del recibo pendiente
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function confirmReceipt(receiptId, bot) {
+  const { chatId, data, categoryCorrected } = pendingReceipts.get(receiptId);
+  
+  if (!data.monto) {
+    bot.sendMessage(chatId, '⚠️ Primero ingresa el monto total con el botón *Editar*.', { parse_mode: 'Markdown' });
+    return;
+  }
+  
+  // Los recibos en otra moneda necesitan la tasa del día para los totales
+  const base = database.getBaseCurrency(chatId);
+  if (data.moneda && data.moneda !== base && !(await database.ensureExchangeRates(data.fecha))) {
+    bot.sendMessage(chatId, `❌ No pude obtener la tasa de cambio de ${data.moneda} a ${base}. Intenta confirmar de nuevo más tarde.`);
+    return;
+  }
+  
+  discardReceipt(receiptId);
   
-  // Si no se encuentra fecha, devolver la fecha actual
-  return textUtils.formatDate(today);
+  // Registrar la transacción
+  database.registerTransaction(chatId, data);
+  
+  // Aprender el comercio si el usuario corrigió la categoría
+  if (categoryCorrected) {
+    categoryController.learnFromCorrection(chatId, data, data.categoria);
+  }
+  
+  // Verificar si supera el porcentaje del presupuesto
+  const budgetAlert = expenseController.checkBudgetAlert(chatId, data);
+  
+  let message = formatReceiptData(data);
+  
+  // Añadir alerta de presupuesto si es necesario
+  if (budgetAlert) {
+    message += `\n\n⚠️ *¡Alerta de presupuesto!* ${budgetAlert}`;
+  }
+  
+  if (data.recibo) {
+    message += `\n🧾 Guardé la foto del recibo. Consúltala con /recibo ${data.id}`;
+  }
+  
+  await bot.sendMessage(chatId, message, {
+    parse_mode: 'Markdown',
+    reply_markup: transactionController.buildTransactionKeyboard(data.id)
+  });
 }
 
 /**
- * Extrae el nombre del comercio del texto
- * @param {string} text - Texto extraído del recibo
- * @returns {string} - Nombre del comercio
+ * Envía la foto original del recibo de un movimiento (comando /recibo ID)
+ * @param {Object} msg - Mensaje de Telegram
+ * @param {Object} bot - Instancia del bot de Telegram
  */
-function extractMerchant(text) {
-  // Buscar nombres de comercios
-  const lines = text.split('\n').filter(line => line.trim() !== '');
-  
-  // Intentar encontrar un nombre de comercio en las primeras líneas
-  // Normalmente aparecen en las primeras líneas
-  const possibleNames = lines.slice(0, 5);
-  
-  for (const line of possibleNames) {
-    // Descartar líneas que probablemente no sean nombres de comercios
-    if (line.toLowerCase().includes('factura') || 
-        line.toLowerCase().includes('ticket') || 
-        line.match(/^\d+/) || // Líneas que empiezan con números
-        line.match(/total|importe|fecha|iva|rut|nit/i)) {
-      continue;
-    }
-    
-    // Si la línea parece un nombre (no muy corto, no muy largo)
-    if (line.length > 3 && line.length < 40) {
-      return line.trim();
-    }
+async function sendReceiptImage(msg, bot) {
+  const chatId = msg.chat.id;
+  const match = msg.text.match(/^\/\S+\s+#?(\d+)/);
+  
+  if (!match) {
+    bot.sendMessage(chatId, '🧾 Indica el número del movimiento, por ejemplo: /recibo 12\n\nLo ves en /movimientos.');
+    return;
   }
   
-  // Si no se encuentra un comercio, usar la categoría
-  const categoria = textUtils.categorizeExpense(text);
-  return categoria !== 'otros' ? 
-    categoria.charAt(0).toUpperCase() + categoria.slice(1) : 
-    'Comercio no identificado';
+  const id = parseInt(match[1], 10);
+  const result = database.getReceiptImage(chatId, id);
+  
+  if (!result) {
+    bot.sendMessage(chatId, `❓ No encontré el movimiento #${id}.`);
+  } else if (!result.transaction.recibo) {
+    bot.sendMessage(chatId, `ℹ️ El movimiento #${id} no se registró con la foto de un recibo.`);
+  } else if (!result.path) {
+    bot.sendMessage(chatId, `🗑️ La foto del recibo del movimiento #${id} ya no se conserva (política de retención).`);
+  } else {
+    const t = result.transaction;
+    await bot.sendPhoto(chatId, fs.readFileSync(result.path),
+      { caption: `🧾 #${t.id} ${t.concepto || 'Recibo'} - ${money.formatAmount(t.monto, t.moneda)} (${t.fecha})` },
+      { filename: path.basename(result.path), contentType: 'image/jpeg' });
+  }
 }
 
 /**
- * Extrae los ítems del recibo
- * @param {string} text - Texto extraído del recibo
- * @returns {Array} - Array de ítems con nombre y precio
+ * Indica si el chat está corrigiendo un dato de un recibo pendiente
+ * @param {number} chatId - ID del chat
+ * @returns {boolean}
  */
-function extractItems(text) {
-  const items = [];
-  const lines = text.split('\n');
-  
-  // Intentar identificar líneas que contengan ítems y precios
-  for (const line of lines) {
-    const trimmedLine = line.trim();
-    if (trimmedLine === '') continue;
-    
-    // Patrones comunes para líneas de ítems en recibos
-    const priceMatch = trimmedLine.match(/(.+)\s+[\$€]?\s*([0-9.,]+)$/);
-    
-    if (priceMatch && priceMatch[1] && priceMatch[2]) {
-      const name = priceMatch[1].trim();
-      const price = priceMatch[2].replace(',', '.');
-      
-      // Descartar líneas que no parecen ítems
-      if (name.length > 2 && 
-          !name.toLowerCase().includes('total') &&
-          !name.toLowerCase().includes('iva') &&
-          !name.toLowerCase().includes('subtotal')) {
-        items.push({
-          nombre: name,
-          precio: price
-        });
-      }
-    }
+function hasPendingField(chatId) {
+  return pendingFields.has(chatId);
+}
+
+/**
+ * Cancela la corrección de un dato del recibo en curso
+ * @param {number} chatId - ID del chat
+ * @returns {boolean} - true si había una corrección pendiente
+ */
+function cancelPendingField(chatId) {
+  return pendingFields.delete(chatId);
+}
+
+/**
+ * Procesa la respuesta del usuario al corregir un dato del recibo
+ * @param {Object} msg - Mensaje de Telegram
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function handleFieldInput(msg, bot) {
+  const chatId = msg.chat.id;
+  const { receiptId, field } = pendingFields.get(chatId);
+  const pending = pendingReceipts.get(receiptId);
+  const text = msg.text.trim();
+  
+  if (!pending) {
+    pendingFields.delete(chatId);
+    bot.sendMessage(chatId, '⌛ Este recibo ya no está pendiente.');
+    return;
+  }
+  
+  let value = null;
+  switch (field) {
+    case 'monto':
+      value = textUtils.parseAmountInput(text);
+      break;
+    case 'fecha':
+      value = textUtils.parseDateInput(text, dates.todayInTimezone(database.getChatTimezone(chatId)));
+      break;
+    case 'concepto':
+      value = text.length > 0 ? text : null;
+      break;
+  }
+  
+  if (value === null) {
+    bot.sendMessage(chatId, `❓ No pude entender el valor.\n\n${FIELD_PROMPTS[field]}`);
+    return;
   }
   
-  return items;
+  pendingFields.delete(chatId);
+  pending.data[field] = value;
+  if (field === 'monto') {
+    pending.data.moneda = money.detectCurrency(text) || pending.data.moneda;
+    pending.advertencias = receiptParser.crossCheck(pending.data, value);
+  }
+  scheduleExpiration(receiptId, bot);
+  await sendReview(receiptId, bot);
 }
 
 /**
- * Formatea los datos del recibo para mostrarlos al usuario
+ * Describe el medio de pago de un recibo ("Tarjeta débito terminada en 1234", "Efectivo")
+ * @param {Object} medioPago - { tipo, detalle, ultimos4 }
+ * @returns {string} - Texto con el detalle leído del recibo escapado para Markdown
+ */
+function formatPaymentMethod(medioPago) {
+  const names = { efectivo: 'Efectivo', tarjeta: 'Tarjeta', transferencia: 'Transferencia' };
+  let text = names[medioPago.tipo] || textUtils.escapeMarkdown(medioPago.tipo);
+  if (medioPago.detalle) text += ` ${textUtils.escapeMarkdown(medioPago.detalle)}`;
+  if (medioPago.ultimos4) text += ` terminada en ${medioPago.ultimos4}`;
+  return text;
+}
+
+/**
+ * Formatea los datos del recibo para mostrarlos al usuario. Lo leído por el OCR
+ * o escrito por el usuario se escapa: un "_" o "*" haría fallar el Markdown.
  * @param {Object} data - Datos del recibo
+ * @param {string} title - Título del mensaje (opcional)
  * @returns {string} - Mensaje formateado en Markdown
  */
-function formatReceiptData(data) {
-  let message = `📝 *Recibo procesado*\n\n`;
-  message += `*Comercio:* ${data.concepto}\n`;
-  message += `*Monto total:* $${data.monto}\n`;
-  message += `*Categoría:* ${data.categoria}\n`;
+function formatReceiptData(data, title = '📝 *Recibo procesado*') {
+  let message = `${title}\n\n`;
+  message += `*Comercio:* ${textUtils.escapeMarkdown(data.concepto)}\n`;
+  message += `*Monto total:* ${data.monto ? money.formatAmount(data.monto, data.moneda) : 'No identificado'}\n`;
+  message += `*Categoría:* ${textUtils.escapeMarkdown(data.categoria)}\n`;
   message += `*Fecha:* ${data.fecha}\n`;
   
+  // Desglose del recibo, si se pudo leer
+  const amount = value => money.formatAmount(value, data.moneda);
+  if (data.subtotal) message += `*Subtotal:* ${amount(data.subtotal)}\n`;
+  (data.impuestos || []).forEach(impuesto => {
+    // El tipo va fuera de la negrita: dentro de ella no se puede escapar
+    message += `*Impuesto:* ${textUtils.escapeMarkdown(impuesto.tipo)}${impuesto.tasa ? ` ${impuesto.tasa}%` : ''}: ${amount(impuesto.monto)}\n`;
+  });
+  (data.descuentos || []).forEach(descuento => {
+    message += `*Descuento:* -${amount(descuento.monto)}\n`;
+  });
+  if (data.propina) message += `*Propina:* ${amount(data.propina)}\n`;
+  if (data.medio_pago) message += `*Pago:* ${formatPaymentMethod(data.medio_pago)}\n`;
+  if (data.nit) message += `*NIT:* ${textUtils.escapeMarkdown(data.nit)}\n`;
+  if (data.factura) message += `*Factura:* ${textUtils.escapeMarkdown(data.factura)}\n`;
+  
   if (data.items && data.items.length > 0) {
     message += '\n*Detalles:*\n';
     data.items.slice(0, 5).forEach(item => {
-      message += `- ${item.nombre}: $${item.precio}\n`;
+      message += `- ${textUtils.escapeMarkdown(item.nombre)}: ${money.formatAmount(item.precio, data.moneda)}\n`;
     });
     
     if (data.items.length > 5) {
@@ -254,7 +535,14 @@ function formatReceiptData(data) {
 }
 
 module.exports = {
+  isQueueFull,
   processReceiptPhoto,
   processReceipt,
-  formatReceiptData
+  formatReceiptData,
+  startReview,
+  handleReviewCallback,
+  hasPendingField,
+  cancelPendingField,
+  handleFieldInput,
+  sendReceiptImage
 };
\ No newline at end of file
@@ -0,0 +1,119 @@
+const config = require('../config');
+const database = require('../database');
+const dates = require('../utils/dates');
+const recurrence = require('../utils/recurrence');
+const money = require('../utils/money');
+const textUtils = require('../utils/textProcessing');
+
+/**
+ * Registra los gastos e ingresos fijos vencidos de todos los chats
+ * @param {Object} bot - Instancia del bot de Telegram
+ * @param {Date} now - Instante de referencia
+ */
+async function postDueTransactions(bot, now = new Date()) {
+  for (const chatId of database.getChatIds()) {
+    try {
+      await postChatTransactions(chatId, bot, now);
+    } catch (error) {
+      console.error(`Error registrando movimientos fijos del chat ${chatId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Registra los vencimientos pendientes de un chat. Cada ítem guarda hasta qué
+ * fecha fue procesado, así que después de una caída se ponen al día todos los
+ * vencimientos perdidos sin repetir los ya registrados.
+ * @param {number} chatId - ID del chat
+ * @param {Object} bot - Instancia del bot de Telegram
+ * @param {Date} now - Instante de referencia
+ */
+async function postChatTransactions(chatId, bot, now) {
+  const timezone = database.getChatTimezone(chatId);
+  const today = dates.todayInTimezone(timezone, now);
+  
+  // Los vencimientos de hoy se registran a partir de la hora de los avisos
+  const until = dates.hourInTimezone(timezone, now) >= config.reminders.hour ? today : dates.addDays(today, -1);
+  
+  const posted = [];
+  
+  database.getFixedExpenses(chatId).filter(e => e.activo).forEach(expense => {
+    posted.push(...postItem(chatId, 'gasto_fijo', expense, until, dueDate => ({
+      tipo: 'gasto',
+      monto: expense.monto,
+      moneda: expense.moneda,
+      fecha: dueDate,
+      concepto: expense.nombre,
+      categoria: expense.categoria,
+      texto_completo: `Gasto fijo ${expense.nombre} (registro automático)`,
+      timestamp: new Date().toISOString()
+    })));
+  });
+  
+  database.getFixedIncomes(chatId).filter(i => i.activo).forEach(income => {
+    posted.push(...postItem(chatId, 'ingreso_fijo', income, until, dueDate => ({
+      tipo: 'ingreso_fijo',
+      monto: income.monto,
+      moneda: income.moneda,
+      fecha: dueDate,
+      concepto: income.nombre,
+      categoria: null,
+      texto_completo: `Ingreso fijo ${income.nombre} (registro automático)`,
+      timestamp: new Date().toISOString()
+    })));
+  });
+  
+  if (posted.length > 0) {
+    posted.sort((a, b) => a.fecha.localeCompare(b.fecha));
+    await bot.sendMessage(chatId, formatPostedMessage(posted), { parse_mode: 'Markdown' });
+  }
+}
+
+/**
+ * Registra los vencimientos de un ítem fijo desde la última fecha procesada
+ * @param {number} chatId - ID del chat
+ * @param {string} tipo - 'gasto_fijo' o 'ingreso_fijo'
+ * @param {Object} item - Gasto o ingreso fijo
+ * @param {string} until - Última fecha a procesar (inclusive)
+ * @param {Function} buildTransaction - Crea la transacción de un vencimiento
+ * @returns {Array} - Transacciones registradas
+ */
+function postItem(chatId, tipo, item, until, buildTransaction) {
+  // Un ítem nuevo empieza a registrarse desde su fecha de inicio
+  const from = item.procesadoHasta
+    ? dates.addDays(item.procesadoHasta, 1)
+    : (item.fechaInicio || until);
+  
+  if (from > until) return [];
+  
+  const posted = recurrence.occurrencesBetween(recurrence.scheduleOf(item), from, until)
+    .map(dueDate => database.recordFixedTransaction(chatId, tipo, item, dueDate, buildTransaction(dueDate)))
+    .filter(result => !result.alreadyRecorded)
+    .map(result => result.transaction);
+  
+  database.setFixedProcessed(chatId, tipo, item.id, until);
+  
+  return posted;
+}
+
+/**
+ * Formatea el aviso de los movimientos fijos registrados
+ * @param {Array} transactions - Transacciones registradas
+ * @returns {string} - Mensaje en Markdown
+ */
+function formatPostedMessage(transactions) {
+  let message = '🔁 *Movimientos fijos registrados*\n\n';
+  
+  transactions.forEach(t => {
+    const icon = t.tipo === 'gasto' ? '💸' : '💰';
+    message += `${icon} \`#${t.id}\` ${t.fecha} - ${textUtils.escapeMarkdown(t.concepto)}: ${money.formatAmount(t.monto, t.moneda)}\n`;
+  });
+  
+  message += '\nPuedes corregirlos o eliminarlos desde /movimientos.';
+  
+  return message;
+}
+
+module.exports = {
+  postDueTransactions
+};
\ No newline at end of file
@@ -0,0 +1,177 @@
+const config = require('../config');
+const database = require('../database');
+const dates = require('../utils/dates');
+const recurrence = require('../utils/recurrence');
+const money = require('../utils/money');
+const textUtils = require('../utils/textProcessing');
+const expenseController = require('./expenseController');
+const transactionController = require('./transactionController');
+
+/**
+ * Revisa los gastos e ingresos fijos de todos los chats y envía los avisos
+ * pendientes. Cada vencimiento se avisa una sola vez, aunque el bot haya
+ * estado detenido el día exacto del aviso.
+ * @param {Object} bot - Instancia del bot de Telegram
+ * @param {Date} now - Instante de referencia
+ */
+async function checkReminders(bot, now = new Date()) {
+  for (const chatId of database.getChatIds()) {
+    try {
+      await checkChatReminders(chatId, bot, now);
+    } catch (error) {
+      console.error(`Error enviando recordatorios al chat ${chatId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Envía los avisos pendientes de un chat
+ * @param {number} chatId - ID del chat
+ * @param {Object} bot - Instancia del bot de Telegram
+ * @param {Date} now - Instante de referencia
+ */
+async function checkChatReminders(chatId, bot, now) {
+  const timezone = database.getChatTimezone(chatId);
+  
+  // No enviar avisos de madrugada
+  if (dates.hourInTimezone(timezone, now) < config.reminders.hour) return;
+  
+  const today = dates.todayInTimezone(timezone, now);
+  
+  for (const expense of database.getFixedExpenses(chatId).filter(e => e.activo)) {
+    const dueDate = recurrence.nextOccurrence(recurrence.scheduleOf(expense), today);
+    const daysLeft = dates.daysBetween(today, dueDate);
+    
+    if (daysLeft > config.reminders.daysBefore) continue;
+    if (database.getReminder(chatId, 'gasto_fijo', expense.id, dueDate)) continue;
+    
+    await sendExpenseReminder(chatId, expense, dueDate, daysLeft, bot);
+    database.markReminderSent(chatId, 'gasto_fijo', expense.id, dueDate);
+  }
+  
+  for (const income of database.getFixedIncomes(chatId).filter(i => i.activo)) {
+    const dueDate = recurrence.nextOccurrence(recurrence.scheduleOf(income), today);
+    
+    if (dueDate !== today) continue;
+    
+    // El registro automático del ingreso también guarda el vencimiento: solo cuenta el aviso enviado
+    const reminder = database.getReminder(chatId, 'ingreso_fijo', income.id, dueDate);
+    if (reminder && reminder.sentAt) continue;
+    
+    await bot.sendMessage(chatId,
+      `💰 *Hoy es día de ingreso*\n\n` +
+      `Se espera tu ingreso ${textUtils.escapeMarkdown(income.nombre)} por ${money.formatAmount(income.monto, income.moneda)}.`,
+      { parse_mode: 'Markdown' }
+    );
+    database.markReminderSent(chatId, 'ingreso_fijo', income.id, dueDate);
+  }
+}
+
+/**
+ * Envía el aviso de un gasto fijo próximo con el botón para registrar el pago
+ * @param {number} chatId - ID del chat
+ * @param {Object} expense - Gasto fijo
+ * @param {string} dueDate - Fecha de vencimiento yyyy-mm-dd
+ * @param {number} daysLeft - Días que faltan para el vencimiento
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function sendExpenseReminder(chatId, expense, dueDate, daysLeft, bot) {
+  const when = daysLeft === 0 ? 'vence *hoy*' : `vence en *${daysLeft} día${daysLeft !== 1 ? 's' : ''}*`;
+  
+  await bot.sendMessage(chatId,
+    `⏰ *Recordatorio de pago*\n\n` +
+    `*${expense.nombre}* por ${money.formatAmount(expense.monto, expense.moneda)} ${when} (${dueDate}).`,
+    {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [[
+          { text: '✅ Pagado', callback_data: `rem:pagado:${expense.id}:${dueDate}` }
+        ]]
+      }
+    }
+  );
+}
+
+/**
+ * Maneja los botones de los recordatorios
+ * @param {Object} query - callback_query de Telegram
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+function handleCallback(query, bot) {
+  const chatId = query.message.chat.id;
+  const [, action, idText, dueDate] = query.data.split(':');
+  
+  if (action !== 'pagado') return;
+  
+  const expense = database.getFixedExpenses(chatId).find(e => e.id === parseInt(idText, 10));
+  
+  if (!expense) {
+    bot.sendMessage(chatId, '❓ Ese gasto fijo ya no existe.');
+    return;
+  }
+  
+  const today = dates.todayInTimezone(database.getChatTimezone(chatId));
+  const { transaction, alreadyRecorded } = database.recordFixedTransaction(chatId, 'gasto_fijo', expense, dueDate, {
+    tipo: 'gasto',
+    monto: expense.monto,
+    moneda: expense.moneda,
+    fecha: today,
+    concepto: expense.nombre,
+    categoria: expense.categoria,
+    texto_completo: `Pago de gasto fijo ${expense.nombre}`,
+    timestamp: new Date().toISOString()
+  });
+  
+  if (alreadyRecorded) {
+    bot.sendMessage(chatId, `ℹ️ El pago de *${expense.nombre}* del ${dueDate} ya estaba registrado.`, {
+      parse_mode: 'Markdown',
+      reply_markup: transactionController.buildTransactionKeyboard(transaction.id)
+    });
+    return;
+  }
+  
+  let message = `✅ *Pago registrado*\n\n*${expense.nombre}:* ${money.formatAmount(transaction.monto, transaction.moneda)} (${expense.categoria})`;
+  
+  const budgetAlert = expenseController.checkBudgetAlert(chatId, transaction);
+  if (budgetAlert) {
+    message += `\n\n⚠️ *¡Alerta de presupuesto!* ${budgetAlert}`;
+  }
+  
+  bot.sendMessage(chatId, message, {
+    parse_mode: 'Markdown',
+    reply_markup: transactionController.buildTransactionKeyboard(transaction.id)
+  });
+}
+
+/**
+ * Cambia la zona horaria del chat (comando /zona_horaria)
+ * @param {Object} msg - Mensaje de Telegram
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+function setTimezone(msg, bot) {
+  const chatId = msg.chat.id;
+  const timezone = msg.text.split(' ').slice(1).join('').trim();
+  
+  if (!timezone) {
+    bot.sendMessage(chatId,
+      `🌎 Tu zona horaria es *${database.getChatTimezone(chatId)}*.\n\n` +
+      'Para cambiarla envía, por ejemplo: /zona\\_horaria America/Bogota',
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  if (!dates.isValidTimezone(timezone)) {
+    bot.sendMessage(chatId, `❓ No reconozco la zona horaria "${timezone}". Usa un nombre como America/Bogota.`);
+    return;
+  }
+  
+  database.setChatTimezone(chatId, timezone);
+  bot.sendMessage(chatId, `✅ Zona horaria actualizada a ${timezone}.`);
+}
+
+module.exports = {
+  checkReminders,
+  handleCallback,
+  setTimezone
+};
\ No newline at end of file
@@ -1,135 +1,141 @@
+const config = require('../config');
 const database = require('../database');
+const textUtils = require('../utils/textProcessing');
+const dates = require('../utils/dates');
+const recurrence = require('../utils/recurrence');
+const periods = require('../utils/periods');
+const money = require('../utils/money');
+const chartController = require('./chartController');
 
 /**
  * Envía reportes financieros según el tipo solicitado
  * @param {Object} msg - Mensaje de Telegram
- * @param {string} reportType - Tipo de reporte (semanal, mensual, o general para determinar)
+ * @param {string} reportType - Tipo de reporte (semanal, mensual, comparativo, o general para determinar)
  * @param {Object} bot - Instancia del bot de Telegram
  */
-function sendReport(msg, reportType = 'general', bot) {
+async function sendReport(msg, reportType = 'general', bot) {
   const chatId = msg.chat.id;
   const text = msg.text.toLowerCase();
+  const today = dates.todayInTimezone(database.getChatTimezone(chatId));
+  
+  // Un período explícito ("del 1/03 al 15/04", "marzo", "Q1 2025") tiene prioridad
+  let period = periods.parsePeriod(text.replace(/^\/\S+/, ''), today);
   
   // Determinar el tipo de reporte basado en el texto si no se especificó
-  if (reportType === 'general') {
+  if (!period && (reportType === 'general' || reportType === 'comparativo')) {
     if (text.includes('semanal') || text.includes('semana')) {
-      reportType = 'semanal';
-    } else if (text.includes('mensual') || text.includes('mes')) {
-      reportType = 'mensual';
+      period = periods.presetPeriod('semanal', today);
     } else if (text.includes('anual') || text.includes('año')) {
-      reportType = 'anual';
+      period = periods.presetPeriod('anual', today);
     } else {
-      reportType = 'mensual'; // Por defecto mostrar mensual
+      period = periods.presetPeriod('mensual', today); // Por defecto mostrar mensual
     }
+  } else if (!period) {
+    period = periods.presetPeriod(reportType, today);
   }
   
   // Generar el reporte
-  const report = generateFinancialReport(reportType);
+  const comparison = reportType === 'comparativo' || /compar|\bvs\b|versus/.test(text);
+  const report = comparison
+    ? generateComparisonReport(chatId, period)
+    : generateFinancialReport(chatId, period);
+  
+  // Enviar resultados y, después del texto, los gráficos del período
+  await bot.sendMessage(chatId, report, { parse_mode: 'Markdown' });
   
-  // Enviar resultados
-  bot.sendMessage(chatId, report, { parse_mode: 'Markdown' });
+  if (config.charts.enabled && !comparison) {
+    await chartController.sendReportCharts(chatId, period, bot);
+  }
 }
 
 /**
- * Genera un reporte financiero basado en los datos almacenados
- * @param {string} reportType - Tipo de reporte (semanal, mensual, anual)
- * @returns {string} - Reporte formateado en Markdown
+ * Calcula los totales de un período: ingresos, gastos, ahorro, gasto por
+ * categoría y avance del presupuesto (ajustado a la duración del período)
+ * @param {number} chatId - ID del chat
+ * @param {Object} period - Período { desde, hasta, meses } (ver utils/periods)
+ * @returns {Object} - { totalIncomes, totalExpenses, totalSavings, balance, savingRate,
+ *   expensesByCategory, sortedCategories, budget: [{ categoria, presupuesto, gastado, porcentaje }] }
  */
-function generateFinancialReport(reportType) {
-  const db = database.loadDatabase();
-  const hoy = new Date();
-  let transactions, startDate, endDate;
-  
-  // Establecer el rango de fechas según el tipo de reporte
-  switch (reportType) {
-    case 'semanal':
-      startDate = new Date(hoy);
-      startDate.setDate(hoy.getDate() - 7);
-      endDate = hoy;
-      break;
-    case 'anual':
-      startDate = new Date(hoy.getFullYear(), 0, 1);
-      endDate = hoy;
-      break;
-    case 'mensual':
-    default:
-      startDate = new Date(hoy.getFullYear(), hoy.getMonth(), 1);
-      endDate = hoy;
-  }
+function summarizePeriod(chatId, period) {
+  // Rango de fechas de la consulta
+  const range = {
+    desde: period.desde,
+    hasta: period.hasta
+  };
   
-  // Filtrar transacciones en el rango de fechas
-  transactions = db.transactions.filter(t => {
-    const transDate = new Date(t.fecha);
-    return transDate >= startDate && transDate <= endDate;
+  // Calcular totales por tipo
+  const totalsByType = database.sumByType(chatId, range);
+  const totalExpenses = totalsByType.gasto || 0;
+  const totalIncomes = (totalsByType.ingreso || 0) + (totalsByType.ingreso_fijo || 0);
+  const totalSavings = totalsByType.ahorro || 0;
+  
+  // Agrupar gastos por categoría, ordenadas por monto
+  const expensesByCategory = database.sumByCategory(chatId, { ...range, tipo: 'gasto' });
+  const sortedCategories = Object.entries(expensesByCategory).sort((a, b) => b[1] - a[1]);
+  
+  // El presupuesto es mensual; los rangos de días se ajustan por su duración
+  const months = period.meses || (dates.daysBetween(period.desde, period.hasta) + 1) / 30;
+  const budget = Object.entries(database.getBudget(chatId)).map(([categoria, mensual]) => {
+    const presupuesto = Math.round(mensual * months * 100) / 100;
+    const gastado = expensesByCategory[categoria] || 0;
+    return { categoria, presupuesto, gastado, porcentaje: presupuesto > 0 ? (gastado / presupuesto) * 100 : 0 };
   });
   
-  // Separar por tipo
-  const expenses = transactions.filter(t => t.tipo === 'gasto');
-  const incomes = transactions.filter(t => t.tipo === 'ingreso' || t.tipo === 'ingreso_fijo');
-  const savings = transactions.filter(t => t.tipo === 'ahorro');
-  
-  // Calcular totales
-  const totalExpenses = expenses.reduce((sum, t) => sum + parseFloat(t.monto), 0);
-  const totalIncomes = incomes.reduce((sum, t) => sum + parseFloat(t.monto), 0);
-  const totalSavings = savings.reduce((sum, t) => sum + parseFloat(t.monto), 0);
-  const balance = totalIncomes - totalExpenses - totalSavings;
-  
-  // Calcular porcentaje de ahorro
-  const savingRate = totalIncomes > 0 ? (totalSavings / totalIncomes) * 100 : 0;
-  
-  // Agrupar gastos por categoría
-  const expensesByCategory = expenses.reduce((acc, t) => {
-    const category = t.categoria || 'otros';
-    if (!acc[category]) acc[category] = 0;
-    acc[category] += parseFloat(t.monto);
-    return acc;
-  }, {});
-  
-  // Ordenar categorías por monto
-  const sortedCategories = Object.entries(expensesByCategory)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 5); // Top 5 categorías
+  return {
+    totalIncomes,
+    totalExpenses,
+    totalSavings,
+    balance: totalIncomes - totalExpenses - totalSavings,
+    savingRate: totalIncomes > 0 ? (totalSavings / totalIncomes) * 100 : 0,
+    expensesByCategory,
+    sortedCategories,
+    budget
+  };
+}
+
+/**
+ * Genera un reporte financiero basado en los datos almacenados
+ * @param {number} chatId - ID del chat
+ * @param {string|Object} reportType - Tipo de reporte (semanal, mensual, anual) o período
+ *   { desde, hasta, nombre } (ver utils/periods)
+ * @returns {string} - Reporte formateado en Markdown
+ */
+function generateFinancialReport(chatId, reportType) {
+  const today = dates.todayInTimezone(database.getChatTimezone(chatId));
+  const period = typeof reportType === 'string' ? periods.presetPeriod(reportType, today) : reportType;
+  
+  const summary = summarizePeriod(chatId, period);
+  const { totalIncomes, totalExpenses, totalSavings, balance, savingRate } = summary;
+  const sortedCategories = summary.sortedCategories.slice(0, 5); // Top 5 categorías
+  const base = database.getBaseCurrency(chatId);
+  const format = amount => money.formatAmount(Math.round(amount * money.MINOR_UNITS) / money.MINOR_UNITS, base);
   
   // Generar el reporte
-  let periodName;
-  switch (reportType) {
-    case 'semanal':
-      periodName = 'la última semana';
-      break;
-    case 'anual':
-      periodName = 'el año actual';
-      break;
-    case 'mensual':
-    default:
-      periodName = 'este mes';
-  }
-  
-  let report = `📊 *Reporte Financiero de ${periodName}*\n\n`;
+  let report = `📊 *Reporte Financiero ${period.nombre}*\n`;
+  report += `_Montos en ${base}_\n\n`;
   
   // Resumen de ingresos y gastos
-  report += `💰 *Ingresos totales:* ${totalIncomes.toLocaleString()}\n`;
-  report += `💸 *Gastos totales:* ${totalExpenses.toLocaleString()}\n`;
-  report += `🏦 *Ahorros:* ${totalSavings.toLocaleString()} (${savingRate.toFixed(1)}%)\n`;
-  report += `⚖️ *Balance:* ${balance.toLocaleString()}\n\n`;
+  report += `💰 *Ingresos totales:* ${format(totalIncomes)}\n`;
+  report += `💸 *Gastos totales:* ${format(totalExpenses)}\n`;
+  report += `🏦 *Ahorros:* ${format(totalSavings)} (${savingRate.toFixed(1)}%)\n`;
+  report += `⚖️ *Balance:* ${format(balance)}\n\n`;
   
   // Distribución de gastos por categoría
   report += `📉 *Principales categorías de gasto:*\n`;
   if (sortedCategories.length > 0) {
     sortedCategories.forEach(([category, amount]) => {
       const percentage = (amount / totalExpenses) * 100;
-      report += `- *${category}:* ${amount.toLocaleString()} (${percentage.toFixed(1)}%)\n`;
+      report += `- *${category}:* ${format(amount)} (${percentage.toFixed(1)}%)\n`;
     });
   } else {
     report += `- No hay gastos registrados en este período\n`;
   }
   
-  // Análisis de presupuesto
-  if (reportType === 'mensual') {
+  // Análisis de presupuesto: el período cubre un mes calendario ("este mes", "marzo")
+  if (period.meses === 1) {
     report += `\n📋 *Análisis de presupuesto:*\n`;
     
-    Object.entries(db.budget).forEach(([category, budgeted]) => {
-      const spent = expensesByCategory[category] || 0;
-      const percentage = budgeted > 0 ? (spent / budgeted) * 100 : 0;
+    summary.budget.forEach(({ categoria: category, presupuesto: budgeted, gastado: spent, porcentaje: percentage }) => {
       
       let status;
       if (percentage >= 100) {
@@ -140,7 +146,7 @@ function generateFinancialReport(reportType) {
         status = "🟢 Bajo control";
       }
       
-      report += `- *${category}:* ${spent.toLocaleString()}/${budgeted.toLocaleString()} (${percentage.toFixed(0)}%) ${status}\n`;
+      report += `- *${category}:* ${format(spent)}/${format(budgeted)} (${percentage.toFixed(0)}%) ${status}\n`;
     });
   }
   
@@ -153,11 +159,12 @@ function generateFinancialReport(reportType) {
     report += `- *Ratio gastos/ingresos:* ${expenseToIncomeRatio.toFixed(1)}%\n`;
     
     // Calcular promedio de ingresos variables
-    const fixedIncomesTotal = db.fixedIncomes.reduce((sum, inc) => sum + inc.monto, 0);
+    const fixedIncomesTotal = database.getFixedIncomes(chatId)
+      .reduce((sum, inc) => sum + database.convertAmount(inc.monto, inc.moneda, base, today), 0);
     const variableIncomesTotal = totalIncomes - fixedIncomesTotal;
     
     if (variableIncomesTotal > 0) {
-      report += `- *Ingresos variables:* ${variableIncomesTotal.toLocaleString()}\n`;
+      report += `- *Ingresos variables:* ${format(variableIncomesTotal)}\n`;
     }
   }
   
@@ -172,26 +179,112 @@ function generateFinancialReport(reportType) {
     report += `- ¡Excelente ratio de ahorro! Mantén este ritmo para alcanzar tus metas más rápido.\n`;
   }
   
-  // Recordatorio de gastos fijos próximos
-  const today = new Date();
-  const upcomingExpenses = db.fixedExpenses.filter(exp => {
-    let daysUntilPayment = exp.fechaPago - today.getDate();
-    
-    // Manejar casos de fin de mes
-    if (daysUntilPayment < 0) {
-      // Calcular días hasta el próximo mes
-      const lastDayOfMonth = new Date(today.getFullYear(), today.getMonth() + 1, 0).getDate();
-      daysUntilPayment = lastDayOfMonth - today.getDate() + exp.fechaPago;
-    }
-    
-    return daysUntilPayment >= 0 && daysUntilPayment <= 7;
-  });
+  // Recordatorio de gastos fijos próximos (en la zona horaria del chat)
+  const upcomingExpenses = database.getFixedExpenses(chatId)
+    .filter(exp => exp.activo)
+    .map(exp => ({ ...exp, daysUntilPayment: dates.daysBetween(today, recurrence.nextOccurrence(recurrence.scheduleOf(exp), today)) }))
+    .filter(exp => exp.daysUntilPayment <= 7)
+    .sort((a, b) => a.daysUntilPayment - b.daysUntilPayment);
   
   if (upcomingExpenses.length > 0) {
     report += `\n⏰ *Recordatorio de pagos próximos:*\n`;
     upcomingExpenses.forEach(exp => {
-      const daysUntilPayment = exp.fechaPago - today.getDate();
-      report += `- *${exp.nombre}:* ${exp.monto.toLocaleString()} (en ${daysUntilPayment} día${daysUntilPayment !== 1 ? 's' : ''})\n`;
+      const when = exp.daysUntilPayment === 0
+        ? 'hoy'
+        : `en ${exp.daysUntilPayment} día${exp.daysUntilPayment !== 1 ? 's' : ''}`;
+      report += `- *${exp.nombre}:* ${money.formatAmount(exp.monto, exp.moneda)} (${when})\n`;
+    });
+  }
+  
+  return report;
+}
+
+/**
+ * Describe la variación de un monto respecto a otro período
+ * @param {number} current - Monto del período
+ * @param {number} previous - Monto del período de comparación
+ * @param {string} moneda - Moneda base del chat
+ * @returns {string} - Por ejemplo "▲ +$50.000 (+20%)"
+ */
+function formatDelta(current, previous, moneda) {
+  const delta = current - previous;
+  if (delta === 0) return '= sin cambios';
+  
+  const arrow = delta > 0 ? '▲' : '▼';
+  const sign = delta > 0 ? '+' : '-';
+  const percentage = previous > 0 ? ` (${sign}${Math.abs(delta / previous * 100).toFixed(0)}%)` : ' (nuevo)';
+  
+  return `${arrow} ${sign}${money.formatAmount(Math.abs(delta), moneda)}${percentage}`;
+}
+
+/**
+ * Genera un reporte que compara los gastos de cada categoría con el período
+ * anterior equivalente y con el mismo período del año pasado
+ * @param {number} chatId - ID del chat
+ * @param {Object} period - Período { desde, hasta, nombre, meses } (ver utils/periods)
+ * @returns {string} - Reporte formateado en Markdown
+ */
+function generateComparisonReport(chatId, period) {
+  const moneda = database.getBaseCurrency(chatId);
+  const previous = periods.previousPeriod(period);
+  const lastYear = periods.samePeriodLastYear(period);
+  
+  // Totales por tipo y gastos por categoría de cada período
+  const totals = [period, previous, lastYear].map(range => {
+    const byType = database.sumByType(chatId, { desde: range.desde, hasta: range.hasta });
+    return {
+      gastos: byType.gasto || 0,
+      ingresos: (byType.ingreso || 0) + (byType.ingreso_fijo || 0),
+      categorias: database.sumByCategory(chatId, { desde: range.desde, hasta: range.hasta, tipo: 'gasto' })
+    };
+  });
+  const [current, before, yearAgo] = totals;
+  
+  let report = `📊 *Comparativo ${period.nombre}*\n`;
+  report += `_Montos en ${moneda}_\n\n`;
+  report += `Período: ${periods.describeRange(period)}\n`;
+  report += `Anterior: ${periods.describeRange(previous)}\n`;
+  report += `Año pasado: ${periods.describeRange(lastYear)}\n\n`;
+  
+  report += `💸 *Gastos:* ${money.formatAmount(current.gastos, moneda)}\n`;
+  report += `- vs anterior: ${formatDelta(current.gastos, before.gastos, moneda)}\n`;
+  report += `- vs año pasado: ${formatDelta(current.gastos, yearAgo.gastos, moneda)}\n`;
+  report += `💰 *Ingresos:* ${money.formatAmount(current.ingresos, moneda)}\n`;
+  report += `- vs anterior: ${formatDelta(current.ingresos, before.ingresos, moneda)}\n`;
+  report += `- vs año pasado: ${formatDelta(current.ingresos, yearAgo.ingresos, moneda)}\n\n`;
+  
+  // Categorías con gastos en cualquiera de los tres períodos, de mayor a menor gasto actual
+  const categories = [...new Set(totals.flatMap(t => Object.keys(t.categorias)))]
+    .map(category => ({
+      category,
+      amount: current.categorias[category] || 0,
+      previous: before.categorias[category] || 0,
+      lastYear: yearAgo.categorias[category] || 0
+    }))
+    .sort((a, b) => b.amount - a.amount);
+  
+  if (categories.length === 0) {
+    report += 'No hay gastos registrados en estos períodos.\n';
+    return report;
+  }
+  
+  report += `📂 *Gastos por categoría:*\n`;
+  categories.forEach(c => {
+    report += `*${c.category}:* ${money.formatAmount(c.amount, moneda)}\n`;
+    report += `- vs anterior: ${formatDelta(c.amount, c.previous, moneda)}\n`;
+    report += `- vs año pasado: ${formatDelta(c.amount, c.lastYear, moneda)}\n`;
+  });
+  
+  // Mayores cambios respecto al período anterior
+  const movers = categories
+    .filter(c => c.amount !== c.previous)
+    .sort((a, b) => Math.abs(b.amount - b.previous) - Math.abs(a.amount - a.previous))
+    .slice(0, 3);
+  
+  if (movers.length > 0) {
+    report += `\n🚀 *Mayores cambios vs el período anterior:*\n`;
+    movers.forEach(c => {
+      report += `- *${c.category}:* ${formatDelta(c.amount, c.previous, moneda)}\n`;
     });
   }
   
@@ -200,5 +293,7 @@ function generateFinancialReport(reportType) {
 
 module.exports = {
   sendReport,
-  generateFinancialReport
+  summarizePeriod,
+  generateFinancialReport,
+  generateComparisonReport
 };
\ No newline at end of file
@@ -0,0 +1,393 @@
+const database = require('../database');
+const textUtils = require('../utils/textProcessing');
+const dates = require('../utils/dates');
+const money = require('../utils/money');
+const categoryController = require('./categoryController');
+
+// Cantidad de movimientos por página en /movimientos
+const PAGE_SIZE = 10;
+
+const TYPE_NAMES = {
+  gasto: 'Gasto',
+  ingreso: 'Ingreso',
+  ingreso_fijo: 'Ingreso fijo',
+  ahorro: 'Ahorro'
+};
+
+// Ediciones en curso: chatId -> { transactionId, field }
+const pendingEdits = new Map();
+
+// Textos para pedir cada campo editable
+const FIELD_PROMPTS = {
+  monto: '💲 Envía el nuevo monto (por ejemplo: 45000)',
+  fecha: '📅 Envía la nueva fecha (DD/MM/YYYY, "hoy" o "ayer")',
+  concepto: '📝 Envía el nuevo concepto'
+};
+
+/**
+ * Construye el teclado en línea para editar o eliminar una transacción
+ * @param {number} id - ID de la transacción
+ * @returns {Object} - reply_markup para Telegram
+ */
+function buildTransactionKeyboard(id) {
+  return {
+    inline_keyboard: [
+      [
+        { text: '💲 Monto', callback_data: `tx:monto:${id}` },
+        { text: '🏷️ Categoría', callback_data: `tx:categoria:${id}` }
+      ],
+      [
+        { text: '📅 Fecha', callback_data: `tx:fecha:${id}` },
+        { text: '📝 Concepto', callback_data: `tx:concepto:${id}` }
+      ],
+      [
+        { text: '🗑️ Eliminar', callback_data: `tx:eliminar:${id}` }
+      ]
+    ]
+  };
+}
+
+/**
+ * Maneja los botones de transacciones y de la lista de movimientos
+ * @param {Object} query - callback_query de Telegram
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function handleCallback(query, bot) {
+  const chatId = query.message.chat.id;
+  const [scope, action, idText, value] = query.data.split(':');
+  
+  if (scope === 'mov') {
+    await sendTransactionList(chatId, bot, parseInt(action, 10) || 0, query.message.message_id);
+    return;
+  }
+  
+  const id = parseInt(idText, 10);
+  const transaction = database.getTransaction(chatId, id);
+  
+  if (!transaction) {
+    bot.sendMessage(chatId, '❓ Ese movimiento ya no existe.');
+    return;
+  }
+  
+  switch (action) {
+    case 'ver':
+      bot.sendMessage(chatId, formatTransaction(transaction), {
+        parse_mode: 'Markdown',
+        reply_markup: buildTransactionKeyboard(id)
+      });
+      break;
+    
+    case 'monto':
+    case 'fecha':
+    case 'concepto':
+      pendingEdits.set(chatId, { transactionId: id, field: action });
+      bot.sendMessage(chatId, `${FIELD_PROMPTS[action]}\n\nEnvía /cancelar para no modificarlo.`);
+      break;
+    
+    case 'categoria':
+      bot.sendMessage(chatId, '🏷️ Elige la nueva categoría:', {
+        reply_markup: categoryController.buildCategoryKeyboard(chatId, `tx:setcat:${id}`)
+      });
+      break;
+    
+    case 'setcat': {
+      const categoria = categoryController.resolveCategory(chatId, value);
+      if (!categoria) {
+        bot.sendMessage(chatId, '❓ Esa categoría ya no existe.');
+        break;
+      }
+      
+      applyChanges(chatId, id, { categoria }, bot);
+      
+      // Aprender el comercio para categorizar igual sus próximos gastos
+      if (transaction.categoria !== categoria) {
+        categoryController.learnFromCorrection(chatId, transaction, categoria);
+      }
+      break;
+    }
+    
+    case 'eliminar':
+      database.deleteTransaction(chatId, id);
+      bot.sendMessage(chatId,
+        `🗑️ *Movimiento eliminado*\n\n${formatTransactionLine(transaction)}\n\n` +
+        'Usa /deshacer si fue un error.',
+        { parse_mode: 'Markdown' }
+      );
+      break;
+  }
+}
+
+/**
+ * Indica si el chat tiene una edición pendiente de respuesta
+ * @param {number} chatId - ID del chat
+ * @returns {boolean}
+ */
+function hasPendingEdit(chatId) {
+  return pendingEdits.has(chatId);
+}
+
+/**
+ * Cancela la edición pendiente del chat
+ * @param {number} chatId - ID del chat
+ * @returns {boolean} - true si había una edición pendiente
+ */
+function cancelPendingEdit(chatId) {
+  return pendingEdits.delete(chatId);
+}
+
+/**
+ * Procesa la respuesta del usuario a una edición pendiente
+ * @param {Object} msg - Mensaje de Telegram
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function handlePendingEdit(msg, bot) {
+  const chatId = msg.chat.id;
+  const { transactionId, field } = pendingEdits.get(chatId);
+  const text = msg.text.trim();
+  
+  let value = null;
+  switch (field) {
+    case 'monto':
+      value = textUtils.parseAmountInput(text);
+      break;
+    case 'fecha':
+      value = textUtils.parseDateInput(text, dates.todayInTimezone(database.getChatTimezone(chatId)));
+      break;
+    case 'concepto':
+      value = text.length > 0 ? text : null;
+      break;
+  }
+  
+  if (value === null) {
+    bot.sendMessage(chatId, `❓ No pude entender el valor.\n\n${FIELD_PROMPTS[field]}`);
+    return;
+  }
+  
+  const changes = { [field]: value };
+  if (field === 'monto' && money.detectCurrency(text)) {
+    changes.moneda = money.detectCurrency(text);
+  }
+  
+  const transaction = database.getTransaction(chatId, transactionId);
+  if (transaction && !(await ensureRates(chatId, transaction, changes, bot))) return;
+  
+  pendingEdits.delete(chatId);
+  applyChanges(chatId, transactionId, changes, bot);
+}
+
+/**
+ * Con otra moneda o fecha se necesita la tasa de cambio del nuevo día
+ * @param {number} chatId - ID del chat
+ * @param {Object} transaction - Transacción a modificar
+ * @param {Object} changes - Campos modificados
+ * @param {Object} bot - Instancia del bot de Telegram
+ * @returns {Promise<boolean>} - false si no se pudo obtener la tasa (ya se avisó al usuario)
+ */
+async function ensureRates(chatId, transaction, changes, bot) {
+  const { moneda, fecha } = { ...transaction, ...changes };
+  const base = database.getBaseCurrency(chatId);
+  
+  if (moneda !== base && !(await database.ensureExchangeRates(fecha))) {
+    bot.sendMessage(chatId, `❌ No pude obtener la tasa de cambio de ${moneda} a ${base}. Intenta de nuevo más tarde.`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Corrige el último movimiento registrado a partir de un mensaje ("me equivoqué, eran 45000",
+ * "no era de comida, era de transporte"). Si el mensaje no dice qué cambiar se muestra
+ * el movimiento con los botones de edición.
+ * @param {Object} msg - Mensaje de Telegram
+ * @param {Object} entities - Entidades del mensaje { monto, fecha, categoria } (ver utils/extraction)
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+async function correctLastTransaction(msg, entities, bot) {
+  const chatId = msg.chat.id;
+  const transaction = database.getLastTransaction(chatId);
+  
+  if (!transaction) {
+    bot.sendMessage(chatId, 'ℹ️ Aún no tienes movimientos para corregir.');
+    return;
+  }
+  
+  const changes = {};
+  if (entities.monto && entities.monto !== transaction.monto) {
+    changes.monto = entities.monto;
+  }
+  if (entities.fecha && entities.fecha !== transaction.fecha) {
+    changes.fecha = entities.fecha;
+  }
+  // Solo las categorías que existen en el chat
+  const categoria = entities.categoria && categoryController.getCategoryNames(chatId).includes(entities.categoria)
+    ? entities.categoria
+    : null;
+  if (transaction.tipo === 'gasto' && categoria && categoria !== transaction.categoria) {
+    changes.categoria = categoria;
+  }
+  
+  if (Object.keys(changes).length === 0) {
+    bot.sendMessage(chatId, `✏️ ¿Qué quieres corregir de tu último movimiento?\n\n${formatTransaction(transaction)}`, {
+      parse_mode: 'Markdown',
+      reply_markup: buildTransactionKeyboard(transaction.id)
+    });
+    return;
+  }
+  
+  if (!(await ensureRates(chatId, transaction, changes, bot))) return;
+  
+  applyChanges(chatId, transaction.id, changes, bot);
+  
+  // Aprender el comercio para categorizar igual sus próximos gastos
+  if (changes.categoria) {
+    categoryController.learnFromCorrection(chatId, transaction, changes.categoria);
+  }
+}
+
+/**
+ * Aplica cambios a una transacción y confirma al usuario
+ * @param {number} chatId - ID del chat
+ * @param {number} id - ID de la transacción
+ * @param {Object} changes - Campos modificados
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+function applyChanges(chatId, id, changes, bot) {
+  const updated = database.updateTransaction(chatId, id, changes);
+  
+  if (!updated) {
+    bot.sendMessage(chatId, '❓ Ese movimiento ya no existe.');
+    return;
+  }
+  
+  bot.sendMessage(chatId,
+    `✏️ *Movimiento actualizado*\n\n${formatTransaction(updated)}`,
+    { parse_mode: 'Markdown', reply_markup: buildTransactionKeyboard(id) }
+  );
+}
+
+/**
+ * Revierte la última operación del chat
+ * @param {number} chatId - ID del chat
+ * @param {Object} bot - Instancia del bot de Telegram
+ */
+function undoLastOperation(chatId, bot) {
+  const result = database.undoLastOperation(chatId);
+  
+  if (!result) {
+    bot.sendMessage(chatId, 'ℹ️ No hay operaciones para deshacer.');
+    return;
+  }
+  
+  if (result.operacion === 'importar') {
+    bot.sendMessage(chatId, `↩️ *Operación deshecha*\n\nSe eliminaron los ${result.cantidad} movimientos importados del extracto.`,
+      { parse_mode: 'Markdown' });
+    return;
+  }
+  
+  if (result.operacion === 'lote') {
+    bot.sendMessage(chatId, `↩️ *Operación deshecha*\n\nSe eliminaron los ${result.cantidad} movimientos registrados con un mismo mensaje.`,
+      { parse_mode: 'Markdown' });
+    return;
+  }
+  
+  const descriptions = {
+    crear: 'Se eliminó el movimiento registrado',
+    editar: 'Se restauraron los valores anteriores',
+    eliminar: 'Se recuperó el movimiento eliminado'
+  };
+  
+  bot.sendMessage(chatId,
+    `↩️ *Operación deshecha*\n\n${descriptions[result.operacion]}:\n${formatTransactionLine(result.transaccion)}`,
+    { parse_mode: 'Markdown' }
+  );
+}
+
+/**
+ * Envía una página del listado de movimientos
+ * @param {number} chatId - ID del chat
+ * @param {Object} bot - Instancia del bot de Telegram
+ * @param {number} page - Página a mostrar (desde 0)
+ * @param {number} messageId - Mensaje a editar al cambiar de página (opcional)
+ */
+async function sendTransactionList(chatId, bot, page = 0, messageId = null) {
+  const total = database.countTransactions(chatId);
+  const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  page = Math.min(Math.max(0, page), totalPages - 1);
+  
+  const transactions = database.queryTransactions(chatId, {
+    order: 'desc',
+    limit: PAGE_SIZE,
+    offset: page * PAGE_SIZE
+  });
+  
+  let message = `📒 *Movimientos* (página ${page + 1} de ${totalPages})\n\n`;
+  
+  if (transactions.length === 0) {
+    message += 'No tienes movimientos registrados.';
+  } else {
+    transactions.forEach(t => {
+      message += `${formatTransactionLine(t)}\n`;
+    });
+    message += '\nToca un número para ver, editar o eliminar el movimiento.';
+  }
+  
+  // Botones por movimiento y de navegación
+  const rows = [];
+  for (let i = 0; i < transactions.length; i += 5) {
+    rows.push(transactions.slice(i, i + 5).map(t => ({ text: `#${t.id}`, callback_data: `tx:ver:${t.id}` })));
+  }
+  
+  const navigation = [];
+  if (page > 0) navigation.push({ text: '⬅️ Anterior', callback_data: `mov:${page - 1}` });
+  if (page < totalPages - 1) navigation.push({ text: 'Siguiente ➡️', callback_data: `mov:${page + 1}` });
+  if (navigation.length > 0) rows.push(navigation);
+  
+  const options = { parse_mode: 'Markdown', reply_markup: { inline_keyboard: rows } };
+  
+  if (messageId) {
+    await bot.editMessageText(message, { ...options, chat_id: chatId, message_id: messageId });
+  } else {
+    await bot.sendMessage(chatId, message, options);
+  }
+}
+
+/**
+ * Formatea una transacción en una sola línea
+ * @param {Object} t - Transacción
+ * @returns {string} - Línea formateada en Markdown
+ */
+function formatTransactionLine(t) {
+  const icons = { gasto: '💸', ingreso: '💰', ingreso_fijo: '💰', ahorro: '🏦' };
+  const amount = money.formatAmount(t.monto, t.moneda);
+  // Los conceptos escritos por el usuario o del extracto pueden traer * o _
+  const concept = textUtils.escapeMarkdown(t.concepto || 'Sin concepto');
+  return `${icons[t.tipo] || '•'} \`#${t.id}\` ${t.fecha} - ${concept}: ${amount}` +
+    (t.tipo === 'gasto' && t.categoria ? ` (${textUtils.escapeMarkdown(t.categoria)})` : '');
+}
+
+/**
+ * Formatea el detalle de una transacción
+ * @param {Object} t - Transacción
+ * @returns {string} - Texto formateado en Markdown
+ */
+function formatTransaction(t) {
+  let message = `*Movimiento #${t.id}*\n`;
+  message += `*Tipo:* ${TYPE_NAMES[t.tipo] || textUtils.escapeMarkdown(t.tipo)}\n`;
+  message += `*Monto:* ${money.formatAmount(t.monto, t.moneda)}\n`;
+  message += `*Concepto:* ${textUtils.escapeMarkdown(t.concepto || 'Sin concepto')}\n`;
+  if (t.categoria) message += `*Categoría:* ${textUtils.escapeMarkdown(t.categoria)}\n`;
+  message += `*Fecha:* ${t.fecha}\n`;
+  if (t.recibo) message += `*Recibo:* /recibo ${t.id}\n`;
+  return message;
+}
+
+module.exports = {
+  buildTransactionKeyboard,
+  handleCallback,
+  hasPendingEdit,
+  cancelPendingEdit,
+  handlePendingEdit,
+  correctLastTransaction,
+  undoLastOperation,
+  sendTransactionList
+};
\ No newline at end of file
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegPath = require('ffmpeg-static');
+const config = require('../config');
+const speechToText = require('../utils/speechToText');
+const telegramFiles = require('../utils/telegramFiles');
+
+ffmpeg.setFfmpegPath(ffmpegPath);
+
+/**
+ * Procesa una nota de voz de Telegram y devuelve su transcripción
+ * @param {Object} msg - Mensaje de Telegram con nota de voz
+ * @param {Object} bot - Instancia del bot de Telegram
+ * @param {string} token - Token de Telegram
+ * @returns {Promise<string>} - Texto transcrito
+ */
+async function processVoiceMessage(msg, bot, token) {
+  const baseName = `${Date.now()}_${msg.voice.file_unique_id || 'voz'}`;
+  const oggPath = path.join(config.tempDir, `${baseName}.ogg`);
+  const wavPath = path.join(config.tempDir, `${baseName}.wav`);
+  
+  try {
+    // Descargar la nota de voz (OGG/Opus)
+    await telegramFiles.downloadFile(bot, token, msg.voice.file_id, oggPath);
+    
+    // Convertir a WAV mono de 16 kHz, el formato que esperan los motores de voz
+    await convertToWav(oggPath, wavPath);
+    
+    return await speechToText.transcribe(wavPath);
+  } finally {
+    // Limpiar archivos temporales
+    [oggPath, wavPath].forEach(file => {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    });
+  }
+}
+
+/**
+ * Convierte un archivo de audio a WAV PCM mono de 16 kHz
+ * @param {string} inputPath - Ruta del audio original
+ * @param {string} outputPath - Ruta del WAV resultante
+ * @returns {Promise<string>} - Ruta del WAV generado
+ */
+function convertToWav(inputPath, outputPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .audioChannels(1)
+      .audioFrequency(16000)
+      .audioCodec('pcm_s16le')
+      .format('wav')
+      .on('end', () => resolve(outputPath))
+      .on('error', (error) => reject(error))
+      .save(outputPath);
+  });
+}
+
+module.exports = {
+  processVoiceMessage,
+  convertToWav
+};
\ No newline at end of file
@@ -1,68 +1,962 @@
 const fs = require('fs');
 const config = require('./config');
+const sqliteStorage = require('./storage/sqliteStorage');
+const receiptArchive = require('./storage/receiptArchive');
+const dates = require('./utils/dates');
+const money = require('./utils/money');
+const exchangeRates = require('./utils/exchangeRates');
+
+// Backend de almacenamiento activo (se abre en initDatabase)
+let storage = null;
+
+// Categoría que recibe los movimientos de categorías eliminadas
+const DEFAULT_CATEGORY = 'otros';
 
 /**
- * Inicializar la base de datos si no existe
+ * Inicializar la base de datos: crea o actualiza el esquema, migra el JSON
+ * anterior y asigna los datos heredados al chat del dueño si está configurado
  */
 function initDatabase() {
-  if (!fs.existsSync(config.DB_FILE)) {
-    fs.writeFileSync(config.DB_FILE, JSON.stringify({
-      transactions: [],
-      fixedExpenses: config.fixedExpenses,
-      fixedIncomes: config.fixedIncomes,
-      financialGoals: config.financialGoals,
-      budget: config.monthlyBudget
-    }, null, 2));
+  storage = sqliteStorage.open(config.SQLITE_FILE);
+  
+  if (!storage.getSetting('initialized')) {
+    if (fs.existsSync(config.DB_FILE)) {
+      migrateFromJson(config.DB_FILE);
+    } else {
+      storage.setSetting('initialized', new Date().toISOString());
+    }
+  }
+  
+  // Chats creados antes de que las categorías fueran propias de cada chat
+  storage.getChatIds()
+    .filter(chatId => storage.getCategories(chatId).length === 0)
+    .forEach(chatId => storage.transaction(() => seedCategories(chatId)));
+  
+  // Los datos de la versión de un solo usuario no tienen chat asociado
+  if (config.ownerChatId) {
+    storage.transaction(() => {
+      const claimed = storage.claimOrphanData(config.ownerChatId);
+      if (!storage.hasChat(config.ownerChatId) && claimed > 0) {
+        storage.insertChat(config.ownerChatId);
+      }
+      if (claimed > 0) {
+        console.log(`Asignados ${claimed} registros heredados al chat ${config.ownerChatId}`);
+      }
+    });
   }
 }
 
 /**
- * Cargar datos de la base de datos
- * @returns {Object} - Datos cargados
+ * Migra una única vez los datos del antiguo archivo JSON a SQLite.
+ * Los registros quedan sin chat hasta que se configure OWNER_CHAT_ID.
+ * @param {string} jsonFile - Ruta del archivo JSON
  */
-function loadDatabase() {
+function migrateFromJson(jsonFile) {
+  let data;
   try {
-    return JSON.parse(fs.readFileSync(config.DB_FILE, 'utf8'));
+    data = JSON.parse(fs.readFileSync(jsonFile, 'utf8'));
   } catch (error) {
-    console.error('Error cargando la base de datos:', error);
-    return {
-      transactions: [],
-      fixedExpenses: config.fixedExpenses,
-      fixedIncomes: config.fixedIncomes,
-      financialGoals: config.financialGoals,
-      budget: config.monthlyBudget
-    };
+    // Nunca continuar con datos vacíos: se perdería el historial
+    throw new Error(`No se pudo leer ${jsonFile} para migrarlo: ${error.message}`);
+  }
+  
+  storage.transaction(() => {
+    (data.transactions || []).forEach(t => storage.insertTransaction(null, { ...t, moneda: t.moneda || config.currency.base }));
+    (data.fixedExpenses || []).forEach(e => storage.insertFixedExpense(null, e));
+    (data.fixedIncomes || []).forEach(i => storage.insertFixedIncome(null, i));
+    (data.financialGoals || []).forEach(g => storage.insertGoal(null, g));
+    Object.entries(data.budget || {}).forEach(([categoria, monto]) => storage.setBudget(null, categoria, monto));
+    storage.setSetting('initialized', new Date().toISOString());
+    storage.setSetting('migrated_from', jsonFile);
+  });
+  
+  // Conservar el archivo original como respaldo
+  fs.renameSync(jsonFile, `${jsonFile}.migrated`);
+  console.log(`Migradas ${storage.countAllTransactions()} transacciones desde ${jsonFile}`);
+}
+
+/**
+ * Registra un chat la primera vez que usa el bot y carga sus datos por defecto
+ * @param {number} chatId - ID del chat
+ * @returns {boolean} - true si el chat es nuevo
+ */
+function ensureChat(chatId) {
+  if (storage.hasChat(chatId)) return false;
+  
+  // Los ítems fijos por defecto empiezan a registrarse desde hoy
+  const today = dates.todayInTimezone(config.timezone);
+  
+  storage.transaction(() => {
+    storage.insertChat(chatId);
+    config.fixedExpenses.forEach(e => storage.insertFixedExpense(chatId, { ...e, fechaInicio: today }));
+    config.fixedIncomes.forEach(i => storage.insertFixedIncome(chatId, { ...i, fechaInicio: today }));
+    config.financialGoals.forEach(g => storage.insertGoal(chatId, g));
+    Object.entries(config.monthlyBudget).forEach(([categoria, monto]) => storage.setBudget(chatId, categoria, monto));
+    seedCategories(chatId);
+  });
+  
+  return true;
+}
+
+/**
+ * Carga las categorías y palabras clave por defecto de un chat. Si una palabra
+ * aparece en varias categorías se queda en la primera.
+ * @param {number} chatId - ID del chat
+ */
+function seedCategories(chatId) {
+  Object.entries(config.expenseCategories).forEach(([nombre, keywords]) => {
+    const id = storage.insertCategory(chatId, nombre);
+    keywords.forEach(keyword => storage.insertKeywordIfMissing(chatId, keyword.toLowerCase(), id));
+  });
+}
+
+/**
+ * Obtiene los IDs de todos los chats registrados
+ * @returns {Array} - IDs de chat
+ */
+function getChatIds() {
+  return storage.getChatIds();
+}
+
+/**
+ * Obtiene la zona horaria del chat
+ * @param {number} chatId - ID del chat
+ * @returns {string} - Zona horaria IANA
+ */
+function getChatTimezone(chatId) {
+  return storage.getChatTimezone(chatId) || config.timezone;
+}
+
+/**
+ * Obtiene la moneda base del chat (en la que se muestran presupuestos y reportes)
+ * @param {number} chatId - ID del chat
+ * @returns {string} - Código de moneda
+ */
+function getBaseCurrency(chatId) {
+  return storage.getChatCurrency(chatId) || config.currency.base;
+}
+
+/**
+ * Cambia la moneda base del chat. Antes obtiene las tasas de las fechas de
+ * los movimientos en otra moneda; si falta alguna, no se cambia. Los
+ * presupuestos, metas y gastos e ingresos fijos conservan su moneda y se
+ * convierten al leerlos, así que volver a la moneda anterior los deja intactos.
+ * @param {number} chatId - ID del chat
+ * @param {string} moneda - Código de moneda
+ * @returns {Promise<boolean>} - false si faltó alguna tasa de cambio
+ */
+async function setBaseCurrency(chatId, moneda) {
+  const current = getBaseCurrency(chatId);
+  if (current === moneda) return true;
+  
+  const today = dates.todayInTimezone(getChatTimezone(chatId));
+  const fechas = [...storage.getTransactionDates(chatId, moneda), today];
+  
+  for (const fecha of fechas) {
+    if (!(await ensureExchangeRates(fecha))) return false;
   }
+  
+  if (!storage.getExchangeRate(moneda, today) || !storage.getExchangeRate(current, today)) return false;
+  
+  storage.setChatCurrency(chatId, moneda);
+  return true;
 }
 
 /**
- * Guardar datos en la base de datos
- * @param {Object} data - Datos a guardar
- * @returns {boolean} - Éxito de la operación
+ * Guarda las tasas de cambio de una fecha si aún no están guardadas, para que
+ * cada movimiento se convierta con la tasa de su día
+ * @param {string} fecha - Fecha yyyy-mm-dd
+ * @returns {Promise<boolean>} - false si no se pudieron obtener
  */
-function saveDatabase(data) {
+async function ensureExchangeRates(fecha) {
+  if (storage.hasExchangeRates(fecha)) return true;
+  
   try {
-    fs.writeFileSync(config.DB_FILE, JSON.stringify(data, null, 2));
+    const { rates, source } = await exchangeRates.getRates(fecha);
+    storage.saveExchangeRates(fecha, rates, source);
     return true;
   } catch (error) {
-    console.error('Error guardando en la base de datos:', error);
+    console.error(`Error obteniendo las tasas de cambio del ${fecha}:`, error.message);
     return false;
   }
 }
 
+/**
+ * Convierte un monto entre monedas con la tasa guardada más cercana a la fecha
+ * @param {number} amount - Monto
+ * @param {string} from - Moneda del monto
+ * @param {string} to - Moneda destino
+ * @param {string} fecha - Fecha del movimiento yyyy-mm-dd
+ * @returns {number} - Monto convertido
+ */
+function convertAmount(amount, from, to, fecha) {
+  if (!from || !to || from === to) return amount;
+  
+  const fromRate = storage.getExchangeRate(from, fecha);
+  const toRate = storage.getExchangeRate(to, fecha);
+  
+  if (!fromRate || !toRate) {
+    throw new Error(`No hay tasa de cambio de ${from} a ${to}`);
+  }
+  
+  return Math.round(amount / fromRate * toRate * money.MINOR_UNITS) / money.MINOR_UNITS;
+}
+
+/**
+ * Cambia la zona horaria del chat
+ * @param {number} chatId - ID del chat
+ * @param {string} timezone - Zona horaria IANA
+ */
+function setChatTimezone(chatId, timezone) {
+  storage.setChatTimezone(chatId, timezone);
+}
+
+/**
+ * Obtiene el estado de un recordatorio de gasto o ingreso fijo
+ * @param {number} chatId - ID del chat
+ * @param {string} tipo - 'gasto_fijo' o 'ingreso_fijo'
+ * @param {number} itemId - ID del gasto o ingreso fijo
+ * @param {string} dueDate - Fecha de vencimiento yyyy-mm-dd
+ * @returns {Object|null} - { sentAt, transactionId } o null si no existe
+ */
+function getReminder(chatId, tipo, itemId, dueDate) {
+  return storage.getReminder(chatId, tipo, itemId, dueDate);
+}
+
+/**
+ * Marca un recordatorio como enviado para no repetirlo
+ * @param {number} chatId - ID del chat
+ * @param {string} tipo - 'gasto_fijo' o 'ingreso_fijo'
+ * @param {number} itemId - ID del gasto o ingreso fijo
+ * @param {string} dueDate - Fecha de vencimiento yyyy-mm-dd
+ */
+function markReminderSent(chatId, tipo, itemId, dueDate) {
+  storage.saveReminder(chatId, tipo, itemId, dueDate, { sentAt: new Date().toISOString() });
+}
+
+/**
+ * Registra la transacción de un vencimiento de gasto o ingreso fijo. Si ese
+ * vencimiento ya tiene una transacción (y no fue eliminada) no se duplica.
+ * @param {number} chatId - ID del chat
+ * @param {string} tipo - 'gasto_fijo' o 'ingreso_fijo'
+ * @param {Object} item - Gasto o ingreso fijo
+ * @param {string} dueDate - Fecha de vencimiento yyyy-mm-dd
+ * @param {Object} data - Transacción a registrar
+ * @returns {Object} - { transaction, alreadyRecorded }
+ */
+function recordFixedTransaction(chatId, tipo, item, dueDate, data) {
+  return storage.transaction(() => {
+    const reminder = storage.getReminder(chatId, tipo, item.id, dueDate);
+    const existing = reminder && reminder.transactionId
+      ? storage.getTransaction(chatId, reminder.transactionId)
+      : null;
+    
+    if (existing) return { transaction: existing, alreadyRecorded: true };
+    
+    data[tipo === 'gasto_fijo' ? 'gastoFijoId' : 'ingresoFijoId'] = item.id;
+    data.vencimiento = dueDate;
+    registerTransaction(chatId, data);
+    storage.saveReminder(chatId, tipo, item.id, dueDate, { transactionId: data.id });
+    
+    return { transaction: data, alreadyRecorded: false };
+  });
+}
+
+/**
+ * Guarda hasta qué fecha se registraron los vencimientos de un ítem fijo
+ * @param {number} chatId - ID del chat
+ * @param {string} tipo - 'gasto_fijo' o 'ingreso_fijo'
+ * @param {number} id - ID del gasto o ingreso fijo
+ * @param {string} date - Última fecha procesada yyyy-mm-dd
+ */
+function setFixedProcessed(chatId, tipo, id, date) {
+  if (tipo === 'gasto_fijo') {
+    storage.updateFixedExpense(chatId, id, { procesadoHasta: date });
+  } else {
+    storage.updateFixedIncome(chatId, id, { procesadoHasta: date });
+  }
+}
+
 /**
  * Registra una nueva transacción en la base de datos
- * @param {Object} data - Datos de la transacción
+ * @param {number} chatId - ID del chat
+ * @param {Object} data - Datos de la transacción (se le asigna el campo id)
+ * @returns {number} - ID de la transacción
+ */
+function registerTransaction(chatId, data) {
+  if (chatId === undefined || chatId === null) {
+    throw new Error('Se requiere el ID del chat para registrar una transacción');
+  }
+  
+  // Sin moneda indicada, el movimiento está en la moneda base del chat
+  data.moneda = data.moneda || getBaseCurrency(chatId);
+  
+  return storage.transaction(() => {
+    data.id = storage.insertTransaction(chatId, data);
+    storage.insertOperation(chatId, { tipo: 'crear', transactionId: data.id, despues: data });
+    return data.id;
+  });
+}
+
+/**
+ * Registra varias transacciones (importadas de un extracto o escritas en un
+ * mismo mensaje) como una sola operación, para que /deshacer las revierta juntas
+ * @param {number} chatId - ID del chat
+ * @param {Array} list - Datos de las transacciones (a cada una se le asigna el campo id)
+ * @param {string} operacion - Tipo de operación: 'importar' (extracto) o 'lote' (mensaje)
+ * @returns {Array} - IDs de las transacciones
+ */
+function importTransactions(chatId, list, operacion = 'importar') {
+  if (chatId === undefined || chatId === null) {
+    throw new Error('Se requiere el ID del chat para registrar una transacción');
+  }
+  if (list.length === 0) return [];
+  
+  return storage.transaction(() => {
+    list.forEach(data => {
+      data.moneda = data.moneda || getBaseCurrency(chatId);
+      data.id = storage.insertTransaction(chatId, data);
+    });
+    storage.insertOperation(chatId, { tipo: operacion, transactionId: list[0].id, despues: list });
+    return list.map(data => data.id);
+  });
+}
+
+/**
+ * Obtiene una transacción del chat por su ID
+ * @param {number} chatId - ID del chat
+ * @param {number} id - ID de la transacción
+ * @returns {Object|null} - Transacción o null si no existe
+ */
+function getTransaction(chatId, id) {
+  return storage.getTransaction(chatId, id);
+}
+
+/**
+ * Obtiene la última transacción registrada en el chat
+ * @param {number} chatId - ID del chat
+ * @returns {Object|null} - Transacción o null si no hay ninguna
+ */
+function getLastTransaction(chatId) {
+  return storage.getLastTransaction(chatId);
+}
+
+/**
+ * Modifica una transacción registrada
+ * @param {number} chatId - ID del chat
+ * @param {number} id - ID de la transacción
+ * @param {Object} changes - Campos a modificar (monto, categoria, fecha, concepto)
+ * @returns {Object|null} - Transacción actualizada o null si no existe
+ */
+function updateTransaction(chatId, id, changes) {
+  return storage.transaction(() => {
+    const before = storage.getTransaction(chatId, id);
+    if (!before) return null;
+    
+    storage.updateTransaction(chatId, id, changes);
+    const after = storage.getTransaction(chatId, id);
+    
+    adjustGoal(chatId, before, -1);
+    adjustGoal(chatId, after, 1);
+    storage.insertOperation(chatId, { tipo: 'editar', transactionId: id, antes: before, despues: after });
+    
+    return after;
+  });
+}
+
+/**
+ * Elimina una transacción registrada
+ * @param {number} chatId - ID del chat
+ * @param {number} id - ID de la transacción
+ * @returns {Object|null} - Transacción eliminada o null si no existe
+ */
+function deleteTransaction(chatId, id) {
+  return storage.transaction(() => {
+    const before = storage.getTransaction(chatId, id);
+    if (!before) return null;
+    
+    storage.deleteTransaction(chatId, id);
+    adjustGoal(chatId, before, -1);
+    storage.insertOperation(chatId, { tipo: 'eliminar', transactionId: id, antes: before });
+    
+    return before;
+  });
+}
+
+/**
+ * Revierte la última operación (crear, editar, eliminar o importar) del chat
+ * @param {number} chatId - ID del chat
+ * @returns {Object|null} - { operacion, transaccion, cantidad } o null si no hay nada que deshacer
+ */
+function undoLastOperation(chatId) {
+  return storage.transaction(() => {
+    const operation = storage.getLastOperation(chatId);
+    if (!operation) return null;
+    
+    let transaction = null;
+    const current = storage.getTransaction(chatId, operation.transactionId);
+    
+    switch (operation.tipo) {
+      case 'crear':
+        if (current) {
+          storage.deleteTransaction(chatId, current.id);
+          adjustGoal(chatId, current, -1);
+        }
+        transaction = current || operation.despues;
+        break;
+      case 'editar':
+        if (current) {
+          storage.updateTransaction(chatId, current.id, operation.antes);
+          adjustGoal(chatId, current, -1);
+          adjustGoal(chatId, operation.antes, 1);
+        }
+        transaction = operation.antes;
+        break;
+      case 'eliminar':
+        if (!current) {
+          storage.insertTransaction(chatId, operation.antes);
+          adjustGoal(chatId, operation.antes, 1);
+        }
+        transaction = operation.antes;
+        break;
+      case 'importar':
+      case 'lote':
+        // Se eliminan los movimientos del grupo que aún existan
+        operation.despues.forEach(imported => storage.deleteTransaction(chatId, imported.id));
+        transaction = operation.despues[0];
+        break;
+    }
+    
+    storage.markOperationUndone(operation.id);
+    return { operacion: operation.tipo, transaccion: transaction, cantidad: ['importar', 'lote'].includes(operation.tipo) ? operation.despues.length : 1 };
+  });
+}
+
+/**
+ * Refleja en la meta el cambio de una transacción de ahorro asociada
+ * @param {number} chatId - ID del chat
+ * @param {Object} transaction - Transacción afectada
+ * @param {number} sign - 1 para sumar el monto a la meta, -1 para restarlo
+ */
+function adjustGoal(chatId, transaction, sign) {
+  if (transaction && transaction.tipo === 'ahorro' && transaction.metaId) {
+    const monto = toGoalCurrency(chatId, transaction.metaId, parseFloat(transaction.monto) || 0, transaction.moneda, transaction.fecha);
+    storage.addToGoal(chatId, transaction.metaId, sign * monto);
+  }
+}
+
+/**
+ * Convierte un aporte a la moneda en que está guardada la meta
+ * @param {number} chatId - ID del chat
+ * @param {number} goalId - ID de la meta
+ * @param {number} monto - Monto del aporte
+ * @param {string} moneda - Moneda del aporte
+ * @param {string} fecha - Fecha del aporte (yyyy-mm-dd)
+ * @returns {number} - Monto en la moneda de la meta
+ */
+function toGoalCurrency(chatId, goalId, monto, moneda, fecha) {
+  const goal = storage.getGoals(chatId).find(g => g.id === goalId);
+  if (!goal) return monto;
+  
+  return convertAmount(monto, moneda || getBaseCurrency(chatId), goal.moneda, fecha);
+}
+
+/**
+ * Cuenta las transacciones de un chat
+ * @param {number} chatId - ID del chat
+ * @param {Object} filter - Filtro (ver queryTransactions)
+ * @returns {number} - Cantidad de transacciones
+ */
+function countTransactions(chatId, filter = {}) {
+  return storage.countTransactions(chatId, filter);
+}
+
+/**
+ * Consulta transacciones de un chat
+ * @param {number} chatId - ID del chat
+ * @param {Object} filter - Filtro: tipo, tipos, categoria, desde, hasta (yyyy-mm-dd),
+ *   excludeConcepto, order ('asc'|'desc'), limit, offset
+ * @returns {Array} - Transacciones que cumplen el filtro
+ */
+function queryTransactions(chatId, filter = {}) {
+  return storage.queryTransactions(chatId, filter);
+}
+
+/**
+ * Suma los montos en la moneda base del chat, convirtiendo cada moneda con
+ * la tasa del día de sus movimientos
+ * @param {number} chatId - ID del chat
+ * @param {Object} filter - Filtro (ver queryTransactions)
+ * @param {string|null} column - Columna de agrupación ('categoria', 'tipo', 'fecha' o null)
+ * @returns {Object} - Mapa grupo -> suma
+ */
+function sumConverted(chatId, filter, column) {
+  const base = getBaseCurrency(chatId);
+  const totals = {};
+  
+  storage.sumByCurrency(chatId, filter, column).forEach(row => {
+    const amount = convertAmount(row.total, row.moneda || config.currency.base, base, row.fecha);
+    totals[row.grupo] = (totals[row.grupo] || 0) + amount;
+  });
+  
+  Object.keys(totals).forEach(grupo => {
+    totals[grupo] = Math.round(totals[grupo] * money.MINOR_UNITS) / money.MINOR_UNITS;
+  });
+  
+  return totals;
+}
+
+/**
+ * Suma los montos de las transacciones que cumplen el filtro
+ * @param {number} chatId - ID del chat
+ * @param {Object} filter - Filtro (ver queryTransactions)
+ * @returns {number} - Suma de montos en la moneda base
+ */
+function sumTransactions(chatId, filter = {}) {
+  return sumConverted(chatId, filter, null).total || 0;
+}
+
+/**
+ * Suma los montos agrupados por categoría
+ * @param {number} chatId - ID del chat
+ * @param {Object} filter - Filtro (ver queryTransactions)
+ * @returns {Object} - Mapa categoría -> suma en la moneda base
+ */
+function sumByCategory(chatId, filter = {}) {
+  return sumConverted(chatId, filter, 'categoria');
+}
+
+/**
+ * Suma los montos agrupados por tipo de transacción
+ * @param {number} chatId - ID del chat
+ * @param {Object} filter - Filtro (ver queryTransactions)
+ * @returns {Object} - Mapa tipo -> suma en la moneda base
+ */
+function sumByType(chatId, filter = {}) {
+  return sumConverted(chatId, filter, 'tipo');
+}
+
+/**
+ * Suma los montos agrupados por día
+ * @param {number} chatId - ID del chat
+ * @param {Object} filter - Filtro (ver queryTransactions)
+ * @returns {Object} - Mapa fecha -> suma en la moneda base
+ */
+function sumByDate(chatId, filter = {}) {
+  return sumConverted(chatId, filter, 'fecha');
+}
+
+/**
+ * Obtiene el presupuesto mensual por categoría, convertido a la moneda base
+ * del chat con la tasa de hoy
+ * @param {number} chatId - ID del chat
+ * @returns {Object} - Mapa categoría -> monto presupuestado
+ */
+function getBudget(chatId) {
+  const base = getBaseCurrency(chatId);
+  const today = dates.todayInTimezone(getChatTimezone(chatId));
+  
+  return Object.entries(storage.getBudget(chatId)).reduce((acc, [categoria, { monto, moneda }]) => {
+    acc[categoria] = convertAmount(monto, moneda, base, today);
+    return acc;
+  }, {});
+}
+
+/**
+ * Actualiza el presupuesto de una categoría
+ * @param {number} chatId - ID del chat
+ * @param {string} categoria - Categoría
+ * @param {number} monto - Nuevo monto presupuestado (en la moneda base del chat)
+ */
+function setBudget(chatId, categoria, monto) {
+  storage.setBudget(chatId, categoria, monto, getBaseCurrency(chatId));
+}
+
+/**
+ * Obtiene las categorías de gasto del chat con sus palabras clave
+ * @param {number} chatId - ID del chat
+ * @returns {Array} - [{ id, nombre, keywords: [{ keyword, aprendida }] }]
+ */
+function getCategories(chatId) {
+  return storage.getCategories(chatId);
+}
+
+/**
+ * Crea una categoría de gasto
+ * @param {number} chatId - ID del chat
+ * @param {string} nombre - Nombre de la categoría
+ * @param {Array} keywords - Palabras clave iniciales
+ * @returns {number} - ID de la categoría
+ */
+function addCategory(chatId, nombre, keywords = []) {
+  return storage.transaction(() => {
+    const id = storage.insertCategory(chatId, nombre);
+    keywords.forEach(keyword => storage.setKeyword(chatId, keyword, id, false));
+    return id;
+  });
+}
+
+/**
+ * Renombra una categoría en sus movimientos, gastos fijos y presupuesto
+ * @param {number} chatId - ID del chat
+ * @param {string} from - Nombre actual
+ * @param {string} to - Nombre nuevo (no debe existir)
+ */
+function renameCategory(chatId, from, to) {
+  storage.transaction(() => storage.renameCategory(chatId, from, to));
+}
+
+/**
+ * Fusiona una categoría en otra: mueve movimientos, gastos fijos y palabras
+ * clave, suma los presupuestos y elimina la categoría de origen
+ * @param {number} chatId - ID del chat
+ * @param {string} from - Categoría que desaparece
+ * @param {string} into - Categoría que se conserva
+ */
+function mergeCategories(chatId, from, into) {
+  storage.transaction(() => {
+    const budget = storage.getBudget(chatId);
+    if (budget[from]) {
+      // La suma queda en la moneda del presupuesto que se conserva
+      const moneda = budget[into] ? budget[into].moneda : budget[from].moneda;
+      const today = dates.todayInTimezone(getChatTimezone(chatId));
+      const monto = convertAmount(budget[from].monto, budget[from].moneda, moneda, today);
+      storage.setBudget(chatId, into, (budget[into] ? budget[into].monto : 0) + monto, moneda);
+    }
+    
+    storage.moveCategoryData(chatId, from, into);
+    storage.deleteCategory(chatId, from);
+  });
+}
+
+/**
+ * Elimina una categoría. Sus movimientos y gastos fijos pasan a 'otros'.
+ * @param {number} chatId - ID del chat
+ * @param {string} nombre - Categoría a eliminar
+ */
+function deleteCategory(chatId, nombre) {
+  if (nombre === DEFAULT_CATEGORY) {
+    throw new Error(`La categoría ${DEFAULT_CATEGORY} no se puede eliminar`);
+  }
+  
+  storage.transaction(() => {
+    storage.moveCategoryData(chatId, nombre, DEFAULT_CATEGORY);
+    storage.deleteCategory(chatId, nombre);
+  });
+}
+
+/**
+ * Asocia una palabra clave a una categoría (si ya estaba en otra, se mueve)
+ * @param {number} chatId - ID del chat
+ * @param {string} keyword - Palabra clave o comercio
+ * @param {string} categoria - Nombre de la categoría
+ * @param {boolean} aprendida - true si se aprendió de una corrección
+ * @returns {boolean} - false si la categoría no existe
+ */
+function setCategoryKeyword(chatId, keyword, categoria, aprendida = false) {
+  const category = storage.getCategories(chatId).find(c => c.nombre === categoria);
+  if (!category) return false;
+  
+  storage.setKeyword(chatId, keyword, category.id, aprendida);
+  return true;
+}
+
+/**
+ * Quita una palabra clave
+ * @param {number} chatId - ID del chat
+ * @param {string} keyword - Palabra clave
+ * @returns {boolean} - true si existía
+ */
+function removeCategoryKeyword(chatId, keyword) {
+  return storage.deleteKeyword(chatId, keyword);
+}
+
+/**
+ * Obtiene los gastos fijos configurados, cada uno en su propia moneda
+ * @param {number} chatId - ID del chat
+ * @returns {Array} - Gastos fijos
+ */
+function getFixedExpenses(chatId) {
+  return storage.getFixedExpenses(chatId);
+}
+
+/**
+ * Agrega un gasto fijo
+ * @param {number} chatId - ID del chat
+ * @param {Object} expense - nombre, monto, categoria, fechaPago, frecuencia, fechaInicio
+ * @returns {number} - ID del gasto fijo
  */
-function registerTransaction(data) {
-  const db = loadDatabase();
-  db.transactions.push(data);
-  saveDatabase(db);
+function addFixedExpense(chatId, expense) {
+  expense.moneda = expense.moneda || getBaseCurrency(chatId);
+  expense.id = storage.insertFixedExpense(chatId, expense);
+  return expense.id;
+}
+
+/**
+ * Modifica un gasto fijo
+ * @param {number} chatId - ID del chat
+ * @param {number} id - ID del gasto fijo
+ * @param {Object} changes - Campos a modificar
+ * @returns {Object|null} - Gasto fijo actualizado o null si no existe
+ */
+function updateFixedExpense(chatId, id, changes) {
+  withAmountCurrency(chatId, changes);
+  storage.updateFixedExpense(chatId, id, changes);
+  return storage.getFixedExpenses(chatId).find(e => e.id === id) || null;
+}
+
+/**
+ * Elimina un gasto fijo. Los pagos ya registrados se conservan.
+ * @param {number} chatId - ID del chat
+ * @param {number} id - ID del gasto fijo
+ * @returns {boolean} - true si existía
+ */
+function deleteFixedExpense(chatId, id) {
+  return storage.deleteFixedExpense(chatId, id);
+}
+
+/**
+ * Obtiene los ingresos fijos configurados, cada uno en su propia moneda
+ * @param {number} chatId - ID del chat
+ * @returns {Array} - Ingresos fijos
+ */
+function getFixedIncomes(chatId) {
+  return storage.getFixedIncomes(chatId);
+}
+
+/**
+ * Agrega un ingreso fijo
+ * @param {number} chatId - ID del chat
+ * @param {Object} income - nombre, monto, fechaIngreso, frecuencia, fechaInicio
+ * @returns {number} - ID del ingreso fijo
+ */
+function addFixedIncome(chatId, income) {
+  income.moneda = income.moneda || getBaseCurrency(chatId);
+  income.id = storage.insertFixedIncome(chatId, income);
+  return income.id;
+}
+
+/**
+ * Modifica un ingreso fijo
+ * @param {number} chatId - ID del chat
+ * @param {number} id - ID del ingreso fijo
+ * @param {Object} changes - Campos a modificar
+ * @returns {Object|null} - Ingreso fijo actualizado o null si no existe
+ */
+function updateFixedIncome(chatId, id, changes) {
+  withAmountCurrency(chatId, changes);
+  storage.updateFixedIncome(chatId, id, changes);
+  return storage.getFixedIncomes(chatId).find(i => i.id === id) || null;
+}
+
+/**
+ * Elimina un ingreso fijo. Los ingresos ya registrados se conservan.
+ * @param {number} chatId - ID del chat
+ * @param {number} id - ID del ingreso fijo
+ * @returns {boolean} - true si existía
+ */
+function deleteFixedIncome(chatId, id) {
+  return storage.deleteFixedIncome(chatId, id);
+}
+
+/**
+ * Un monto nuevo sin moneda indicada está en la moneda base del chat
+ * @param {number} chatId - ID del chat
+ * @param {Object} changes - Campos a modificar de un gasto o ingreso fijo
+ */
+function withAmountCurrency(chatId, changes) {
+  if (changes.monto !== undefined && !changes.moneda) {
+    changes.moneda = getBaseCurrency(chatId);
+  }
+}
+
+/**
+ * Pausa o reanuda un gasto o ingreso fijo. Al reanudarlo no se registran los
+ * vencimientos que ocurrieron mientras estuvo pausado.
+ * @param {number} chatId - ID del chat
+ * @param {string} tipo - 'gasto_fijo' o 'ingreso_fijo'
+ * @param {number} id - ID del ítem
+ * @param {boolean} active - true para reanudar, false para pausar
+ * @returns {Object|null} - Ítem actualizado o null si no existe
+ */
+function setFixedActive(chatId, tipo, id, active) {
+  const changes = { activo: active };
+  
+  if (active) {
+    const today = dates.todayInTimezone(getChatTimezone(chatId));
+    changes.procesadoHasta = dates.addDays(today, -1);
+  }
+  
+  return tipo === 'gasto_fijo'
+    ? updateFixedExpense(chatId, id, changes)
+    : updateFixedIncome(chatId, id, changes);
+}
+
+/**
+ * Obtiene las metas financieras con sus montos convertidos a la moneda base
+ * del chat con la tasa de hoy
+ * @param {number} chatId - ID del chat
+ * @returns {Array} - Metas financieras
+ */
+function getGoals(chatId) {
+  const base = getBaseCurrency(chatId);
+  const today = dates.todayInTimezone(getChatTimezone(chatId));
+  
+  return storage.getGoals(chatId).map(goal => ({
+    ...goal,
+    montoObjetivo: convertAmount(goal.montoObjetivo, goal.moneda, base, today),
+    montoAcumulado: convertAmount(goal.montoAcumulado, goal.moneda, base, today),
+    moneda: base
+  }));
+}
+
+/**
+ * Crea una nueva meta financiera
+ * @param {number} chatId - ID del chat
+ * @param {Object} goal - Datos de la meta
+ * @returns {number} - ID de la meta
+ */
+function addGoal(chatId, goal) {
+  goal.moneda = goal.moneda || getBaseCurrency(chatId);
+  goal.id = storage.insertGoal(chatId, goal);
+  return goal.id;
+}
+
+/**
+ * Registra un aporte a una meta: actualiza el acumulado y guarda la
+ * transacción de ahorro en una sola operación atómica
+ * @param {number} chatId - ID del chat
+ * @param {number} goalId - ID de la meta
+ * @param {Object} data - Transacción de ahorro
+ * @returns {number} - ID de la transacción
+ */
+function contributeToGoal(chatId, goalId, data) {
+  // Guardar el ID de la meta para poder revertir el aporte si se edita o elimina
+  data.metaId = goalId;
+  data.moneda = data.moneda || getBaseCurrency(chatId);
+  
+  return storage.transaction(() => {
+    storage.addToGoal(chatId, goalId, toGoalCurrency(chatId, goalId, data.monto, data.moneda, data.fecha));
+    return registerTransaction(chatId, data);
+  });
+}
+
+/**
+ * Guarda la foto de un recibo en el archivo de imágenes
+ * @param {string} sourcePath - Imagen descargada
+ * @returns {string} - Hash de la imagen (se guarda en el campo recibo de la transacción)
+ */
+function archiveReceiptImage(sourcePath) {
+  const { hash, extension, bytes } = receiptArchive.store(config.receiptArchive.dir, sourcePath);
+  storage.saveReceiptImage(hash, extension, bytes);
+  return hash;
+}
+
+/**
+ * Obtiene la ruta de la foto del recibo de una transacción
+ * @param {number} chatId - ID del chat
+ * @param {number} id - ID de la transacción
+ * @returns {Object|null} - { transaction, path } (path es null si la foto ya no se conserva)
+ *   o null si la transacción no existe
+ */
+function getReceiptImage(chatId, id) {
+  const transaction = storage.getTransaction(chatId, id);
+  if (!transaction) return null;
+  
+  const image = transaction.recibo ? storage.getReceiptImage(transaction.recibo) : null;
+  const filePath = image ? receiptArchive.imagePath(config.receiptArchive.dir, image.hash, image.extension) : null;
+  
+  return { transaction, path: filePath && fs.existsSync(filePath) ? filePath : null };
+}
+
+/**
+ * Aplica la política de retención del archivo de recibos: borra las fotos
+ * sin movimiento, las de movimientos más antiguos que retentionDays y, si el
+ * archivo supera maxSizeMb, las más antiguas hasta volver al límite
+ * @param {string} today - Fecha actual yyyy-mm-dd
+ * @returns {Object} - { deleted, bytes } imágenes y bytes liberados
+ */
+function applyReceiptRetention(today) {
+  const { dir, retentionDays, maxSizeMb, orphanDays } = config.receiptArchive;
+  const toDelete = new Map();
+  
+  const orphanLimit = new Date(Date.now() - orphanDays * 24 * 60 * 60 * 1000).toISOString();
+  storage.getOrphanReceiptImages(orphanLimit).forEach(image => toDelete.set(image.hash, image));
+  
+  if (retentionDays > 0) {
+    storage.getExpiredReceiptImages(dates.addDays(today, -retentionDays)).forEach(image => toDelete.set(image.hash, image));
+  }
+  
+  if (maxSizeMb > 0) {
+    const images = storage.getReceiptImagesByAge().filter(image => !toDelete.has(image.hash));
+    let total = images.reduce((sum, image) => sum + image.bytes, 0);
+    for (const image of images) {
+      if (total <= maxSizeMb * 1024 * 1024) break;
+      toDelete.set(image.hash, image);
+      total -= image.bytes;
+    }
+  }
+  
+  let bytes = 0;
+  toDelete.forEach(image => {
+    receiptArchive.remove(dir, image.hash, image.extension);
+    storage.deleteReceiptImage(image.hash);
+    bytes += image.bytes;
+  });
+  
+  return { deleted: toDelete.size, bytes };
 }
 
 module.exports = {
   initDatabase,
-  loadDatabase,
-  saveDatabase,
-  registerTransaction
+  ensureChat,
+  getChatIds,
+  getChatTimezone,
+  setChatTimezone,
+  getBaseCurrency,
+  setBaseCurrency,
+  ensureExchangeRates,
+  convertAmount,
+  getReminder,
+  markReminderSent,
+  recordFixedTransaction,
+  setFixedProcessed,
+  registerTransaction,
+  importTransactions,
+  archiveReceiptImage,
+  getReceiptImage,
+  applyReceiptRetention,
+  getTransaction,
+  getLastTransaction,
+  updateTransaction,
+  deleteTransaction,
+  undoLastOperation,
+  countTransactions,
+  queryTransactions,
+  sumTransactions,
+  sumByCategory,
+  sumByType,
+  sumByDate,
+  getBudget,
+  setBudget,
+  DEFAULT_CATEGORY,
+  getCategories,
+  addCategory,
+  renameCategory,
+  mergeCategories,
+  deleteCategory,
+  setCategoryKeyword,
+  removeCategoryKeyword,
+  getFixedExpenses,
+  addFixedExpense,
+  updateFixedExpense,
+  deleteFixedExpense,
+  getFixedIncomes,
+  addFixedIncome,
+  updateFixedIncome,
+  deleteFixedIncome,
+  setFixedActive,
+  getGoals,
+  addGoal,
+  contributeToGoal
 };
\ No newline at end of file
@@ -10,7 +10,22 @@ const expenseController = require('./controllers/expenseController');
 const reportController = require('./controllers/reportController');
 const receiptController = require('./controllers/receiptController');
 const goalController = require('./controllers/goalController');
-const textProcessing = require('./utils/textProcessing');
+const voiceController = require('./controllers/voiceController');
+const transactionController = require('./controllers/transactionController');
+const reminderController = require('./controllers/reminderController');
+const recurringController = require('./controllers/recurringController');
+const fixedItemsController = require('./controllers/fixedItemsController');
+const categoryController = require('./controllers/categoryController');
+const clarificationController = require('./controllers/clarificationController');
+const batchController = require('./controllers/batchController');
+const queryController = require('./controllers/queryController');
+const chartController = require('./controllers/chartController');
+const exportController = require('./controllers/exportController');
+const importController = require('./controllers/importController');
+const pdfController = require('./controllers/pdfController');
+const dates = require('./utils/dates');
+const ocrPool = require('./utils/ocrPool');
+const extraction = require('./utils/extraction');
 
 // Configuración del bot de Telegram
 const token = process.env.TELEGRAM_BOT_TOKEN;
@@ -23,21 +38,125 @@ if (!fs.existsSync(config.dataDir)) fs.mkdirSync(config.dataDir);
 // Inicializar la base de datos
 database.initDatabase();
 
+// Tareas periódicas: primero se registran los gastos e ingresos fijos vencidos
+// para que los recordatorios no avisen pagos que ya quedaron registrados
+async function runScheduledTasks() {
+  try {
+    await recurringController.postDueTransactions(bot);
+    await reminderController.checkReminders(bot);
+    
+    // Política de retención del archivo de fotos de recibos
+    const { deleted, bytes } = database.applyReceiptRetention(dates.todayInTimezone(config.timezone));
+    if (deleted > 0) {
+      console.log(`Archivo de recibos: se borraron ${deleted} fotos (${(bytes / 1024 / 1024).toFixed(1)} MB)`);
+    }
+  } catch (error) {
+    console.error('Error en las tareas periódicas:', error);
+  }
+}
+
+runScheduledTasks();
+setInterval(runScheduledTasks, config.reminders.intervalMinutes * 60 * 1000);
+
+// Cargar los workers de OCR al arrancar para que la primera foto no espere
+ocrPool.start()
+  .then(count => console.log(`OCR: ${count} workers listos`))
+  .catch(error => console.error('Error iniciando los workers de OCR:', error));
+
+// Apagado ordenado: dejar de recibir mensajes y terminar los recibos en curso
+async function shutdown(signal) {
+  console.log(`${signal} recibido, deteniendo el bot...`);
+  try {
+    await bot.stopPolling();
+    await ocrPool.shutdown();
+  } catch (error) {
+    console.error('Error deteniendo el bot:', error);
+  }
+  process.exit(0);
+}
+
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+
 // Manejador principal de mensajes
 bot.on('message', async (msg) => {
   const chatId = msg.chat.id;
   
-  // Manejar imágenes (recibos)
-  if (msg.photo) {
-    await handlePhoto(msg, chatId);
-  } else if (msg.text) {
-    // Procesamiento de comandos y mensajes de texto
-    if (msg.text.startsWith('/')) {
-      handleCommands(msg, chatId);
-    } else {
-      processTextMessage(msg, chatId);
+  // Cada chat tiene sus propios datos; se crean la primera vez que escribe
+  database.ensureChat(chatId);
+  
+  try {
+    // Manejar imágenes (recibos)
+    if (msg.photo) {
+      await handlePhoto(msg, chatId);
+    } else if (msg.voice) {
+      // Manejar notas de voz
+      await handleVoice(msg, chatId);
+    } else if (msg.document) {
+      // Manejar extractos bancarios (CSV, OFX o QFX)
+      await handleDocument(msg, chatId);
+    } else if (msg.text) {
+      // Procesamiento de comandos y mensajes de texto
+      if (msg.text.startsWith('/')) {
+        await handleCommands(msg, chatId);
+      } else if (transactionController.hasPendingEdit(chatId)) {
+        // Respuesta a una edición de movimiento en curso
+        await transactionController.handlePendingEdit(msg, bot);
+      } else if (fixedItemsController.hasPendingEdit(chatId)) {
+        // Respuesta a una edición de gasto o ingreso fijo en curso
+        await fixedItemsController.handlePendingEdit(msg, bot);
+      } else if (receiptController.hasPendingField(chatId)) {
+        // Corrección de un dato de un recibo pendiente
+        await receiptController.handleFieldInput(msg, bot);
+      } else {
+        await processTextMessage(msg, chatId);
+      }
+    }
+  } catch (error) {
+    console.error('Error procesando el mensaje:', error);
+    bot.sendMessage(chatId, '❌ Hubo un error al procesar tu solicitud. Por favor, intenta nuevamente.');
+  }
+});
+
+// Manejador de botones en línea
+bot.on('callback_query', async (query) => {
+  const chatId = query.message.chat.id;
+  database.ensureChat(chatId);
+  
+  try {
+    const scope = query.data.split(':')[0];
+    
+    switch (scope) {
+      case 'tx':
+      case 'mov':
+        await transactionController.handleCallback(query, bot);
+        break;
+      case 'rcpt':
+        await receiptController.handleReviewCallback(query, bot);
+        break;
+      case 'rem':
+        await reminderController.handleCallback(query, bot);
+        break;
+      case 'fijo':
+        await fixedItemsController.handleCallback(query, bot);
+        break;
+      case 'imp':
+        await importController.handleCallback(query, bot);
+        break;
+      case 'lote':
+        await batchController.handleCallback(query, bot);
+        break;
+      case 'nlu':
+        await clarificationController.handleCallback(query, bot,
+          (msg, intent, entidades) => dispatchIntent(msg, msg.chat.id, intent, null, entidades));
+        break;
     }
+  } catch (error) {
+    console.error('Error procesando el botón:', error);
+    bot.sendMessage(chatId, '❌ Hubo un error al procesar tu solicitud. Por favor, intenta nuevamente.');
   }
+  
+  bot.answerCallbackQuery(query.id);
 });
 
 /**
@@ -46,30 +165,71 @@ bot.on('message', async (msg) => {
  * @param {number} chatId - ID del chat
  */
 async function handlePhoto(msg, chatId) {
-  bot.sendMessage(chatId, '📸 Procesando tu recibo...');
+  if (receiptController.isQueueFull(chatId)) {
+    bot.sendMessage(chatId, '⏳ Ya estoy leyendo varios recibos tuyos. Espera a que termine y vuelve a enviar la foto.');
+    return;
+  }
+  
+  const status = await bot.sendMessage(chatId, '📸 Recibí tu recibo, preparando la imagen...');
+  
+  // Mostrar en el mismo mensaje si el recibo está en cola o ya se está leyendo
+  const onStatus = ({ estado, posicion }) => {
+    const text = estado === 'en_cola'
+      ? `⏳ Tu recibo está en cola (posición ${posicion}). Lo leeré en cuanto haya turno.`
+      : '🔍 Leyendo tu recibo...';
+    bot.editMessageText(text, { chat_id: chatId, message_id: status.message_id }).catch(() => {});
+  };
   
   try {
-    // Procesar el recibo y enviar resultados
-    const receiptData = await receiptController.processReceiptPhoto(msg, bot, token);
-    
-    // Registrar la transacción
-    database.registerTransaction(receiptData);
-    
-    // Verificar si supera el porcentaje del presupuesto
-    const budgetAlert = expenseController.checkBudgetAlert(receiptData);
+    // Procesar el recibo
+    const receiptData = await receiptController.processReceiptPhoto(msg, bot, token, onStatus);
     
-    // Enviar resultados al usuario
-    let message = receiptController.formatReceiptData(receiptData);
+    // Mostrar los datos para revisión; se guarda solo al confirmar
+    await receiptController.startReview(chatId, receiptData, bot);
+  } catch (error) {
+    console.error('Error procesando la imagen:', error);
+    bot.sendMessage(chatId, '❌ Hubo un error al procesar tu recibo. Por favor, intenta nuevamente.');
+  }
+}
+
+/**
+ * Procesa notas de voz: transcribe el audio y lo trata como un mensaje de texto
+ * @param {Object} msg - Mensaje de Telegram
+ * @param {number} chatId - ID del chat
+ */
+async function handleVoice(msg, chatId) {
+  bot.sendMessage(chatId, '🎙️ Procesando tu nota de voz...');
+  
+  try {
+    const transcript = await voiceController.processVoiceMessage(msg, bot, token);
     
-    // Añadir alerta de presupuesto si es necesario
-    if (budgetAlert) {
-      message += `\n\n⚠️ *¡Alerta de presupuesto!* ${budgetAlert}`;
+    if (!transcript) {
+      bot.sendMessage(chatId, '❓ No pude entender la nota de voz. Intenta de nuevo o escribe el mensaje.');
+      return;
     }
     
-    bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    // Mostrar la transcripción para que el usuario pueda confirmarla
+    await bot.sendMessage(chatId, `🎙️ Escuché: "${transcript}"`);
+    
+    // Seguir el mismo flujo que un mensaje de texto
+    await processTextMessage({ ...msg, text: transcript }, chatId);
   } catch (error) {
-    console.error('Error procesando la imagen:', error);
-    bot.sendMessage(chatId, '❌ Hubo un error al procesar tu recibo. Por favor, intenta nuevamente.');
+    console.error('Error procesando la nota de voz:', error);
+    bot.sendMessage(chatId, '❌ Hubo un error al procesar tu nota de voz. Por favor, intenta nuevamente.');
+  }
+}
+
+/**
+ * Procesa extractos bancarios enviados como documento
+ * @param {Object} msg - Mensaje de Telegram
+ * @param {number} chatId - ID del chat
+ */
+async function handleDocument(msg, chatId) {
+  try {
+    await importController.processStatementDocument(msg, bot, token);
+  } catch (error) {
+    console.error('Error procesando el extracto:', error);
+    bot.sendMessage(chatId, '❌ Hubo un error al procesar tu extracto. Por favor, intenta nuevamente.');
   }
 }
 
@@ -78,23 +238,69 @@ async function handlePhoto(msg, chatId) {
  * @param {Object} msg - Mensaje de Telegram
  * @param {number} chatId - ID del chat
  */
-function processTextMessage(msg, chatId) {
+async function processTextMessage(msg, chatId) {
+  // Órdenes sobre categorías ("Crear categoría mascotas", "Agregar palabra café a snacks")
+  if (categoryController.isCategoryText(msg.text)) {
+    await categoryController.processCategoryText(msg, bot);
+    return;
+  }
+  
+  // Órdenes sobre gastos e ingresos fijos ("Agregar gasto fijo Netflix $35000 el día 3")
+  if (fixedItemsController.isFixedItemText(msg.text)) {
+    await fixedItemsController.processFixedItemText(msg, bot);
+    return;
+  }
+  
   // Procesar el texto para extraer información financiera
-  const intent = textProcessing.getIntent(msg.text);
+  const { intencion: intent, transaccion, transacciones, entidades, candidatas } = await extraction.extractText(msg.text, {
+    today: dates.todayInTimezone(database.getChatTimezone(chatId)),
+    categorias: categoryController.getCategoryNames(chatId),
+    rules: categoryController.getRules(chatId)
+  });
+  
+  // Si el clasificador no está seguro, preguntar antes de actuar
+  if (!intent && candidatas && candidatas.length > 0) {
+    await clarificationController.askIntent(msg, candidatas, entidades || {}, bot);
+    return;
+  }
+  
+  // Varios movimientos en un mismo mensaje se confirman juntos antes de guardarlos
+  if ((intent === 'gasto' || intent === 'ingreso') && transacciones && transacciones.length > 1) {
+    await batchController.confirmBatch(msg, transacciones, bot);
+    return;
+  }
   
+  await dispatchIntent(msg, chatId, intent, transaccion, entidades || {});
+}
+
+/**
+ * Ejecuta la acción de la intención identificada en un mensaje de texto
+ * @param {Object} msg - Mensaje de Telegram
+ * @param {number} chatId - ID del chat
+ * @param {string|null} intent - Intención del mensaje
+ * @param {Object|null} transaccion - Gasto o ingreso ya extraído (null para extraerlo de nuevo)
+ * @param {Object} entidades - Entidades del mensaje { monto, fecha, categoria, meta }
+ */
+async function dispatchIntent(msg, chatId, intent, transaccion, entidades) {
   switch (intent) {
     case 'gasto':
     case 'ingreso':
-      expenseController.processExpenseOrIncome(msg, intent, bot);
+      await expenseController.processExpenseOrIncome(msg, intent, bot, transaccion);
       break;
     case 'meta':
-      goalController.processGoal(msg, bot);
+      await goalController.processGoal(msg, bot, entidades);
       break;
     case 'reporte':
-      reportController.sendReport(msg, 'general', bot);
+      await sendReport(msg, 'general');
+      break;
+    case 'consulta':
+      await queryController.answerQuestion(msg, bot);
       break;
     case 'presupuesto':
-      expenseController.processBudget(msg, bot);
+      await expenseController.processBudget(msg, bot);
+      break;
+    case 'correccion':
+      await transactionController.correctLastTransaction(msg, entidades, bot);
       break;
     default:
       // No se identificó intención clara
@@ -104,24 +310,51 @@ function processTextMessage(msg, chatId) {
         '/start - Iniciar el bot\n' +
         '/help - Ver ayuda\n' +
         '/reporte - Ver reportes financieros\n' +
+        '/graficos - Ver gráficos de tus gastos e ingresos\n' +
+        '/exportar - Descargar tus movimientos en CSV y Excel\n' +
         '/metas - Ver tus metas financieras\n' +
         '/presupuesto - Ver tu presupuesto mensual\n\n' +
         'O puedes enviarme mensajes como:\n' +
         '- "Gasté $1500 en el supermercado ayer"\n' +
         '- "Recibí $500000 de proyecto freelance"\n' +
-        '- "Quiero ver mi reporte del mes"'
+        '- "Gasté 20 dólares en Amazon"\n' +
+        '- "Gasté 12000 en uber y 35000 en almuerzo ayer"\n' +
+        '- "Quiero ver mi reporte del mes"\n' +
+        '- "¿Cuánto gasté en restaurantes en marzo?"\n' +
+        '- "Me equivoqué, eran 45000"'
       );
   }
 }
 
+/**
+ * Envía un reporte y, si no se puede generar (por ejemplo, falta la tasa de
+ * cambio de algún movimiento), le explica al usuario el motivo
+ * @param {Object} msg - Mensaje de Telegram
+ * @param {string} reportType - Tipo de reporte (ver reportController.sendReport)
+ */
+async function sendReport(msg, reportType) {
+  try {
+    await reportController.sendReport(msg, reportType, bot);
+  } catch (error) {
+    console.error('Error generando el reporte:', error);
+    bot.sendMessage(msg.chat.id, `❌ No pude generar el reporte: ${error.message}. Intenta de nuevo más tarde.`);
+  }
+}
+
 /**
  * Maneja los comandos del bot
  * @param {Object} msg - Mensaje de Telegram
  * @param {number} chatId - ID del chat
  */
-function handleCommands(msg, chatId) {
+async function handleCommands(msg, chatId) {
   const command = msg.text.split(' ')[0].toLowerCase();
   
+  // Cualquier comando cancela una edición pendiente
+  const transactionEditCancelled = transactionController.cancelPendingEdit(chatId);
+  const receiptEditCancelled = receiptController.cancelPendingField(chatId);
+  const fixedEditCancelled = fixedItemsController.cancelPendingEdit(chatId);
+  const editCancelled = transactionEditCancelled || receiptEditCancelled || fixedEditCancelled;
+  
   switch (command) {
     case '/start':
       bot.sendMessage(chatId, 
@@ -129,6 +362,8 @@ function handleCommands(msg, chatId) {
         'Puedes enviarme:\n' +
         '- 📸 Fotos de recibos y facturas\n' +
         '- ✍️ Texto describiendo tus gastos o ingresos\n' +
+        '- 🎙️ Notas de voz dictando tus gastos\n' +
+        '- 🏦 Extractos bancarios en CSV u OFX para importarlos\n' +
         '- 🎯 Configurar y seguir tus metas financieras\n' +
         '- 📈 Solicitar reportes y análisis\n\n' +
         'Comandos disponibles:\n' +
@@ -136,8 +371,13 @@ function handleCommands(msg, chatId) {
         '/reporte - Ver reportes financieros\n' +
         '/metas - Ver tus metas financieras\n' +
         '/presupuesto - Ver tu presupuesto mensual\n' +
-        '/gastosfijos - Ver gastos fijos configurados\n' +
-        '/ingresos - Ver tus fuentes de ingreso\n\n' +
+        '/categorias - Ver y administrar tus categorías\n' +
+        '/gastosfijos - Ver y administrar tus gastos fijos\n' +
+        '/ingresos - Ver tus fuentes de ingreso\n' +
+        '/movimientos - Ver, editar o eliminar tus movimientos\n' +
+        '/deshacer - Revertir la última operación\n' +
+        '/zona_horaria - Ver o cambiar tu zona horaria\n' +
+        '/moneda - Ver o cambiar tu moneda base\n\n' +
         'Te ayudaré a organizar tus finanzas automáticamente.'
       );
       break;
@@ -147,37 +387,100 @@ function handleCommands(msg, chatId) {
         '📚 *Comandos disponibles:*\n\n' +
         '/start - Iniciar el bot\n' +
         '/reporte - Ver reportes financieros\n' +
-        '/reporte_semanal - Ver reporte de la última semana\n' +
-        '/reporte_mensual - Ver reporte del mes actual\n' +
+        '/reporte\\_semanal - Ver reporte de la última semana\n' +
+        '/reporte\\_mensual - Ver reporte del mes actual\n' +
+        '/reporte\\_comparativo - Comparar con el período anterior y el año pasado\n' +
+        '/graficos - Ver gráficos de tus gastos e ingresos\n' +
+        '/exportar - Descargar movimientos en CSV y Excel (ej: /exportar marzo)\n' +
+        '/estado\\_pdf - Descargar el estado de cuenta del mes en PDF (ej: /estado\\_pdf marzo)\n' +
         '/metas - Ver tus metas financieras\n' +
-        '/add_meta - Añadir nueva meta financiera\n' +
+        '/add\\_meta - Añadir nueva meta financiera\n' +
         '/presupuesto - Ver tu presupuesto mensual\n' +
-        '/gastosfijos - Ver gastos fijos configurados\n' +
-        '/ingresos - Ver tus fuentes de ingreso\n' +
-        '/add_ingreso - Registrar nuevo ingreso\n\n' +
+        '/categorias - Ver y administrar tus categorías de gasto\n' +
+        '/gastosfijos - Ver y administrar tus gastos fijos\n' +
+        '/add\\_gastofijo - Agregar un gasto fijo\n' +
+        '/ingresos - Ver y administrar tus fuentes de ingreso\n' +
+        '/add\\_ingreso - Agregar un ingreso fijo\n' +
+        '/movimientos - Ver, editar o eliminar tus movimientos\n' +
+        '/deshacer - Revertir la última operación\n' +
+        '/recibo - Ver la foto original del recibo de un movimiento (ej: /recibo 12)\n' +
+        '/zona\\_horaria - Ver o cambiar tu zona horaria\n' +
+        '/moneda - Ver o cambiar tu moneda base\n\n' +
+        '⏰ Te avisaré antes del vencimiento de tus gastos fijos.\n\n' +
         '📝 *Ejemplos de mensajes:*\n' +
         '- "Gasté $45000 en el supermercado"\n' +
         '- "Recibí $500000 de proyecto freelance"\n' +
+        '- "Gasté 12000 en uber y 35000 en almuerzo ayer" (o una lista con un gasto por línea)\n' +
         '- "Quiero ver mi reporte del mes"\n' +
-        '- "Destiné $50000 para mi meta de pantalla nueva"\n',
+        '- "Reporte del 1/03 al 15/04" o "Reporte Q1 2025"\n' +
+        '- "¿Cuál fue mi gasto más grande esta semana?" o "¿Cuánto llevo en Uber este año?"\n' +
+        '- "Comparativo de marzo"\n' +
+        '- "Destiné $50000 para mi meta de pantalla nueva"\n' +
+        '- "Agregar gasto fijo Netflix $35000 el día 3"\n' +
+        '- "Pausar gasto fijo Bodytech"\n' +
+        '- "Crear categoría mascotas con palabras veterinario, concentrado"\n\n' +
+        '🎙️ También puedes enviar notas de voz con el mismo contenido.\n\n' +
+        '🏦 Envía tu extracto bancario en CSV, OFX o QFX para importar los movimientos. ' +
+        'Te mostraré una vista previa y omitiré los que ya registraste. Si no reconozco las columnas del CSV, ' +
+        'indícalas en el texto del archivo: "fecha=Fecha Op, monto=Valor, concepto=Detalle".\n',
         { parse_mode: 'Markdown' }
       );
       break;
       
     case '/reporte':
-      reportController.sendReport(msg, 'general', bot);
+      await sendReport(msg, 'general');
       break;
       
     case '/reporte_semanal':
-      reportController.sendReport(msg, 'semanal', bot);
+      await sendReport(msg, 'semanal');
       break;
       
     case '/reporte_mensual':
-      reportController.sendReport(msg, 'mensual', bot);
+      await sendReport(msg, 'mensual');
+      break;
+      
+    case '/reporte_comparativo':
+      await sendReport(msg, 'comparativo');
+      break;
+      
+    case '/graficos':
+      try {
+        await chartController.sendCharts(msg, bot);
+      } catch (error) {
+        console.error('Error enviando los gráficos:', error);
+        bot.sendMessage(chatId, '❌ No pude generar tus gráficos. Por favor, intenta nuevamente.');
+      }
+      break;
+      
+    case '/recibo':
+      try {
+        await receiptController.sendReceiptImage(msg, bot);
+      } catch (error) {
+        console.error('Error enviando la foto del recibo:', error);
+        bot.sendMessage(chatId, '❌ No pude enviarte la foto del recibo. Por favor, intenta nuevamente.');
+      }
+      break;
+      
+    case '/estado_pdf':
+      try {
+        await pdfController.sendStatementPdf(msg, bot);
+      } catch (error) {
+        console.error('Error generando el estado de cuenta:', error);
+        bot.sendMessage(chatId, '❌ No pude generar tu estado de cuenta en PDF. Por favor, intenta nuevamente.');
+      }
+      break;
+      
+    case '/exportar':
+      try {
+        await exportController.exportData(msg, bot);
+      } catch (error) {
+        console.error('Error exportando los movimientos:', error);
+        bot.sendMessage(chatId, '❌ No pude generar los archivos de exportación. Por favor, intenta nuevamente.');
+      }
       break;
       
     case '/metas':
-      goalController.sendGoalsStatus(chatId, bot);
+      await goalController.sendGoalsStatus(chatId, bot);
       break;
       
     case '/add_meta':
@@ -191,7 +494,16 @@ function handleCommands(msg, chatId) {
       break;
       
     case '/presupuesto':
-      expenseController.sendBudgetStatus(chatId, bot);
+      try {
+        await expenseController.sendBudgetStatus(chatId, bot);
+      } catch (error) {
+        console.error('Error enviando el presupuesto:', error);
+        bot.sendMessage(chatId, '❌ No pude mostrar tu presupuesto. Por favor, intenta nuevamente.');
+      }
+      break;
+      
+    case '/categorias':
+      await categoryController.sendCategories(chatId, bot);
       break;
       
     case '/gastosfijos':
@@ -202,14 +514,37 @@ function handleCommands(msg, chatId) {
       expenseController.sendIncomeStatus(chatId, bot);
       break;
       
+    case '/add_gastofijo':
+      await fixedItemsController.processAddCommand(msg, 'g', bot);
+      break;
+      
     case '/add_ingreso':
-      bot.sendMessage(chatId, 
-        '💰 *Registrar nuevo ingreso*\n\n' +
-        'Por favor, envía un mensaje con el siguiente formato:\n' +
-        '"Ingreso: [concepto], Monto: $[cantidad]"\n\n' +
-        'Ejemplo: "Ingreso: Proyecto diseño web, Monto: $450000"',
-        { parse_mode: 'Markdown' }
-      );
+      await fixedItemsController.processAddCommand(msg, 'i', bot);
+      break;
+      
+    case '/movimientos':
+      await transactionController.sendTransactionList(chatId, bot);
+      break;
+      
+    case '/deshacer':
+      transactionController.undoLastOperation(chatId, bot);
+      break;
+      
+    case '/zona_horaria':
+      reminderController.setTimezone(msg, bot);
+      break;
+      
+    case '/moneda':
+      try {
+        await expenseController.setBaseCurrency(msg, bot);
+      } catch (error) {
+        console.error('Error cambiando la moneda base:', error);
+        bot.sendMessage(chatId, '❌ No pude cambiar tu moneda base; tus montos no se modificaron. Intenta de nuevo más tarde.');
+      }
+      break;
+      
+    case '/cancelar':
+      bot.sendMessage(chatId, editCancelled ? '✖️ Edición cancelada.' : 'ℹ️ No hay nada que cancelar.');
       break;
       
     default:
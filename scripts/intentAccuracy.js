@@ -0,0 +1,116 @@
+// Mide la precisión del clasificador de intenciones y de las entidades extraídas
+// con frases que no están en el corpus de entrenamiento, y la compara con la
+// detección por palabras clave (textProcessing.getIntent).
+//
+// Uso:
+//   npm run nlu:accuracy                  resumen por intención y por entidad
+//   npm run nlu:accuracy -- --detalle     además, cada frase mal clasificada
+//   npm run nlu:accuracy -- --minimo 0.8  precisión mínima (por defecto 0.9)
+//
+// Termina con código 1 si la precisión del clasificador queda por debajo del mínimo,
+// para poder usarlo como verificación después de cambiar el corpus.
+//
+// Las frases están en fixtures/intents/evaluation.json:
+// [{ texto, intencion, entidades: { monto, fecha, categoria, meta } }]
+// Las fechas relativas ("ayer") se calculan desde TODAY.
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const textUtils = require('../utils/textProcessing');
+const intentClassifier = require('../utils/intentClassifier');
+
+const FIXTURES_FILE = path.join(__dirname, '..', 'fixtures', 'intents', 'evaluation.json');
+const TODAY = '2025-03-20';
+const ENTITIES = ['monto', 'fecha', 'categoria', 'meta'];
+
+/**
+ * Porcentaje con formato
+ * @param {number} hits - Aciertos
+ * @param {number} total - Muestras
+ * @returns {string}
+ */
+function percent(hits, total) {
+  return total > 0 ? `${hits}/${total} (${Math.round(hits / total * 100)}%)`.padEnd(14) : '-'.padEnd(14);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const detail = args.includes('--detalle');
+  const minIndex = args.indexOf('--minimo');
+  const minimum = minIndex >= 0 ? Number(args[minIndex + 1]) : 0.9;
+  const samples = JSON.parse(fs.readFileSync(FIXTURES_FILE, 'utf8'));
+  
+  const started = Date.now();
+  await intentClassifier.train();
+  const trainSeconds = (Date.now() - started) / 1000;
+  
+  const byIntent = {};
+  const entityHits = Object.fromEntries(ENTITIES.map(name => [name, { hits: 0, total: 0 }]));
+  let hits = 0;
+  let confidentHits = 0;
+  let clarifications = 0;
+  let baselineHits = 0;
+  
+  for (const sample of samples) {
+    const result = await intentClassifier.classify(sample.texto, { today: TODAY });
+    const predicted = result.alternativas.length > 0 ? result.alternativas[0].intencion : 'ninguna';
+    const confident = result.confianza >= config.nlu.threshold;
+    const baseline = textUtils.getIntent(sample.texto) || 'ninguna';
+    
+    const stats = byIntent[sample.intencion] || (byIntent[sample.intencion] = { total: 0, hits: 0, baseline: 0 });
+    stats.total++;
+    
+    if (predicted === sample.intencion) {
+      hits++;
+      stats.hits++;
+      if (confident) confidentHits++;
+    }
+    if (!confident) clarifications++;
+    if (baseline === sample.intencion) {
+      baselineHits++;
+      stats.baseline++;
+    }
+    
+    if (detail && (predicted !== sample.intencion || !confident)) {
+      console.log(`${predicted === sample.intencion ? '✓' : '✗'} "${sample.texto}": esperada ${sample.intencion}, `
+        + `obtenida ${predicted} (${result.confianza.toFixed(2)}), palabras clave: ${baseline}`);
+    }
+    
+    Object.entries(sample.entidades || {}).forEach(([name, expected]) => {
+      const value = result.entidades[name];
+      const ok = name === 'meta'
+        ? textUtils.normalizeText(value) === textUtils.normalizeText(expected)
+        : value === expected;
+      entityHits[name].total++;
+      if (ok) {
+        entityHits[name].hits++;
+      } else if (detail) {
+        console.log(`✗ "${sample.texto}": ${name} esperado ${expected}, obtenido ${value}`);
+      }
+    });
+  }
+  
+  const total = samples.length;
+  console.log(`\nClasificación de intenciones en ${total} frases (entrenamiento: ${trainSeconds.toFixed(1)} s)\n`);
+  console.log(`${'Intención'.padEnd(14)}${'Modelo'.padEnd(14)}Palabras clave`);
+  Object.entries(byIntent).forEach(([intent, stats]) => {
+    console.log(`${intent.padEnd(14)}${percent(stats.hits, stats.total)}${percent(stats.baseline, stats.total)}`);
+  });
+  console.log(`${'Total'.padEnd(14)}${percent(hits, total)}${percent(baselineHits, total)}`);
+  
+  console.log(`\nCon confianza suficiente (${config.nlu.threshold}): ${percent(confidentHits, total).trim()}; `
+    + `se pediría aclarar ${clarifications} frases`);
+  
+  console.log(`\n${'Entidad'.padEnd(14)}Aciertos`);
+  ENTITIES.forEach(name => console.log(`${name.padEnd(14)}${percent(entityHits[name].hits, entityHits[name].total)}`));
+  
+  if (hits / total < minimum) {
+    console.error(`\nLa precisión del clasificador (${(hits / total).toFixed(2)}) está por debajo del mínimo ${minimum}`);
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error('Error midiendo la precisión del clasificador:', error);
+  process.exit(1);
+});
\ No newline at end of file
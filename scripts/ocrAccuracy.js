@@ -0,0 +1,129 @@
+// Mide la precisión de la extracción de recibos (total, fecha y comercio) con
+// y sin cada paso del preprocesamiento de imágenes.
+//
+// Uso (desde la raíz del proyecto, donde está spa.traineddata):
+//   npm run ocr:accuracy                 sin preprocesamiento frente a todos los pasos
+//   npm run ocr:accuracy -- --pasos      además, todos los pasos menos uno, para cada paso
+//   npm run ocr:accuracy -- --detalle    muestra lo extraído de cada recibo
+//
+// Las muestras están en fixtures/receipts: imágenes (JPG/PNG) o SVG, que se
+// convierten a JPEG antes del OCR, y expected.json con los valores correctos.
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const config = require('../config');
+const money = require('../utils/money');
+const textUtils = require('../utils/textProcessing');
+const { STEPS } = require('../utils/imagePreprocessing');
+const ocrPool = require('../utils/ocrPool');
+const { processReceipt } = require('../controllers/receiptController');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'receipts');
+
+/**
+ * Configuraciones de preprocesamiento a comparar
+ * @param {boolean} ablation - Incluir las variantes sin un paso
+ * @returns {Array} - [{ nombre, preprocessing }]
+ */
+function buildConfigurations(ablation) {
+  const base = config.ocr.preprocessing;
+  const allSteps = value => Object.fromEntries(STEPS.map(step => [step, value]));
+  
+  const configurations = [
+    { nombre: 'sin preprocesamiento', preprocessing: { ...base, ...allSteps(false) } },
+    { nombre: 'todos los pasos', preprocessing: { ...base, ...allSteps(true) } }
+  ];
+  
+  if (ablation) {
+    STEPS.forEach(step => {
+      configurations.push({ nombre: `sin ${step}`, preprocessing: { ...base, ...allSteps(true), [step]: false } });
+    });
+  }
+  
+  return configurations;
+}
+
+/**
+ * Prepara la imagen de una muestra (los SVG se convierten a JPEG como una foto)
+ * @param {string} archivo - Nombre del archivo en fixtures/receipts
+ * @returns {Promise<string>} - Ruta de la imagen lista para el OCR
+ */
+async function fixtureImage(archivo) {
+  const source = path.join(FIXTURES_DIR, archivo);
+  if (path.extname(archivo).toLowerCase() !== '.svg') return source;
+  
+  const target = path.join(config.tempDir, `muestra_${path.basename(archivo, '.svg')}.jpg`);
+  await sharp(source, { density: 144 }).flatten({ background: '#ffffff' }).jpeg({ quality: 70 }).toFile(target);
+  return target;
+}
+
+/**
+ * Compara lo extraído de un recibo con los valores esperados
+ * @param {Object} data - Resultado de processReceipt
+ * @param {Object} expected - { total, fecha, comercio }
+ * @returns {Object} - { total, fecha, comercio } con true si coincide
+ */
+function compare(data, expected) {
+  const merchant = textUtils.normalizeText(data.concepto).replace(/\s+/g, ' ');
+  const expectedMerchant = textUtils.normalizeText(expected.comercio);
+  
+  return {
+    total: data.monto !== null && data.monto === money.parseAmount(expected.total),
+    fecha: data.fecha === expected.fecha,
+    comercio: merchant.includes(expectedMerchant)
+  };
+}
+
+/**
+ * Porcentaje con formato
+ * @param {number} hits - Aciertos
+ * @param {number} total - Muestras
+ * @returns {string}
+ */
+function percent(hits, total) {
+  return `${hits}/${total} (${Math.round(hits / total * 100)}%)`.padEnd(12);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const detail = args.includes('--detalle');
+  const fixtures = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'expected.json'), 'utf8'));
+  fs.mkdirSync(config.tempDir, { recursive: true });
+  
+  const images = [];
+  for (const fixture of fixtures) images.push(await fixtureImage(fixture.archivo));
+  
+  const results = [];
+  for (const configuration of buildConfigurations(args.includes('--pasos'))) {
+    const hits = { total: 0, fecha: 0, comercio: 0 };
+    const started = Date.now();
+    
+    for (let i = 0; i < fixtures.length; i++) {
+      const data = await processReceipt(images[i], { preprocessing: configuration.preprocessing });
+      const check = compare(data, fixtures[i]);
+      Object.keys(hits).forEach(field => { if (check[field]) hits[field]++; });
+      
+      if (detail) {
+        console.log(`[${configuration.nombre}] ${fixtures[i].archivo}: total=${data.monto} ${check.total ? '✓' : '✗'}`
+          + ` fecha=${data.fecha} ${check.fecha ? '✓' : '✗'} comercio="${data.concepto}" ${check.comercio ? '✓' : '✗'}`);
+      }
+    }
+    
+    results.push({ ...configuration, hits, segundos: (Date.now() - started) / 1000 });
+  }
+  
+  images.filter(image => image.startsWith(config.tempDir)).forEach(image => fs.unlinkSync(image));
+  await ocrPool.shutdown();
+  
+  console.log(`\nPrecisión de la extracción en ${fixtures.length} recibos\n`);
+  console.log(`${'Configuración'.padEnd(22)}${'Total'.padEnd(12)}${'Fecha'.padEnd(12)}${'Comercio'.padEnd(12)}Tiempo`);
+  results.forEach(result => {
+    console.log(`${result.nombre.padEnd(22)}${percent(result.hits.total, fixtures.length)}`
+      + `${percent(result.hits.fecha, fixtures.length)}${percent(result.hits.comercio, fixtures.length)}${result.segundos.toFixed(1)} s`);
+  });
+}
+
+main().catch(error => {
+  console.error('Error midiendo la precisión del OCR:', error);
+  process.exit(1);
+});
\ No newline at end of file
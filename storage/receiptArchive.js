@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Archivo de imágenes direccionado por contenido: cada imagen se guarda en
+// <dir>/<2 primeros caracteres del hash>/<hash>.<extensión>, así la misma foto
+// enviada dos veces ocupa espacio una sola vez
+
+/**
+ * Ruta de una imagen del archivo
+ * @param {string} dir - Directorio del archivo
+ * @param {string} hash - SHA-256 del contenido
+ * @param {string} extension - Extensión sin punto
+ * @returns {string}
+ */
+function imagePath(dir, hash, extension) {
+  return path.join(dir, hash.slice(0, 2), `${hash}.${extension}`);
+}
+
+/**
+ * Copia una imagen al archivo (si no estaba)
+ * @param {string} dir - Directorio del archivo
+ * @param {string} sourcePath - Imagen a guardar
+ * @returns {Object} - { hash, extension, bytes }
+ */
+function store(dir, sourcePath) {
+  const content = fs.readFileSync(sourcePath);
+  const hash = crypto.createHash('sha256').update(content).digest('hex');
+  const extension = (path.extname(sourcePath).slice(1) || 'jpg').toLowerCase();
+  const destPath = imagePath(dir, hash, extension);
+  
+  if (!fs.existsSync(destPath)) {
+    fs.mkdirSync(path.dirname(destPath), { recursive: true });
+    // Escribir con otro nombre y renombrar para no dejar imágenes a medias
+    fs.writeFileSync(`${destPath}.tmp`, content);
+    fs.renameSync(`${destPath}.tmp`, destPath);
+  }
+  
+  return { hash, extension, bytes: content.length };
+}
+
+/**
+ * Borra una imagen del archivo
+ * @param {string} dir - Directorio del archivo
+ * @param {string} hash - SHA-256 del contenido
+ * @param {string} extension - Extensión sin punto
+ */
+function remove(dir, hash, extension) {
+  const filePath = imagePath(dir, hash, extension);
+  if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+}
+
+module.exports = {
+  imagePath,
+  store,
+  remove
+};
\ No newline at end of file
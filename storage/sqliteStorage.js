@@ -0,0 +1,821 @@
+const Database = require('better-sqlite3');
+const config = require('../config');
+const money = require('../utils/money');
+
+// Columnas propias de la tabla de transacciones; el resto de campos se guarda en "extra"
+const TRANSACTION_COLUMNS = ['tipo', 'monto', 'moneda', 'fecha', 'concepto', 'categoria', 'meta', 'items', 'texto_completo', 'timestamp', 'recibo'];
+
+// Migraciones del esquema, aplicadas en orden según PRAGMA user_version
+const MIGRATIONS = [
+  // 1: esquema inicial
+  `
+    CREATE TABLE IF NOT EXISTS transactions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tipo TEXT NOT NULL,
+      monto NUMERIC,
+      fecha TEXT NOT NULL,
+      concepto TEXT,
+      categoria TEXT,
+      meta TEXT,
+      items TEXT,
+      texto_completo TEXT,
+      timestamp TEXT,
+      extra TEXT
+    );
+    
+    CREATE TABLE IF NOT EXISTS fixed_expenses (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      nombre TEXT NOT NULL,
+      monto NUMERIC NOT NULL,
+      categoria TEXT,
+      fecha_pago INTEGER NOT NULL
+    );
+    
+    CREATE TABLE IF NOT EXISTS fixed_incomes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      nombre TEXT NOT NULL,
+      monto NUMERIC NOT NULL,
+      fecha_ingreso INTEGER NOT NULL,
+      frecuencia TEXT
+    );
+    
+    CREATE TABLE IF NOT EXISTS goals (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      nombre TEXT NOT NULL,
+      monto_objetivo NUMERIC NOT NULL,
+      monto_acumulado NUMERIC NOT NULL DEFAULT 0,
+      fecha TEXT
+    );
+    
+    CREATE TABLE IF NOT EXISTS budget (
+      categoria TEXT PRIMARY KEY,
+      monto NUMERIC NOT NULL
+    );
+    
+    CREATE TABLE IF NOT EXISTS settings (
+      key TEXT PRIMARY KEY,
+      value TEXT
+    );
+  `,
+  // 2: datos separados por chat de Telegram
+  `
+    CREATE TABLE chats (
+      chat_id INTEGER PRIMARY KEY,
+      created_at TEXT NOT NULL
+    );
+    
+    ALTER TABLE transactions ADD COLUMN chat_id INTEGER;
+    ALTER TABLE fixed_expenses ADD COLUMN chat_id INTEGER;
+    ALTER TABLE fixed_incomes ADD COLUMN chat_id INTEGER;
+    ALTER TABLE goals ADD COLUMN chat_id INTEGER;
+    
+    CREATE TABLE budget_by_chat (
+      chat_id INTEGER,
+      categoria TEXT NOT NULL,
+      monto NUMERIC NOT NULL,
+      UNIQUE (chat_id, categoria)
+    );
+    INSERT INTO budget_by_chat (chat_id, categoria, monto) SELECT NULL, categoria, monto FROM budget;
+    DROP TABLE budget;
+    ALTER TABLE budget_by_chat RENAME TO budget;
+    
+    DROP INDEX IF EXISTS idx_transactions_fecha;
+    DROP INDEX IF EXISTS idx_transactions_tipo_fecha;
+    DROP INDEX IF EXISTS idx_transactions_categoria_fecha;
+    CREATE INDEX idx_transactions_chat_fecha ON transactions (chat_id, fecha);
+    CREATE INDEX idx_transactions_chat_tipo_fecha ON transactions (chat_id, tipo, fecha);
+    CREATE INDEX idx_transactions_chat_categoria_fecha ON transactions (chat_id, categoria, fecha);
+    CREATE INDEX idx_fixed_expenses_chat ON fixed_expenses (chat_id);
+    CREATE INDEX idx_fixed_incomes_chat ON fixed_incomes (chat_id);
+    CREATE INDEX idx_goals_chat ON goals (chat_id);
+  `,
+  // 3: historial de operaciones para deshacer cambios
+  `
+    CREATE TABLE operations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      chat_id INTEGER NOT NULL,
+      tipo TEXT NOT NULL,
+      transaction_id INTEGER NOT NULL,
+      antes TEXT,
+      despues TEXT,
+      created_at TEXT NOT NULL,
+      undone_at TEXT
+    );
+    CREATE INDEX idx_operations_chat ON operations (chat_id, id);
+  `,
+  // 4: zona horaria por chat y recordatorios enviados
+  `
+    ALTER TABLE chats ADD COLUMN timezone TEXT;
+    
+    CREATE TABLE reminders (
+      chat_id INTEGER NOT NULL,
+      tipo TEXT NOT NULL,
+      item_id INTEGER NOT NULL,
+      due_date TEXT NOT NULL,
+      sent_at TEXT,
+      transaction_id INTEGER,
+      PRIMARY KEY (chat_id, tipo, item_id, due_date)
+    );
+  `,
+  // 5: frecuencia y avance del registro automático de gastos e ingresos fijos
+  `
+    ALTER TABLE fixed_expenses ADD COLUMN frecuencia TEXT NOT NULL DEFAULT 'mensual';
+    ALTER TABLE fixed_expenses ADD COLUMN fecha_inicio TEXT;
+    ALTER TABLE fixed_expenses ADD COLUMN procesado_hasta TEXT;
+    ALTER TABLE fixed_incomes ADD COLUMN fecha_inicio TEXT;
+    ALTER TABLE fixed_incomes ADD COLUMN procesado_hasta TEXT;
+    
+    UPDATE fixed_expenses SET fecha_inicio = date('now') WHERE fecha_inicio IS NULL;
+    UPDATE fixed_incomes SET fecha_inicio = date('now') WHERE fecha_inicio IS NULL;
+  `,
+  // 6: gastos e ingresos fijos pausados
+  `
+    ALTER TABLE fixed_expenses ADD COLUMN activo INTEGER NOT NULL DEFAULT 1;
+    ALTER TABLE fixed_incomes ADD COLUMN activo INTEGER NOT NULL DEFAULT 1;
+  `,
+  // 7: categorías y palabras clave propias de cada chat
+  `
+    CREATE TABLE categories (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      chat_id INTEGER NOT NULL,
+      nombre TEXT NOT NULL,
+      UNIQUE (chat_id, nombre)
+    );
+    
+    CREATE TABLE category_keywords (
+      chat_id INTEGER NOT NULL,
+      keyword TEXT NOT NULL,
+      categoria_id INTEGER NOT NULL REFERENCES categories (id) ON DELETE CASCADE,
+      aprendida INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (chat_id, keyword)
+    );
+  `,
+  // 8: montos como enteros en centavos (repara los montos guardados como texto)
+  repairAmounts,
+  // 9: moneda de cada transacción, moneda base por chat y tasas de cambio por fecha
+  db => {
+    db.exec(`
+      ALTER TABLE transactions ADD COLUMN moneda TEXT;
+      ALTER TABLE chats ADD COLUMN moneda_base TEXT;
+      
+      CREATE TABLE exchange_rates (
+        fecha TEXT NOT NULL,
+        moneda TEXT NOT NULL,
+        tasa REAL NOT NULL,
+        fuente TEXT,
+        PRIMARY KEY (fecha, moneda)
+      );
+    `);
+    
+    // Los movimientos anteriores se registraron en la moneda por defecto
+    db.prepare('UPDATE transactions SET moneda = ?').run(config.currency.base);
+  },
+  // 10: archivo de imágenes de recibos (por hash del contenido) enlazadas a las transacciones
+  `
+    ALTER TABLE transactions ADD COLUMN recibo TEXT;
+    
+    CREATE TABLE receipt_images (
+      hash TEXT PRIMARY KEY,
+      extension TEXT NOT NULL,
+      bytes INTEGER NOT NULL,
+      created_at TEXT NOT NULL
+    );
+  `,
+  // 11: moneda propia de presupuestos, metas y gastos e ingresos fijos (se convierten al leerlos)
+  db => {
+    ['budget', 'goals', 'fixed_expenses', 'fixed_incomes'].forEach(table => {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN moneda TEXT`);
+      
+      // Hasta ahora estaban en la moneda base de su chat
+      db.prepare(`
+        UPDATE ${table} SET moneda = coalesce((SELECT moneda_base FROM chats WHERE chats.chat_id = ${table}.chat_id), ?)
+      `).run(config.currency.base);
+    });
+  }
+];
+
+// Campos de una transacción que el usuario puede modificar
+const EDITABLE_FIELDS = ['monto', 'moneda', 'categoria', 'fecha', 'concepto'];
+
+// Columnas modificables de gastos e ingresos fijos (campo -> columna)
+const FIXED_EXPENSE_COLUMNS = {
+  nombre: 'nombre',
+  monto: 'monto',
+  moneda: 'moneda',
+  categoria: 'categoria',
+  fechaPago: 'fecha_pago',
+  frecuencia: 'frecuencia',
+  fechaInicio: 'fecha_inicio',
+  procesadoHasta: 'procesado_hasta',
+  activo: 'activo'
+};
+const FIXED_INCOME_COLUMNS = {
+  nombre: 'nombre',
+  monto: 'monto',
+  moneda: 'moneda',
+  fechaIngreso: 'fecha_ingreso',
+  frecuencia: 'frecuencia',
+  fechaInicio: 'fecha_inicio',
+  procesadoHasta: 'procesado_hasta',
+  activo: 'activo'
+};
+
+// Columnas con montos en centavos (tabla -> columnas)
+const AMOUNT_COLUMNS = {
+  transactions: ['monto'],
+  fixed_expenses: ['monto'],
+  fixed_incomes: ['monto'],
+  goals: ['monto_objetivo', 'monto_acumulado'],
+  budget: ['monto']
+};
+
+// Tablas con datos propios de cada chat
+const CHAT_TABLES = ['transactions', 'fixed_expenses', 'fixed_incomes', 'goals', 'budget'];
+
+/**
+ * Aplica las migraciones pendientes del esquema. Cada migración es SQL o una
+ * función que recibe la conexión (para cambios que requieren procesar datos).
+ * @param {Object} db - Conexión de better-sqlite3
+ */
+function migrate(db) {
+  const version = db.pragma('user_version', { simple: true });
+  
+  MIGRATIONS.slice(version).forEach((migration, index) => {
+    db.transaction(() => {
+      if (typeof migration === 'function') {
+        migration(db);
+      } else {
+        db.exec(migration);
+      }
+      db.pragma(`user_version = ${version + index + 1}`);
+    })();
+  });
+}
+
+/**
+ * Migración de montos: las versiones anteriores guardaban textos como
+ * "1.500.000" (que luego se leían como 1.5) y montos con decimales en pesos.
+ * Convierte todos los montos a enteros en centavos y repara los montos de las
+ * copias de transacciones guardadas para /deshacer (que quedan en pesos).
+ * @param {Object} db - Conexión de better-sqlite3
+ */
+function repairAmounts(db) {
+  Object.entries(AMOUNT_COLUMNS).forEach(([table, columns]) => {
+    const rows = db.prepare(`SELECT rowid AS row_id, ${columns.join(', ')} FROM ${table}`).all();
+    const update = db.prepare(`UPDATE ${table} SET ${columns.map(c => `${c} = @${c}`).join(', ')} WHERE rowid = @row_id`);
+    
+    rows.forEach(row => {
+      const params = { row_id: row.row_id };
+      columns.forEach(column => {
+        // Un texto que no es un monto queda en cero
+        const minor = money.toMinorUnits(row[column]);
+        params[column] = minor === null && row[column] !== null ? 0 : minor;
+      });
+      update.run(params);
+    });
+  });
+  
+  const repairSnapshot = json => {
+    if (!json) return json;
+    const snapshot = JSON.parse(json);
+    if (snapshot.monto !== undefined) snapshot.monto = money.parseAmount(snapshot.monto);
+    return JSON.stringify(snapshot);
+  };
+  
+  const update = db.prepare('UPDATE operations SET antes = ?, despues = ? WHERE id = ?');
+  db.prepare('SELECT id, antes, despues FROM operations').all().forEach(row => {
+    update.run(repairSnapshot(row.antes), repairSnapshot(row.despues), row.id);
+  });
+}
+
+/**
+ * Verifica que la operación esté asociada a un chat
+ * @param {number} chatId - ID del chat
+ */
+function requireChat(chatId) {
+  if (chatId === undefined || chatId === null) {
+    throw new Error('Se requiere el ID del chat para acceder a los datos');
+  }
+}
+
+/**
+ * Fecha actual en formato yyyy-mm-dd (valor por defecto de fechas de inicio)
+ * @returns {string}
+ */
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Abre (o crea) la base de datos SQLite y devuelve los métodos de acceso
+ * @param {string} filePath - Ruta del archivo SQLite
+ * @returns {Object} - Backend de almacenamiento
+ */
+function open(filePath) {
+  const db = new Database(filePath);
+  
+  // WAL permite escrituras atómicas sin bloquear las lecturas
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  migrate(db);
+  
+  /**
+   * Construye la cláusula WHERE para un filtro de transacciones de un chat
+   * @param {number} chatId - ID del chat
+   * @param {Object} filter - Filtro (tipo, tipos, categoria, desde, hasta, excludeConcepto)
+   * @returns {Object} - { where, params }
+   */
+  function buildWhere(chatId, filter = {}) {
+    requireChat(chatId);
+    
+    const clauses = ['chat_id = @chatId'];
+    const params = { chatId };
+    
+    if (filter.tipo) {
+      clauses.push('tipo = @tipo');
+      params.tipo = filter.tipo;
+    }
+    if (filter.tipos && filter.tipos.length > 0) {
+      const names = filter.tipos.map((tipo, i) => {
+        params[`tipo${i}`] = tipo;
+        return `@tipo${i}`;
+      });
+      clauses.push(`tipo IN (${names.join(', ')})`);
+    }
+    if (filter.categoria) {
+      clauses.push('categoria = @categoria');
+      params.categoria = filter.categoria;
+    }
+    if (filter.desde) {
+      clauses.push('fecha >= @desde');
+      params.desde = filter.desde;
+    }
+    if (filter.hasta) {
+      clauses.push('fecha <= @hasta');
+      params.hasta = filter.hasta;
+    }
+    if (filter.excludeConcepto) {
+      clauses.push("lower(coalesce(concepto, '')) NOT LIKE @excludeConcepto");
+      params.excludeConcepto = `%${filter.excludeConcepto.toLowerCase()}%`;
+    }
+    
+    return {
+      where: `WHERE ${clauses.join(' AND ')}`,
+      params
+    };
+  }
+  
+  /**
+   * Inserta una transacción
+   * @param {number|null} chatId - ID del chat (null solo para datos heredados sin dueño)
+   * @param {Object} data - Datos de la transacción
+   * @returns {number} - ID asignado
+   */
+  function insertTransaction(chatId, data) {
+    const extra = {};
+    Object.keys(data).forEach(key => {
+      if (key !== 'id' && key !== 'chatId' && !TRANSACTION_COLUMNS.includes(key)) extra[key] = data[key];
+    });
+    
+    // Si la transacción ya tiene ID (al restaurarla con /deshacer) se conserva
+    const result = db.prepare(`
+      INSERT INTO transactions (id, chat_id, tipo, monto, moneda, fecha, concepto, categoria, meta, items, texto_completo, timestamp, recibo, extra)
+      VALUES (@id, @chatId, @tipo, @monto, @moneda, @fecha, @concepto, @categoria, @meta, @items, @texto_completo, @timestamp, @recibo, @extra)
+    `).run({
+      id: data.id || null,
+      chatId,
+      tipo: data.tipo,
+      monto: money.toMinorUnits(data.monto),
+      moneda: data.moneda || null,
+      fecha: data.fecha,
+      concepto: data.concepto || null,
+      categoria: data.categoria || null,
+      meta: data.meta || null,
+      items: data.items ? JSON.stringify(data.items) : null,
+      texto_completo: data.texto_completo || null,
+      timestamp: data.timestamp || new Date().toISOString(),
+      recibo: data.recibo || null,
+      extra: Object.keys(extra).length > 0 ? JSON.stringify(extra) : null
+    });
+    
+    return Number(result.lastInsertRowid);
+  }
+  
+  /**
+   * Consulta transacciones de un chat ordenadas por fecha
+   * @param {number} chatId - ID del chat
+   * @param {Object} filter - Filtro de búsqueda
+   * @returns {Array} - Transacciones encontradas
+   */
+  function queryTransactions(chatId, filter = {}) {
+    const { where, params } = buildWhere(chatId, filter);
+    const order = filter.order === 'desc' ? 'DESC' : 'ASC';
+    const limit = filter.limit ? `LIMIT ${parseInt(filter.limit, 10)}` : '';
+    const offset = filter.limit && filter.offset ? `OFFSET ${parseInt(filter.offset, 10)}` : '';
+    
+    return db.prepare(`SELECT * FROM transactions ${where} ORDER BY fecha ${order}, id ${order} ${limit} ${offset}`)
+      .all(params)
+      .map(rowToTransaction);
+  }
+  
+  /**
+   * Cuenta las transacciones de un chat que cumplen el filtro
+   * @param {number} chatId - ID del chat
+   * @param {Object} filter - Filtro de búsqueda
+   * @returns {number} - Cantidad de transacciones
+   */
+  function countTransactions(chatId, filter = {}) {
+    const { where, params } = buildWhere(chatId, filter);
+    return db.prepare(`SELECT count(*) AS total FROM transactions ${where}`).get(params).total;
+  }
+  
+  /**
+   * Obtiene una transacción por ID
+   * @param {number} chatId - ID del chat
+   * @param {number} id - ID de la transacción
+   * @returns {Object|null} - Transacción o null si no existe en el chat
+   */
+  function getTransaction(chatId, id) {
+    requireChat(chatId);
+    const row = db.prepare('SELECT * FROM transactions WHERE id = ? AND chat_id = ?').get(id, chatId);
+    return row ? rowToTransaction(row) : null;
+  }
+  
+  /**
+   * Obtiene la última transacción registrada en un chat
+   * @param {number} chatId - ID del chat
+   * @returns {Object|null} - Transacción o null si el chat no tiene transacciones
+   */
+  function getLastTransaction(chatId) {
+    requireChat(chatId);
+    const row = db.prepare('SELECT * FROM transactions WHERE chat_id = ? ORDER BY id DESC LIMIT 1').get(chatId);
+    return row ? rowToTransaction(row) : null;
+  }
+  
+  /**
+   * Actualiza los campos editables de una transacción
+   * @param {number} chatId - ID del chat
+   * @param {number} id - ID de la transacción
+   * @param {Object} changes - Campos a modificar (monto, categoria, fecha, concepto)
+   * @returns {boolean} - true si se actualizó
+   */
+  function updateTransaction(chatId, id, changes) {
+    requireChat(chatId);
+    const fields = Object.keys(changes).filter(key => EDITABLE_FIELDS.includes(key));
+    if (fields.length === 0) return false;
+    
+    const sets = fields.map(key => `${key} = @${key}`).join(', ');
+    const params = { id, chatId };
+    fields.forEach(key => {
+      params[key] = key === 'monto' ? money.toMinorUnits(changes[key]) : changes[key];
+    });
+    
+    return db.prepare(`UPDATE transactions SET ${sets} WHERE id = @id AND chat_id = @chatId`).run(params).changes > 0;
+  }
+  
+  /**
+   * Modifica un gasto o ingreso fijo
+   * @param {string} table - Tabla (fixed_expenses o fixed_incomes)
+   * @param {Object} columns - Mapa de campos modificables a columnas
+   * @param {number} chatId - ID del chat
+   * @param {number} id - ID del ítem
+   * @param {Object} changes - Campos a modificar
+   * @returns {boolean} - true si el ítem existía
+   */
+  function updateFixedItem(table, columns, chatId, id, changes) {
+    requireChat(chatId);
+    const fields = Object.keys(changes).filter(key => columns[key]);
+    if (fields.length === 0) return false;
+    
+    const sets = fields.map(key => `${columns[key]} = @${key}`).join(', ');
+    const params = { id, chatId };
+    fields.forEach(key => {
+      if (key === 'monto') {
+        params[key] = money.toMinorUnits(changes[key]);
+      } else {
+        params[key] = typeof changes[key] === 'boolean' ? Number(changes[key]) : changes[key];
+      }
+    });
+    
+    return db.prepare(`UPDATE ${table} SET ${sets} WHERE id = @id AND chat_id = @chatId`).run(params).changes > 0;
+  }
+  
+  /**
+   * Suma los montos por moneda y fecha (para convertirlos con la tasa de
+   * cada día), opcionalmente agrupados por una columna
+   * @param {number} chatId - ID del chat
+   * @param {Object} filter - Filtro de búsqueda
+   * @param {string|null} column - Columna de agrupación ('categoria', 'tipo' o null)
+   * @returns {Array} - [{ grupo, moneda, fecha, total }]
+   */
+  function sumByCurrency(chatId, filter = {}, column = null) {
+    const { where, params } = buildWhere(chatId, filter);
+    const group = column ? `coalesce(${column}, 'otros')` : "'total'";
+    
+    return db.prepare(`
+      SELECT ${group} AS grupo, moneda, fecha, sum(monto) AS total
+      FROM transactions ${where}
+      GROUP BY grupo, moneda, fecha
+    `).all(params).map(row => ({ ...row, total: money.fromMinorUnits(row.total) }));
+  }
+  
+  /**
+   * Selecciona todas las filas de una tabla que pertenecen a un chat
+   * @param {string} table - Nombre de la tabla
+   * @param {number} chatId - ID del chat
+   * @returns {Array} - Filas encontradas
+   */
+  function selectByChat(table, chatId) {
+    requireChat(chatId);
+    return db.prepare(`SELECT * FROM ${table} WHERE chat_id = ? ORDER BY rowid`).all(chatId);
+  }
+  
+  return {
+    insertTransaction,
+    queryTransactions,
+    countTransactions,
+    getTransaction,
+    getLastTransaction,
+    updateTransaction,
+    deleteTransaction: (chatId, id) => db.prepare('DELETE FROM transactions WHERE id = ? AND chat_id = ?')
+      .run(id, chatId).changes > 0,
+    sumByCurrency,
+    getTransactionDates: (chatId, excludeMoneda) => {
+      requireChat(chatId);
+      return db.prepare('SELECT DISTINCT fecha FROM transactions WHERE chat_id = ? AND moneda != ? ORDER BY fecha')
+        .all(chatId, excludeMoneda).map(row => row.fecha);
+    },
+    countAllTransactions: () => db.prepare('SELECT count(*) AS total FROM transactions').get().total,
+    
+    getBudget: (chatId) => selectByChat('budget', chatId)
+      .reduce((acc, row) => {
+        acc[row.categoria] = { monto: money.fromMinorUnits(row.monto), moneda: row.moneda || config.currency.base };
+        return acc;
+      }, {}),
+    setBudget: (chatId, categoria, monto, moneda) => db.prepare(`
+      INSERT INTO budget (chat_id, categoria, monto, moneda) VALUES (?, ?, ?, ?)
+      ON CONFLICT (chat_id, categoria) DO UPDATE SET monto = excluded.monto, moneda = excluded.moneda
+    `).run(chatId, categoria, money.toMinorUnits(monto), moneda || config.currency.base),
+    
+    getFixedExpenses: (chatId) => selectByChat('fixed_expenses', chatId)
+      .map(row => ({
+        id: row.id,
+        nombre: row.nombre,
+        monto: money.fromMinorUnits(row.monto),
+        moneda: row.moneda || config.currency.base,
+        categoria: row.categoria,
+        fechaPago: row.fecha_pago,
+        frecuencia: row.frecuencia,
+        fechaInicio: row.fecha_inicio,
+        procesadoHasta: row.procesado_hasta,
+        activo: row.activo === 1
+      })),
+    insertFixedExpense: (chatId, expense) => Number(db.prepare(`
+      INSERT INTO fixed_expenses (chat_id, nombre, monto, moneda, categoria, fecha_pago, frecuencia, fecha_inicio)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(chatId, expense.nombre, money.toMinorUnits(expense.monto), expense.moneda || config.currency.base,
+      expense.categoria, expense.fechaPago, expense.frecuencia || 'mensual', expense.fechaInicio || today()).lastInsertRowid),
+    updateFixedExpense: (chatId, id, changes) => updateFixedItem('fixed_expenses', FIXED_EXPENSE_COLUMNS, chatId, id, changes),
+    deleteFixedExpense: (chatId, id) => db.prepare('DELETE FROM fixed_expenses WHERE id = ? AND chat_id = ?')
+      .run(id, chatId).changes > 0,
+    
+    getFixedIncomes: (chatId) => selectByChat('fixed_incomes', chatId)
+      .map(row => ({
+        id: row.id,
+        nombre: row.nombre,
+        monto: money.fromMinorUnits(row.monto),
+        moneda: row.moneda || config.currency.base,
+        fechaIngreso: row.fecha_ingreso,
+        frecuencia: row.frecuencia,
+        fechaInicio: row.fecha_inicio,
+        procesadoHasta: row.procesado_hasta,
+        activo: row.activo === 1
+      })),
+    insertFixedIncome: (chatId, income) => Number(db.prepare(`
+      INSERT INTO fixed_incomes (chat_id, nombre, monto, moneda, fecha_ingreso, frecuencia, fecha_inicio)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(chatId, income.nombre, money.toMinorUnits(income.monto), income.moneda || config.currency.base,
+      income.fechaIngreso, income.frecuencia || 'mensual', income.fechaInicio || today()).lastInsertRowid),
+    updateFixedIncome: (chatId, id, changes) => updateFixedItem('fixed_incomes', FIXED_INCOME_COLUMNS, chatId, id, changes),
+    deleteFixedIncome: (chatId, id) => db.prepare('DELETE FROM fixed_incomes WHERE id = ? AND chat_id = ?')
+      .run(id, chatId).changes > 0,
+    
+    getGoals: (chatId) => selectByChat('goals', chatId)
+      .map(row => ({
+        id: row.id,
+        nombre: row.nombre,
+        montoObjetivo: money.fromMinorUnits(row.monto_objetivo),
+        montoAcumulado: money.fromMinorUnits(row.monto_acumulado),
+        moneda: row.moneda || config.currency.base,
+        fecha: row.fecha
+      })),
+    insertGoal: (chatId, goal) => Number(db.prepare(`
+      INSERT INTO goals (chat_id, nombre, monto_objetivo, monto_acumulado, moneda, fecha) VALUES (?, ?, ?, ?, ?, ?)
+    `).run(chatId, goal.nombre, money.toMinorUnits(goal.montoObjetivo), money.toMinorUnits(goal.montoAcumulado || 0),
+      goal.moneda || config.currency.base, goal.fecha).lastInsertRowid),
+    addToGoal: (chatId, goalId, monto) => db.prepare(`
+      UPDATE goals SET monto_acumulado = monto_acumulado + ? WHERE id = ? AND chat_id = ?
+    `).run(money.toMinorUnits(monto), goalId, chatId),
+    
+    insertOperation: (chatId, op) => db.prepare(`
+      INSERT INTO operations (chat_id, tipo, transaction_id, antes, despues, created_at) VALUES (?, ?, ?, ?, ?, ?)
+    `).run(chatId, op.tipo, op.transactionId, op.antes ? JSON.stringify(op.antes) : null,
+      op.despues ? JSON.stringify(op.despues) : null, new Date().toISOString()),
+    getLastOperation: (chatId) => {
+      requireChat(chatId);
+      const row = db.prepare(`
+        SELECT * FROM operations WHERE chat_id = ? AND undone_at IS NULL ORDER BY id DESC LIMIT 1
+      `).get(chatId);
+      return row ? {
+        id: row.id,
+        tipo: row.tipo,
+        transactionId: row.transaction_id,
+        antes: row.antes ? JSON.parse(row.antes) : null,
+        despues: row.despues ? JSON.parse(row.despues) : null,
+        createdAt: row.created_at
+      } : null;
+    },
+    markOperationUndone: (id) => db.prepare('UPDATE operations SET undone_at = ? WHERE id = ?')
+      .run(new Date().toISOString(), id),
+    
+    hasChat: (chatId) => !!db.prepare('SELECT 1 FROM chats WHERE chat_id = ?').get(chatId),
+    insertChat: (chatId) => db.prepare('INSERT INTO chats (chat_id, created_at) VALUES (?, ?)')
+      .run(chatId, new Date().toISOString()),
+    getChatIds: () => db.prepare('SELECT chat_id FROM chats ORDER BY created_at').all().map(row => row.chat_id),
+    getChatTimezone: (chatId) => {
+      const row = db.prepare('SELECT timezone FROM chats WHERE chat_id = ?').get(chatId);
+      return row ? row.timezone : null;
+    },
+    setChatTimezone: (chatId, timezone) => db.prepare('UPDATE chats SET timezone = ? WHERE chat_id = ?')
+      .run(timezone, chatId),
+    getChatCurrency: (chatId) => {
+      const row = db.prepare('SELECT moneda_base FROM chats WHERE chat_id = ?').get(chatId);
+      return row ? row.moneda_base : null;
+    },
+    setChatCurrency: (chatId, moneda) => db.prepare('UPDATE chats SET moneda_base = ? WHERE chat_id = ?')
+      .run(moneda, chatId),
+    
+    hasExchangeRates: (fecha) => !!db.prepare('SELECT 1 FROM exchange_rates WHERE fecha = ?').get(fecha),
+    saveExchangeRates: (fecha, rates, fuente) => {
+      const insert = db.prepare(`
+        INSERT INTO exchange_rates (fecha, moneda, tasa, fuente) VALUES (?, ?, ?, ?)
+        ON CONFLICT (fecha, moneda) DO UPDATE SET tasa = excluded.tasa, fuente = excluded.fuente
+      `);
+      Object.entries(rates).forEach(([moneda, tasa]) => insert.run(fecha, moneda, tasa, fuente));
+    },
+    // Tasa guardada más cercana a la fecha: la anterior o, si no hay, la siguiente
+    getExchangeRate: (moneda, fecha) => {
+      const row = db.prepare(`
+        SELECT tasa FROM exchange_rates WHERE moneda = ? AND fecha <= ? ORDER BY fecha DESC LIMIT 1
+      `).get(moneda, fecha) || db.prepare(`
+        SELECT tasa FROM exchange_rates WHERE moneda = ? AND fecha > ? ORDER BY fecha ASC LIMIT 1
+      `).get(moneda, fecha);
+      return row ? row.tasa : null;
+    },
+    
+    saveReceiptImage: (hash, extension, bytes) => db.prepare(`
+      INSERT OR IGNORE INTO receipt_images (hash, extension, bytes, created_at) VALUES (?, ?, ?, ?)
+    `).run(hash, extension, bytes, new Date().toISOString()),
+    getReceiptImage: (hash) => db.prepare('SELECT * FROM receipt_images WHERE hash = ?').get(hash) || null,
+    deleteReceiptImage: (hash) => db.prepare('DELETE FROM receipt_images WHERE hash = ?').run(hash),
+    // Imágenes que ninguna transacción usa (recibos descartados o movimientos eliminados)
+    getOrphanReceiptImages: (createdBefore) => db.prepare(`
+      SELECT * FROM receipt_images
+      WHERE created_at < ? AND hash NOT IN (SELECT recibo FROM transactions WHERE recibo IS NOT NULL)
+    `).all(createdBefore),
+    // Imágenes cuyos movimientos son todos anteriores a la fecha (fecha del movimiento, no de la foto)
+    getExpiredReceiptImages: (fechaBefore) => db.prepare(`
+      SELECT receipt_images.* FROM receipt_images
+      JOIN transactions ON transactions.recibo = receipt_images.hash
+      GROUP BY receipt_images.hash
+      HAVING max(transactions.fecha) < ?
+    `).all(fechaBefore),
+    // Todas las imágenes, de la más antigua a la más reciente según sus movimientos
+    getReceiptImagesByAge: () => db.prepare(`
+      SELECT receipt_images.*, max(transactions.fecha) AS fecha FROM receipt_images
+      LEFT JOIN transactions ON transactions.recibo = receipt_images.hash
+      GROUP BY receipt_images.hash
+      ORDER BY fecha IS NOT NULL, fecha, receipt_images.created_at
+    `).all(),
+    
+    getReminder: (chatId, tipo, itemId, dueDate) => {
+      requireChat(chatId);
+      const row = db.prepare(`
+        SELECT * FROM reminders WHERE chat_id = ? AND tipo = ? AND item_id = ? AND due_date = ?
+      `).get(chatId, tipo, itemId, dueDate);
+      return row ? { sentAt: row.sent_at, transactionId: row.transaction_id } : null;
+    },
+    saveReminder: (chatId, tipo, itemId, dueDate, changes) => db.prepare(`
+      INSERT INTO reminders (chat_id, tipo, item_id, due_date, sent_at, transaction_id)
+      VALUES (@chatId, @tipo, @itemId, @dueDate, @sentAt, @transactionId)
+      ON CONFLICT (chat_id, tipo, item_id, due_date) DO UPDATE SET
+        sent_at = coalesce(excluded.sent_at, sent_at),
+        transaction_id = coalesce(excluded.transaction_id, transaction_id)
+    `).run({
+      chatId,
+      tipo,
+      itemId,
+      dueDate,
+      sentAt: changes.sentAt || null,
+      transactionId: changes.transactionId || null
+    }),
+    
+    getCategories: (chatId) => {
+      requireChat(chatId);
+      const categories = db.prepare('SELECT id, nombre FROM categories WHERE chat_id = ? ORDER BY id').all(chatId)
+        .map(row => ({ id: row.id, nombre: row.nombre, keywords: [] }));
+      const byId = new Map(categories.map(c => [c.id, c]));
+      
+      db.prepare('SELECT keyword, categoria_id, aprendida FROM category_keywords WHERE chat_id = ? ORDER BY rowid')
+        .all(chatId)
+        .forEach(row => {
+          const category = byId.get(row.categoria_id);
+          if (category) category.keywords.push({ keyword: row.keyword, aprendida: row.aprendida === 1 });
+        });
+      
+      return categories;
+    },
+    insertCategory: (chatId, nombre) => Number(db.prepare('INSERT INTO categories (chat_id, nombre) VALUES (?, ?)')
+      .run(chatId, nombre).lastInsertRowid),
+    renameCategory: (chatId, from, to) => {
+      requireChat(chatId);
+      db.prepare('UPDATE categories SET nombre = ? WHERE chat_id = ? AND nombre = ?').run(to, chatId, from);
+      ['transactions', 'fixed_expenses', 'budget'].forEach(table => {
+        db.prepare(`UPDATE ${table} SET categoria = ? WHERE chat_id = ? AND categoria = ?`).run(to, chatId, from);
+      });
+    },
+    moveCategoryData: (chatId, from, to) => {
+      requireChat(chatId);
+      ['transactions', 'fixed_expenses'].forEach(table => {
+        db.prepare(`UPDATE ${table} SET categoria = ? WHERE chat_id = ? AND categoria = ?`).run(to, chatId, from);
+      });
+      db.prepare(`
+        UPDATE category_keywords SET categoria_id = (SELECT id FROM categories WHERE chat_id = @chatId AND nombre = @to)
+        WHERE chat_id = @chatId AND categoria_id = (SELECT id FROM categories WHERE chat_id = @chatId AND nombre = @from)
+      `).run({ chatId, from, to });
+    },
+    deleteCategory: (chatId, nombre) => {
+      requireChat(chatId);
+      db.prepare('DELETE FROM budget WHERE chat_id = ? AND categoria = ?').run(chatId, nombre);
+      return db.prepare('DELETE FROM categories WHERE chat_id = ? AND nombre = ?').run(chatId, nombre).changes > 0;
+    },
+    setKeyword: (chatId, keyword, categoriaId, aprendida) => db.prepare(`
+      INSERT INTO category_keywords (chat_id, keyword, categoria_id, aprendida) VALUES (?, ?, ?, ?)
+      ON CONFLICT (chat_id, keyword) DO UPDATE SET categoria_id = excluded.categoria_id, aprendida = excluded.aprendida
+    `).run(chatId, keyword, categoriaId, aprendida ? 1 : 0),
+    insertKeywordIfMissing: (chatId, keyword, categoriaId) => db.prepare(`
+      INSERT OR IGNORE INTO category_keywords (chat_id, keyword, categoria_id) VALUES (?, ?, ?)
+    `).run(chatId, keyword, categoriaId),
+    deleteKeyword: (chatId, keyword) => db.prepare('DELETE FROM category_keywords WHERE chat_id = ? AND keyword = ?')
+      .run(chatId, keyword).changes > 0,
+    
+    // Asigna a un chat los datos heredados de la versión de un solo usuario
+    claimOrphanData: (chatId) => CHAT_TABLES.reduce((total, table) => {
+      return total + db.prepare(`UPDATE ${table} SET chat_id = ? WHERE chat_id IS NULL`).run(chatId).changes;
+    }, 0),
+    
+    getSetting: (key) => {
+      const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(key);
+      return row ? row.value : null;
+    },
+    setSetting: (key, value) => db.prepare(`
+      INSERT INTO settings (key, value) VALUES (?, ?)
+      ON CONFLICT (key) DO UPDATE SET value = excluded.value
+    `).run(key, value),
+    
+    // Ejecuta una función dentro de una transacción SQL (todo o nada)
+    transaction: (fn) => db.transaction(fn)(),
+    close: () => db.close()
+  };
+}
+
+/**
+ * Convierte una fila de la base de datos en un objeto de transacción
+ * @param {Object} row - Fila de SQLite
+ * @returns {Object} - Transacción con los mismos campos que se registraron
+ */
+function rowToTransaction(row) {
+  const transaction = {
+    ...(row.extra ? JSON.parse(row.extra) : {}),
+    id: row.id,
+    chatId: row.chat_id,
+    tipo: row.tipo,
+    monto: money.fromMinorUnits(row.monto),
+    moneda: row.moneda,
+    fecha: row.fecha,
+    concepto: row.concepto,
+    categoria: row.categoria,
+    texto_completo: row.texto_completo,
+    timestamp: row.timestamp
+  };
+  
+  if (row.meta) transaction.meta = row.meta;
+  if (row.items) transaction.items = JSON.parse(row.items);
+  if (row.recibo) transaction.recibo = row.recibo;
+  
+  return transaction;
+}
+
+module.exports = {
+  open
+};
\ No newline at end of file
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+
+// Base de datos en memoria para no tocar data/
+config.SQLITE_FILE = ':memory:';
+const database = require('../database');
+const batchController = require('../controllers/batchController');
+
+const CHAT_ID = 4004;
+
+database.initDatabase();
+database.ensureChat(CHAT_ID);
+
+/**
+ * Bot falso que guarda los mensajes enviados y editados
+ * @returns {Object}
+ */
+function createBot() {
+  const sent = [];
+  const edited = [];
+  return {
+    sent,
+    edited,
+    sendMessage: async (chatId, text, options) => { sent.push({ chatId, text, options }); },
+    editMessageText: async (text, options) => { edited.push({ text, options }); }
+  };
+}
+
+/**
+ * Movimiento de prueba
+ * @param {string} concepto - Concepto
+ * @param {number} monto - Monto (null si no se reconoció)
+ * @returns {Object}
+ */
+function transaction(concepto, monto) {
+  return { tipo: 'gasto', monto, moneda: 'COP', fecha: '2026-03-20', concepto, categoria: 'otros', texto_completo: concepto };
+}
+
+/**
+ * Pulsa un botón del mensaje de confirmación
+ * @param {Object} bot - Bot falso
+ * @param {string} data - callback_data del botón
+ */
+function press(bot, data) {
+  return batchController.handleCallback({ data, message: { chat: { id: CHAT_ID }, message_id: 1 } }, bot);
+}
+
+/**
+ * callback_data de los botones del último mensaje enviado
+ * @param {Object} bot - Bot falso
+ * @returns {Array}
+ */
+function buttons(bot) {
+  return bot.sent[bot.sent.length - 1].options.reply_markup.inline_keyboard.flat().map(b => b.callback_data);
+}
+
+test('quitar un movimiento dos veces con el mismo botón no quita otro', async () => {
+  const bot = createBot();
+  await batchController.confirmBatch({ chat: { id: CHAT_ID }, text: '' },
+    [transaction('Uber', 12000), transaction('Almuerzo', 35000), transaction('Cine', 20000)], bot);
+  
+  const removeFirst = buttons(bot).find(data => data.startsWith('lote:quitar:'));
+  await press(bot, removeFirst);
+  await press(bot, removeFirst);
+  
+  assert.equal(bot.edited.length, 1);
+  assert.match(bot.edited[0].text, /Encontré 2 movimientos/);
+  assert.doesNotMatch(bot.edited[0].text, /Uber/);
+  assert.match(bot.edited[0].text, /Almuerzo/);
+  assert.match(bot.edited[0].text, /Cine/);
+});
+
+test('la advertencia de partes sin monto se conserva al quitar un movimiento', async () => {
+  const bot = createBot();
+  await batchController.confirmBatch({ chat: { id: CHAT_ID }, text: '' },
+    [transaction('Uber', 12000), transaction('Propina', null), transaction('Almuerzo', 35000), transaction('Cine', 20000)], bot);
+  
+  assert.match(bot.sent[0].text, /1 parte\(s\) del mensaje no tenían monto/);
+  
+  const removeButtons = buttons(bot).filter(data => data.startsWith('lote:quitar:'));
+  assert.equal(removeButtons.length, 3);
+  await press(bot, removeButtons[2]);
+  
+  assert.match(bot.edited[0].text, /1 parte\(s\) del mensaje no tenían monto/);
+  assert.doesNotMatch(bot.edited[0].text, /Cine/);
+  
+  // Un botón del teclado anterior sigue quitando el mismo movimiento
+  await press(bot, removeButtons[0]);
+  assert.doesNotMatch(bot.edited[1].text, /Uber/);
+  assert.match(bot.edited[1].text, /Almuerzo/);
+});
+
+test('guardar registra solo los movimientos que quedan', async () => {
+  const bot = createBot();
+  await batchController.confirmBatch({ chat: { id: CHAT_ID }, text: '' },
+    [transaction('Taxi', 9000), transaction('Cafe', 5000), transaction('Libro', 40000)], bot);
+  
+  const [save, , removeTaxi] = buttons(bot);
+  await press(bot, removeTaxi);
+  await press(bot, save);
+  
+  assert.match(bot.sent[1].text, /Se registraron 2 movimientos/);
+  const conceptos = database.queryTransactions(CHAT_ID, {}).map(t => t.concepto);
+  assert.ok(conceptos.includes('Cafe'));
+  assert.ok(conceptos.includes('Libro'));
+  assert.ok(!conceptos.includes('Taxi'));
+});
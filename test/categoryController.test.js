@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+
+// Base de datos en memoria para no tocar data/
+config.SQLITE_FILE = ':memory:';
+const database = require('../database');
+const categoryController = require('../controllers/categoryController');
+
+const CHAT_ID = 1001;
+
+database.initDatabase();
+database.ensureChat(CHAT_ID);
+
+/**
+ * Bot falso que guarda los mensajes enviados
+ * @returns {Object}
+ */
+function createBot() {
+  const sent = [];
+  return { sent, sendMessage: async (chatId, text, options) => { sent.push({ chatId, text, options }); } };
+}
+
+/**
+ * Envía una orden sobre categorías y devuelve el texto de la respuesta
+ * @param {string} text - Orden del usuario
+ * @returns {Promise<Object>} - Mensaje enviado
+ */
+async function send(text) {
+  const bot = createBot();
+  await categoryController.processCategoryText({ chat: { id: CHAT_ID }, text }, bot);
+  return bot.sent[0];
+}
+
+test('crear una categoría con palabras clave la usa al categorizar', async () => {
+  const reply = await send('Crear categoría comida_rapida con palabras hamburguesa, perro_caliente');
+  
+  assert.equal(reply.options.parse_mode, 'Markdown');
+  assert.match(reply.text, /Categoría comida\\_rapida creada con las palabras: hamburguesa, perro\\_caliente/);
+  assert.equal(categoryController.categorize(CHAT_ID, 'hamburguesa doble'), 'comida_rapida');
+  assert.equal(categoryController.categorize(CHAT_ID, 'perro_caliente'), 'comida_rapida');
+});
+
+test('no se crean categorías repetidas', async () => {
+  const reply = await send('Crear categoría Comida_Rapida');
+  assert.match(reply.text, /Ya tienes una categoría/);
+});
+
+test('renombrar y fusionar conservan las palabras clave', async () => {
+  await send('Crear categoría antojos con palabras helado');
+  
+  const renamed = await send('Renombrar categoría antojos a dulces');
+  assert.match(renamed.text, /Categoría antojos renombrada a dulces/);
+  assert.equal(categoryController.categorize(CHAT_ID, 'helado de vainilla'), 'dulces');
+  
+  const merged = await send('Fusionar categoría dulces con comida_rapida');
+  assert.match(merged.text, /fusionada en comida\\_rapida/);
+  assert.ok(!categoryController.getCategoryNames(CHAT_ID).includes('dulces'));
+  assert.equal(categoryController.categorize(CHAT_ID, 'helado de vainilla'), 'comida_rapida');
+});
+
+test('agregar y quitar palabras clave', async () => {
+  const added = await send('Agregar palabra mr_pollo a comida_rapida');
+  assert.match(added.text, /"mr\\_pollo" ahora irán a comida\\_rapida/);
+  assert.equal(categoryController.categorize(CHAT_ID, 'mr_pollo centro'), 'comida_rapida');
+  
+  const removed = await send('Quitar palabra mr_pollo');
+  assert.match(removed.text, /Palabras quitadas: mr_pollo/);
+  assert.notEqual(categoryController.categorize(CHAT_ID, 'mr_pollo centro'), 'comida_rapida');
+});
+
+test('al corregir la categoría de un gasto se aprende el comercio', () => {
+  const transaction = { tipo: 'gasto', concepto: 'Tienda D1' };
+  
+  assert.equal(categoryController.learnFromCorrection(CHAT_ID, transaction, 'comida_rapida'), 'tienda d1');
+  assert.equal(categoryController.categorize(CHAT_ID, 'compras en tienda d1'), 'comida_rapida');
+  
+  // Conceptos genéricos o ingresos no se aprenden
+  assert.equal(categoryController.learnFromCorrection(CHAT_ID, { tipo: 'gasto', concepto: 'Sin concepto' }, 'otros'), null);
+  assert.equal(categoryController.learnFromCorrection(CHAT_ID, { tipo: 'ingreso', concepto: 'Nómina' }, 'otros'), null);
+});
+
+test('eliminar una categoría pasa sus movimientos a la categoría por defecto', async () => {
+  database.registerTransaction(CHAT_ID, {
+    tipo: 'gasto', monto: 15000, fecha: '2026-03-05', concepto: 'Hamburguesa', categoria: 'comida_rapida'
+  });
+  
+  const reply = await send('Eliminar categoría comida_rapida');
+  assert.match(reply.text, /Categoría comida\\_rapida eliminada/);
+  
+  const [transaction] = database.queryTransactions(CHAT_ID, { tipo: 'gasto' });
+  assert.equal(transaction.categoria, database.DEFAULT_CATEGORY);
+});
+
+test('/categorias escapa nombres y palabras fuera de la negrita', async () => {
+  await send('Crear categoría mis_gastos con palabras a*b');
+  
+  const bot = createBot();
+  await categoryController.sendCategories(CHAT_ID, bot);
+  assert.match(bot.sent[0].text, /📂 mis\\_gastos\n- Palabras: a\\\*b/);
+});
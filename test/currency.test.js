@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+
+// Base de datos en memoria para no tocar data/ (tasas del archivo exchange_rates.json)
+config.SQLITE_FILE = ':memory:';
+const database = require('../database');
+
+const CHAT_ID = 3003;
+
+database.initDatabase();
+database.ensureChat(CHAT_ID);
+
+// Solo los ítems de la prueba (ensureChat crea los de config)
+database.getFixedExpenses(CHAT_ID).forEach(e => database.deleteFixedExpense(CHAT_ID, e.id));
+
+test('cambiar de moneda y volver deja los montos exactos', async () => {
+  database.setBudget(CHAT_ID, 'comida', 600000);
+  const goalId = database.addGoal(CHAT_ID, { nombre: 'Viaje', montoObjetivo: 1500000, montoAcumulado: 250000, fecha: '2027-12-31' });
+  const expenseId = database.addFixedExpense(CHAT_ID, { nombre: 'Arriendo', monto: 1200000, categoria: 'servicios', fechaPago: 5 });
+  
+  assert.equal(await database.setBaseCurrency(CHAT_ID, 'USD'), true);
+  assert.equal(await database.setBaseCurrency(CHAT_ID, 'COP'), true);
+  
+  assert.equal(database.getBudget(CHAT_ID).comida, 600000);
+  const goal = database.getGoals(CHAT_ID).find(g => g.id === goalId);
+  assert.equal(goal.montoObjetivo, 1500000);
+  assert.equal(goal.montoAcumulado, 250000);
+  assert.equal(database.getFixedExpenses(CHAT_ID).find(e => e.id === expenseId).monto, 1200000);
+});
+
+test('presupuestos y metas se leen convertidos a la moneda base', async () => {
+  assert.equal(await database.setBaseCurrency(CHAT_ID, 'USD'), true);
+  
+  const today = new Date().toISOString().slice(0, 10);
+  assert.equal(database.getBudget(CHAT_ID).comida, database.convertAmount(600000, 'COP', 'USD', today));
+  
+  const goal = database.getGoals(CHAT_ID).find(g => g.nombre === 'Viaje');
+  assert.equal(goal.moneda, 'USD');
+  assert.equal(goal.montoObjetivo, database.convertAmount(1500000, 'COP', 'USD', today));
+  
+  assert.equal(await database.setBaseCurrency(CHAT_ID, 'COP'), true);
+});
+
+test('los gastos fijos conservan su moneda; un monto nuevo queda en la moneda base', async () => {
+  assert.equal(await database.setBaseCurrency(CHAT_ID, 'USD'), true);
+  
+  const expense = database.getFixedExpenses(CHAT_ID).find(e => e.nombre === 'Arriendo');
+  assert.equal(expense.moneda, 'COP');
+  
+  const updated = database.updateFixedExpense(CHAT_ID, expense.id, { monto: 300 });
+  assert.equal(updated.moneda, 'USD');
+  assert.equal(updated.monto, 300);
+  
+  assert.equal(await database.setBaseCurrency(CHAT_ID, 'COP'), true);
+});
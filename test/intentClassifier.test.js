@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const textUtils = require('../utils/textProcessing');
+const intentClassifier = require('../utils/intentClassifier');
+
+// Las mismas frases y fecha de referencia que scripts/intentAccuracy.js
+const samples = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'intents', 'evaluation.json'), 'utf8'));
+const TODAY = '2025-03-20';
+const MINIMUM = 0.9;
+
+test('el clasificador acierta la intención de al menos el 90% de las frases de evaluación', async () => {
+  await intentClassifier.train();
+  
+  let hits = 0;
+  const misses = [];
+  for (const sample of samples) {
+    const result = await intentClassifier.classify(sample.texto, { today: TODAY });
+    const predicted = result.alternativas.length > 0 ? result.alternativas[0].intencion : 'ninguna';
+    if (predicted === sample.intencion) {
+      hits++;
+    } else {
+      misses.push(`"${sample.texto}": ${predicted} en lugar de ${sample.intencion}`);
+    }
+  }
+  
+  assert.ok(hits / samples.length >= MINIMUM,
+    `Precisión ${(hits / samples.length).toFixed(2)} por debajo de ${MINIMUM}:\n${misses.join('\n')}`);
+});
+
+test('el clasificador extrae las entidades de las frases de evaluación', async () => {
+  let hits = 0;
+  let total = 0;
+  const misses = [];
+  for (const sample of samples) {
+    const { entidades } = await intentClassifier.classify(sample.texto, { today: TODAY });
+    Object.entries(sample.entidades || {}).forEach(([name, expected]) => {
+      const ok = name === 'meta'
+        ? textUtils.normalizeText(entidades[name]) === textUtils.normalizeText(expected)
+        : entidades[name] === expected;
+      total++;
+      if (ok) {
+        hits++;
+      } else {
+        misses.push(`"${sample.texto}": ${name} ${entidades[name]} en lugar de ${expected}`);
+      }
+    });
+  }
+  
+  assert.ok(hits / total >= MINIMUM, `Entidades ${hits}/${total}:\n${misses.join('\n')}`);
+});
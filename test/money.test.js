@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const money = require('../utils/money');
+
+test('parseNumber distingue separadores de miles y decimales', () => {
+  assert.equal(money.parseNumber('1.500.000', 'es-CO'), 1500000);
+  assert.equal(money.parseNumber('45.000,50', 'es-CO'), 45000.5);
+  assert.equal(money.parseNumber('1,500.25', 'es-CO'), 1500.25);
+  assert.equal(money.parseNumber('1,5', 'es-CO'), 1.5);
+  assert.equal(money.parseNumber('12000', 'es-CO'), 12000);
+  assert.equal(money.parseNumber('abc', 'es-CO'), null);
+});
+
+test('parseNumber usa el separador decimal del locale cuando es ambiguo', () => {
+  assert.equal(money.parseNumber('1.2345', 'en-US'), 1.2345);
+  assert.equal(money.parseNumber('1,2345', 'es-CO'), 1.2345);
+});
+
+test('parseAmount entiende escalas y números escritos', () => {
+  assert.equal(money.parseAmount('$1.500.000', 'es-CO'), 1500000);
+  assert.equal(money.parseAmount('50 mil', 'es-CO'), 50000);
+  assert.equal(money.parseAmount('20k', 'es-CO'), 20000);
+  assert.equal(money.parseAmount('1,5 millones', 'es-CO'), 1500000);
+  assert.equal(money.parseAmount('2 palos', 'es-CO'), 2000000);
+  assert.equal(money.parseAmount('cincuenta mil', 'es-CO'), 50000);
+  assert.equal(money.parseAmount('dos millones trescientos mil', 'es-CO'), 2300000);
+});
+
+test('parseAmount redondea a centavos y rechaza valores inválidos', () => {
+  assert.equal(money.parseAmount(10.555), 10.56);
+  assert.equal(money.parseAmount(NaN), null);
+  assert.equal(money.parseAmount(null), null);
+  assert.equal(money.parseAmount('sin monto'), null);
+});
+
+test('writtenNumbersToDigits conserva los artículos y las escalas después de dígitos', () => {
+  assert.equal(money.writtenNumbersToDigits('gasté cincuenta mil en comida'), 'gasté 50000 en comida');
+  assert.equal(money.writtenNumbersToDigits('treinta y cinco lucas'), '35 lucas');
+  assert.equal(money.writtenNumbersToDigits('una docena de huevos'), 'una docena de huevos');
+  assert.equal(money.writtenNumbersToDigits('1,5 millones'), '1,5 millones');
+});
+
+test('toMinorUnits y fromMinorUnits convierten entre pesos y centavos', () => {
+  assert.equal(money.toMinorUnits('45.000,50'), 4500050);
+  assert.equal(money.toMinorUnits(0.1 + 0.2), 30);
+  assert.equal(money.toMinorUnits('nada'), null);
+  assert.equal(money.fromMinorUnits(4500050), 45000.5);
+  assert.equal(money.fromMinorUnits(null), null);
+});
+
+test('detectCurrency reconoce la moneda mencionada', () => {
+  assert.equal(money.detectCurrency('Gasté 20 dólares en Amazon'), 'USD');
+  assert.equal(money.detectCurrency('US$ 15'), 'USD');
+  assert.equal(money.detectCurrency('€12,50 en el café'), 'EUR');
+  assert.equal(money.detectCurrency('5000 pesos argentinos'), 'ARS');
+  assert.equal(money.detectCurrency('$45000 en el supermercado'), null);
+});
+
+test('normalizeCurrency acepta solo monedas soportadas', () => {
+  assert.equal(money.normalizeCurrency(' usd '), 'USD');
+  assert.equal(money.normalizeCurrency('Eur'), 'EUR');
+  assert.equal(money.normalizeCurrency('XYZ'), null);
+  assert.equal(money.normalizeCurrency(null), null);
+});
+
+test('formatAmount usa el símbolo de la moneda y los separadores del locale', () => {
+  assert.equal(money.formatAmount(1500000, 'COP', 'es-CO'), '$1.500.000');
+  assert.equal(money.formatAmount(20.5, 'USD', 'es-CO'), 'US$20,50');
+  assert.equal(money.formatAmount(1500000.5, null, 'en-US'), '$1,500,000.50');
+  assert.equal(money.formatAmount(null, 'EUR', 'es-CO'), '€0');
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+
+// Workers de Tesseract falsos: el primero nunca responde y los siguientes
+// se crean o fallan según createFails
+let created = 0;
+let createFails = false;
+
+require.cache[require.resolve('tesseract.js')] = {
+  exports: {
+    createWorker: async () => {
+      created += 1;
+      if (created > 1 && createFails) throw new Error('sin memoria');
+      const stuck = created === 1;
+      return {
+        setParameters: async () => {},
+        recognize: imagePath => (stuck ? new Promise(() => {}) : Promise.resolve({ data: { text: imagePath } })),
+        terminate: async () => {}
+      };
+    }
+  }
+};
+
+config.ocr.workers = 1;
+config.ocr.jobTimeoutSeconds = 0.05;
+config.ocr.restartAttempts = 2;
+config.ocr.restartDelaySeconds = 0.01;
+
+const ocrPool = require('../utils/ocrPool');
+
+// Los reinicios fallidos se registran con console.error
+console.error = () => {};
+
+// Los temporizadores del pool no mantienen vivo el proceso (en el bot lo hace el polling)
+const keepAlive = setInterval(() => {}, 1000);
+
+test.after(async () => {
+  clearInterval(keepAlive);
+  await ocrPool.shutdown();
+});
+
+test('un trabajo que supera el tiempo límite se rechaza', async () => {
+  createFails = true;
+  await assert.rejects(ocrPool.recognize('a.jpg'), /tiempo límite/);
+});
+
+test('sin workers reiniciados los trabajos nuevos se rechazan en lugar de quedar esperando', async () => {
+  // Esperar a que se agoten los reintentos del worker reemplazado
+  await new Promise(resolve => setTimeout(resolve, 100));
+  const before = created;
+  
+  await assert.rejects(ocrPool.recognize('b.jpg'), /no está disponible/);
+  assert.equal(created - before, config.ocr.restartAttempts);
+});
+
+test('un trabajo nuevo vuelve a crear el worker cuando ya es posible', async () => {
+  createFails = false;
+  const data = await ocrPool.recognize('c.jpg');
+  assert.equal(data.text, 'c.jpg');
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const periods = require('../utils/periods');
+
+// Miércoles
+const TODAY = '2026-04-15';
+
+const range = period => period && [period.desde, period.hasta];
+
+test('presetPeriod arma la semana, el mes y el año hasta hoy', () => {
+  assert.deepEqual(range(periods.presetPeriod('semanal', TODAY)), ['2026-04-08', TODAY]);
+  assert.deepEqual(range(periods.presetPeriod('mensual', TODAY)), ['2026-04-01', TODAY]);
+  assert.deepEqual(range(periods.presetPeriod('anual', TODAY)), ['2026-01-01', TODAY]);
+  assert.equal(periods.presetPeriod('mensual', TODAY).meses, 1);
+});
+
+test('parsePeriod interpreta rangos de fechas', () => {
+  const period = periods.parsePeriod('reporte del 1/03 al 15/04', TODAY);
+  assert.deepEqual(range(period), ['2026-03-01', '2026-04-15']);
+  assert.equal(period.meses, null);
+  
+  // Un rango que cruza el año empieza el año anterior
+  assert.deepEqual(range(periods.parsePeriod('del 15/12 al 10/01', TODAY)), ['2025-12-15', '2026-01-10']);
+  // Sin año, un rango que todavía no empezó es del año pasado
+  assert.deepEqual(range(periods.parsePeriod('del 1/06 al 30/06', TODAY)), ['2025-06-01', '2025-06-30']);
+  // Fechas inexistentes o invertidas no son un período
+  assert.equal(periods.parsePeriod('del 31/02 al 10/03', TODAY), null);
+  assert.equal(periods.parsePeriod('del 10/03/2026 al 1/03/2026', TODAY), null);
+});
+
+test('parsePeriod interpreta meses, trimestres y años', () => {
+  const march = periods.parsePeriod('reporte de marzo', TODAY);
+  assert.deepEqual(range(march), ['2026-03-01', '2026-03-31']);
+  assert.equal(march.meses, 1);
+  
+  // Un mes que todavía no llega es del año pasado; el mes en curso termina hoy
+  assert.deepEqual(range(periods.parsePeriod('diciembre', TODAY)), ['2025-12-01', '2025-12-31']);
+  assert.deepEqual(range(periods.parsePeriod('abril', TODAY)), ['2026-04-01', TODAY]);
+  assert.deepEqual(range(periods.parsePeriod('marzo 2024', TODAY)), ['2024-03-01', '2024-03-31']);
+  
+  const quarter = periods.parsePeriod('Q1 2025', TODAY);
+  assert.deepEqual(range(quarter), ['2025-01-01', '2025-03-31']);
+  assert.equal(quarter.meses, 3);
+  assert.deepEqual(range(periods.parsePeriod('segundo trimestre', TODAY)), ['2026-04-01', TODAY]);
+  
+  assert.deepEqual(range(periods.parsePeriod('año 2024', TODAY)), ['2024-01-01', '2024-12-31']);
+  assert.equal(periods.parsePeriod('mi reporte', TODAY), null);
+});
+
+test('parseRelativePeriod interpreta días relativos a hoy', () => {
+  assert.deepEqual(range(periods.parseRelativePeriod('hoy', TODAY)), [TODAY, TODAY]);
+  assert.deepEqual(range(periods.parseRelativePeriod('ayer', TODAY)), ['2026-04-14', '2026-04-14']);
+  assert.deepEqual(range(periods.parseRelativePeriod('anteayer', TODAY)), ['2026-04-13', '2026-04-13']);
+  assert.deepEqual(range(periods.parseRelativePeriod('los últimos 10 días', TODAY)), ['2026-04-06', TODAY]);
+  assert.equal(periods.parseRelativePeriod('nada', TODAY), null);
+});
+
+test('parseRelativePeriod interpreta semanas desde el lunes', () => {
+  assert.deepEqual(range(periods.parseRelativePeriod('esta semana', TODAY)), ['2026-04-13', TODAY]);
+  assert.deepEqual(range(periods.parseRelativePeriod('la semana pasada', TODAY)), ['2026-04-06', '2026-04-12']);
+  // Un día de la semana es el último que pasó, o hoy
+  assert.deepEqual(range(periods.parseRelativePeriod('el sábado', TODAY)), ['2026-04-11', '2026-04-11']);
+  assert.deepEqual(range(periods.parseRelativePeriod('el miércoles', TODAY)), [TODAY, TODAY]);
+});
+
+test('parseRelativePeriod interpreta meses y años', () => {
+  const lastMonth = periods.parseRelativePeriod('el mes pasado', TODAY);
+  assert.deepEqual(range(lastMonth), ['2026-03-01', '2026-03-31']);
+  assert.equal(lastMonth.meses, 1);
+  assert.deepEqual(range(periods.parseRelativePeriod('el mes pasado', '2026-01-10')), ['2025-12-01', '2025-12-31']);
+  
+  const lastSix = periods.parseRelativePeriod('últimos 6 meses', TODAY);
+  assert.deepEqual(range(lastSix), ['2025-10-16', TODAY]);
+  assert.equal(lastSix.meses, 6);
+  
+  assert.deepEqual(range(periods.parseRelativePeriod('este año', TODAY)), ['2026-01-01', TODAY]);
+  assert.deepEqual(range(periods.parseRelativePeriod('el año pasado', TODAY)), ['2025-01-01', '2025-12-31']);
+});
+
+test('previousPeriod usa meses calendario o la misma cantidad de días', () => {
+  assert.deepEqual(periods.previousPeriod({ desde: '2026-03-01', hasta: '2026-03-31', meses: 1 }),
+    { desde: '2026-02-01', hasta: '2026-02-28' });
+  assert.deepEqual(periods.previousPeriod({ desde: '2026-01-01', hasta: '2026-03-31', meses: 3 }),
+    { desde: '2025-10-01', hasta: '2025-12-31' });
+  assert.deepEqual(periods.previousPeriod({ desde: '2026-04-06', hasta: '2026-04-12', meses: null }),
+    { desde: '2026-03-30', hasta: '2026-04-05' });
+});
+
+test('samePeriodLastYear ajusta los meses más cortos', () => {
+  assert.deepEqual(periods.samePeriodLastYear({ desde: '2024-02-01', hasta: '2024-02-29' }),
+    { desde: '2023-02-01', hasta: '2023-02-28' });
+});
+
+test('describeRange y formatDate muestran las fechas como dd/mm/yyyy', () => {
+  assert.equal(periods.formatDate('2026-04-05'), '05/04/2026');
+  assert.equal(periods.describeRange({ desde: '2026-03-01', hasta: '2026-03-31' }), '01/03/2026 - 31/03/2026');
+});
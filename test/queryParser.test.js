@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const queryParser = require('../utils/queryParser');
+
+const CONTEXT = { today: '2026-04-15', categorias: ['restaurante', 'transporte', 'servicios', 'mascotas'] };
+
+const parse = text => queryParser.parseQuestion(text, CONTEXT);
+
+test('isQuestion distingue preguntas de movimientos', () => {
+  assert.equal(queryParser.isQuestion('¿Cuánto gasté en restaurantes en marzo?'), true);
+  assert.equal(queryParser.isQuestion('cual fue mi gasto mas grande'), true);
+  assert.equal(queryParser.isQuestion('¿En qué se me va la plata?'), true);
+  assert.equal(queryParser.isQuestion('¿Qué compré ayer?'), true);
+  assert.equal(queryParser.isQuestion('Gasté 5000 en pan'), false);
+  assert.equal(queryParser.isQuestion('Quiero ver mi reporte del mes'), false);
+});
+
+test('parseQuestion filtra por una categoría del chat, también en plural', () => {
+  const query = parse('¿Cuánto gasté en restaurantes en marzo?');
+  
+  assert.equal(query.tipo, 'gasto');
+  assert.equal(query.agregacion, 'suma');
+  assert.equal(query.categoria, 'restaurante');
+  assert.equal(query.comercio, null);
+  assert.deepEqual(query.filtro, { tipos: ['gasto'], categoria: 'restaurante', desde: '2026-03-01', hasta: '2026-03-31' });
+});
+
+test('parseQuestion busca un comercio y sugiere su categoría', () => {
+  const query = parse('¿Cuánto llevo en Uber este año?');
+  
+  assert.equal(query.categoria, null);
+  assert.equal(query.comercio, 'uber');
+  assert.equal(query.categoriaSugerida, 'transporte');
+  assert.deepEqual(query.filtro, { tipos: ['gasto'], desde: '2026-01-01', hasta: '2026-04-15' });
+  
+  assert.equal(parse('¿cuál fue mi último gasto en mercado libre?').comercio, 'mercado libre');
+  assert.equal(parse('¿cuántas veces pedí domicilio el mes pasado?').comercio, 'domicilio');
+});
+
+test('parseQuestion identifica el cálculo pedido', () => {
+  assert.equal(parse('¿Cuál fue mi gasto más grande esta semana?').agregacion, 'maximo');
+  assert.equal(parse('¿cuál fue el gasto más barato de marzo?').agregacion, 'minimo');
+  assert.equal(parse('¿cuántas veces pedí domicilio el mes pasado?').agregacion, 'conteo');
+  assert.equal(parse('¿cuánto gasto en promedio en transporte?').agregacion, 'promedio');
+  assert.equal(parse('¿cuál fue mi último gasto?').agregacion, 'ultimo');
+  assert.equal(parse('¿Qué compré ayer?').agregacion, 'lista');
+  assert.equal(parse('¿En qué se me va la plata?').agregacion, 'categorias');
+});
+
+test('parseQuestion reconoce las preguntas sobre ingresos', () => {
+  const query = parse('¿cuánto recibí de freelance en el primer trimestre?');
+  
+  assert.equal(query.tipo, 'ingreso');
+  assert.equal(query.comercio, 'freelance');
+  assert.equal(query.categoriaSugerida, null);
+  assert.deepEqual(query.filtro, { tipos: queryParser.INCOME_TYPES, desde: '2026-01-01', hasta: '2026-03-31' });
+});
+
+test('parseQuestion elige el período por defecto según el cálculo', () => {
+  // Sin período: el mes actual
+  assert.deepEqual(parse('¿En qué se me va la plata?').filtro, { tipos: ['gasto'], desde: '2026-04-01', hasta: '2026-04-15' });
+  
+  // El promedio mensual usa los últimos 6 meses
+  const average = parse('¿cuánto gasto en promedio al mes en comida?');
+  assert.equal(average.mensual, true);
+  assert.deepEqual([average.periodo.desde, average.periodo.hasta, average.periodo.meses], ['2025-10-16', '2026-04-15', 6]);
+  
+  // El último movimiento se busca en todo el historial
+  const last = parse('¿cuál fue mi último gasto en mercado libre?');
+  assert.equal(last.periodo, null);
+  assert.deepEqual(last.filtro, { tipos: ['gasto'] });
+  
+  // Los períodos relativos se calculan desde la fecha del chat
+  assert.deepEqual(parse('¿Qué compré ayer?').filtro, { tipos: ['gasto'], desde: '2026-04-14', hasta: '2026-04-14' });
+});
+
+test('matchesMerchant busca en el concepto y el texto original, también en singular', () => {
+  const transaction = { concepto: 'Uber', texto_completo: 'Pagué 3 cervezas en el bar' };
+  
+  assert.equal(queryParser.matchesMerchant(transaction, 'uber'), true);
+  assert.equal(queryParser.matchesMerchant(transaction, 'Cervezas'), true);
+  assert.equal(queryParser.matchesMerchant({ concepto: 'Cerveza', texto_completo: null }, 'cervezas'), true);
+  assert.equal(queryParser.matchesMerchant(transaction, 'rappi'), false);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const receiptParser = require('../utils/receiptParser');
+
+test('crossCheck no advierte cuando subtotal, impuestos y total cuadran', () => {
+  const receipt = {
+    items: [{ nombre: 'Pan', precio: 4000 }, { nombre: 'Leche', precio: 6000 }],
+    subtotal: 10000,
+    impuestos: [{ tipo: 'IVA', tasa: 19, monto: 1900 }],
+    descuentos: [],
+    propina: null
+  };
+  
+  assert.deepEqual(receiptParser.crossCheck(receipt, 11900), []);
+});
+
+test('crossCheck acepta totales con o sin impuestos y descuentos ya aplicados', () => {
+  const receipt = {
+    items: [],
+    subtotal: 10000,
+    impuestos: [{ tipo: 'IVA', tasa: 19, monto: 1900 }],
+    descuentos: [{ concepto: 'Descuento', monto: 1000 }],
+    propina: 500
+  };
+  
+  assert.deepEqual(receiptParser.crossCheck(receipt, 11400), []);
+  assert.deepEqual(receiptParser.crossCheck(receipt, 10500), []);
+  assert.deepEqual(receiptParser.crossCheck(receipt, 9500), []);
+});
+
+test('crossCheck advierte cuando los ítems no suman el subtotal', () => {
+  const receipt = {
+    items: [{ nombre: 'Pan', precio: 4000 }, { nombre: 'Leche', precio: 6000 }],
+    subtotal: 12000,
+    impuestos: [],
+    descuentos: []
+  };
+  
+  const warnings = receiptParser.crossCheck(receipt, 12000);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /^Los ítems suman .*10\.000.* pero el subtotal es .*12\.000/);
+});
+
+test('crossCheck advierte cuando el total no cuadra con el desglose', () => {
+  const receipt = {
+    items: [],
+    subtotal: 10000,
+    impuestos: [{ tipo: 'IVA', tasa: 19, monto: 1900 }],
+    descuentos: [],
+    propina: 1000
+  };
+  
+  const warnings = receiptParser.crossCheck(receipt, 19000);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /^El subtotal con impuestos y propina suma .*12\.900.*, no .*19\.000/);
+});
+
+test('crossCheck revisa el efectivo recibido y el cambio', () => {
+  const receipt = {
+    items: [],
+    subtotal: null,
+    impuestos: [],
+    descuentos: [],
+    medio_pago: { tipo: 'efectivo', recibido: 20000, cambio: 5000 }
+  };
+  
+  assert.deepEqual(receiptParser.crossCheck(receipt, 15000), []);
+  assert.equal(receiptParser.crossCheck(receipt, 14000).length, 1);
+});
+
+test('crossCheck sin total ni desglose no advierte nada', () => {
+  assert.deepEqual(receiptParser.crossCheck({ items: [], subtotal: null }, null), []);
+});
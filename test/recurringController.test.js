@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+
+// Base de datos en memoria para no tocar data/
+config.SQLITE_FILE = ':memory:';
+const database = require('../database');
+const recurringController = require('../controllers/recurringController');
+const reminderController = require('../controllers/reminderController');
+
+const CHAT_ID = 2002;
+
+database.initDatabase();
+database.ensureChat(CHAT_ID);
+
+// Solo los ítems fijos de la prueba (ensureChat crea los de config)
+database.getFixedExpenses(CHAT_ID).forEach(e => database.deleteFixedExpense(CHAT_ID, e.id));
+database.getFixedIncomes(CHAT_ID).forEach(i => database.deleteFixedIncome(CHAT_ID, i.id));
+
+database.addFixedExpense(CHAT_ID, {
+  nombre: 'Arriendo_Casa', monto: 1200000, categoria: 'servicios', fechaPago: 5, frecuencia: 'mensual', fechaInicio: '2026-01-01'
+});
+database.addFixedIncome(CHAT_ID, {
+  nombre: 'Salario', monto: 3000000, fechaIngreso: 15, frecuencia: 'mensual', fechaInicio: '2026-01-01'
+});
+
+/**
+ * Bot falso que guarda los mensajes enviados
+ * @returns {Object}
+ */
+function createBot() {
+  const sent = [];
+  return { sent, sendMessage: async (chatId, text, options) => { sent.push({ chatId, text, options }); } };
+}
+
+/**
+ * Movimientos fijos registrados del chat, en orden de fecha
+ * @returns {Array} - [fecha, concepto]
+ */
+function postedTransactions() {
+  return database.queryTransactions(CHAT_ID, {})
+    .map(t => [t.fecha, t.concepto])
+    .sort((a, b) => a[0].localeCompare(b[0]));
+}
+
+// 10:00 en Bogotá, después de la hora de los avisos
+const at = date => new Date(`${date}T15:00:00Z`);
+
+test('registra de una vez los vencimientos perdidos desde la fecha de inicio', async () => {
+  const bot = createBot();
+  await recurringController.postDueTransactions(bot, at('2026-03-15'));
+  
+  assert.deepEqual(postedTransactions(), [
+    ['2026-01-05', 'Arriendo_Casa'],
+    ['2026-01-15', 'Salario'],
+    ['2026-02-05', 'Arriendo_Casa'],
+    ['2026-02-15', 'Salario'],
+    ['2026-03-05', 'Arriendo_Casa'],
+    ['2026-03-15', 'Salario']
+  ]);
+  assert.equal(bot.sent.length, 1);
+  assert.match(bot.sent[0].text, /Arriendo\\_Casa: \$1\.200\.000/);
+});
+
+test('no duplica los vencimientos ya registrados', async () => {
+  const bot = createBot();
+  await recurringController.postDueTransactions(bot, at('2026-03-15'));
+  await recurringController.postDueTransactions(bot, at('2026-03-20'));
+  
+  assert.equal(postedTransactions().length, 6);
+  assert.equal(bot.sent.length, 0);
+});
+
+test('un movimiento fijo eliminado no se vuelve a registrar', async () => {
+  const [march] = database.queryTransactions(CHAT_ID, { desde: '2026-03-05', hasta: '2026-03-05' });
+  database.deleteTransaction(CHAT_ID, march.id);
+  
+  const bot = createBot();
+  await recurringController.postDueTransactions(bot, at('2026-04-06'));
+  
+  assert.deepEqual(postedTransactions().slice(-2), [['2026-03-15', 'Salario'], ['2026-04-05', 'Arriendo_Casa']]);
+});
+
+test('antes de la hora de los avisos los vencimientos de hoy esperan', async () => {
+  const bot = createBot();
+  await recurringController.postDueTransactions(bot, new Date('2026-04-15T12:00:00Z'));
+  assert.equal(bot.sent.length, 0);
+  
+  await recurringController.postDueTransactions(bot, at('2026-04-15'));
+  assert.equal(bot.sent.length, 1);
+  assert.deepEqual(postedTransactions().slice(-1), [['2026-04-15', 'Salario']]);
+});
+
+test('el día del ingreso se avisa una vez aunque ya se haya registrado', async () => {
+  const bot = createBot();
+  await reminderController.checkReminders(bot, at('2026-04-15'));
+  await reminderController.checkReminders(bot, at('2026-04-15'));
+  
+  const incomeReminders = bot.sent.filter(m => m.text.includes('Hoy es día de ingreso'));
+  assert.equal(incomeReminders.length, 1);
+  assert.match(incomeReminders[0].text, /Se espera tu ingreso Salario por \$3\.000\.000/);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+
+// Base de datos en memoria para no tocar data/
+config.SQLITE_FILE = ':memory:';
+config.reminders.daysBefore = 3;
+config.reminders.hour = 9;
+const database = require('../database');
+const recurrence = require('../utils/recurrence');
+const reminderController = require('../controllers/reminderController');
+
+// Bogotá está en UTC-5 y Tokio en UTC+9: a la misma hora pueden ser días distintos
+const BOGOTA_CHAT = 7007;
+const TOKYO_CHAT = 7008;
+
+database.initDatabase();
+
+[[BOGOTA_CHAT, 'America/Bogota'], [TOKYO_CHAT, 'Asia/Tokyo']].forEach(([chatId, timezone]) => {
+  database.ensureChat(chatId);
+  database.setChatTimezone(chatId, timezone);
+  
+  // Solo el gasto de la prueba (ensureChat crea los de config), con pago el día 31
+  database.getFixedExpenses(chatId).forEach(e => database.deleteFixedExpense(chatId, e.id));
+  database.getFixedIncomes(chatId).forEach(i => database.deleteFixedIncome(chatId, i.id));
+  database.addFixedExpense(chatId, {
+    nombre: 'Arriendo', monto: 1200000, categoria: 'servicios', fechaPago: 31, frecuencia: 'mensual', fechaInicio: '2026-01-01'
+  });
+});
+
+/**
+ * Bot falso que guarda los mensajes enviados
+ * @returns {Object}
+ */
+function createBot() {
+  const sent = [];
+  return { sent, sendMessage: async (chatId, text, options) => { sent.push({ chatId, text, options }); } };
+}
+
+/**
+ * Revisa los avisos de todos los chats en un instante y devuelve los enviados a un chat
+ * @param {number} chatId - ID del chat
+ * @param {string} iso - Instante en UTC
+ * @returns {Promise<Array>} - Textos enviados al chat
+ */
+async function remindersAt(chatId, iso) {
+  const bot = createBot();
+  await reminderController.checkReminders(bot, new Date(iso));
+  return bot.sent.filter(m => m.chatId === chatId).map(m => m.text);
+}
+
+test('un pago el día 31 vence el último día de los meses más cortos', () => {
+  const schedule = { frecuencia: 'mensual', dia: 31, fechaInicio: '2026-01-01' };
+  
+  assert.deepEqual(recurrence.occurrencesBetween(schedule, '2026-01-01', '2026-04-30'),
+    ['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+  assert.equal(recurrence.nextOccurrence(schedule, '2028-02-10'), '2028-02-29');
+});
+
+test('el aviso de un pago el día 31 se envía para el 28 de febrero una sola vez', async () => {
+  // 10:00 en Bogotá
+  const first = await remindersAt(BOGOTA_CHAT, '2026-02-25T15:00:00Z');
+  assert.equal(first.length, 1);
+  assert.match(first[0], /vence en \*3 días\* \(2026-02-28\)/);
+  
+  assert.deepEqual(await remindersAt(BOGOTA_CHAT, '2026-02-26T15:00:00Z'), []);
+});
+
+test('los días del aviso se cuentan en la zona horaria de cada chat', async () => {
+  // 22:00 del 29 de abril en Bogotá y 12:00 del 30 de abril en Tokio
+  const bot = createBot();
+  await reminderController.checkReminders(bot, new Date('2026-04-30T03:00:00Z'));
+  
+  const bogota = bot.sent.filter(m => m.chatId === BOGOTA_CHAT).map(m => m.text);
+  const tokyo = bot.sent.filter(m => m.chatId === TOKYO_CHAT).map(m => m.text);
+  assert.equal(bogota.length, 1);
+  assert.match(bogota[0], /vence en \*1 día\* \(2026-04-30\)/);
+  assert.equal(tokyo.length, 1);
+  assert.match(tokyo[0], /vence \*hoy\* \(2026-04-30\)/);
+});
+
+test('no se envían avisos antes de la hora configurada en la zona horaria del chat', async () => {
+  // 07:00 del 29 de mayo en Tokio: el pago del 31 ya está dentro del plazo, pero es temprano
+  assert.deepEqual(await remindersAt(TOKYO_CHAT, '2026-05-28T22:00:00Z'), []);
+  
+  // 09:30 en Tokio
+  const sent = await remindersAt(TOKYO_CHAT, '2026-05-29T00:30:00Z');
+  assert.equal(sent.length, 1);
+  assert.match(sent[0], /vence en \*2 días\* \(2026-05-31\)/);
+});
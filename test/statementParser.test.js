@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const statementParser = require('../utils/statementParser');
+
+test('parseCsv lee montos con signo, comillas y separador ;', () => {
+  const csv = [
+    'Fecha;Descripción;Valor',
+    '05/03/2026;"UBER *TRIP";-12.500',
+    '06/03/2026;"PAGO NOMINA; MARZO";2.500.000,00',
+    '07/03/2026;Compra sin monto;'
+  ].join('\n');
+  
+  assert.deepEqual(statementParser.parseCsv(csv), [
+    { fecha: '2026-03-05', monto: 12500, tipo: 'gasto', concepto: 'UBER *TRIP', moneda: null, referencia: null },
+    { fecha: '2026-03-06', monto: 2500000, tipo: 'ingreso', concepto: 'PAGO NOMINA; MARZO', moneda: null, referencia: null }
+  ]);
+});
+
+test('parseCsv salta las filas anteriores a los encabezados y usa débitos y créditos', () => {
+  const csv = [
+    'Banco Ejemplo,Cuenta 123',
+    '',
+    'Fecha,Detalle,Débito,Crédito,Moneda',
+    '2026-03-05,Supermercado,"45,000.00",,COP',
+    '2026-03-06,Transferencia recibida,,"100,000.00",usd'
+  ].join('\r\n');
+  
+  const movements = statementParser.parseCsv(csv);
+  assert.equal(movements.length, 2);
+  assert.deepEqual(movements.map(m => [m.fecha, m.tipo, m.monto, m.moneda]), [
+    ['2026-03-05', 'gasto', 45000, 'COP'],
+    ['2026-03-06', 'ingreso', 100000, 'USD']
+  ]);
+});
+
+test('parseCsv reconoce otros formatos de signo', () => {
+  const csv = [
+    'Fecha,Concepto,Monto',
+    '05/03/26,Paréntesis,(1.500)',
+    '05/03/26,Signo al final,1.500-',
+    '05/03/26,Débito,1.500 DB'
+  ].join('\n');
+  
+  assert.deepEqual(statementParser.parseCsv(csv).map(m => [m.fecha, m.tipo]), [
+    ['2026-03-05', 'gasto'],
+    ['2026-03-05', 'gasto'],
+    ['2026-03-05', 'gasto']
+  ]);
+});
+
+test('parseCsv usa las columnas indicadas por el usuario', () => {
+  const csv = 'Fecha Op;Detalle Mov;Importe Neto\n01/02/2026;Cine;-30.000\n';
+  const mapping = statementParser.parseColumnMapping('fecha=Fecha Op, monto=Importe Neto, concepto=Detalle Mov');
+  
+  assert.deepEqual(mapping, { fecha: 'fecha op', monto: 'importe neto', concepto: 'detalle mov' });
+  assert.throws(() => statementParser.parseCsv(csv), /columnas de fecha y monto/);
+  assert.deepEqual(statementParser.parseCsv(csv, mapping).map(m => [m.fecha, m.monto, m.concepto]), [
+    ['2026-02-01', 30000, 'Cine']
+  ]);
+});
+
+test('parseOfx lee OFX 1.x sin etiquetas de cierre', () => {
+  const ofx = [
+    'OFXHEADER:100',
+    '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS>',
+    '<CURDEF>USD',
+    '<BANKTRANLIST>',
+    '<STMTTRN>',
+    '<TRNTYPE>DEBIT',
+    '<DTPOSTED>20260305120000[-5:EST]',
+    '<TRNAMT>-15.25',
+    '<FITID>ABC1',
+    '<NAME>AMAZON',
+    '<MEMO>AMAZON',
+    '<STMTTRN>',
+    '<TRNTYPE>CREDIT',
+    '<DTPOSTED>20260306',
+    '<TRNAMT>200.00',
+    '<FITID>ABC2',
+    '<NAME>PAYROLL',
+    '<MEMO>March',
+    '</BANKTRANLIST>'
+  ].join('\n');
+  
+  assert.deepEqual(statementParser.parseOfx(ofx), [
+    { fecha: '2026-03-05', monto: 15.25, tipo: 'gasto', concepto: 'AMAZON', moneda: 'USD', referencia: 'ABC1' },
+    { fecha: '2026-03-06', monto: 200, tipo: 'ingreso', concepto: 'PAYROLL - March', moneda: 'USD', referencia: 'ABC2' }
+  ]);
+});
+
+test('parseOfx lee OFX 2.x en XML', () => {
+  const ofx = '<OFX><CURDEF>COP</CURDEF><BANKTRANLIST>' +
+    '<STMTTRN><DTPOSTED>20260310</DTPOSTED><TRNAMT>-50000</TRNAMT><FITID>X9</FITID><NAME>PAGO_PSE</NAME></STMTTRN>' +
+    '</BANKTRANLIST></OFX>';
+  
+  assert.deepEqual(statementParser.parseOfx(ofx), [
+    { fecha: '2026-03-10', monto: 50000, tipo: 'gasto', concepto: 'PAGO_PSE', moneda: 'COP', referencia: 'X9' }
+  ]);
+});
+
+test('parseStatement elige el formato por la extensión o el contenido', () => {
+  const csv = 'fecha,monto\n01/03/2026,-1000\n';
+  assert.equal(statementParser.parseStatement('extracto.csv', csv).length, 1);
+  assert.equal(statementParser.parseStatement('extracto.txt', csv).length, 1);
+  assert.equal(statementParser.parseStatement('movimientos.dat', '<OFX><STMTTRN><DTPOSTED>20260301<TRNAMT>-5</STMTTRN></OFX>').length, 1);
+  assert.throws(() => statementParser.parseStatement('extracto.pdf', '%PDF'), /Formato no soportado: \.pdf/);
+  assert.throws(() => statementParser.parseOfx('<OFX></OFX>'), /no tiene movimientos OFX/);
+});
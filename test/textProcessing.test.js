@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const textUtils = require('../utils/textProcessing');
+
+const TODAY = '2026-03-20';
+
+/**
+ * Movimientos de un mensaje, reducidos a los campos que interesan
+ * @param {string} text - Mensaje
+ * @param {string} intent - Tipo por defecto
+ * @returns {Array} - [tipo, monto, concepto, fecha]
+ */
+function split(text, intent = 'gasto') {
+  return textUtils.processTransactions(text, intent, undefined, TODAY).map(t => [t.tipo, t.monto, t.concepto, t.fecha]);
+}
+
+test('processTransactions parte una frase compuesta y aplica la fecha a todas las partes', () => {
+  assert.deepEqual(split('Gasté 12000 en uber y 35000 en almuerzo ayer'), [
+    ['gasto', 12000, 'Uber', '2026-03-19'],
+    ['gasto', 35000, 'Almuerzo', '2026-03-19']
+  ]);
+});
+
+test('processTransactions lee listas con encabezado y la fecha al inicio de cada línea', () => {
+  assert.deepEqual(split('Gastos de ayer:\n- uber 12000\n- almuerzo 35000'), [
+    ['gasto', 12000, 'Uber', '2026-03-19'],
+    ['gasto', 35000, 'Almuerzo', '2026-03-19']
+  ]);
+  
+  assert.deepEqual(split('15/03 taxi 9000\n16/03 café 5000', null), [
+    ['gasto', 9000, 'Taxi', '2026-03-15'],
+    ['gasto', 5000, 'Café', '2026-03-16']
+  ]);
+});
+
+test('processTransactions toma el tipo de cada parte', () => {
+  assert.deepEqual(split('Gasté 20000 en mercado, recibí 50000 por freelance'), [
+    ['gasto', 20000, 'Mercado', TODAY],
+    ['ingreso', 50000, 'Freelance', TODAY]
+  ]);
+});
+
+test('processTransactions devuelve un solo movimiento si el mensaje no se puede partir', () => {
+  assert.deepEqual(split('Gasté 12000 en uber'), [['gasto', 12000, 'Uber', TODAY]]);
+  
+  // Una parte sin monto se une a la anterior en lugar de quedar sola
+  assert.deepEqual(split('uber 12000, almuerzo 35000, propina'), [
+    ['gasto', 12000, 'Uber', TODAY],
+    ['gasto', 35000, 'Almuerzo propina', TODAY]
+  ]);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+
+// Base de datos en memoria para no tocar data/
+config.SQLITE_FILE = ':memory:';
+const database = require('../database');
+
+const CHAT_ID = 5005;
+
+database.initDatabase();
+database.ensureChat(CHAT_ID);
+
+/**
+ * Movimiento de prueba
+ * @param {string} concepto - Concepto
+ * @param {number} monto - Monto
+ * @returns {Object}
+ */
+function transaction(concepto, monto) {
+  return { tipo: 'gasto', monto, fecha: '2026-03-20', concepto, categoria: 'otros', texto_completo: concepto };
+}
+
+/**
+ * Conceptos de los movimientos del chat, ordenados
+ * @returns {Array}
+ */
+function conceptos() {
+  return database.queryTransactions(CHAT_ID, {}).map(t => t.concepto).sort();
+}
+
+test('deshacer una creación elimina el movimiento', () => {
+  const id = database.registerTransaction(CHAT_ID, transaction('Uber', 12000));
+  
+  const result = database.undoLastOperation(CHAT_ID);
+  
+  assert.equal(result.operacion, 'crear');
+  assert.equal(result.transaccion.id, id);
+  assert.equal(database.getTransaction(CHAT_ID, id), null);
+});
+
+test('deshacer una edición devuelve los valores anteriores', () => {
+  const id = database.registerTransaction(CHAT_ID, transaction('Almuerzo', 35000));
+  database.updateTransaction(CHAT_ID, id, { monto: 53000, categoria: 'restaurante' });
+  
+  const result = database.undoLastOperation(CHAT_ID);
+  
+  assert.equal(result.operacion, 'editar');
+  const restored = database.getTransaction(CHAT_ID, id);
+  assert.equal(restored.monto, 35000);
+  assert.equal(restored.categoria, 'otros');
+});
+
+test('deshacer una eliminación recupera el movimiento con su ID', () => {
+  const id = database.registerTransaction(CHAT_ID, transaction('Cine', 20000));
+  database.deleteTransaction(CHAT_ID, id);
+  assert.equal(database.getTransaction(CHAT_ID, id), null);
+  
+  const result = database.undoLastOperation(CHAT_ID);
+  
+  assert.equal(result.operacion, 'eliminar');
+  assert.equal(database.getTransaction(CHAT_ID, id).concepto, 'Cine');
+});
+
+test('deshacer un lote elimina todos sus movimientos juntos', () => {
+  const before = conceptos();
+  database.importTransactions(CHAT_ID, [transaction('Taxi', 9000), transaction('Cafe', 5000)], 'lote');
+  
+  const result = database.undoLastOperation(CHAT_ID);
+  
+  assert.equal(result.operacion, 'lote');
+  assert.equal(result.cantidad, 2);
+  assert.deepEqual(conceptos(), before);
+});
+
+test('deshacer varias veces revierte las operaciones en orden inverso', () => {
+  const id = database.registerTransaction(CHAT_ID, transaction('Libro', 40000));
+  database.updateTransaction(CHAT_ID, id, { monto: 45000 });
+  database.deleteTransaction(CHAT_ID, id);
+  
+  assert.equal(database.undoLastOperation(CHAT_ID).operacion, 'eliminar');
+  assert.equal(database.getTransaction(CHAT_ID, id).monto, 45000);
+  
+  assert.equal(database.undoLastOperation(CHAT_ID).operacion, 'editar');
+  assert.equal(database.getTransaction(CHAT_ID, id).monto, 40000);
+  
+  assert.equal(database.undoLastOperation(CHAT_ID).operacion, 'crear');
+  assert.equal(database.getTransaction(CHAT_ID, id), null);
+});
+
+test('deshacer un aporte o su edición corrige el acumulado de la meta', () => {
+  const goalId = database.addGoal(CHAT_ID, { nombre: 'Bicicleta', montoObjetivo: 900000, montoAcumulado: 0, fecha: '2027-06-30' });
+  const accumulated = () => database.getGoals(CHAT_ID).find(g => g.id === goalId).montoAcumulado;
+  
+  const id = database.contributeToGoal(CHAT_ID, goalId, { ...transaction('Meta: Bicicleta', 100000), tipo: 'ahorro', categoria: 'ahorro' });
+  database.updateTransaction(CHAT_ID, id, { monto: 150000 });
+  assert.equal(accumulated(), 150000);
+  
+  database.undoLastOperation(CHAT_ID);
+  assert.equal(accumulated(), 100000);
+  
+  database.undoLastOperation(CHAT_ID);
+  assert.equal(accumulated(), 0);
+});
+
+test('sin operaciones pendientes no hay nada que deshacer', () => {
+  while (database.undoLastOperation(CHAT_ID)) {
+    // Deshacer todo lo que quede de las pruebas anteriores
+  }
+  assert.equal(database.undoLastOperation(CHAT_ID), null);
+});
@@ -0,0 +1,160 @@
+const config = require('../config');
+const money = require('./money');
+
+// Colores de las series (se repiten si hay más categorías)
+const PALETTE = ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948',
+  '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'];
+const INCOME_COLOR = '#59a14f';
+const EXPENSE_COLOR = '#e15759';
+const BUDGET_COLOR = '#bab0ac';
+
+let renderer = null;
+
+/**
+ * Obtiene el renderizador de Chart.js sobre canvas (sin navegador)
+ * @returns {Object} - Instancia de ChartJSNodeCanvas
+ */
+function getRenderer() {
+  if (!renderer) {
+    const { ChartJSNodeCanvas } = require('chartjs-node-canvas');
+    renderer = new ChartJSNodeCanvas({
+      width: config.charts.width,
+      height: config.charts.height,
+      backgroundColour: 'white'
+    });
+  }
+  
+  return renderer;
+}
+
+/**
+ * Genera la imagen PNG de un gráfico
+ * @param {Object} chartConfig - Configuración de Chart.js
+ * @returns {Promise<Buffer>} - Imagen PNG
+ */
+function render(chartConfig) {
+  return getRenderer().renderToBuffer(chartConfig, 'image/png');
+}
+
+/**
+ * Opciones comunes: título y montos del eje Y en la moneda base
+ * @param {string} title - Título del gráfico
+ * @param {string} moneda - Moneda base del chat
+ * @returns {Object} - Opciones de Chart.js
+ */
+function baseOptions(title, moneda) {
+  return {
+    plugins: {
+      title: { display: true, text: title, font: { size: 18 } }
+    },
+    scales: {
+      y: {
+        beginAtZero: true,
+        ticks: { callback: value => money.formatAmount(value, moneda) }
+      }
+    }
+  };
+}
+
+/**
+ * Gráfico de dona con la distribución de gastos por categoría
+ * @param {Object} totals - Mapa categoría -> monto
+ * @param {string} title - Título del gráfico
+ * @returns {Promise<Buffer>} - Imagen PNG
+ */
+function renderCategoryChart(totals, title) {
+  const entries = Object.entries(totals).filter(([, amount]) => amount > 0).sort((a, b) => b[1] - a[1]);
+  
+  return render({
+    type: 'doughnut',
+    data: {
+      labels: entries.map(([category]) => category),
+      datasets: [{
+        data: entries.map(([, amount]) => amount),
+        backgroundColor: entries.map((_, i) => PALETTE[i % PALETTE.length])
+      }]
+    },
+    options: {
+      plugins: {
+        title: { display: true, text: title, font: { size: 18 } },
+        legend: { position: 'right' }
+      }
+    }
+  });
+}
+
+/**
+ * Gráfico de barras de presupuesto contra gasto real por categoría
+ * @param {Array} rows - [{ categoria, presupuesto, gastado }]
+ * @param {string} moneda - Moneda base del chat
+ * @returns {Promise<Buffer>} - Imagen PNG
+ */
+function renderBudgetChart(rows, moneda) {
+  return render({
+    type: 'bar',
+    data: {
+      labels: rows.map(row => row.categoria),
+      datasets: [
+        { label: 'Presupuesto', data: rows.map(row => row.presupuesto), backgroundColor: BUDGET_COLOR },
+        {
+          label: 'Gastado',
+          data: rows.map(row => row.gastado),
+          // Rojo para las categorías que superaron el presupuesto
+          backgroundColor: rows.map(row => (row.gastado > row.presupuesto ? EXPENSE_COLOR : PALETTE[0]))
+        }
+      ]
+    },
+    options: baseOptions(`Presupuesto vs gasto real (${moneda})`, moneda)
+  });
+}
+
+/**
+ * Gráfico de línea con el gasto de cada día del mes
+ * @param {Array} days - [{ fecha, total }] ordenados por fecha
+ * @param {string} moneda - Moneda base del chat
+ * @returns {Promise<Buffer>} - Imagen PNG
+ */
+function renderDailyChart(days, moneda) {
+  return render({
+    type: 'line',
+    data: {
+      labels: days.map(day => day.fecha.slice(8)),
+      datasets: [{
+        label: 'Gasto diario',
+        data: days.map(day => day.total),
+        borderColor: EXPENSE_COLOR,
+        backgroundColor: 'rgba(225, 87, 89, 0.2)',
+        fill: true,
+        tension: 0.3
+      }]
+    },
+    options: baseOptions(`Gasto diario del mes (${moneda})`, moneda)
+  });
+}
+
+/**
+ * Gráfico de ingresos contra gastos de los últimos meses
+ * @param {Array} months - [{ mes: 'yyyy-mm', ingresos, gastos }] ordenados por mes
+ * @param {string} moneda - Moneda base del chat
+ * @returns {Promise<Buffer>} - Imagen PNG
+ */
+function renderTrendChart(months, moneda) {
+  return render({
+    type: 'line',
+    data: {
+      labels: months.map(month => month.mes),
+      datasets: [
+        { label: 'Ingresos', data: months.map(month => month.ingresos), borderColor: INCOME_COLOR, backgroundColor: INCOME_COLOR },
+        { label: 'Gastos', data: months.map(month => month.gastos), borderColor: EXPENSE_COLOR, backgroundColor: EXPENSE_COLOR }
+      ]
+    },
+    options: baseOptions(`Ingresos vs gastos, últimos ${months.length} meses (${moneda})`, moneda)
+  });
+}
+
+module.exports = {
+  renderCategoryChart,
+  renderBudgetChart,
+  renderDailyChart,
+  renderTrendChart
+};
\ No newline at end of file
@@ -0,0 +1,120 @@
+// Utilidades de fechas de calendario en formato yyyy-mm-dd.
+// Los cálculos se hacen en UTC para que los cambios de horario no alteren los días.
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Obtiene la fecha actual en una zona horaria
+ * @param {string} timeZone - Zona horaria IANA (por ejemplo 'America/Bogota')
+ * @param {Date} now - Instante de referencia
+ * @returns {string} - Fecha en formato yyyy-mm-dd
+ */
+function todayInTimezone(timeZone, now = new Date()) {
+  // El formato en-CA produce directamente yyyy-mm-dd
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(now);
+}
+
+/**
+ * Obtiene la hora actual (0-23) en una zona horaria
+ * @param {string} timeZone - Zona horaria IANA
+ * @param {Date} now - Instante de referencia
+ * @returns {number} - Hora local
+ */
+function hourInTimezone(timeZone, now = new Date()) {
+  return parseInt(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hour: 'numeric',
+    hourCycle: 'h23'
+  }).format(now), 10);
+}
+
+/**
+ * Verifica si una zona horaria es válida
+ * @param {string} timeZone - Zona horaria IANA
+ * @returns {boolean}
+ */
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Convierte una fecha yyyy-mm-dd en milisegundos UTC
+ * @param {string} date - Fecha en formato yyyy-mm-dd
+ * @returns {number} - Milisegundos desde epoch (medianoche UTC)
+ */
+function toUTC(date) {
+  const [year, month, day] = date.split('-').map(n => parseInt(n, 10));
+  return Date.UTC(year, month - 1, day);
+}
+
+/**
+ * Convierte milisegundos UTC en una fecha yyyy-mm-dd
+ * @param {number} ms - Milisegundos desde epoch
+ * @returns {string} - Fecha en formato yyyy-mm-dd
+ */
+function fromUTC(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+/**
+ * Suma días a una fecha
+ * @param {string} date - Fecha en formato yyyy-mm-dd
+ * @param {number} days - Días a sumar (pueden ser negativos)
+ * @returns {string} - Fecha resultante
+ */
+function addDays(date, days) {
+  return fromUTC(toUTC(date) + days * MS_PER_DAY);
+}
+
+/**
+ * Cantidad de días entre dos fechas
+ * @param {string} from - Fecha inicial
+ * @param {string} to - Fecha final
+ * @returns {number} - Días de from a to (negativo si to es anterior)
+ */
+function daysBetween(from, to) {
+  return Math.round((toUTC(to) - toUTC(from)) / MS_PER_DAY);
+}
+
+/**
+ * Cantidad de días de un mes
+ * @param {number} year - Año
+ * @param {number} month - Mes (1-12)
+ * @returns {number} - Días del mes
+ */
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Fecha de vencimiento de un día del mes, ajustada a meses más cortos
+ * (el día 31 cae el 30 en abril y el 28 o 29 en febrero)
+ * @param {number} year - Año
+ * @param {number} month - Mes (1-12)
+ * @param {number} day - Día de pago configurado
+ * @returns {string} - Fecha en formato yyyy-mm-dd
+ */
+function dueDateInMonth(year, month, day) {
+  const actualDay = Math.min(day, daysInMonth(year, month));
+  return `${year}-${String(month).padStart(2, '0')}-${String(actualDay).padStart(2, '0')}`;
+}
+
+module.exports = {
+  todayInTimezone,
+  hourInTimezone,
+  isValidTimezone,
+  addDays,
+  daysBetween,
+  daysInMonth,
+  dueDateInMonth
+};
\ No newline at end of file
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const config = require('../config');
+
+// Moneda de referencia: las tasas indican cuántas unidades de cada moneda vale 1 USD
+const PIVOT = 'USD';
+
+/**
+ * Obtiene las tasas del archivo local (sin conexión). Usa las tasas de la
+ * fecha más reciente que no sea posterior a la pedida; si la fecha es
+ * anterior a todas, usa la primera disponible.
+ * @param {string} date - Fecha yyyy-mm-dd
+ * @returns {Promise<Object>} - Mapa moneda -> unidades por 1 USD
+ */
+async function ratesFromFile(date) {
+  const data = JSON.parse(fs.readFileSync(config.currency.ratesFile, 'utf8'));
+  const available = Object.keys(data.tasas || {}).sort();
+  
+  if (available.length === 0) {
+    throw new Error(`El archivo de tasas ${config.currency.ratesFile} no tiene tasas`);
+  }
+  
+  const closest = available.filter(d => d <= date).pop() || available[0];
+  return data.tasas[closest];
+}
+
+/**
+ * Obtiene las tasas históricas de un servicio web. La respuesta debe tener
+ * el formato { rates: { EUR: 0.92, COP: 4100, ... } }
+ * @param {string} date - Fecha yyyy-mm-dd
+ * @returns {Promise<Object>} - Mapa moneda -> tasa
+ */
+async function ratesFromApi(date) {
+  if (!config.currency.ratesUrl) {
+    throw new Error('Falta configurar RATES_URL para el proveedor de tasas api');
+  }
+  
+  const url = config.currency.ratesUrl.replace('{date}', date);
+  const response = await fetch(url, { signal: AbortSignal.timeout(config.currency.timeoutMs) });
+  
+  if (!response.ok) {
+    throw new Error(`El servicio de tasas respondió ${response.status}`);
+  }
+  
+  const body = await response.json();
+  if (!body || !body.rates) {
+    throw new Error('Respuesta del servicio de tasas sin el campo rates');
+  }
+  
+  return body.rates;
+}
+
+// Proveedores disponibles; se pueden registrar otros con registerProvider
+const providers = {
+  file: ratesFromFile,
+  api: ratesFromApi
+};
+
+/**
+ * Registra un proveedor de tasas de cambio
+ * @param {string} name - Nombre del proveedor
+ * @param {Function} fn - Función (date) => Promise<Object> con las tasas del día
+ */
+function registerProvider(name, fn) {
+  providers[name] = fn;
+}
+
+/**
+ * Expresa las tasas respecto al USD, sin importar la moneda de referencia del proveedor
+ * @param {Object} rates - Mapa moneda -> tasa
+ * @returns {Object} - Mapa moneda -> unidades por 1 USD
+ */
+function toPivot(rates) {
+  const pivotRate = rates[PIVOT];
+  if (!pivotRate) {
+    throw new Error(`Las tasas no incluyen ${PIVOT}`);
+  }
+  
+  const result = {};
+  Object.entries(rates).forEach(([moneda, tasa]) => {
+    if (Number(tasa) > 0) result[moneda.toUpperCase()] = Number(tasa) / pivotRate;
+  });
+  
+  return result;
+}
+
+/**
+ * Obtiene las tasas de cambio de una fecha con el proveedor configurado. Si
+ * el proveedor falla se usa el archivo local.
+ * @param {string} date - Fecha yyyy-mm-dd
+ * @returns {Promise<Object>} - { rates: mapa moneda -> unidades por 1 USD, source }
+ */
+async function getRates(date) {
+  const name = config.currency.ratesProvider;
+  const provider = providers[name];
+  
+  if (!provider) {
+    throw new Error(`Proveedor de tasas no soportado: ${name}`);
+  }
+  
+  try {
+    return { rates: toPivot(await provider(date)), source: name };
+  } catch (error) {
+    if (name === 'file') throw error;
+    
+    console.error(`Error obteniendo tasas de ${name}, se usa el archivo local:`, error.message);
+    return { rates: toPivot(await ratesFromFile(date)), source: 'file' };
+  }
+}
+
+module.exports = {
+  PIVOT,
+  getRates,
+  registerProvider
+};
\ No newline at end of file
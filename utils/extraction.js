@@ -0,0 +1,108 @@
+const config = require('../config');
+const textUtils = require('./textProcessing');
+const receiptParser = require('./receiptParser');
+const queryParser = require('./queryParser');
+
+/**
+ * Extracción con las reglas locales (palabras clave y expresiones regulares)
+ * @param {string} text - Mensaje del usuario
+ * @param {Object} context - { today, categorias, rules }
+ * @returns {Object} - { intencion, transaccion, transacciones }
+ */
+function extractTextRegex(text, context) {
+  let intencion = textUtils.getIntent(text);
+  
+  // "¿Cuánto gasté en...?" trae la palabra clave de gasto pero es una pregunta
+  if ((!intencion || intencion === 'gasto' || intencion === 'ingreso') && queryParser.isQuestion(text)) {
+    intencion = 'consulta';
+  }
+  
+  if (intencion !== 'gasto' && intencion !== 'ingreso') return { intencion, transaccion: null };
+  
+  const transacciones = textUtils.processTransactions(text, intencion, context.rules, context.today);
+  return transacciones.length > 1
+    ? { intencion, transaccion: transacciones[0], transacciones }
+    : { intencion, transaccion: transacciones[0] };
+}
+
+// Proveedores disponibles; se pueden registrar otros con registerProvider.
+// Cada uno tiene text(text, context) => { intencion, transaccion, transacciones, entidades, candidatas } y
+// receipt(text) => recibo con la forma de utils/receiptParser.parseReceipt
+const providers = {
+  regex: {
+    text: extractTextRegex,
+    receipt: receiptParser.parseReceipt
+  },
+  nlu: {
+    text: (text, context) => require('./intentClassifier').extractText(text, context),
+    receipt: receiptParser.parseReceipt
+  },
+  llm: {
+    text: (text, context) => require('./llmExtraction').extractText(text, context),
+    receipt: text => require('./llmExtraction').extractReceipt(text)
+  }
+};
+
+/**
+ * Registra un proveedor de extracción
+ * @param {string} name - Nombre del proveedor
+ * @param {Object} provider - { text, receipt }
+ */
+function registerProvider(name, provider) {
+  providers[name] = provider;
+}
+
+/**
+ * Ejecuta la extracción con el proveedor configurado y, si falla, con las reglas locales
+ * @param {string} kind - 'text' o 'receipt'
+ * @param {Array} args - Argumentos del proveedor
+ * @returns {Promise<Object>}
+ */
+async function extract(kind, args) {
+  const name = config.extraction.provider;
+  const provider = providers[name];
+  
+  if (!provider) {
+    console.error(`Proveedor de extracción desconocido: ${name}. Se usan las reglas locales.`);
+  } else if (provider !== providers.regex) {
+    try {
+      return await provider[kind](...args);
+    } catch (error) {
+      console.error(`Error en la extracción con ${name}, se usan las reglas locales:`, error.message);
+    }
+  }
+  
+  return providers.regex[kind](...args);
+}
+
+/**
+ * Identifica la intención de un mensaje y, si es un gasto o ingreso, sus datos
+ * @param {string} text - Mensaje del usuario
+ * @param {Object} context - Datos del chat
+ * @param {string} context.today - Fecha actual del chat yyyy-mm-dd
+ * @param {Array} context.categorias - Nombres de las categorías del chat
+ * @param {Array} context.rules - Reglas de categorización del chat
+ * @returns {Promise<Object>} - { intencion: 'gasto'|'ingreso'|'meta'|'reporte'|'presupuesto'|
+ *   'consulta'|'correccion'|null, transaccion: datos como textProcessing.processText o null,
+ *   transacciones: todos los movimientos cuando el mensaje trae más de uno (opcional),
+ *   entidades: { monto, fecha, categoria, meta } (opcional), candidatas: intenciones para
+ *   preguntarle al usuario cuando el proveedor no está seguro (opcional) }
+ */
+function extractText(text, context = {}) {
+  return extract('text', [text, context]);
+}
+
+/**
+ * Extrae los datos de un recibo a partir del texto del OCR
+ * @param {string} text - Texto del recibo
+ * @returns {Promise<Object>} - Recibo como utils/receiptParser.parseReceipt
+ */
+function extractReceipt(text) {
+  return extract('receipt', [text]);
+}
+
+module.exports = {
+  extractText,
+  extractReceipt,
+  registerProvider
+};
\ No newline at end of file
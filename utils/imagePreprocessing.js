@@ -0,0 +1,465 @@
+const sharp = require('sharp');
+const config = require('../config');
+
+// Pasos del preprocesamiento, en el orden en que se aplican
+const STEPS = ['grayscale', 'perspective', 'deskew', 'upscale', 'normalize', 'threshold'];
+
+// Lado mayor de la copia reducida que se usa para detectar bordes e inclinación
+const ANALYSIS_SIZE = 400;
+
+// Resolución declarada en la imagen procesada (Tesseract la usa para estimar el tamaño del texto)
+const OUTPUT_DPI = 300;
+
+// Diferencia de brillo entre píxeles vecinos que se considera un borde
+const EDGE_CONTRAST = 40;
+
+/**
+ * Carga una imagen en escala de grises como píxeles crudos, respetando la
+ * orientación EXIF de la foto
+ * @param {string} inputPath - Imagen original
+ * @returns {Promise<Object>} - { data, width, height } con un byte por píxel
+ */
+async function loadGray(inputPath) {
+  const { data, info } = await sharp(inputPath).rotate().grayscale().raw().toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+/**
+ * Aplica una operación de sharp sobre una imagen en escala de grises
+ * @param {Object} image - { data, width, height }
+ * @param {Function} operation - pipeline => pipeline
+ * @returns {Promise<Object>} - Imagen resultante { data, width, height }
+ */
+async function withSharp(image, operation) {
+  const pipeline = sharp(image.data, { raw: { width: image.width, height: image.height, channels: 1 } });
+  const { data, info } = await operation(pipeline).grayscale().raw().toBuffer({ resolveWithObject: true });
+  return { data: info.channels === 1 ? data : toSingleChannel(data, info.channels), width: info.width, height: info.height };
+}
+
+/**
+ * Se queda con el primer canal de una imagen de varios canales
+ * @param {Buffer} data - Píxeles intercalados
+ * @param {number} channels - Canales por píxel
+ * @returns {Buffer}
+ */
+function toSingleChannel(data, channels) {
+  const gray = Buffer.alloc(data.length / channels);
+  for (let i = 0; i < gray.length; i++) gray[i] = data[i * channels];
+  return gray;
+}
+
+/**
+ * Copia reducida de la imagen para los análisis (bordes e inclinación)
+ * @param {Object} image - { data, width, height }
+ * @returns {Object} - { data, width, height, scale } (scale: tamaño original / reducido)
+ */
+function downsample(image) {
+  const scale = Math.max(1, Math.max(image.width, image.height) / ANALYSIS_SIZE);
+  const width = Math.max(1, Math.round(image.width / scale));
+  const height = Math.max(1, Math.round(image.height / scale));
+  const data = Buffer.alloc(width * height);
+  
+  for (let y = 0; y < height; y++) {
+    const sy = Math.min(image.height - 1, Math.floor(y * scale));
+    for (let x = 0; x < width; x++) {
+      data[y * width + x] = image.data[sy * image.width + Math.min(image.width - 1, Math.floor(x * scale))];
+    }
+  }
+  
+  return { data, width, height, scale };
+}
+
+/**
+ * Umbral de Otsu: el valor que mejor separa los píxeles claros de los oscuros
+ * @param {Buffer} data - Píxeles en escala de grises
+ * @returns {number}
+ */
+function otsuThreshold(data) {
+  const histogram = new Array(256).fill(0);
+  for (let i = 0; i < data.length; i++) histogram[data[i]]++;
+  
+  const total = data.length;
+  const sum = histogram.reduce((acc, count, value) => acc + count * value, 0);
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let best = 0;
+  let threshold = 127;
+  
+  for (let value = 0; value < 256; value++) {
+    weightBackground += histogram[value];
+    if (weightBackground === 0) continue;
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+    
+    sumBackground += value * histogram[value];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sum - sumBackground) / weightForeground;
+    const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+    
+    if (variance > best) {
+      best = variance;
+      threshold = value;
+    }
+  }
+  
+  return threshold;
+}
+
+/**
+ * Busca las cuatro esquinas del papel: la región clara conectada más grande
+ * @param {Object} small - Imagen reducida { data, width, height }
+ * @returns {Array|null} - [arriba-izq, arriba-der, abajo-der, abajo-izq] como [x, y], o null
+ *   si el recibo ocupa casi toda la foto o no se distingue del fondo
+ */
+function findReceiptCorners(small) {
+  const { data, width, height } = small;
+  const threshold = otsuThreshold(data);
+  const labels = new Int32Array(width * height);
+  let best = null;
+  let label = 0;
+  
+  for (let start = 0; start < data.length; start++) {
+    if (labels[start] !== 0 || data[start] <= threshold) continue;
+    
+    // Recorrido en anchura de la región clara
+    label++;
+    const queue = [start];
+    labels[start] = label;
+    const corners = { tl: [0, 0, Infinity], br: [0, 0, -Infinity], tr: [0, 0, -Infinity], bl: [0, 0, Infinity] };
+    const edges = { left: false, right: false, top: false, bottom: false };
+    let area = 0;
+    
+    while (queue.length > 0) {
+      const index = queue.pop();
+      const x = index % width;
+      const y = (index - x) / width;
+      area++;
+      
+      if (x === 0) edges.left = true;
+      if (x === width - 1) edges.right = true;
+      if (y === 0) edges.top = true;
+      if (y === height - 1) edges.bottom = true;
+      
+      if (x + y < corners.tl[2]) corners.tl = [x, y, x + y];
+      if (x + y > corners.br[2]) corners.br = [x, y, x + y];
+      if (x - y > corners.tr[2]) corners.tr = [x, y, x - y];
+      if (x - y < corners.bl[2]) corners.bl = [x, y, x - y];
+      
+      const neighbours = [x > 0 ? index - 1 : -1, x < width - 1 ? index + 1 : -1, index - width, index + width];
+      neighbours.forEach(next => {
+        if (next >= 0 && next < data.length && labels[next] === 0 && data[next] > threshold) {
+          labels[next] = label;
+          queue.push(next);
+        }
+      });
+    }
+    
+    if (!best || area > best.area) best = { area, corners, edges };
+  }
+  
+  // El papel debe destacarse del fondo sin ocupar toda la foto
+  const coverage = best ? best.area / data.length : 0;
+  if (coverage < 0.15 || coverage > 0.9) return null;
+  
+  // Un recibo largo puede salirse por dos bordes opuestos de la foto; si la región
+  // toca dos bordes contiguos suele ser una zona iluminada, no el papel
+  const { left, right, top, bottom } = best.edges;
+  if ((left || right) && (top || bottom)) return null;
+  
+  const { tl, tr, br, bl } = best.corners;
+  const quad = [tl, tr, br, bl].map(([x, y]) => [x, y]);
+  
+  // La región debe llenar casi todo el cuadrilátero (descontando el texto)
+  if (best.area < polygonArea(quad) * 0.7) return null;
+  
+  return quad;
+}
+
+/**
+ * Área de un polígono (fórmula del área de Gauss)
+ * @param {Array} points - Vértices [x, y] en orden
+ * @returns {number}
+ */
+function polygonArea(points) {
+  let area = 0;
+  points.forEach(([x, y], i) => {
+    const [nx, ny] = points[(i + 1) % points.length];
+    area += x * ny - nx * y;
+  });
+  return Math.abs(area) / 2;
+}
+
+/**
+ * Resuelve un sistema lineal por eliminación de Gauss
+ * @param {Array} matrix - Matriz aumentada n x (n + 1)
+ * @returns {Array|null} - Solución o null si el sistema es singular
+ */
+function solveLinear(matrix) {
+  const n = matrix.length;
+  
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+    }
+    if (Math.abs(matrix[pivot][col]) < 1e-10) return null;
+    [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+    
+    for (let row = 0; row < n; row++) {
+      if (row === col) continue;
+      const factor = matrix[row][col] / matrix[col][col];
+      for (let k = col; k <= n; k++) matrix[row][k] -= factor * matrix[col][k];
+    }
+  }
+  
+  return matrix.map((row, i) => row[n] / row[i]);
+}
+
+/**
+ * Homografía que lleva los puntos de origen a los de destino
+ * @param {Array} from - Cuatro puntos [x, y]
+ * @param {Array} to - Cuatro puntos [x, y]
+ * @returns {Array|null} - Coeficientes [a, b, c, d, e, f, g, h] o null
+ */
+function homography(from, to) {
+  const matrix = [];
+  from.forEach(([x, y], i) => {
+    const [u, v] = to[i];
+    matrix.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+    matrix.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+  });
+  return solveLinear(matrix);
+}
+
+/**
+ * Recorta el recibo y corrige la perspectiva: lleva el cuadrilátero del papel
+ * a un rectángulo
+ * @param {Object} image - { data, width, height }
+ * @returns {Object|null} - Imagen corregida o null si no se detectó el papel
+ */
+function correctPerspective(image) {
+  const small = downsample(image);
+  const corners = findReceiptCorners(small);
+  if (!corners) return null;
+  
+  const quad = corners.map(([x, y]) => [x * small.scale, y * small.scale]);
+  const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+  const width = Math.round(Math.max(distance(quad[0], quad[1]), distance(quad[3], quad[2])));
+  const height = Math.round(Math.max(distance(quad[0], quad[3]), distance(quad[1], quad[2])));
+  if (width < 50 || height < 50) return null;
+  
+  // Para cada píxel del rectángulo se busca su posición en la foto
+  const h = homography([[0, 0], [width - 1, 0], [width - 1, height - 1], [0, height - 1]], quad);
+  if (!h) return null;
+  
+  const data = Buffer.alloc(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const w = h[6] * x + h[7] * y + 1;
+      const sx = (h[0] * x + h[1] * y + h[2]) / w;
+      const sy = (h[3] * x + h[4] * y + h[5]) / w;
+      data[y * width + x] = sampleBilinear(image, sx, sy);
+    }
+  }
+  
+  return { data, width, height };
+}
+
+/**
+ * Lee un píxel en coordenadas no enteras (interpolación bilineal)
+ * @param {Object} image - { data, width, height }
+ * @param {number} x - Columna
+ * @param {number} y - Fila
+ * @returns {number} - Valor del píxel (blanco fuera de la imagen)
+ */
+function sampleBilinear(image, x, y) {
+  if (x < 0 || y < 0 || x > image.width - 1 || y > image.height - 1) return 255;
+  
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const x1 = Math.min(x0 + 1, image.width - 1);
+  const y1 = Math.min(y0 + 1, image.height - 1);
+  const fx = x - x0;
+  const fy = y - y0;
+  const at = (px, py) => image.data[py * image.width + px];
+  
+  const top = at(x0, y0) * (1 - fx) + at(x1, y0) * fx;
+  const bottom = at(x0, y1) * (1 - fx) + at(x1, y1) * fx;
+  return Math.round(top * (1 - fy) + bottom * fy);
+}
+
+/**
+ * Detecta la inclinación del texto: el ángulo en el que los bordes horizontales
+ * (la parte superior e inferior de las letras y del papel) quedan más alineados
+ * en la proyección por filas
+ * @param {Object} image - { data, width, height }
+ * @param {number} maxAngle - Ángulo máximo a probar en grados
+ * @returns {number} - Inclinación en grados (positiva si el texto sube hacia la derecha)
+ */
+function detectSkew(image, maxAngle) {
+  const small = downsample(image);
+  
+  // Píxeles con un cambio fuerte de brillo respecto al de abajo, centrados en la imagen.
+  // Se usan bordes y no píxeles oscuros para que un fondo oscuro no cuente como texto.
+  const points = [];
+  for (let y = 0; y < small.height - 1; y++) {
+    for (let x = 0; x < small.width; x++) {
+      const index = y * small.width + x;
+      if (Math.abs(small.data[index] - small.data[index + small.width]) > EDGE_CONTRAST) {
+        points.push([x - small.width / 2, y - small.height / 2]);
+      }
+    }
+  }
+  if (points.length < 50) return 0;
+  
+  const size = Math.ceil(Math.hypot(small.width, small.height)) + 2;
+  const score = angle => {
+    const radians = angle * Math.PI / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    const rows = new Float64Array(size);
+    points.forEach(([x, y]) => { rows[Math.round(y * cos + x * sin + size / 2)]++; });
+    
+    let total = 0;
+    for (let i = 1; i < size; i++) total += (rows[i] - rows[i - 1]) ** 2;
+    return total;
+  };
+  
+  // Búsqueda gruesa cada medio grado y luego fina alrededor del mejor
+  let best = 0;
+  let bestScore = score(0);
+  for (let angle = -maxAngle; angle <= maxAngle; angle += 0.5) {
+    const value = score(angle);
+    if (value > bestScore) {
+      best = angle;
+      bestScore = value;
+    }
+  }
+  for (let angle = best - 0.5; angle <= best + 0.5; angle += 0.1) {
+    const value = score(angle);
+    if (value > bestScore) {
+      best = angle;
+      bestScore = value;
+    }
+  }
+  
+  return Math.round(best * 10) / 10;
+}
+
+/**
+ * Umbral adaptativo (Bradley): cada píxel se compara con el promedio de su
+ * vecindario, así las sombras y el papel térmico desteñido no borran el texto
+ * @param {Object} image - { data, width, height }
+ * @param {number} percent - Qué tan por debajo del promedio debe estar un píxel para ser tinta
+ * @returns {Object} - Imagen en blanco y negro
+ */
+function adaptiveThreshold(image, percent) {
+  const { width, height } = image;
+  const integral = new Float64Array((width + 1) * (height + 1));
+  
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += image.data[y * width + x];
+      integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+    }
+  }
+  
+  const half = Math.max(7, Math.round(width / 16) >> 1);
+  const data = Buffer.alloc(width * height);
+  
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - half);
+    const y1 = Math.min(height - 1, y + half);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - half);
+      const x1 = Math.min(width - 1, x + half);
+      const count = (x1 - x0 + 1) * (y1 - y0 + 1);
+      const sum = integral[(y1 + 1) * (width + 1) + x1 + 1] - integral[y0 * (width + 1) + x1 + 1]
+        - integral[(y1 + 1) * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+      
+      data[y * width + x] = image.data[y * width + x] * count <= sum * (100 - percent) / 100 ? 0 : 255;
+    }
+  }
+  
+  return { data, width, height };
+}
+
+/**
+ * Prepara la foto de un recibo para el OCR. Los pasos se aplican en orden:
+ * escala de grises, recorte y corrección de perspectiva, enderezado,
+ * ampliación de imágenes pequeñas, normalización del contraste y umbral
+ * adaptativo. perspective, deskew y threshold trabajan sobre la imagen en
+ * escala de grises, así que solo se aplican si grayscale está activo.
+ * @param {string} inputPath - Foto original
+ * @param {string} outputPath - Imagen procesada (PNG)
+ * @param {Object} steps - Pasos activos (ver config.ocr.preprocessing)
+ * @returns {Promise<Array>} - Nombres de los pasos aplicados (deskew incluye el ángulo)
+ */
+async function preprocessImage(inputPath, outputPath, steps = config.ocr.preprocessing) {
+  const applied = [];
+  
+  if (!steps.grayscale) {
+    // Sin escala de grises solo se pueden ampliar y normalizar los colores
+    let pipeline = sharp(inputPath).rotate();
+    const { width } = await sharp(inputPath).metadata();
+    if (steps.upscale && width < steps.minWidth) {
+      pipeline = pipeline.resize({ width: steps.minWidth, kernel: 'lanczos3' });
+      applied.push('upscale');
+    }
+    if (steps.normalize) {
+      pipeline = pipeline.normalise();
+      applied.push('normalize');
+    }
+    await pipeline.withMetadata({ density: OUTPUT_DPI }).png().toFile(outputPath);
+    return applied;
+  }
+  
+  let image = await loadGray(inputPath);
+  applied.push('grayscale');
+  
+  if (steps.perspective) {
+    const corrected = correctPerspective(image);
+    if (corrected) {
+      image = corrected;
+      applied.push('perspective');
+    }
+  }
+  
+  if (steps.deskew) {
+    const angle = detectSkew(image, steps.maxSkewDegrees);
+    if (Math.abs(angle) >= 0.3) {
+      image = await withSharp(image, pipeline => pipeline.rotate(angle, { background: { r: 255, g: 255, b: 255 } }));
+      applied.push(`deskew(${angle}°)`);
+    }
+  }
+  
+  if (steps.upscale && image.width < steps.minWidth) {
+    const width = Math.min(steps.minWidth, image.width * 3);
+    image = await withSharp(image, pipeline => pipeline.resize({ width, kernel: 'lanczos3' }));
+    applied.push('upscale');
+  }
+  
+  if (steps.normalize) {
+    image = await withSharp(image, pipeline => pipeline.normalise());
+    applied.push('normalize');
+  }
+  
+  if (steps.threshold) {
+    image = adaptiveThreshold(image, steps.thresholdPercent);
+    applied.push('threshold');
+  }
+  
+  await sharp(image.data, { raw: { width: image.width, height: image.height, channels: 1 } })
+    .withMetadata({ density: OUTPUT_DPI })
+    .png()
+    .toFile(outputPath);
+  return applied;
+}
+
+module.exports = {
+  STEPS,
+  preprocessImage,
+  detectSkew,
+  adaptiveThreshold
+};
\ No newline at end of file
@@ -0,0 +1,211 @@
+const fs = require('fs');
+const { containerBootstrap, Nlp } = require('@nlpjs/basic');
+const { PorterStemmerEs } = require('natural');
+const config = require('../config');
+const money = require('./money');
+const dates = require('./dates');
+const textUtils = require('./textProcessing');
+
+// Clasificador de intenciones entrenado sin conexión con @nlpjs a partir del
+// corpus de config.nlu.corpusFile. Además de la intención extrae las entidades
+// monto, fecha, categoría y meta. El modelo conoce las categorías de
+// config.expenseCategories; las de cada chat se buscan con sus reglas.
+
+const LOCALE = 'es';
+
+// Intención del corpus para mensajes que no piden nada ("hola", "no gasté nada hoy")
+const NO_INTENT = 'ninguna';
+
+// Días a sumar a hoy para las fechas relativas del corpus
+const RELATIVE_DAYS = { hoy: 0, ayer: -1, anteayer: -2 };
+
+let training = null;
+
+/**
+ * Entrena el modelo con el corpus (una sola vez; las llamadas siguientes reutilizan el modelo)
+ * @returns {Promise<Object>} - Instancia de Nlp entrenada
+ */
+function train() {
+  if (!training) {
+    training = createModel(JSON.parse(fs.readFileSync(config.nlu.corpusFile, 'utf8')))
+      .catch(error => {
+        training = null;
+        throw error;
+      });
+  }
+  return training;
+}
+
+/**
+ * Crea y entrena un modelo de @nlpjs
+ * @param {Object} corpus - Corpus en el formato de @nlpjs ({ locale, data, entities })
+ * @returns {Promise<Object>} - Instancia de Nlp entrenada
+ */
+async function createModel(corpus) {
+  const container = await containerBootstrap({}, false);
+  container.use(Nlp);
+  
+  // @nlpjs no trae español sin @nlpjs/lang-es; se usa el lematizador de natural
+  container.register('stemmer-es', { stem: tokens => tokens.map(token => PorterStemmerEs.stem(token)) }, true);
+  
+  const nlp = container.get('nlp');
+  nlp.settings.autoSave = false;
+  nlp.settings.calculateSentiment = false;
+  nlp.nluManager.settings.log = false;
+  // Extraer las entidades aunque las frases del corpus no las marquen
+  nlp.forceNER = true;
+  
+  await nlp.addCorpus(corpus);
+  
+  Object.entries(config.expenseCategories).forEach(([categoria, keywords]) => {
+    nlp.addNerRuleOptionTexts(LOCALE, 'categoria', categoria, [categoria, ...keywords]);
+  });
+  
+  await nlp.train();
+  return nlp;
+}
+
+/**
+ * Convierte una fecha extraída en yyyy-mm-dd
+ * @param {Object} entity - Entidad fecha de @nlpjs
+ * @param {string} today - Fecha actual yyyy-mm-dd
+ * @returns {string|null}
+ */
+function resolveDate(entity, today) {
+  if (entity.option in RELATIVE_DAYS) return dates.addDays(today, RELATIVE_DAYS[entity.option]);
+  
+  // Sin año ("15/03") se usa el año actual del chat
+  const withYear = entity.sourceText.split(/[\/.-]/).length === 2 ? `${entity.sourceText}/${today.slice(0, 4)}` : entity.sourceText;
+  return textUtils.parseDateInput(withYear, today);
+}
+
+/**
+ * Lee las entidades del resultado de @nlpjs. De cada una se toma la última
+ * mención: en las correcciones el valor correcto va al final ("no eran 20000 sino 25000").
+ * @param {Array} entities - Entidades de @nlpjs
+ * @param {string} today - Fecha actual yyyy-mm-dd
+ * @returns {Object} - { monto, fecha, categoria, meta } (null si no aparecen)
+ */
+function readEntities(entities, today) {
+  const last = name => entities.filter(entity => entity.entity === name).pop();
+  
+  const montos = entities
+    .filter(entity => entity.entity === 'monto')
+    .map(entity => money.parseAmount(entity.sourceText))
+    .filter(monto => monto && monto > 0);
+  const fecha = last('fecha');
+  const categoria = last('categoria');
+  const meta = last('meta');
+  
+  return {
+    monto: montos.length > 0 ? montos[montos.length - 1] : null,
+    fecha: fecha ? resolveDate(fecha, today) : null,
+    categoria: categoria ? categoria.option : null,
+    meta: meta ? meta.sourceText.replace(/[.,;!?]+$/, '').trim() || null : null
+  };
+}
+
+/**
+ * Busca la última categoría del chat mencionada en un texto, con sus propias
+ * categorías y palabras clave (también las aprendidas de sus correcciones).
+ * Como en categorizeExpense, las palabras de 4 o más letras también coinciden
+ * como prefijo ("restaurantes"); en la misma posición gana la más larga.
+ * @param {string} text - Mensaje del usuario
+ * @param {Array} rules - Reglas de categorización del chat [{ keyword, categoria }]
+ * @returns {string|null} - Categoría o null si el texto no menciona ninguna
+ */
+function findChatCategory(text, rules) {
+  const normalized = textUtils.normalizeText(text);
+  let best = null;
+  
+  rules.forEach(rule => {
+    const keyword = textUtils.normalizeText(rule.keyword);
+    if (!keyword) return;
+    
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const regex = new RegExp(`(?:^|[^a-z0-9])${escaped}${keyword.length >= 4 ? '' : '(?![a-z0-9])'}`, 'g');
+    let match;
+    while ((match = regex.exec(normalized)) !== null) {
+      const end = match.index + match[0].length;
+      if (!best || end > best.end || (end === best.end && keyword.length > best.length)) {
+        best = { categoria: rule.categoria, end, length: keyword.length };
+      }
+    }
+  });
+  
+  return best ? best.categoria : null;
+}
+
+/**
+ * Clasifica un mensaje
+ * @param {string} text - Mensaje del usuario
+ * @param {Object} context - { today, rules } fecha actual y reglas de categorización del chat
+ * @returns {Promise<Object>} - { intencion (null si el mensaje no pide nada), confianza,
+ *   alternativas: [{ intencion, confianza }] de mayor a menor, entidades }
+ */
+async function classify(text, context = {}) {
+  const nlp = await train();
+  
+  // Los montos escritos en palabras ("cincuenta mil") se pasan a dígitos para extraerlos
+  const result = await nlp.process(LOCALE, money.writtenNumbersToDigits(text));
+  const alternativas = result.classifications
+    .filter(c => c.score > 0)
+    .map(c => ({ intencion: c.intent, confianza: c.score }));
+  const best = alternativas[0];
+  const entidades = readEntities(result.entities, context.today || dates.todayInTimezone(config.timezone));
+  
+  // El modelo solo conoce las categorías de config; con las reglas del chat
+  // se reconocen también sus categorías propias
+  if (context.rules) entidades.categoria = findChatCategory(text, context.rules);
+  
+  return {
+    intencion: best && best.intencion !== NO_INTENT ? best.intencion : null,
+    confianza: best ? best.confianza : 0,
+    alternativas,
+    entidades
+  };
+}
+
+/**
+ * Identifica la intención de un mensaje y, si es un gasto o ingreso, sus datos.
+ * Si la confianza es baja no se elige intención y se devuelven las candidatas
+ * para preguntarle al usuario.
+ * @param {string} text - Mensaje del usuario
+ * @param {Object} context - { today, categorias, rules }
+ * @returns {Promise<Object>} - { intencion, transaccion, transacciones, entidades, candidatas }
+ */
+async function extractText(text, context = {}) {
+  const { intencion, confianza, alternativas, entidades } = await classify(text, context);
+  
+  if (confianza < config.nlu.threshold) {
+    const candidatas = alternativas
+      .filter(a => a.intencion !== NO_INTENT && a.confianza >= config.nlu.candidateThreshold)
+      .slice(0, 3)
+      .map(a => a.intencion);
+    return { intencion: null, transaccion: null, entidades, candidatas };
+  }
+  
+  if (intencion !== 'gasto' && intencion !== 'ingreso') {
+    return { intencion, transaccion: null, entidades, candidatas: [] };
+  }
+  
+  // Varios movimientos en un mensaje: cada parte trae su propio monto y fecha
+  const transacciones = textUtils.processTransactions(text, intencion, context.rules, context.today);
+  if (transacciones.length > 1) {
+    return { intencion, transaccion: transacciones[0], transacciones, entidades, candidatas: [] };
+  }
+  
+  // El modelo reconoce montos sin contexto ("almuerzo 18000") y las fechas
+  // relativas según la zona horaria del chat
+  const transaccion = transacciones[0];
+  if (!transaccion.monto && entidades.monto) transaccion.monto = entidades.monto;
+  if (entidades.fecha) transaccion.fecha = entidades.fecha;
+  
+  return { intencion, transaccion, entidades, candidatas: [] };
+}
+
+module.exports = {
+  train,
+  classify,
+  extractText
+};
\ No newline at end of file
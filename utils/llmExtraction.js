@@ -0,0 +1,278 @@
+// Extracción con un modelo de lenguaje a través de una API compatible con OpenAI
+// (OpenAI o un servidor local). El modelo responde en JSON y la respuesta se
+// valida campo por campo; si no cumple el esquema se lanza un error para que
+// utils/extraction use las reglas locales.
+
+const config = require('../config');
+const money = require('./money');
+const textUtils = require('./textProcessing');
+const receiptParser = require('./receiptParser');
+
+const INTENTS = ['gasto', 'ingreso', 'meta', 'reporte', 'presupuesto', 'consulta', 'correccion', 'ninguna'];
+const TAX_TYPES = ['IVA', 'INC'];
+const PAYMENT_TYPES = ['efectivo', 'tarjeta', 'transferencia'];
+
+const TEXT_PROMPT = `Eres el asistente de un bot de finanzas personales en español. Clasifica el mensaje del usuario y extrae el movimiento.
+Responde solo con un objeto JSON con esta forma:
+{"intencion": "gasto" | "ingreso" | "meta" | "reporte" | "presupuesto" | "consulta" | "correccion" | "ninguna",
+ "transacciones": [{"tipo": "gasto" | "ingreso", "monto": número, "moneda": código ISO o null, "fecha": "YYYY-MM-DD", "concepto": texto corto, "categoria": texto}]}
+Reglas:
+- "gasto" o "ingreso" solo si el usuario registra un movimiento con monto; si lo niega ("no gasté nada") la intención es "ninguna".
+- "meta": crear o consultar una meta de ahorro. "presupuesto": asignar o consultar el presupuesto. "reporte": pedir un reporte o resumen.
+- "consulta": una pregunta sobre sus movimientos ("¿cuánto gasté en comida en marzo?"). "correccion": corregir el último movimiento ("me equivoqué, eran 45000").
+- transacciones tiene un elemento por cada movimiento del mensaje ("12000 en uber y 35000 en almuerzo" son dos; una lista de gastos pegada, uno por línea) y está vacía si la intención no es "gasto" ni "ingreso".
+- Una fecha o un tipo dicho una sola vez ("Gastos de ayer:", "... y 35000 en almuerzo ayer") se aplica a todos los movimientos del mensaje.
+- monto es un número sin separadores de miles ("50 mil" = 50000, "2 palos" = 2000000).
+- moneda es null si el usuario no la menciona.
+- fecha se calcula a partir de hoy ({hoy}) para "ayer", "el lunes", etc.
+- concepto es el comercio o motivo, en pocas palabras.
+- categoria es una de: {categorias}.`;
+
+const RECEIPT_PROMPT = `Extrae los datos del texto de un recibo colombiano leído con OCR (puede tener errores de lectura).
+Responde solo con un objeto JSON con esta forma (null si un dato no aparece):
+{"comercio": texto, "nit": texto, "factura": texto, "fecha": "YYYY-MM-DD",
+ "items": [{"nombre": texto, "precio": número, "cantidad": número o null}],
+ "subtotal": número, "impuestos": [{"tipo": "IVA" | "INC", "tasa": número o null, "monto": número}],
+ "propina": número, "descuentos": [{"concepto": texto, "monto": número positivo}], "total": número,
+ "medio_pago": {"tipo": "efectivo" | "tarjeta" | "transferencia", "detalle": texto o null, "ultimos4": "1234" o null, "recibido": número o null, "cambio": número o null}}
+Los montos son números sin separadores de miles ("35.500" = 35500). El total es el valor pagado, no el subtotal.`;
+
+/**
+ * Envía un mensaje al modelo y devuelve su respuesta como objeto
+ * @param {string} system - Instrucciones
+ * @param {string} user - Texto a analizar
+ * @returns {Promise<Object>}
+ */
+async function completeJson(system, user) {
+  const OpenAI = require('openai');
+  const { baseUrl, apiKey, model, jsonMode, timeoutMs } = config.extraction.llm;
+  
+  // Los servidores locales no suelen pedir clave, pero el cliente exige una
+  const client = new OpenAI({ apiKey: apiKey || 'local', baseURL: baseUrl, timeout: timeoutMs, maxRetries: 0 });
+  
+  const response = await client.chat.completions.create({
+    model,
+    temperature: 0,
+    messages: [
+      { role: 'system', content: system },
+      { role: 'user', content: user }
+    ],
+    ...(jsonMode ? { response_format: { type: 'json_object' } } : {})
+  });
+  
+  return parseJson(response.choices[0].message.content);
+}
+
+/**
+ * Lee el JSON de la respuesta del modelo (algunos modelos lo envuelven en ```json)
+ * @param {string} content - Respuesta del modelo
+ * @returns {Object}
+ */
+function parseJson(content) {
+  const text = String(content || '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start < 0 || end < start) throw new Error('La respuesta del modelo no contiene JSON');
+  
+  const value = JSON.parse(text.slice(start, end + 1));
+  if (!value || typeof value !== 'object' || Array.isArray(value)) throw new Error('La respuesta del modelo no es un objeto');
+  return value;
+}
+
+/**
+ * Valida un monto: número positivo (o texto con un monto) o null
+ * @param {*} value - Valor del modelo
+ * @param {string} field - Nombre del campo (para el mensaje de error)
+ * @returns {number|null}
+ */
+function amountOrNull(value, field) {
+  if (value === null || value === undefined || value === '') return null;
+  
+  const amount = typeof value === 'number' ? value : money.parseAmount(String(value));
+  if (amount === null || !Number.isFinite(amount) || amount < 0) throw new Error(`Monto inválido en ${field}: ${value}`);
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Valida un texto opcional y lo recorta
+ * @param {*} value - Valor del modelo
+ * @param {number} maxLength - Largo máximo
+ * @returns {string|null}
+ */
+function textOrNull(value, maxLength) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  return text === '' ? null : text.slice(0, maxLength);
+}
+
+/**
+ * Valida una fecha YYYY-MM-DD existente
+ * @param {*} value - Valor del modelo
+ * @returns {string|null}
+ */
+function dateOrNull(value) {
+  if (value === null || value === undefined || value === '') return null;
+  
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) throw new Error(`Fecha inválida: ${value}`);
+  
+  const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  if (date.getUTCMonth() !== +match[2] - 1 || date.getUTCDate() !== +match[3]) throw new Error(`Fecha inválida: ${value}`);
+  return String(value);
+}
+
+/**
+ * Valida una lista opcional
+ * @param {*} value - Valor del modelo
+ * @param {string} field - Nombre del campo
+ * @returns {Array}
+ */
+function listOf(value, field) {
+  if (value === null || value === undefined) return [];
+  if (!Array.isArray(value)) throw new Error(`${field} debe ser una lista`);
+  return value;
+}
+
+/**
+ * Valida un movimiento de la respuesta del modelo
+ * @param {Object} t - Movimiento del modelo
+ * @param {string} intencion - Intención del mensaje ('gasto' o 'ingreso')
+ * @param {string} text - Texto del movimiento: el mensaje o, si trae varios, el concepto del movimiento
+ * @param {Object} context - { today, categorias, rules }
+ * @returns {Object} - Transacción como textProcessing.processText
+ */
+function validateTransaction(t, intencion, text, context) {
+  if (!t || typeof t !== 'object') throw new Error('Movimiento inválido');
+  
+  const tipo = t.tipo === 'gasto' || t.tipo === 'ingreso' ? t.tipo : intencion;
+  const monto = amountOrNull(t.monto, 'monto');
+  const concepto = textOrNull(t.concepto, 60) || textUtils.extractConceptFromText(text, tipo);
+  
+  // La categoría debe existir en el chat; si no, se categoriza con las reglas
+  const categorias = context.categorias || [];
+  const categoria = tipo === 'ingreso'
+    ? 'ingreso'
+    : categorias.find(c => textUtils.normalizeText(c) === textUtils.normalizeText(t.categoria)) ||
+      textUtils.categorizeExpense(text, context.rules);
+  
+  return {
+    tipo,
+    monto: monto && monto > 0 ? monto : null,
+    moneda: t.moneda ? money.normalizeCurrency(t.moneda) : null,
+    fecha: dateOrNull(t.fecha) || textUtils.extractDateFromText(text, context.today),
+    concepto,
+    categoria,
+    texto_completo: text,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Valida la respuesta del modelo para un mensaje de texto
+ * @param {Object} result - JSON del modelo
+ * @param {string} text - Mensaje original
+ * @param {Object} context - { today, categorias, rules }
+ * @returns {Object} - { intencion, transaccion, transacciones } como utils/extraction
+ */
+function validateTextResult(result, text, context) {
+  if (!INTENTS.includes(result.intencion)) throw new Error(`Intención inválida: ${result.intencion}`);
+  
+  const intencion = result.intencion === 'ninguna' ? null : result.intencion;
+  if (intencion !== 'gasto' && intencion !== 'ingreso') return { intencion, transaccion: null };
+  
+  // Algunos modelos responden con un solo movimiento en "transaccion"
+  const list = result.transaccion && !result.transacciones ? [result.transaccion] : listOf(result.transacciones, 'transacciones');
+  if (list.length === 0) throw new Error('Falta la transacción');
+  
+  if (list.length === 1) return { intencion, transaccion: validateTransaction(list[0], intencion, text, context) };
+  
+  const transacciones = list.map(t => ({
+    ...validateTransaction(t, intencion, String((t && t.concepto) || ''), context),
+    texto_completo: text
+  }));
+  return { intencion, transaccion: transacciones[0], transacciones };
+}
+
+/**
+ * Valida la respuesta del modelo para el texto de un recibo
+ * @param {Object} result - JSON del modelo
+ * @returns {Object} - Recibo como utils/receiptParser.parseReceipt
+ */
+function validateReceiptResult(result) {
+  const receipt = {
+    comercio: textOrNull(result.comercio, 60),
+    nit: textOrNull(result.nit, 20),
+    factura: textOrNull(result.factura, 30),
+    fecha: dateOrNull(result.fecha),
+    items: listOf(result.items, 'items').map(item => ({
+      nombre: textOrNull(item && item.nombre, 60) || 'Ítem',
+      precio: amountOrNull(item && item.precio, 'items.precio'),
+      ...(item && Number.isInteger(item.cantidad) && item.cantidad > 1 ? { cantidad: item.cantidad } : {})
+    })).filter(item => item.precio !== null),
+    subtotal: amountOrNull(result.subtotal, 'subtotal'),
+    impuestos: listOf(result.impuestos, 'impuestos').map(tax => {
+      const tipo = String(tax && tax.tipo || '').toUpperCase();
+      if (!TAX_TYPES.includes(tipo)) throw new Error(`Impuesto inválido: ${tax && tax.tipo}`);
+      return { tipo, tasa: typeof tax.tasa === 'number' ? tax.tasa : null, monto: amountOrNull(tax.monto, 'impuestos.monto') };
+    }).filter(tax => tax.monto !== null),
+    propina: amountOrNull(result.propina, 'propina'),
+    descuentos: listOf(result.descuentos, 'descuentos').map(discount => ({
+      concepto: textOrNull(discount && discount.concepto, 60) || 'Descuento',
+      monto: Math.abs(amountOrNull(discount && discount.monto, 'descuentos.monto') || 0)
+    })).filter(discount => discount.monto > 0),
+    total: amountOrNull(result.total, 'total'),
+    medio_pago: null
+  };
+  
+  const pago = result.medio_pago;
+  if (pago && typeof pago === 'object') {
+    if (!PAYMENT_TYPES.includes(pago.tipo)) throw new Error(`Medio de pago inválido: ${pago.tipo}`);
+    const ultimos4 = textOrNull(pago.ultimos4, 4);
+    receipt.medio_pago = {
+      tipo: pago.tipo,
+      detalle: textOrNull(pago.detalle, 30),
+      ultimos4: ultimos4 && /^\d{4}$/.test(ultimos4) ? ultimos4 : null,
+      monto: null,
+      recibido: amountOrNull(pago.recibido, 'medio_pago.recibido'),
+      cambio: amountOrNull(pago.cambio, 'medio_pago.cambio')
+    };
+  }
+  
+  // La verificación de montos se hace aquí, no se le confía al modelo
+  receipt.advertencias = [
+    receipt.total === null ? 'No encontré el total del recibo.' : null,
+    ...receiptParser.crossCheck(receipt, receipt.total)
+  ].filter(Boolean);
+  
+  return receipt;
+}
+
+/**
+ * Extrae la intención y el movimiento de un mensaje de texto
+ * @param {string} text - Mensaje del usuario
+ * @param {Object} context - { today, categorias, rules }
+ * @returns {Promise<Object>} - { intencion, transaccion, transacciones }
+ */
+async function extractText(text, context = {}) {
+  const prompt = TEXT_PROMPT
+    .replace('{hoy}', context.today || textUtils.formatDate(new Date()))
+    .replace('{categorias}', (context.categorias || []).join(', ') || 'otros');
+  
+  return validateTextResult(await completeJson(prompt, text), text, context);
+}
+
+/**
+ * Extrae los datos de un recibo a partir del texto del OCR
+ * @param {string} text - Texto del recibo
+ * @returns {Promise<Object>} - Recibo como utils/receiptParser.parseReceipt
+ */
+async function extractReceipt(text) {
+  return validateReceiptResult(await completeJson(RECEIPT_PROMPT, text));
+}
+
+module.exports = {
+  extractText,
+  extractReceipt,
+  validateTextResult,
+  validateReceiptResult
+};
\ No newline at end of file
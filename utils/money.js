@@ -0,0 +1,307 @@
+// Interpretación y conversión de montos de dinero.
+// Los montos se manejan en pesos (unidades) dentro de la aplicación y se
+// guardan como enteros en centavos (unidades menores) para evitar errores
+// de redondeo y valores de texto en la base de datos.
+const config = require('../config');
+
+// Unidades menores por unidad (centavos por peso)
+const MINOR_UNITS = 100;
+
+// Monedas soportadas: símbolo para mostrar los montos y nombre
+const CURRENCIES = {
+  COP: { symbol: '$', name: 'peso colombiano' },
+  ARS: { symbol: 'AR$', name: 'peso argentino' },
+  USD: { symbol: 'US$', name: 'dólar estadounidense' },
+  EUR: { symbol: '€', name: 'euro' }
+};
+
+// Formas de indicar cada moneda en un texto o recibo (texto sin tildes y en minúsculas).
+// "$" y "pesos" solos no indican moneda: se usa la moneda base del chat.
+const CURRENCY_PATTERNS = [
+  { code: 'USD', regex: /(?:\bus\s?\$|\bu\$s|\busd\b|\bdolar(?:es)?\b|\bdollars?\b|\bgringos\b)/ },
+  { code: 'EUR', regex: /(?:€|\beur\b|\beuros?\b)/ },
+  { code: 'ARS', regex: /(?:\bar\$|\bars\b|\bpesos? argentinos?\b)/ },
+  { code: 'COP', regex: /(?:\bcop\b|\bcol\$|\bpesos? colombianos?\b)/ }
+];
+
+// Escalas que pueden seguir a un número ("50 mil", "20k", "2 palos", "1,5 millones")
+const SCALES = {
+  k: 1000,
+  mil: 1000,
+  luca: 1000,
+  lucas: 1000,
+  millon: 1000000,
+  millones: 1000000,
+  palo: 1000000,
+  palos: 1000000
+};
+
+// Número con separadores seguido opcionalmente de una escala
+const AMOUNT_REGEX = /(\d(?:[\d.,]*\d)?)\s*(k|mil|mill[oó]n|millones|palos?|lucas?)?(?![a-záéíóúñ])/i;
+
+// Fuente de expresión regular para buscar montos dentro de otros patrones
+const AMOUNT_PATTERN = '[0-9][0-9.,]*(?:\\s*(?:k|mil|mill[oó]n|millones|palos?|lucas?)(?![a-záéíóúñ]))?';
+
+// Números escritos en palabras (sin tildes)
+const NUMBER_WORDS = {
+  cero: 0, un: 1, uno: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9,
+  diez: 10, once: 11, doce: 12, trece: 13, catorce: 14, quince: 15, dieciseis: 16, diecisiete: 17,
+  dieciocho: 18, diecinueve: 19, veinte: 20, veintiun: 21, veintiuno: 21, veintiuna: 21, veintidos: 22,
+  veintitres: 23, veinticuatro: 24, veinticinco: 25, veintiseis: 26, veintisiete: 27, veintiocho: 28,
+  veintinueve: 29, treinta: 30, cuarenta: 40, cincuenta: 50, sesenta: 60, setenta: 70, ochenta: 80,
+  noventa: 90, cien: 100, ciento: 100, doscientos: 200, doscientas: 200, trescientos: 300, trescientas: 300,
+  cuatrocientos: 400, cuatrocientas: 400, quinientos: 500, quinientas: 500, seiscientos: 600,
+  seiscientas: 600, setecientos: 700, setecientas: 700, ochocientos: 800, ochocientas: 800,
+  novecientos: 900, novecientas: 900
+};
+
+// Escalas que forman parte de un número escrito ("dos millones trescientos mil")
+const WORD_SCALES = {
+  mil: 1000,
+  millon: 1000000,
+  millones: 1000000
+};
+
+/**
+ * Quita tildes y pasa a minúsculas
+ * @param {string} word - Palabra
+ * @returns {string} - Palabra normalizada
+ */
+function normalizeWord(word) {
+  return word.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Obtiene los separadores de miles y decimales de un locale
+ * @param {string} locale - Locale (por ejemplo 'es-CO' o 'en-US')
+ * @returns {Object} - { group, decimal }
+ */
+function separatorsOf(locale) {
+  const parts = new Intl.NumberFormat(locale).formatToParts(1234567.5);
+  const find = type => (parts.find(part => part.type === type) || {}).value;
+  
+  return {
+    group: find('group') || ',',
+    decimal: find('decimal') || '.'
+  };
+}
+
+/**
+ * Convierte un número con separadores en un valor numérico.
+ * El último separador es decimal si le siguen uno o dos dígitos; si le
+ * siguen tres es de miles (los montos no tienen tres decimales), y en otro
+ * caso se usa el separador decimal del locale.
+ * Ejemplos: "1.500.000" -> 1500000, "45.000,50" -> 45000.5, "1,5" -> 1.5
+ * @param {string} text - Número escrito ("1.500.000", "45.000,50", "1,500.25")
+ * @param {string} locale - Locale del usuario
+ * @returns {number|null} - Valor o null si no es un número
+ */
+function parseNumber(text, locale = config.numberFormat.locale) {
+  const clean = String(text).replace(/\s/g, '').replace(/[.,]+$/, '');
+  if (!/^\d[\d.,]*$/.test(clean)) return null;
+  
+  const last = Math.max(clean.lastIndexOf('.'), clean.lastIndexOf(','));
+  if (last < 0) return parseInt(clean, 10);
+  
+  const decimals = clean.length - last - 1;
+  const isDecimal = decimals === 1 || decimals === 2 ||
+    (decimals !== 3 && clean[last] === separatorsOf(locale).decimal);
+  
+  const integerPart = (isDecimal ? clean.slice(0, last) : clean).replace(/[.,]/g, '');
+  const fraction = isDecimal ? clean.slice(last + 1) : '0';
+  
+  return parseFloat(`${integerPart}.${fraction}`);
+}
+
+/**
+ * Calcula el valor de una secuencia de palabras numéricas
+ * @param {Array} words - Palabras normalizadas ("dos", "millones", "trescientos", "mil")
+ * @returns {number} - Valor
+ */
+function wordsToNumber(words) {
+  let total = 0;
+  let current = 0;
+  
+  words.forEach(word => {
+    if (NUMBER_WORDS[word] !== undefined) {
+      current += NUMBER_WORDS[word];
+    } else if (word === 'mil') {
+      current = (current || 1) * 1000;
+    } else if (WORD_SCALES[word]) {
+      total += (current || 1) * WORD_SCALES[word];
+      current = 0;
+    }
+  });
+  
+  return total + current;
+}
+
+/**
+ * Indica si una palabra normalizada forma parte de un número escrito
+ * @param {string} word - Palabra sin tildes
+ * @returns {boolean}
+ */
+function isNumberWord(word) {
+  return NUMBER_WORDS[word] !== undefined || WORD_SCALES[word] !== undefined;
+}
+
+/**
+ * Reemplaza los números escritos en una frase de palabras separadas por espacios
+ * @param {string} phrase - Frase ("gasté cincuenta mil en")
+ * @returns {string} - Frase con los números en dígitos
+ */
+function convertPhrase(phrase) {
+  // Las palabras quedan en las posiciones pares y los espacios en las impares
+  const parts = phrase.split(/(\s+)/);
+  const result = [];
+  let i = 0;
+  
+  while (i < parts.length) {
+    // Buscar la secuencia de palabras numéricas más larga desde i ("treinta y cinco")
+    let lastNumber = -1;
+    for (let j = i; j < parts.length; j += 2) {
+      const word = normalizeWord(parts[j]);
+      if (isNumberWord(word)) {
+        lastNumber = j;
+      } else if (word !== 'y' || lastNumber < 0) {
+        break;
+      }
+    }
+    
+    if (lastNumber < 0) {
+      result.push(...parts.slice(i, i + 2));
+      i += 2;
+      continue;
+    }
+    
+    const original = parts.slice(i, lastNumber + 1);
+    const words = original.filter((_, k) => k % 2 === 0).map(normalizeWord);
+    
+    // "un" o "una" sueltos son artículos, no montos ("una docena")
+    const onlyArticle = words.every(word => ['un', 'uno', 'una'].includes(word));
+    result.push(onlyArticle ? original.join('') : String(wordsToNumber(words)));
+    result.push(...parts.slice(lastNumber + 1, lastNumber + 2));
+    i = lastNumber + 2;
+  }
+  
+  return result.join('');
+}
+
+/**
+ * Reemplaza los números escritos en palabras por dígitos
+ * ("cincuenta mil" -> "50000", "dos palos" -> "2 palos")
+ * @param {string} text - Texto del usuario
+ * @returns {string} - Texto con los números en dígitos
+ */
+function writtenNumbersToDigits(text) {
+  return String(text || '').replace(/[a-záéíóúüñ]+(?:[ \t]+[a-záéíóúüñ]+)*/gi, (phrase, offset, whole) => {
+    // La escala que sigue a dígitos se conserva ("50 mil", "1,5 millones")
+    const [first, ...rest] = phrase.split(/(\s+)/);
+    if (/\d\s*$/.test(whole.slice(0, offset)) && WORD_SCALES[normalizeWord(first)]) {
+      return first + convertPhrase(rest.join(''));
+    }
+    
+    return convertPhrase(phrase);
+  });
+}
+
+/**
+ * Redondea un monto a centavos
+ * @param {number} amount - Monto
+ * @returns {number} - Monto redondeado
+ */
+function roundAmount(amount) {
+  return Math.round(amount * MINOR_UNITS) / MINOR_UNITS;
+}
+
+/**
+ * Interpreta un monto escrito por el usuario o leído de un recibo:
+ * "$1.500.000", "45.000,50", "50 mil", "20k", "1,5 millones", "2 palos",
+ * "cincuenta mil"
+ * @param {string|number} value - Texto o número
+ * @param {string} locale - Locale del usuario
+ * @returns {number|null} - Monto en pesos o null si no se reconoce
+ */
+function parseAmount(value, locale = config.numberFormat.locale) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? roundAmount(value) : null;
+  
+  const match = writtenNumbersToDigits(String(value)).match(AMOUNT_REGEX);
+  if (!match) return null;
+  
+  const number = parseNumber(match[1], locale);
+  if (number === null || isNaN(number)) return null;
+  
+  const scale = match[2] ? SCALES[normalizeWord(match[2])] : 1;
+  return roundAmount(number * scale);
+}
+
+/**
+ * Convierte un monto en pesos a centavos (entero)
+ * @param {string|number} amount - Monto en pesos
+ * @returns {number|null} - Monto en centavos o null si no es válido
+ */
+function toMinorUnits(amount) {
+  const value = parseAmount(amount);
+  return value === null ? null : Math.round(value * MINOR_UNITS);
+}
+
+/**
+ * Convierte un monto en centavos a pesos
+ * @param {number|null} minor - Monto en centavos
+ * @returns {number|null} - Monto en pesos
+ */
+function fromMinorUnits(minor) {
+  return minor === null || minor === undefined ? null : Number(minor) / MINOR_UNITS;
+}
+
+/**
+ * Normaliza un código de moneda
+ * @param {string} code - Código escrito por el usuario ("usd", "Eur")
+ * @returns {string|null} - Código soportado o null
+ */
+function normalizeCurrency(code) {
+  const upper = String(code || '').trim().toUpperCase();
+  return CURRENCIES[upper] ? upper : null;
+}
+
+/**
+ * Detecta la moneda mencionada en un texto o recibo
+ * ("20 dólares", "USD 15", "€12,50", "5000 pesos argentinos")
+ * @param {string} text - Texto del usuario o del recibo
+ * @returns {string|null} - Código de moneda o null si no se menciona
+ */
+function detectCurrency(text) {
+  const normalized = normalizeWord(String(text || ''));
+  const found = CURRENCY_PATTERNS.find(({ regex }) => regex.test(normalized));
+  return found ? found.code : null;
+}
+
+/**
+ * Formatea un monto con el símbolo de su moneda y los separadores del locale
+ * ("$1.500.000", "US$20,50", "€12")
+ * @param {number} amount - Monto
+ * @param {string} moneda - Código de moneda (por defecto se muestra "$")
+ * @param {string} locale - Locale del usuario
+ * @returns {string} - Monto formateado
+ */
+function formatAmount(amount, moneda = null, locale = config.numberFormat.locale) {
+  const value = amount || 0;
+  const digits = Number.isInteger(value) ? 0 : 2;
+  const symbol = CURRENCIES[moneda] ? CURRENCIES[moneda].symbol : '$';
+  return `${symbol}${new Intl.NumberFormat(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value)}`;
+}
+
+module.exports = {
+  MINOR_UNITS,
+  AMOUNT_PATTERN,
+  CURRENCIES,
+  parseNumber,
+  parseAmount,
+  writtenNumbersToDigits,
+  toMinorUnits,
+  fromMinorUnits,
+  normalizeCurrency,
+  detectCurrency,
+  formatAmount
+};
\ No newline at end of file
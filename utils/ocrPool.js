@@ -0,0 +1,269 @@
+const { createWorker } = require('tesseract.js');
+const config = require('../config');
+
+// Caracteres que aparecen en los recibos; limitar el reconocimiento a ellos reduce errores
+const CHAR_WHITELIST = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789.,:/%-$€*# ';
+
+// Pool de workers de Tesseract: cada worker carga spa.traineddata una sola vez
+// y se reutiliza. Los trabajos esperan en una cola por chat y se reparten por
+// turnos entre chats, así un chat que envía muchas fotos no bloquea a los demás.
+
+// Workers: [{ worker, job, restarting }] (job es null si el worker está libre;
+// worker es null mientras se reinicia o si no se pudo reiniciar)
+const slots = [];
+// Trabajos en espera por chat: chatId -> [{ chatId, imagePath, onStatus, resolve, reject, posicion }]
+const queues = new Map();
+// Orden de turno de los chats con trabajos en espera
+const rotation = [];
+
+let starting = null;
+let stopping = false;
+
+/**
+ * Crea un worker de Tesseract listo para reconocer recibos
+ * @returns {Promise<Object>}
+ */
+async function createReceiptWorker() {
+  const worker = await createWorker('spa');
+  await worker.setParameters({ tessedit_char_whitelist: CHAR_WHITELIST });
+  return worker;
+}
+
+/**
+ * Inicia los workers del pool (se llama al arrancar el bot para no esperar en la primera foto)
+ * @returns {Promise<number>} - Cantidad de workers
+ */
+function start() {
+  if (!starting) {
+    stopping = false;
+    const size = Math.max(1, config.ocr.workers);
+    starting = Promise.all(Array.from({ length: size }, () => createReceiptWorker()))
+      .then(workers => {
+        workers.forEach(worker => slots.push({ worker, job: null, restarting: false }));
+        dispatch();
+        return slots.length;
+      })
+      .catch(error => {
+        starting = null;
+        throw error;
+      });
+  }
+  return starting;
+}
+
+/**
+ * Orden en que se atenderán los trabajos en espera (un trabajo por chat en cada turno)
+ * @returns {Array} - Trabajos en orden de atención
+ */
+function dispatchOrder() {
+  const pending = rotation.map(chatId => [...queues.get(chatId)]);
+  const order = [];
+  
+  while (pending.some(queue => queue.length > 0)) {
+    pending.forEach(queue => {
+      if (queue.length > 0) order.push(queue.shift());
+    });
+  }
+  
+  return order;
+}
+
+/**
+ * Avisa a cada trabajo en espera su posición en la cola si cambió
+ */
+function notifyPositions() {
+  dispatchOrder().forEach((job, index) => {
+    if (job.posicion !== index + 1) {
+      job.posicion = index + 1;
+      job.onStatus({ estado: 'en_cola', posicion: job.posicion });
+    }
+  });
+}
+
+/**
+ * Asigna trabajos en espera a los workers libres
+ */
+function dispatch() {
+  let slot = slots.find(s => !s.job && s.worker);
+  
+  while (slot && rotation.length > 0) {
+    // Atender al primer chat del turno y pasarlo al final
+    const chatId = rotation.shift();
+    const queue = queues.get(chatId);
+    const job = queue.shift();
+    
+    if (queue.length > 0) {
+      rotation.push(chatId);
+    } else {
+      queues.delete(chatId);
+    }
+    
+    run(slot, job);
+    slot = slots.find(s => !s.job && s.worker);
+  }
+  
+  notifyPositions();
+}
+
+/**
+ * Ejecuta un trabajo en un worker, con tiempo límite
+ * @param {Object} slot - Posición del pool
+ * @param {Object} job - Trabajo a ejecutar
+ */
+function run(slot, job) {
+  slot.job = job;
+  job.onStatus({ estado: 'procesando' });
+  
+  let finished = false;
+  const timeoutMs = config.ocr.jobTimeoutSeconds * 1000;
+  
+  const timer = setTimeout(() => {
+    finished = true;
+    job.reject(new Error(`El OCR del recibo superó el tiempo límite de ${config.ocr.jobTimeoutSeconds} s`));
+    replaceWorker(slot);
+  }, timeoutMs);
+  if (timer.unref) timer.unref();
+  
+  slot.worker.recognize(job.imagePath)
+    .then(({ data }) => {
+      if (finished) return;
+      job.resolve(data);
+    })
+    .catch(error => {
+      if (finished) return;
+      job.reject(error);
+    })
+    .finally(() => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      slot.job = null;
+      if (!stopping) dispatch();
+    });
+}
+
+/**
+ * Reemplaza un worker que no respondió a tiempo
+ * @param {Object} slot - Posición del pool
+ */
+function replaceWorker(slot) {
+  const stuck = slot.worker;
+  slot.worker = null;
+  slot.job = null;
+  stuck.terminate().catch(() => {});
+  
+  restartWorker(slot, 1);
+}
+
+/**
+ * Crea un worker nuevo para una posición del pool. Si falla, reintenta con
+ * una espera que se duplica en cada intento; al agotar los intentos la
+ * posición queda sin worker hasta que llegue otro trabajo.
+ * @param {Object} slot - Posición del pool
+ * @param {number} attempt - Número de intento (desde 1)
+ */
+function restartWorker(slot, attempt) {
+  if (stopping) return;
+  slot.restarting = true;
+  
+  createReceiptWorker()
+    .then(worker => {
+      slot.restarting = false;
+      if (stopping) {
+        worker.terminate().catch(() => {});
+        return;
+      }
+      slot.worker = worker;
+      dispatch();
+    })
+    .catch(error => {
+      console.error(`Error reiniciando un worker de OCR (intento ${attempt} de ${config.ocr.restartAttempts}):`, error);
+      
+      if (attempt < config.ocr.restartAttempts && !stopping) {
+        const delayMs = config.ocr.restartDelaySeconds * 1000 * 2 ** (attempt - 1);
+        const timer = setTimeout(() => restartWorker(slot, attempt + 1), delayMs);
+        if (timer.unref) timer.unref();
+        return;
+      }
+      
+      slot.restarting = false;
+      // Sin workers no se podría atender la cola
+      if (!hasWorkers()) rejectQueued(new Error('El servicio de OCR no está disponible'));
+    });
+}
+
+/**
+ * Indica si el pool tiene algún worker disponible o reiniciándose
+ * @returns {boolean}
+ */
+function hasWorkers() {
+  return slots.some(slot => slot.worker || slot.restarting);
+}
+
+/**
+ * Rechaza todos los trabajos en espera
+ * @param {Error} error - Motivo
+ */
+function rejectQueued(error) {
+  dispatchOrder().forEach(job => job.reject(error));
+  queues.clear();
+  rotation.length = 0;
+}
+
+/**
+ * Reconoce el texto de una imagen con un worker del pool
+ * @param {string} imagePath - Imagen a reconocer
+ * @param {Object} options - Opciones
+ * @param {number} options.chatId - Chat que envió la imagen (para repartir los turnos)
+ * @param {Function} options.onStatus - Recibe { estado: 'en_cola', posicion } o { estado: 'procesando' }
+ * @returns {Promise<Object>} - Resultado de Tesseract (data)
+ */
+function recognize(imagePath, { chatId = 0, onStatus = () => {} } = {}) {
+  if (stopping) return Promise.reject(new Error('El servicio de OCR se está apagando'));
+  
+  return new Promise((resolve, reject) => {
+    const job = { chatId, imagePath, onStatus, resolve, reject, posicion: null };
+    
+    if (!queues.has(chatId)) {
+      queues.set(chatId, []);
+      rotation.push(chatId);
+    }
+    queues.get(chatId).push(job);
+    
+    start().then(() => {
+      // Si ningún worker se pudo reiniciar, intentarlo de nuevo con este trabajo en espera
+      if (!hasWorkers()) slots.forEach(slot => restartWorker(slot, 1));
+      dispatch();
+    }, error => {
+      console.error('Error iniciando los workers de OCR:', error);
+      rejectQueued(error);
+    });
+  });
+}
+
+/**
+ * Detiene el pool: rechaza los trabajos en espera, deja terminar los que están
+ * en curso y cierra los workers
+ * @returns {Promise<void>}
+ */
+async function shutdown() {
+  stopping = true;
+  rejectQueued(new Error('El servicio de OCR se está apagando'));
+  
+  if (starting) await starting.catch(() => {});
+  
+  // Esperar a que terminen los trabajos en curso (cada uno tiene su tiempo límite)
+  while (slots.some(slot => slot.job)) {
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  
+  await Promise.all(slots.filter(slot => slot.worker).map(slot => slot.worker.terminate().catch(() => {})));
+  slots.length = 0;
+  starting = null;
+}
+
+module.exports = {
+  start,
+  recognize,
+  shutdown
+};
\ No newline at end of file
@@ -0,0 +1,368 @@
+const PDFDocument = require('pdfkit');
+const config = require('../config');
+const money = require('./money');
+
+const MARGIN = 50;
+const PRIMARY_COLOR = '#4e79a7';
+const INCOME_COLOR = '#59a14f';
+const EXPENSE_COLOR = '#e15759';
+const WARNING_COLOR = '#edc948';
+const MUTED_COLOR = '#666666';
+const ROW_HEIGHT = 18;
+
+const TYPE_NAMES = {
+  gasto: 'Gasto',
+  ingreso: 'Ingreso',
+  ingreso_fijo: 'Ingreso fijo',
+  ahorro: 'Ahorro'
+};
+
+/**
+ * Deja solo caracteres que las fuentes estándar del PDF pueden dibujar
+ * (los emojis de los conceptos se pierden)
+ * @param {*} value - Texto
+ * @returns {string}
+ */
+function pdfText(value) {
+  return String(value === null || value === undefined ? '' : value).replace(/[^\x20-\xFF€]/g, '').trim();
+}
+
+/**
+ * Convierte una fecha yyyy-mm-dd en dd/mm/yyyy
+ * @param {string} date - Fecha yyyy-mm-dd
+ * @returns {string}
+ */
+function formatDate(date) {
+  const [year, month, day] = date.split('-');
+  return `${day}/${month}/${year}`;
+}
+
+/**
+ * Agrega una página nueva si no cabe un bloque de la altura indicada
+ * @param {Object} doc - Documento PDFKit
+ * @param {number} height - Altura necesaria
+ */
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - MARGIN) doc.addPage();
+}
+
+/**
+ * Dibuja el título de una sección
+ * @param {Object} doc - Documento PDFKit
+ * @param {string} title - Título
+ */
+function sectionTitle(doc, title) {
+  ensureSpace(doc, 60);
+  doc.moveDown(1);
+  doc.font('Helvetica-Bold').fontSize(14).fillColor(PRIMARY_COLOR).text(title, MARGIN);
+  doc.moveTo(MARGIN, doc.y + 2).lineTo(doc.page.width - MARGIN, doc.y + 2).strokeColor(PRIMARY_COLOR).stroke();
+  doc.moveDown(0.6);
+  doc.font('Helvetica').fontSize(10).fillColor('black');
+}
+
+/**
+ * Dibuja una tabla. Si no cabe en la página continúa en la siguiente y repite los encabezados.
+ * @param {Object} doc - Documento PDFKit
+ * @param {Array} columns - [{ header, key, width, align }] (width en puntos)
+ * @param {Array} rows - Filas con los valores ya formateados
+ * @param {Function} rowColor - Color opcional del texto de cada fila: row => color
+ */
+function table(doc, columns, rows, rowColor = () => 'black') {
+  const drawRow = (values, font, color) => {
+    const y = doc.y;
+    let x = MARGIN;
+    doc.font(font).fontSize(9).fillColor(color);
+    columns.forEach(column => {
+      doc.text(pdfText(values[column.key]), x + 2, y + 4, {
+        width: column.width - 4,
+        align: column.align || 'left',
+        lineBreak: false,
+        ellipsis: true
+      });
+      x += column.width;
+    });
+    doc.y = y + ROW_HEIGHT;
+  };
+  
+  const drawHeader = () => {
+    const width = columns.reduce((sum, column) => sum + column.width, 0);
+    doc.rect(MARGIN, doc.y, width, ROW_HEIGHT).fill('#e8eef5');
+    drawRow(Object.fromEntries(columns.map(column => [column.key, column.header])), 'Helvetica-Bold', 'black');
+  };
+  
+  ensureSpace(doc, ROW_HEIGHT * 2);
+  drawHeader();
+  
+  rows.forEach(row => {
+    if (doc.y + ROW_HEIGHT > doc.page.height - MARGIN) {
+      doc.addPage();
+      drawHeader();
+    }
+    drawRow(row, 'Helvetica', rowColor(row));
+  });
+  
+  doc.x = MARGIN;
+  doc.font('Helvetica').fontSize(10).fillColor('black');
+}
+
+/**
+ * Dibuja una barra de progreso horizontal
+ * @param {Object} doc - Documento PDFKit
+ * @param {number} x - Posición horizontal
+ * @param {number} y - Posición vertical
+ * @param {number} width - Ancho total
+ * @param {number} percentage - Porcentaje (se limita a 100)
+ * @param {string} color - Color del avance
+ */
+function progressBar(doc, x, y, width, percentage, color) {
+  doc.rect(x, y, width, 8).fill('#eeeeee');
+  if (percentage > 0) doc.rect(x, y, width * Math.min(100, percentage) / 100, 8).fill(color);
+  doc.fillColor('black');
+}
+
+/**
+ * Portada con el resumen de ingresos y gastos
+ * @param {Object} doc - Documento PDFKit
+ * @param {Object} statement - Datos del estado de cuenta
+ */
+function drawSummary(doc, statement) {
+  const { resumen, moneda } = statement;
+  
+  doc.font('Helvetica-Bold').fontSize(22).fillColor(PRIMARY_COLOR).text(pdfText(statement.titulo), MARGIN, MARGIN);
+  doc.font('Helvetica').fontSize(11).fillColor(MUTED_COLOR)
+    .text(pdfText(`${statement.subtitulo} · Montos en ${moneda}`))
+    .text(pdfText(`Generado el ${formatDate(statement.generado)}`));
+  
+  sectionTitle(doc, 'Resumen');
+  
+  const cards = [
+    { label: 'Ingresos', value: resumen.totalIncomes, color: INCOME_COLOR },
+    { label: 'Gastos', value: resumen.totalExpenses, color: EXPENSE_COLOR },
+    { label: 'Ahorro', value: resumen.totalSavings, color: PRIMARY_COLOR },
+    { label: 'Balance', value: resumen.balance, color: resumen.balance < 0 ? EXPENSE_COLOR : INCOME_COLOR }
+  ];
+  const cardWidth = (doc.page.width - MARGIN * 2 - 30) / cards.length;
+  const top = doc.y;
+  
+  cards.forEach((card, i) => {
+    const x = MARGIN + i * (cardWidth + 10);
+    doc.roundedRect(x, top, cardWidth, 50, 4).strokeColor(card.color).stroke();
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR).text(card.label, x + 8, top + 8, { width: cardWidth - 16 });
+    doc.font('Helvetica-Bold').fontSize(13).fillColor(card.color)
+      .text(pdfText(money.formatAmount(card.value, moneda)), x + 8, top + 24, { width: cardWidth - 16 });
+  });
+  
+  doc.y = top + 60;
+  doc.font('Helvetica').fontSize(10).fillColor('black').text(
+    `Ratio de ahorro: ${resumen.savingRate.toFixed(1)}%` +
+    (resumen.totalIncomes > 0 ? `   ·   Ratio gastos/ingresos: ${(resumen.totalExpenses / resumen.totalIncomes * 100).toFixed(1)}%` : ''),
+    MARGIN
+  );
+  
+  if (resumen.sortedCategories.length > 0) {
+    doc.moveDown(1);
+    table(doc, [
+      { header: 'Categoría', key: 'categoria', width: 250 },
+      { header: 'Gastado', key: 'total', width: 140, align: 'right' },
+      { header: '% del gasto', key: 'porcentaje', width: 105, align: 'right' }
+    ], resumen.sortedCategories.map(([categoria, total]) => ({
+      categoria,
+      total: money.formatAmount(total, moneda),
+      porcentaje: `${(total / resumen.totalExpenses * 100).toFixed(1)}%`
+    })));
+  }
+}
+
+/**
+ * Sección de presupuesto contra gasto real por categoría
+ * @param {Object} doc - Documento PDFKit
+ * @param {Object} statement - Datos del estado de cuenta
+ */
+function drawBudget(doc, statement) {
+  const { resumen, moneda } = statement;
+  if (resumen.budget.length === 0) return;
+  
+  sectionTitle(doc, 'Cumplimiento del presupuesto');
+  
+  resumen.budget.forEach(row => {
+    ensureSpace(doc, 30);
+    const y = doc.y;
+    const color = row.porcentaje >= 100 ? EXPENSE_COLOR : (row.porcentaje >= 80 ? WARNING_COLOR : INCOME_COLOR);
+    
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('black').text(pdfText(row.categoria), MARGIN, y, { width: 120 });
+    progressBar(doc, MARGIN + 125, y + 2, 200, row.porcentaje, color);
+    doc.font('Helvetica').fontSize(9).fillColor(color === INCOME_COLOR ? 'black' : color).text(
+      pdfText(`${money.formatAmount(row.gastado, moneda)} de ${money.formatAmount(row.presupuesto, moneda)} (${row.porcentaje.toFixed(0)}%)`),
+      MARGIN + 335, y, { width: doc.page.width - MARGIN * 2 - 335 }
+    );
+    doc.y = y + 22;
+  });
+  
+  doc.fillColor('black');
+}
+
+/**
+ * Sección de avance de las metas financieras
+ * @param {Object} doc - Documento PDFKit
+ * @param {Object} statement - Datos del estado de cuenta
+ */
+function drawGoals(doc, statement) {
+  if (statement.metas.length === 0) return;
+  
+  sectionTitle(doc, 'Metas financieras');
+  
+  statement.metas.forEach(goal => {
+    ensureSpace(doc, 40);
+    const target = parseFloat(goal.montoObjetivo) || 0;
+    const saved = parseFloat(goal.montoAcumulado) || 0;
+    const percentage = target > 0 ? Math.min(100, saved / target * 100) : 0;
+    const y = doc.y;
+    
+    doc.font('Helvetica-Bold').fontSize(10).text(pdfText(goal.nombre), MARGIN, y);
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR).text(
+      pdfText(`${money.formatAmount(saved, statement.moneda)} de ${money.formatAmount(target, statement.moneda)} · fecha límite ${formatDate(goal.fecha)}`),
+      MARGIN, y + 13
+    );
+    progressBar(doc, MARGIN + 300, y + 4, 150, percentage, percentage >= 100 ? INCOME_COLOR : PRIMARY_COLOR);
+    doc.fontSize(9).text(`${percentage.toFixed(0)}%`, MARGIN + 460, y + 3);
+    doc.y = y + 32;
+  });
+}
+
+/**
+ * Sección con el calendario de gastos fijos del período
+ * @param {Object} doc - Documento PDFKit
+ * @param {Object} statement - Datos del estado de cuenta
+ */
+function drawFixedExpenses(doc, statement) {
+  if (statement.fijos.length === 0) return;
+  
+  sectionTitle(doc, 'Calendario de gastos fijos');
+  
+  table(doc, [
+    { header: 'Fecha', key: 'fecha', width: 70 },
+    { header: 'Gasto fijo', key: 'nombre', width: 170 },
+    { header: 'Categoría', key: 'categoria', width: 100 },
+    { header: 'Monto', key: 'monto', width: 95, align: 'right' },
+    { header: 'Estado', key: 'estado', width: 60 }
+  ], statement.fijos.map(item => ({
+    fecha: formatDate(item.fecha),
+    nombre: item.nombre,
+    categoria: item.categoria,
+    monto: money.formatAmount(item.monto, item.moneda || statement.moneda),
+    estado: item.pagado ? 'Pagado' : (item.fecha < statement.generado ? 'Vencido' : 'Pendiente'),
+    vencido: !item.pagado && item.fecha < statement.generado
+  })), row => (row.vencido ? EXPENSE_COLOR : 'black'));
+}
+
+/**
+ * Sección de gráficos: un gráfico por media página
+ * @param {Object} doc - Documento PDFKit
+ * @param {Object} statement - Datos del estado de cuenta
+ */
+function drawCharts(doc, statement) {
+  if (statement.graficos.length === 0) return;
+  
+  const width = doc.page.width - MARGIN * 2;
+  const height = width * config.charts.height / config.charts.width;
+  
+  doc.addPage();
+  doc.y = MARGIN;
+  sectionTitle(doc, 'Gráficos');
+  
+  statement.graficos.forEach(({ caption, image }) => {
+    ensureSpace(doc, height + 25);
+    doc.font('Helvetica-Bold').fontSize(10).text(pdfText(caption), MARGIN);
+    doc.image(image, MARGIN, doc.y + 4, { fit: [width, height], align: 'center' });
+    doc.y += height + 15;
+  });
+}
+
+/**
+ * Sección con todos los movimientos del período
+ * @param {Object} doc - Documento PDFKit
+ * @param {Object} statement - Datos del estado de cuenta
+ */
+function drawLedger(doc, statement) {
+  doc.addPage();
+  doc.y = MARGIN;
+  sectionTitle(doc, 'Movimientos');
+  
+  if (statement.movimientos.length === 0) {
+    doc.text('No hay movimientos registrados en este período.');
+    return;
+  }
+  
+  table(doc, [
+    { header: 'Fecha', key: 'fecha', width: 60 },
+    { header: 'Tipo', key: 'tipo', width: 60 },
+    { header: 'Concepto', key: 'concepto', width: 150 },
+    { header: 'Categoría', key: 'categoria', width: 80 },
+    { header: 'Monto', key: 'monto', width: 70, align: 'right' },
+    { header: `Monto (${statement.moneda})`, key: 'montoBase', width: 75, align: 'right' }
+  ], statement.movimientos.map(t => ({
+    fecha: formatDate(t.fecha),
+    tipo: TYPE_NAMES[t.tipo] || t.tipo,
+    concepto: t.concepto,
+    categoria: t.categoria,
+    monto: money.formatAmount(t.monto, t.moneda || statement.moneda),
+    montoBase: money.formatAmount(t.montoBase, statement.moneda),
+    gasto: t.tipo === 'gasto'
+  })), row => (row.gasto ? 'black' : INCOME_COLOR));
+}
+
+/**
+ * Numera las páginas al pie
+ * @param {Object} doc - Documento PDFKit (con bufferPages)
+ * @param {string} title - Título del documento
+ */
+function drawFooters(doc, title) {
+  const { start, count } = doc.bufferedPageRange();
+  
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i);
+    // Sin margen inferior para que el pie no abra una página nueva
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR).text(
+      pdfText(`${title} · Página ${i + 1} de ${count}`),
+      MARGIN, doc.page.height - MARGIN + 15,
+      { width: doc.page.width - MARGIN * 2, align: 'center', lineBreak: false }
+    );
+  }
+}
+
+/**
+ * Genera el PDF de un estado de cuenta
+ * @param {Object} statement - { titulo, subtitulo, generado, moneda, resumen (ver reportController.summarizePeriod),
+ *   metas, fijos: [{ fecha, nombre, categoria, monto, pagado }],
+ *   movimientos: [{ ...transacción, montoBase }], graficos: [{ caption, image }] }
+ * @returns {Promise<Buffer>} - Archivo PDF
+ */
+function renderStatement(statement) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: MARGIN,
+      bufferPages: true,
+      info: { Title: pdfText(statement.titulo), Subject: pdfText(statement.subtitulo) }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    
+    drawSummary(doc, statement);
+    drawBudget(doc, statement);
+    drawGoals(doc, statement);
+    drawFixedExpenses(doc, statement);
+    drawCharts(doc, statement);
+    drawLedger(doc, statement);
+    drawFooters(doc, statement.titulo);
+    
+    doc.end();
+  });
+}
+
+module.exports = {
+  renderStatement
+};
\ No newline at end of file
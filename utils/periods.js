@@ -0,0 +1,299 @@
+// Períodos de reporte: rangos de fechas yyyy-mm-dd escritos por el usuario
+// ("del 1/03 al 15/04", "marzo", "Q1 2025") y sus períodos de comparación.
+
+const dates = require('./dates');
+const { MONTH_NAMES } = require('./recurrence');
+
+const QUARTER_WORDS = { primer: 1, primero: 1, segundo: 2, tercer: 3, tercero: 3, cuarto: 4 };
+const QUARTER_NAMES = ['primer', 'segundo', 'tercer', 'cuarto'];
+const WEEKDAY_NAMES = ['lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado', 'domingo'];
+const UNIT_NAMES = { dias: 'días', semanas: 'semanas', meses: 'meses' };
+
+const DATE = '(\\d{1,2})[/-](\\d{1,2})(?:[/-](\\d{2,4}))?';
+const RANGE_REGEX = new RegExp(`(?:\\bdel?|\\bdesde(?:\\s+el)?)\\s+${DATE}\\s+(?:al?|hasta(?:\\s+el)?)\\s+${DATE}`);
+const QUARTER_REGEX = /\b(?:q|t)([1-4])\b(?:\s*(?:de(?:l)?\s+)?(\d{4}))?/;
+const QUARTER_WORDS_REGEX = /\b(primer|primero|segundo|tercer|tercero|cuarto)\s+trimestre(?:\s+(?:de(?:l)?\s+)?(\d{4}))?/;
+const MONTH_REGEX = new RegExp(`\\b(${MONTH_NAMES.join('|')})\\b(?:\\s+(?:de(?:l)?\\s+)?(\\d{4}))?`);
+const YEAR_REGEX = /\b(?:ano\s+|de(?:l)?\s+)?((?:19|20)\d{2})\b/;
+
+/**
+ * Quita tildes y pasa a minúsculas
+ * @param {string} text - Texto del usuario
+ * @returns {string}
+ */
+function normalize(text) {
+  return text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Arma una fecha yyyy-mm-dd
+ * @param {number} year - Año
+ * @param {number} month - Mes (1-12)
+ * @param {number} day - Día
+ * @returns {string}
+ */
+function toDate(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Muestra una fecha yyyy-mm-dd como dd/mm/yyyy
+ * @param {string} date - Fecha yyyy-mm-dd
+ * @returns {string}
+ */
+function formatDate(date) {
+  const [year, month, day] = date.split('-');
+  return `${day}/${month}/${year}`;
+}
+
+/**
+ * Mueve una fecha una cantidad de meses. El día se ajusta a meses más cortos
+ * y el último día de un mes cae en el último día del mes destino.
+ * @param {string} date - Fecha yyyy-mm-dd
+ * @param {number} months - Meses a mover (pueden ser negativos)
+ * @returns {string}
+ */
+function shiftMonths(date, months) {
+  const [year, month, day] = date.split('-').map(n => parseInt(n, 10));
+  const index = year * 12 + (month - 1) + months;
+  const targetYear = Math.floor(index / 12);
+  const targetMonth = index % 12 + 1;
+  const lastDay = dates.daysInMonth(targetYear, targetMonth);
+  
+  return toDate(targetYear, targetMonth, day === dates.daysInMonth(year, month) ? lastDay : Math.min(day, lastDay));
+}
+
+/**
+ * Arma un período; si incluye días futuros termina hoy, para comparar
+ * siempre la misma cantidad de días transcurridos
+ * @param {string} desde - Fecha inicial
+ * @param {string} hasta - Fecha final
+ * @param {string} nombre - Descripción para el título del reporte
+ * @param {number|null} meses - Duración en meses calendario (null para rangos de días)
+ * @param {string} today - Fecha actual
+ * @returns {Object} - { desde, hasta, nombre, meses }
+ */
+function buildPeriod(desde, hasta, nombre, meses, today) {
+  return { desde, hasta: hasta > today && desde <= today ? today : hasta, nombre, meses };
+}
+
+/**
+ * Año de un período escrito sin año: el actual, o el anterior si el
+ * período todavía no empezó
+ * @param {string|undefined} yearText - Año escrito por el usuario
+ * @param {number} month - Mes en que empieza el período
+ * @param {string} today - Fecha actual
+ * @returns {number}
+ */
+function resolveYear(yearText, month, today) {
+  if (yearText) return parseInt(yearText, 10);
+  
+  const [year, currentMonth] = today.split('-').map(n => parseInt(n, 10));
+  return month > currentMonth ? year - 1 : year;
+}
+
+/**
+ * Período predefinido de los reportes
+ * @param {string} reportType - 'semanal', 'mensual' o 'anual'
+ * @param {string} today - Fecha actual yyyy-mm-dd
+ * @returns {Object} - { desde, hasta, nombre, meses, tipo }
+ */
+function presetPeriod(reportType, today) {
+  const [year, month] = today.split('-');
+  
+  switch (reportType) {
+    case 'semanal':
+      return { desde: dates.addDays(today, -7), hasta: today, nombre: 'de la última semana', meses: null, tipo: 'semanal' };
+    case 'anual':
+      return { desde: `${year}-01-01`, hasta: today, nombre: 'del año actual', meses: 12, tipo: 'anual' };
+    case 'mensual':
+    default:
+      return { desde: `${year}-${month}-01`, hasta: today, nombre: 'de este mes', meses: 1, tipo: 'mensual' };
+  }
+}
+
+/**
+ * Interpreta un período escrito por el usuario
+ * ("del 1/03 al 15/04", "de marzo", "marzo 2025", "Q1 2025", "segundo trimestre", "año 2024")
+ * @param {string} text - Texto del usuario
+ * @param {string} today - Fecha actual yyyy-mm-dd
+ * @returns {Object|null} - { desde, hasta, nombre, meses } o null si no hay período
+ */
+function parsePeriod(text, today) {
+  const normalized = normalize(text);
+  
+  const range = normalized.match(RANGE_REGEX);
+  if (range) {
+    const [, d1, m1, y1, d2, m2, y2] = range.map(n => n && parseInt(n, 10));
+    const fullYear = y => (y < 100 ? y + 2000 : y);
+    let endYear = y2 ? fullYear(y2) : (y1 ? fullYear(y1) : parseInt(today.slice(0, 4), 10));
+    let startYear = y1 ? fullYear(y1) : (m1 > m2 || (m1 === m2 && d1 > d2) ? endYear - 1 : endYear);
+    
+    // Sin años, un rango que todavía no empezó es del año pasado
+    if (!y1 && !y2 && toDate(startYear, m1, d1) > today) {
+      startYear--;
+      endYear--;
+    }
+    
+    if (m1 < 1 || m1 > 12 || m2 < 1 || m2 > 12 ||
+        d1 > dates.daysInMonth(startYear, m1) || d2 > dates.daysInMonth(endYear, m2)) {
+      return null;
+    }
+    
+    const desde = toDate(startYear, m1, d1);
+    const hasta = toDate(endYear, m2, d2);
+    if (desde > hasta) return null;
+    
+    return buildPeriod(desde, hasta, `del ${formatDate(desde)} al ${formatDate(hasta)}`, null, today);
+  }
+  
+  const quarter = normalized.match(QUARTER_REGEX) || normalized.match(QUARTER_WORDS_REGEX);
+  if (quarter) {
+    const number = QUARTER_WORDS[quarter[1]] || parseInt(quarter[1], 10);
+    const firstMonth = (number - 1) * 3 + 1;
+    const year = resolveYear(quarter[2], firstMonth, today);
+    const lastMonth = firstMonth + 2;
+    
+    return buildPeriod(
+      toDate(year, firstMonth, 1),
+      toDate(year, lastMonth, dates.daysInMonth(year, lastMonth)),
+      `del ${QUARTER_NAMES[number - 1]} trimestre de ${year}`,
+      3,
+      today
+    );
+  }
+  
+  const month = normalized.match(MONTH_REGEX);
+  if (month) {
+    const number = MONTH_NAMES.indexOf(month[1]) + 1;
+    const year = resolveYear(month[2], number, today);
+    
+    return buildPeriod(
+      toDate(year, number, 1),
+      toDate(year, number, dates.daysInMonth(year, number)),
+      `de ${month[1]} de ${year}`,
+      1,
+      today
+    );
+  }
+  
+  const year = normalized.match(YEAR_REGEX);
+  if (year) {
+    const number = parseInt(year[1], 10);
+    return buildPeriod(`${number}-01-01`, `${number}-12-31`, `del año ${number}`, 12, today);
+  }
+  
+  return null;
+}
+
+/**
+ * Interpreta un período relativo a hoy ("ayer", "esta semana", "el mes pasado",
+ * "los últimos 15 días", "el sábado"). Las semanas empiezan el lunes.
+ * @param {string} text - Texto del usuario
+ * @param {string} today - Fecha actual yyyy-mm-dd
+ * @returns {Object|null} - { desde, hasta, nombre, meses } o null si no hay período
+ */
+function parseRelativePeriod(text, today) {
+  const normalized = normalize(text);
+  const [year, month] = today.split('-').map(n => parseInt(n, 10));
+  const weekday = (new Date(`${today}T00:00:00Z`).getUTCDay() + 6) % 7; // 0 = lunes
+  const monday = dates.addDays(today, -weekday);
+  
+  if (/\b(?:anteayer|antier|antes de ayer)\b/.test(normalized)) {
+    const day = dates.addDays(today, -2);
+    return { desde: day, hasta: day, nombre: 'de anteayer', meses: null };
+  }
+  if (/\bayer\b/.test(normalized)) {
+    const day = dates.addDays(today, -1);
+    return { desde: day, hasta: day, nombre: 'de ayer', meses: null };
+  }
+  if (/\bhoy\b/.test(normalized)) {
+    return { desde: today, hasta: today, nombre: 'de hoy', meses: null };
+  }
+  
+  const last = normalized.match(/\bultim[oa]s\s+(\d+)\s+(dias|semanas|meses)\b/);
+  if (last) {
+    const count = parseInt(last[1], 10);
+    const desde = last[2] === 'meses'
+      ? dates.addDays(shiftMonths(today, -count), 1)
+      : dates.addDays(today, -(count * (last[2] === 'semanas' ? 7 : 1)) + 1);
+    return { desde, hasta: today, nombre: `de los últimos ${count} ${UNIT_NAMES[last[2]]}`, meses: last[2] === 'meses' ? count : null };
+  }
+  
+  if (/\bsemana (?:pasada|anterior)\b/.test(normalized)) {
+    return { desde: dates.addDays(monday, -7), hasta: dates.addDays(monday, -1), nombre: 'de la semana pasada', meses: null };
+  }
+  if (/\b(?:esta|la) semana\b/.test(normalized)) {
+    return { desde: monday, hasta: today, nombre: 'de esta semana', meses: null };
+  }
+  
+  if (/\bmes (?:pasado|anterior)\b/.test(normalized)) {
+    const desde = shiftMonths(toDate(year, month, 1), -1);
+    const [prevYear, prevMonth] = desde.split('-').map(n => parseInt(n, 10));
+    return { desde, hasta: toDate(prevYear, prevMonth, dates.daysInMonth(prevYear, prevMonth)), nombre: 'del mes pasado', meses: 1 };
+  }
+  if (/\b(?:este|el) mes\b/.test(normalized)) {
+    return presetPeriod('mensual', today);
+  }
+  
+  if (/\bano (?:pasado|anterior)\b/.test(normalized)) {
+    return { desde: `${year - 1}-01-01`, hasta: `${year - 1}-12-31`, nombre: 'del año pasado', meses: 12 };
+  }
+  if (/\b(?:este|el) ano\b/.test(normalized)) {
+    return presetPeriod('anual', today);
+  }
+  
+  // Un día de la semana es el último que pasó (hoy si es ese día)
+  const weekdays = WEEKDAY_NAMES.map(normalize);
+  const day = normalized.match(new RegExp(`\\b(${weekdays.join('|')})\\b`));
+  if (day) {
+    const index = weekdays.indexOf(day[1]);
+    const date = dates.addDays(today, -((weekday - index + 7) % 7));
+    return { desde: date, hasta: date, nombre: `del ${WEEKDAY_NAMES[index]} ${formatDate(date)}`, meses: null };
+  }
+  
+  return null;
+}
+
+/**
+ * Período anterior equivalente: el mes, trimestre o año anterior, o la
+ * misma cantidad de días justo antes para rangos libres
+ * @param {Object} period - Período { desde, hasta, meses }
+ * @returns {Object} - { desde, hasta }
+ */
+function previousPeriod(period) {
+  if (period.meses) {
+    return { desde: shiftMonths(period.desde, -period.meses), hasta: shiftMonths(period.hasta, -period.meses) };
+  }
+  
+  const length = dates.daysBetween(period.desde, period.hasta) + 1;
+  return { desde: dates.addDays(period.desde, -length), hasta: dates.addDays(period.desde, -1) };
+}
+
+/**
+ * Mismo período del año anterior
+ * @param {Object} period - Período { desde, hasta }
+ * @returns {Object} - { desde, hasta }
+ */
+function samePeriodLastYear(period) {
+  return { desde: shiftMonths(period.desde, -12), hasta: shiftMonths(period.hasta, -12) };
+}
+
+/**
+ * Describe un rango de fechas
+ * @param {Object} period - Período { desde, hasta }
+ * @returns {string} - "dd/mm/yyyy - dd/mm/yyyy"
+ */
+function describeRange(period) {
+  return `${formatDate(period.desde)} - ${formatDate(period.hasta)}`;
+}
+
+module.exports = {
+  presetPeriod,
+  parsePeriod,
+  parseRelativePeriod,
+  previousPeriod,
+  samePeriodLastYear,
+  describeRange,
+  formatDate
+};
\ No newline at end of file
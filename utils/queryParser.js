@@ -0,0 +1,161 @@
+const periods = require('./periods');
+const textUtils = require('./textProcessing');
+
+// Preguntas sobre los movimientos registrados ("¿cuánto gasté en restaurantes en marzo?",
+// "¿cuál fue mi gasto más grande esta semana?", "¿cuánto llevo en Uber este año?"):
+// se traducen en un filtro para database.queryTransactions, un comercio opcional
+// y el cálculo a hacer sobre los movimientos que cumplen el filtro.
+
+// Tipos de transacción que cuentan como ingreso
+const INCOME_TYPES = ['ingreso', 'ingreso_fijo'];
+
+// Comienzo de una pregunta sobre los movimientos
+const QUESTION_REGEX = /^\s*(?:cuant[oa]s?|cual(?:es)?|en que|que (?:compre|gaste|gastos|ingresos|pague)|donde)\b/;
+
+// Verbos que indican que la pregunta es sobre ingresos
+const INCOME_REGEX = /\b(?:recibi|recibido|gane|ganado|gano|ingres\w*|cobre|cobrado|me pagaron|me pagan|entraron|entro)\b/;
+
+// Cálculo pedido, en orden de prioridad
+const AGGREGATIONS = [
+  { agregacion: 'categorias', regex: /\ben que (?:categoria|se me (?:va|fue|van|fueron)|gast[oe]|me gast[oe])\b|\bcategorias?\b.*\bmas\b/ },
+  { agregacion: 'conteo', regex: /\bcuant[oa]s (?:veces|gastos|ingresos|compras|movimientos|pagos)\b/ },
+  { agregacion: 'promedio', regex: /\b(?:promedio|en media)\b/ },
+  { agregacion: 'maximo', regex: /\b(?:mas (?:grande|alto|caro)|mayor|maximo)\b/ },
+  { agregacion: 'minimo', regex: /\b(?:mas (?:pequeno|bajo|barato)|menor|minimo)\b/ },
+  { agregacion: 'ultimo', regex: /\bultim[oa]\b(?!s)/ },
+  { agregacion: 'lista', regex: /^\s*(?:que|cuales)\b/ }
+];
+
+// Palabras que no forman parte del comercio o la categoría de la pregunta
+const STOPWORDS = new Set([
+  'el', 'la', 'los', 'las', 'un', 'una', 'mi', 'mis', 'este', 'esta', 'ese', 'esa', 'que', 'lo', 'me', 'se',
+  'en', 'de', 'del', 'al', 'a', 'por', 'para', 'con', 'y', 'o',
+  'hoy', 'ayer', 'anteayer', 'antier', 'semana', 'mes', 'ano', 'pasado', 'pasada', 'anterior', 'trimestre',
+  'ultimo', 'ultima', 'ultimos', 'ultimas', 'dias', 'semanas', 'meses', 'promedio', 'total', 'media',
+  'plata', 'dinero', 'gasto', 'gastos', 'ingreso', 'ingresos', 'compras', 'movimientos', 'categoria', 'mas',
+  'lunes', 'martes', 'miercoles', 'jueves', 'viernes', 'sabado', 'domingo',
+  'enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre',
+  'noviembre', 'diciembre'
+]);
+
+// Preposiciones que introducen el comercio o la categoría ("en Uber", "de servicios", "al cine")
+const PREPOSITIONS = ['en', 'de', 'del', 'al', 'a'];
+
+/**
+ * Indica si un mensaje es una pregunta sobre los movimientos
+ * @param {string} text - Mensaje del usuario
+ * @returns {boolean}
+ */
+function isQuestion(text) {
+  return QUESTION_REGEX.test(textUtils.normalizeText(text).replace(/^[¿¡\s]+/, ''));
+}
+
+/**
+ * Busca el comercio o la categoría de la pregunta: las palabras que siguen a
+ * una preposición, hasta la siguiente palabra vacía ("en mercado libre este mes")
+ * @param {Array} words - Palabras de la pregunta, en minúsculas
+ * @returns {string|null}
+ */
+function findSubject(words) {
+  for (let i = 0; i < words.length - 1; i++) {
+    // También después del verbo de "cuántas veces pedí domicilio"
+    if (!PREPOSITIONS.includes(words[i]) && words[i - 1] !== 'veces') continue;
+    
+    const subject = [];
+    for (let j = i + 1; j < words.length && subject.length < 3; j++) {
+      const word = textUtils.normalizeText(words[j]);
+      if (['el', 'la', 'los', 'las', 'mi', 'mis'].includes(word) && subject.length === 0) continue;
+      if (STOPWORDS.has(word) || /\d/.test(word)) break;
+      subject.push(words[j]);
+    }
+    if (subject.length > 0) return subject.join(' ');
+  }
+  
+  return null;
+}
+
+/**
+ * Busca la categoría del chat que nombra un texto ("restaurantes" -> "restaurante")
+ * @param {string} subject - Texto de la pregunta
+ * @param {Array} categorias - Nombres de las categorías del chat
+ * @returns {string|null}
+ */
+function findCategory(subject, categorias) {
+  const normalized = textUtils.normalizeText(subject);
+  return categorias.find(categoria => {
+    const name = textUtils.normalizeText(categoria);
+    return normalized === name || normalized === `${name}s` || normalized === `${name}es`;
+  }) || null;
+}
+
+/**
+ * Interpreta una pregunta sobre los movimientos
+ * @param {string} text - Pregunta del usuario
+ * @param {Object} context - { today, categorias, rules }
+ * @returns {Object} - { tipo: 'gasto'|'ingreso', agregacion: 'suma'|'conteo'|'promedio'|'maximo'|
+ *   'minimo'|'ultimo'|'lista'|'categorias', mensual (promedio por mes), periodo { desde, hasta, nombre }
+ *   o null (todo el historial), filtro para database.queryTransactions, categoria, comercio,
+ *   categoriaSugerida (categoría del comercio según las reglas, por si no hay movimientos con ese nombre) }
+ */
+function parseQuestion(text, context = {}) {
+  const today = context.today || textUtils.formatDate(new Date());
+  const normalized = textUtils.normalizeText(text).replace(/[¿?¡!.,;:]/g, ' ');
+  
+  const tipo = INCOME_REGEX.test(normalized) ? 'ingreso' : 'gasto';
+  const found = AGGREGATIONS.find(a => a.regex.test(normalized));
+  const agregacion = found ? found.agregacion : 'suma';
+  const mensual = agregacion === 'promedio' && /\b(?:al|por|cada) mes\b|\bmensual\b/.test(normalized);
+  
+  // Sin período: el último movimiento se busca en todo el historial, el promedio
+  // mensual en los últimos 6 meses y lo demás en el mes actual
+  let periodo = periods.parsePeriod(normalized, today) || periods.parseRelativePeriod(normalized, today);
+  if (!periodo && agregacion !== 'ultimo') {
+    periodo = mensual
+      ? periods.parseRelativePeriod('ultimos 6 meses', today)
+      : periods.presetPeriod('mensual', today);
+  }
+  
+  const words = text.toLowerCase().replace(/[¿?¡!.,;:]/g, ' ').split(/\s+/).filter(Boolean);
+  const subject = findSubject(words);
+  const categoria = subject && tipo === 'gasto' ? findCategory(subject, context.categorias || []) : null;
+  const comercio = subject && !categoria ? subject : null;
+  const sugerida = comercio && tipo === 'gasto' ? textUtils.categorizeExpense(comercio, context.rules) : null;
+  
+  const filtro = {
+    tipos: tipo === 'ingreso' ? INCOME_TYPES : ['gasto'],
+    ...(categoria ? { categoria } : {}),
+    ...(periodo ? { desde: periodo.desde, hasta: periodo.hasta } : {})
+  };
+  
+  return {
+    tipo,
+    agregacion,
+    mensual,
+    periodo,
+    filtro,
+    categoria,
+    comercio,
+    categoriaSugerida: sugerida && sugerida !== 'otros' ? sugerida : null
+  };
+}
+
+/**
+ * Indica si un movimiento es del comercio buscado (en su concepto o en el texto original)
+ * @param {Object} transaction - Transacción
+ * @param {string} comercio - Comercio de la pregunta
+ * @returns {boolean}
+ */
+function matchesMerchant(transaction, comercio) {
+  const haystack = textUtils.normalizeText(`${transaction.concepto || ''} ${transaction.texto_completo || ''}`);
+  const needle = textUtils.normalizeText(comercio);
+  
+  // "cervezas" también encuentra "cerveza"
+  return haystack.includes(needle) || (needle.length > 3 && needle.endsWith('s') && haystack.includes(needle.slice(0, -1)));
+}
+
+module.exports = {
+  INCOME_TYPES,
+  isQuestion,
+  parseQuestion,
+  matchesMerchant
+};
\ No newline at end of file
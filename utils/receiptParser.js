@@ -0,0 +1,373 @@
+// Lectura del texto de un recibo (OCR): comercio, NIT, número de factura, fecha,
+// ítems, subtotal, impuestos (IVA, INC), propina, descuentos, total y medio de pago.
+// Los montos se devuelven en pesos; los descuentos, siempre positivos.
+
+const money = require('./money');
+
+// Monto al final de una línea: "18.900", "$ 35.500", "-5.000", "5.000-"
+const AMOUNT_AT_END = /(-?)\s*[$€]?\s*(-?)\s*(\d[\d.,]*\d|\d)\s*(-?)\s*$/;
+
+// Líneas que no son ítems ni montos del recibo
+const SKIP_LINE = /^(FECHA|HORA|CAJA|CAJERO|VENDEDOR|MESERO|MESA|TEL|CEL|DIR|CRA|CALLE|CL|AV|KR|RESOLUCION|AUTORIZ|REGIMEN|RESPONSABLE|CUFE|CUDE|WWW|GRACIAS|CANT|BASE|EXCLUIDO|EXENTO)\b/;
+
+// Conteos de artículos que empiezan por TOTAL pero no son el total a pagar
+const TOTAL_COUNT = /^TOTAL\s+(ITEMS?|ARTICULOS?|UNIDADES|PRODUCTOS|CANT)/;
+
+/**
+ * Pasa una línea a mayúsculas, sin tildes y con espacios simples
+ * @param {string} line - Línea del recibo
+ * @returns {string}
+ */
+function normalizeLine(line) {
+  return String(line || '').toUpperCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Redondea a centavos
+ * @param {number} value - Monto
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Separa el monto al final de una línea
+ * @param {string} line - Línea normalizada
+ * @returns {Object|null} - { monto, negativo, etiqueta } o null si no termina en un monto
+ */
+function trailingAmount(line) {
+  const match = line.match(AMOUNT_AT_END);
+  if (!match) return null;
+  
+  const monto = money.parseNumber(match[3]);
+  if (monto === null) return null;
+  
+  return {
+    monto,
+    negativo: Boolean(match[1] || match[2] || match[4]),
+    etiqueta: line.slice(0, match.index).replace(/[\s:$=.-]+$/, '').trim()
+  };
+}
+
+/**
+ * Extrae el NIT del comercio ("NIT 890.900.608-9" -> "890900608-9")
+ * @param {string} line - Línea normalizada
+ * @returns {string|null}
+ */
+function parseNit(line) {
+  const match = line.match(/\bN\.?\s?I\.?\s?T\.?\s*:?\s*(\d[\d.\s]{5,14}\d)\s*(?:-\s*(\d))?/);
+  if (!match) return null;
+  
+  const number = match[1].replace(/[.\s]/g, '');
+  return match[2] ? `${number}-${match[2]}` : number;
+}
+
+/**
+ * Extrae el número de factura o tiquete ("FACTURA POS 12345", "FE-4567")
+ * @param {string} line - Línea normalizada
+ * @returns {string|null}
+ */
+function parseInvoiceNumber(line) {
+  const match = line.match(/\b(?:FACTURA|FACT|TIQUETE|TICKET|FE|FV)\b\.?(?:\s*(?:ELECTRONICA|DE VENTA|POS|NO\.?|N[O°º]\.?|#|:))*\s*([A-Z]{0,5}\s?-?\s?\d{3,})/);
+  return match ? match[1].replace(/\s/g, '') : null;
+}
+
+/**
+ * Detecta el medio de pago mencionado en una línea
+ * @param {string} line - Línea normalizada
+ * @returns {Object|null} - { tipo: 'efectivo'|'tarjeta'|'transferencia', detalle }
+ */
+function parsePaymentMethod(line) {
+  if (/\b(EFECTIVO|CONTADO)\b/.test(line)) return { tipo: 'efectivo', detalle: null };
+  
+  if (/\b(NEQUI|DAVIPLATA|TRANSFERENCIA|PSE|BRE-?B|QR)\b/.test(line)) {
+    const detalle = (line.match(/\b(NEQUI|DAVIPLATA|PSE|BRE-?B)\b/) || [])[1];
+    return { tipo: 'transferencia', detalle: detalle ? detalle.toLowerCase() : null };
+  }
+  
+  if (/\b(TARJETA|TARJ|T\.?\s?DEBITO|T\.?\s?CREDITO|DEBITO|CREDITO|VISA|MASTER\s?CARD|MASTER|AMEX|AMERICAN EXPRESS|DINERS|REDEBAN|CREDIBANCO|DATAFONO)\b/.test(line)) {
+    let detalle = null;
+    if (/DEBITO/.test(line)) detalle = 'débito';
+    else if (/CREDITO/.test(line)) detalle = 'crédito';
+    const franchise = (line.match(/\b(VISA|MASTER\s?CARD|MASTER|AMEX|AMERICAN EXPRESS|DINERS)\b/) || [])[1];
+    if (franchise) detalle = [detalle, franchise.replace(/\s/g, '').toLowerCase()].filter(Boolean).join(' ');
+    return { tipo: 'tarjeta', detalle };
+  }
+  
+  return null;
+}
+
+/**
+ * Últimos cuatro dígitos de la tarjeta ("************1234", "XXXX1234", "ULT 4: 1234")
+ * @param {string} text - Texto normalizado del recibo
+ * @returns {string|null}
+ */
+function parseCardDigits(text) {
+  const match = text.match(/(?:[*X#]{2,}\s?|\bULT(?:IMOS)?\.?\s?4\s?(?:DIGITOS)?\s?:?\s?)(\d{4})\b/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Extrae la fecha del texto
+ * @param {string} text - Texto extraído del recibo
+ * @returns {string|null} - Fecha formateada (YYYY-MM-DD) o null si no se encuentra
+ */
+function extractDate(text) {
+  // Patrones comunes para fechas en recibos
+  const patterns = [
+    /FECHA\s*:?\s*(\d{1,2})[-\/\.](\d{1,2})[-\/\.](\d{2,4})/i,
+    /FECHA\s*:?\s*(\d{2,4})[-\/\.](\d{1,2})[-\/\.](\d{1,2})/i,
+    /(\d{1,2})[-\/\.](\d{1,2})[-\/\.](\d{2,4})/,
+    /(\d{2,4})[-\/\.](\d{1,2})[-\/\.](\d{1,2})/
+  ];
+  
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (match) {
+      let day, month, year;
+      
+      // Determinar el formato de la fecha
+      if (parseInt(match[1]) > 31) {
+        // Formato yyyy-mm-dd
+        year = parseInt(match[1]);
+        month = parseInt(match[2]);
+        day = parseInt(match[3]);
+      } else {
+        // Formato dd-mm-yyyy
+        day = parseInt(match[1]);
+        month = parseInt(match[2]);
+        year = parseInt(match[3]);
+        
+        // Ajustar año si está en formato de 2 dígitos
+        if (year < 100) {
+          year += year < 50 ? 2000 : 1900;
+        }
+      }
+      
+      return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Extrae el nombre del comercio: normalmente aparece en las primeras líneas
+ * @param {Array} lines - Líneas del recibo (sin vacías)
+ * @returns {string|null}
+ */
+function extractMerchant(lines) {
+  for (const line of lines.slice(0, 5)) {
+    const normalized = normalizeLine(line);
+    
+    // Descartar líneas que probablemente no sean nombres de comercios
+    if (/FACTURA|TICKET|TIQUETE/.test(normalized) ||
+        /^\d/.test(normalized) ||
+        /TOTAL|IMPORTE|FECHA|\bIVA\b|\bRUT\b|\bNIT\b/.test(normalized) ||
+        SKIP_LINE.test(normalized)) {
+      continue;
+    }
+    
+    // Si la línea parece un nombre (no muy corto, no muy largo)
+    if (line.trim().length > 3 && line.trim().length < 40) {
+      return line.trim();
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Interpreta el texto de un recibo línea por línea
+ * @param {string} text - Texto extraído del recibo
+ * @returns {Object} - { comercio, nit, factura, fecha, items, subtotal, impuestos, propina,
+ *   descuentos, total, medio_pago, advertencias }
+ */
+function parseReceipt(text) {
+  const lines = String(text || '').split('\n').filter(line => line.trim() !== '');
+  const receipt = {
+    comercio: extractMerchant(lines),
+    nit: null,
+    factura: null,
+    fecha: extractDate(text || ''),
+    items: [],
+    subtotal: null,
+    impuestos: [],
+    propina: null,
+    descuentos: [],
+    total: null,
+    medio_pago: null
+  };
+  
+  const totals = [];
+  const payments = [];
+  let discountSummary = null;
+  let change = null;
+  let itemsEnded = false;
+  
+  lines.forEach(rawLine => {
+    // El nombre del comercio puede terminar en un número ("TIENDA LA 14")
+    if (rawLine.trim() === receipt.comercio) return;
+    
+    const line = normalizeLine(rawLine);
+    const amount = trailingAmount(line);
+    const label = amount ? amount.etiqueta : line;
+    
+    const nit = parseNit(line);
+    if (nit) {
+      receipt.nit = receipt.nit || nit;
+      return;
+    }
+    
+    const invoice = parseInvoiceNumber(line);
+    if (invoice && !/TOTAL/.test(line)) {
+      receipt.factura = receipt.factura || invoice;
+      return;
+    }
+    
+    const payment = parsePaymentMethod(label);
+    if (payment && !/^(SUB\s?-?\s?TOTAL|TOTAL)/.test(label)) {
+      itemsEnded = true;
+      payments.push({ ...payment, monto: amount ? amount.monto : null });
+      return;
+    }
+    
+    if (!amount || SKIP_LINE.test(line) || TOTAL_COUNT.test(line)) return;
+    
+    if (/^SUB\s?-?\s?TOTAL/.test(label)) {
+      itemsEnded = true;
+      receipt.subtotal = amount.monto;
+    } else if (/\b(I\.?V\.?A|INC|IMPOCONSUMO|IMP\.?\s?CONSUMO|ICO)\b/.test(label) && !/INCLUIDO/.test(label)) {
+      itemsEnded = true;
+      const rate = label.match(/(\d{1,2}(?:[.,]\d)?)\s?%/);
+      receipt.impuestos.push({
+        tipo: /\bI\.?V\.?A\b/.test(label) ? 'IVA' : 'INC',
+        tasa: rate ? parseFloat(rate[1].replace(',', '.')) : null,
+        monto: amount.monto
+      });
+    } else if (/PROPINA|SERVICIO VOLUNTARIO|CARGO POR SERVICIO|^SERVICIO\s?\(?\d{1,2}\s?%/.test(label)) {
+      itemsEnded = true;
+      receipt.propina = round((receipt.propina || 0) + amount.monto);
+    } else if (/^TOTAL\s+(DESCUENTOS?|AHORROS?)/.test(label)) {
+      itemsEnded = true;
+      discountSummary = amount.monto;
+    } else if (/^(TOTAL|VALOR TOTAL|VALOR A PAGAR|GRAN TOTAL|NETO A PAGAR|IMPORTE)\b/.test(label)) {
+      itemsEnded = true;
+      totals.push({ monto: amount.monto, prioridad: /PAGAR|GRAN TOTAL/.test(label) ? 2 : 1 });
+    } else if (/^(CAMBIO|VUELTAS?|DEVUELTA)\b/.test(label)) {
+      itemsEnded = true;
+      change = amount.monto;
+    } else if (/DESCUENTO|\bDCTO\b|\bDSCTO\b|\bDTO\b|AHORRO/.test(label) || amount.negativo) {
+      receipt.descuentos.push({ concepto: label || 'Descuento', monto: amount.monto });
+    } else if (!itemsEnded && /[A-Z]{3,}/.test(label)) {
+      // Cantidad al inicio: "2 X GASEOSA", "3 UND PAN"
+      const quantity = label.match(/^(\d{1,3})\s?(?:X|UN|UND|UNID)\s+(.+)$/);
+      receipt.items.push(quantity
+        ? { nombre: quantity[2], precio: amount.monto, cantidad: parseInt(quantity[1], 10) }
+        : { nombre: label, precio: amount.monto });
+    }
+  });
+  
+  if (receipt.descuentos.length === 0 && discountSummary) {
+    receipt.descuentos.push({ concepto: 'Descuentos', monto: discountSummary });
+  }
+  
+  // El total a pagar tiene prioridad; entre varios iguales, el último
+  if (totals.length > 0) {
+    const best = Math.max(...totals.map(t => t.prioridad));
+    receipt.total = totals.filter(t => t.prioridad === best).pop().monto;
+  }
+  
+  // Medio de pago: el primero con monto que no sea efectivo (en pagos mixtos el efectivo
+  // suele ser el complemento), si no el efectivo; el cambio indica pago en efectivo
+  if (payments.length > 0 || change !== null) {
+    const main = payments.find(p => p.monto !== null && p.tipo !== 'efectivo') || payments.find(p => p.monto !== null) ||
+      payments[0] || { tipo: 'efectivo', detalle: null, monto: null };
+    receipt.medio_pago = {
+      tipo: main.tipo,
+      detalle: main.detalle,
+      ultimos4: main.tipo === 'tarjeta' ? parseCardDigits(normalizeLine(text)) : null,
+      monto: main.monto,
+      recibido: main.tipo === 'efectivo' ? main.monto : null,
+      cambio: change
+    };
+  }
+  
+  // Sin línea de TOTAL se deduce de lo pagado
+  let advertenciaTotal = null;
+  if (receipt.total === null) {
+    const pago = receipt.medio_pago;
+    if (pago && pago.recibido && pago.cambio !== null) {
+      receipt.total = round(pago.recibido - pago.cambio);
+    } else if (pago && pago.monto && pago.tipo !== 'efectivo') {
+      receipt.total = pago.monto;
+    }
+    advertenciaTotal = receipt.total === null
+      ? 'No encontré el total del recibo.'
+      : 'No encontré la línea TOTAL; lo calculé a partir del pago.';
+  }
+  
+  receipt.advertencias = [advertenciaTotal, ...crossCheck(receipt, receipt.total)].filter(Boolean);
+  return receipt;
+}
+
+/**
+ * Comprueba que los montos del recibo cuadren: ítems con subtotal, subtotal con
+ * impuestos, propina y descuentos contra el total, y efectivo menos cambio contra el total.
+ * Los precios de los ítems y el subtotal pueden incluir o no los impuestos.
+ * @param {Object} receipt - Recibo (ver parseReceipt)
+ * @param {number|null} total - Total a verificar
+ * @returns {Array} - Advertencias (vacío si todo cuadra)
+ */
+function crossCheck(receipt, total) {
+  const warnings = [];
+  const sum = list => round((list || []).reduce((acc, entry) => acc + entry, 0));
+  const close = (a, b) => Math.abs(a - b) <= Math.max(1, Math.abs(b) * 0.005);
+  const format = value => money.formatAmount(value);
+  
+  const items = sum((receipt.items || []).map(item => item.precio));
+  const taxes = sum((receipt.impuestos || []).map(tax => tax.monto));
+  const discounts = sum((receipt.descuentos || []).map(discount => discount.monto));
+  const tip = receipt.propina || 0;
+  const hasItems = (receipt.items || []).length > 0;
+  
+  if (hasItems && receipt.subtotal !== null && receipt.subtotal !== undefined) {
+    const matches = [items, items - taxes, items - discounts, items - discounts - taxes].some(value => close(value, receipt.subtotal));
+    if (!matches) {
+      warnings.push(`Los ítems suman ${format(items)} pero el subtotal es ${format(receipt.subtotal)}.`);
+    }
+  }
+  
+  const base = receipt.subtotal !== null && receipt.subtotal !== undefined ? receipt.subtotal : (hasItems ? items : null);
+  if (total !== null && total !== undefined && base !== null) {
+    // Con o sin impuestos sumados, y con o sin descuentos ya aplicados
+    const options = [];
+    [taxes, 0].forEach(t => [discounts, 0].forEach(d => options.push(round(base + t - d + tip))));
+    
+    if (!options.some(value => close(value, total))) {
+      const expected = round(base + taxes - discounts + tip);
+      const parts = [[taxes, 'impuestos'], [tip, 'propina'], [discounts, 'descuentos']]
+        .filter(([value]) => value > 0)
+        .map(([, name]) => name);
+      const subject = receipt.subtotal !== null && receipt.subtotal !== undefined ? 'El subtotal' : 'Los ítems';
+      const verb = subject === 'El subtotal' ? 'suma' : 'suman';
+      const detail = parts.length > 0 ? ` con ${parts.join(', ').replace(/, ([^,]+)$/, ' y $1')}` : '';
+      warnings.push(`${subject}${detail} ${verb} ${format(expected)}, no ${format(total)}.`);
+    }
+  }
+  
+  const pago = receipt.medio_pago;
+  if (total !== null && total !== undefined && pago && pago.recibido && pago.cambio !== null &&
+      !close(pago.recibido - pago.cambio, total)) {
+    warnings.push(`El efectivo recibido menos el cambio (${format(round(pago.recibido - pago.cambio))}) no coincide con el total.`);
+  }
+  
+  return warnings;
+}
+
+module.exports = {
+  parseReceipt,
+  crossCheck
+};
\ No newline at end of file
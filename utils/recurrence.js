@@ -0,0 +1,173 @@
+// Calendario de gastos e ingresos fijos según su frecuencia
+const dates = require('./dates');
+
+// Frecuencias soportadas y cuántas veces ocurren al año
+const FREQUENCIES = {
+  semanal: { label: 'cada semana', perYear: 52 },
+  catorcenal: { label: 'cada dos semanas', perYear: 26 },
+  quincenal: { label: 'dos veces al mes', perYear: 24 },
+  mensual: { label: 'cada mes', perYear: 12 },
+  anual: { label: 'cada año', perYear: 1 }
+};
+
+// Otras formas de escribir cada frecuencia
+const FREQUENCY_ALIASES = {
+  weekly: 'semanal',
+  semana: 'semanal',
+  biweekly: 'catorcenal',
+  bisemanal: 'catorcenal',
+  quincena: 'quincenal',
+  monthly: 'mensual',
+  mes: 'mensual',
+  annual: 'anual',
+  yearly: 'anual',
+  anualmente: 'anual'
+};
+
+const MONTH_NAMES = ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio',
+  'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'];
+
+/**
+ * Normaliza el nombre de una frecuencia
+ * @param {string} value - Frecuencia escrita por el usuario o guardada
+ * @returns {string|null} - Frecuencia soportada o null si no se reconoce
+ */
+function normalizeFrequency(value) {
+  if (!value) return 'mensual';
+  
+  const key = value.toLowerCase().trim();
+  if (FREQUENCIES[key]) return key;
+  
+  return FREQUENCY_ALIASES[key] || null;
+}
+
+/**
+ * Días del mes en que vence un ítem quincenal: el día configurado y
+ * quince días antes o después (día 15 -> 15 y 30)
+ * @param {number} day - Día configurado
+ * @returns {Array} - Dos días del mes
+ */
+function semimonthlyDays(day) {
+  return day <= 15 ? [day, day + 15] : [day - 15, day];
+}
+
+/**
+ * Obtiene el calendario de un gasto o ingreso fijo
+ * @param {Object} item - Gasto fijo (fechaPago) o ingreso fijo (fechaIngreso)
+ * @returns {Object} - { frecuencia, dia, fechaInicio }
+ */
+function scheduleOf(item) {
+  return {
+    frecuencia: item.frecuencia,
+    dia: item.fechaPago !== undefined ? item.fechaPago : item.fechaIngreso,
+    fechaInicio: item.fechaInicio
+  };
+}
+
+/**
+ * Fechas de vencimiento de un ítem fijo dentro de un rango
+ * @param {Object} schedule - { frecuencia, dia, fechaInicio }
+ *   dia: día del mes (mensual, quincenal, anual)
+ *   fechaInicio: fecha de referencia yyyy-mm-dd (semana de inicio o mes del pago anual)
+ * @param {string} from - Fecha inicial (inclusive)
+ * @param {string} to - Fecha final (inclusive)
+ * @returns {Array} - Fechas yyyy-mm-dd en orden
+ */
+function occurrencesBetween(schedule, from, to) {
+  const frequency = normalizeFrequency(schedule.frecuencia) || 'mensual';
+  const anchor = schedule.fechaInicio || from;
+  const result = [];
+  
+  if (from > to) return result;
+  
+  if (frequency === 'semanal' || frequency === 'catorcenal') {
+    const step = frequency === 'semanal' ? 7 : 14;
+    // Primer vencimiento en o después de from, alineado con la fecha de inicio
+    const offset = dates.daysBetween(anchor, from);
+    let date = offset <= 0 ? anchor : dates.addDays(anchor, Math.ceil(offset / step) * step);
+    
+    while (date <= to) {
+      result.push(date);
+      date = dates.addDays(date, step);
+    }
+    return result;
+  }
+  
+  const [fromYear, fromMonth] = from.split('-').map(n => parseInt(n, 10));
+  const [toYear, toMonth] = to.split('-').map(n => parseInt(n, 10));
+  const anchorMonth = parseInt(anchor.split('-')[1], 10);
+  const days = frequency === 'quincenal' ? semimonthlyDays(schedule.dia) : [schedule.dia];
+  
+  for (let year = fromYear, month = fromMonth; year < toYear || (year === toYear && month <= toMonth);) {
+    if (frequency !== 'anual' || month === anchorMonth) {
+      days.forEach(day => {
+        const date = dates.dueDateInMonth(year, month, day);
+        if (date >= from && date <= to && !result.includes(date)) result.push(date);
+      });
+    }
+    
+    month++;
+    if (month > 12) {
+      month = 1;
+      year++;
+    }
+  }
+  
+  return result.sort();
+}
+
+/**
+ * Próximo vencimiento de un ítem fijo a partir de una fecha (inclusive)
+ * @param {Object} schedule - { frecuencia, dia, fechaInicio }
+ * @param {string} from - Fecha de referencia yyyy-mm-dd
+ * @returns {string} - Fecha de vencimiento
+ */
+function nextOccurrence(schedule, from) {
+  // Un año siempre contiene al menos un vencimiento de cualquier frecuencia
+  return occurrencesBetween(schedule, from, dates.addDays(from, 366))[0];
+}
+
+/**
+ * Monto mensual equivalente de un ítem fijo
+ * @param {number} amount - Monto por vencimiento
+ * @param {string} frequency - Frecuencia
+ * @returns {number} - Monto promedio por mes
+ */
+function monthlyEquivalent(amount, frequency) {
+  const info = FREQUENCIES[normalizeFrequency(frequency)] || FREQUENCIES.mensual;
+  return amount * info.perYear / 12;
+}
+
+/**
+ * Describe cuándo vence un ítem fijo
+ * @param {Object} schedule - { frecuencia, dia, fechaInicio }
+ * @returns {string} - Descripción legible
+ */
+function describeSchedule(schedule) {
+  const frequency = normalizeFrequency(schedule.frecuencia) || 'mensual';
+  
+  switch (frequency) {
+    case 'semanal':
+    case 'catorcenal':
+      return `${FREQUENCIES[frequency].label} desde el ${schedule.fechaInicio}`;
+    case 'quincenal':
+      return `días ${semimonthlyDays(schedule.dia).join(' y ')} de cada mes`;
+    case 'anual': {
+      const month = parseInt((schedule.fechaInicio || '').split('-')[1], 10);
+      return `${schedule.dia} de ${MONTH_NAMES[month - 1] || 'cada año'}`;
+    }
+    default:
+      return `día ${schedule.dia} de cada mes`;
+  }
+}
+
+module.exports = {
+  FREQUENCIES,
+  MONTH_NAMES,
+  normalizeFrequency,
+  scheduleOf,
+  occurrencesBetween,
+  nextOccurrence,
+  monthlyEquivalent,
+  describeSchedule
+};
\ No newline at end of file
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const { execFile } = require('child_process');
+const config = require('../config');
+
+/**
+ * Transcribe un archivo WAV usando whisper.cpp localmente (sin conexión)
+ * @param {string} wavPath - Ruta del archivo WAV (16 kHz, mono)
+ * @returns {Promise<string>} - Texto transcrito
+ */
+function transcribeLocal(wavPath) {
+  const { whisperBinary, whisperModel, language, timeoutMs } = config.speechToText;
+  
+  if (!fs.existsSync(whisperModel)) {
+    return Promise.reject(new Error(`Modelo de whisper no encontrado: ${whisperModel}`));
+  }
+  
+  const args = ['-m', whisperModel, '-f', wavPath, '-l', language, '--no-timestamps'];
+  
+  return new Promise((resolve, reject) => {
+    execFile(whisperBinary, args, { timeout: timeoutMs }, (error, stdout) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+/**
+ * Transcribe un archivo WAV usando la API de transcripción de OpenAI
+ * @param {string} wavPath - Ruta del archivo WAV
+ * @returns {Promise<string>} - Texto transcrito
+ */
+async function transcribeOpenAI(wavPath) {
+  const OpenAI = require('openai');
+  const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  
+  const result = await client.audio.transcriptions.create({
+    file: fs.createReadStream(wavPath),
+    model: config.speechToText.openaiModel,
+    language: config.speechToText.language
+  });
+  
+  return result.text;
+}
+
+// Proveedores disponibles; se pueden registrar otros con registerProvider
+const providers = {
+  local: transcribeLocal,
+  openai: transcribeOpenAI
+};
+
+/**
+ * Registra un proveedor de reconocimiento de voz
+ * @param {string} name - Nombre del proveedor
+ * @param {Function} fn - Función (wavPath) => Promise<string>
+ */
+function registerProvider(name, fn) {
+  providers[name] = fn;
+}
+
+/**
+ * Transcribe un archivo de audio con el proveedor configurado
+ * @param {string} wavPath - Ruta del archivo WAV
+ * @returns {Promise<string>} - Texto transcrito y limpio
+ */
+async function transcribe(wavPath) {
+  const provider = providers[config.speechToText.provider];
+  
+  if (!provider) {
+    throw new Error(`Proveedor de voz no soportado: ${config.speechToText.provider}`);
+  }
+  
+  const text = await provider(wavPath);
+  return cleanTranscript(text);
+}
+
+/**
+ * Limpia el texto transcrito (marcas de ruido y espacios sobrantes)
+ * @param {string} text - Texto transcrito
+ * @returns {string} - Texto limpio
+ */
+function cleanTranscript(text) {
+  return String(text || '')
+    .replace(/\[[^\]]*\]/g, ' ') // Marcas como [BLANK_AUDIO] o [música]
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = {
+  transcribe,
+  registerProvider
+};
\ No newline at end of file
@@ -0,0 +1,112 @@
+const ExcelJS = require('exceljs');
+const config = require('../config');
+
+// Formatos de celda de Excel por tipo de columna
+const XLSX_FORMATS = {
+  integer: '0',
+  number: '#,##0.00',
+  percent: '0.0%',
+  date: 'dd/mm/yyyy'
+};
+
+/**
+ * Convierte una fecha yyyy-mm-dd en un Date de medianoche UTC (Excel la
+ * guarda sin hora ni zona horaria)
+ * @param {string} date - Fecha yyyy-mm-dd
+ * @returns {Date}
+ */
+function toExcelDate(date) {
+  const [year, month, day] = date.split('-').map(n => parseInt(n, 10));
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Escribe un valor para una celda CSV con el formato numérico configurado
+ * @param {*} value - Valor de la celda
+ * @param {string} type - Tipo de columna: 'text', 'integer', 'number', 'percent' o 'date'
+ * @returns {string}
+ */
+function formatCsvValue(value, type) {
+  if (value === null || value === undefined || value === '') return '';
+  
+  const numbers = new Intl.NumberFormat(config.numberFormat.locale, { useGrouping: false, maximumFractionDigits: 2 });
+  let text;
+  
+  switch (type) {
+    case 'integer':
+    case 'number':
+      text = numbers.format(value);
+      break;
+    case 'percent':
+      text = `${numbers.format(value * 100)}%`;
+      break;
+    case 'date': {
+      const [year, month, day] = value.split('-');
+      text = `${day}/${month}/${year}`;
+      break;
+    }
+    default:
+      text = String(value);
+  }
+  
+  // Comillas si el valor contiene el separador, comillas o saltos de línea
+  if (text.includes(config.spreadsheet.csvSeparator) || /["\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  
+  return text;
+}
+
+/**
+ * Genera un archivo CSV a partir de una hoja
+ * @param {Object} sheet - { name, columns: [{ header, key, type }], rows }
+ * @returns {Buffer} - Archivo CSV en UTF-8 con BOM (para que Excel muestre las tildes)
+ */
+function toCSV(sheet) {
+  const separator = config.spreadsheet.csvSeparator;
+  const lines = [sheet.columns.map(column => formatCsvValue(column.header, 'text')).join(separator)];
+  
+  sheet.rows.forEach(row => {
+    lines.push(sheet.columns.map(column => formatCsvValue(row[column.key], column.type)).join(separator));
+  });
+  
+  return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+}
+
+/**
+ * Genera un libro de Excel con una hoja por cada hoja indicada
+ * @param {Array} sheets - [{ name, columns: [{ header, key, type, width }], rows }]
+ * @returns {Promise<Buffer>} - Archivo XLSX
+ */
+async function toXLSX(sheets) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+  
+  sheets.forEach(sheet => {
+    const worksheet = workbook.addWorksheet(sheet.name, { views: [{ state: 'frozen', ySplit: 1 }] });
+    
+    worksheet.columns = sheet.columns.map(column => ({
+      header: column.header,
+      key: column.key,
+      width: column.width || 15,
+      style: XLSX_FORMATS[column.type] ? { numFmt: XLSX_FORMATS[column.type] } : {}
+    }));
+    worksheet.getRow(1).font = { bold: true };
+    
+    sheet.rows.forEach(row => {
+      const values = {};
+      sheet.columns.forEach(column => {
+        const value = row[column.key];
+        values[column.key] = column.type === 'date' && value ? toExcelDate(value) : value;
+      });
+      worksheet.addRow(values);
+    });
+  });
+  
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+  toCSV,
+  toXLSX
+};
\ No newline at end of file
@@ -0,0 +1,278 @@
+// Lectura de extractos bancarios y de tarjetas en CSV u OFX/QFX.
+// Cada movimiento se devuelve como { fecha, monto, tipo, concepto, moneda, referencia }
+// con el monto siempre positivo y el tipo 'gasto' o 'ingreso'.
+
+const config = require('../config');
+const money = require('./money');
+
+/**
+ * Quita tildes, pasa a minúsculas y recorta espacios
+ * @param {string} text - Texto
+ * @returns {string}
+ */
+function normalize(text) {
+  return String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+}
+
+/**
+ * Separa un texto CSV en filas y celdas, respetando las comillas
+ * @param {string} text - Contenido del archivo
+ * @param {string} separator - Separador de columnas
+ * @returns {Array} - Filas con sus celdas
+ */
+function splitCsv(text, separator) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      if (row.some(value => value.trim() !== '')) rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  
+  row.push(cell);
+  if (row.some(value => value.trim() !== '')) rows.push(row);
+  
+  return rows;
+}
+
+/**
+ * Detecta el separador de columnas con la primera línea del archivo
+ * @param {string} text - Contenido del archivo
+ * @returns {string} - ';', ',' o tabulador
+ */
+function detectSeparator(text) {
+  const firstLine = text.split(/\r?\n/)[0];
+  const counts = [';', ',', '\t'].map(separator => ({ separator, count: firstLine.split(separator).length }));
+  return counts.sort((a, b) => b.count - a.count)[0].separator;
+}
+
+/**
+ * Interpreta las columnas indicadas por el usuario: "fecha=Fecha Op, monto=Valor"
+ * @param {string} text - Texto que acompaña al archivo
+ * @returns {Object} - Mapa campo -> nombre de columna (normalizado)
+ */
+function parseColumnMapping(text) {
+  const mapping = {};
+  const regex = /\b(fecha|concepto|monto|debito|credito|moneda)\s*=\s*([^,;\n]+)/g;
+  let match;
+  
+  while ((match = regex.exec(normalize(text))) !== null) {
+    mapping[match[1]] = match[2].trim();
+  }
+  
+  return mapping;
+}
+
+/**
+ * Busca la fila de encabezados y la columna de cada campo
+ * @param {Array} rows - Filas del CSV
+ * @param {Object} mapping - Columnas indicadas por el usuario
+ * @returns {Object|null} - { headerIndex, columns: campo -> índice } o null si no se reconoce
+ */
+function findColumns(rows, mapping) {
+  // Algunos bancos ponen datos de la cuenta antes de los encabezados
+  for (let headerIndex = 0; headerIndex < Math.min(rows.length, 15); headerIndex++) {
+    const headers = rows[headerIndex].map(normalize);
+    const columns = {};
+    
+    Object.entries(config.statementImport.columns).forEach(([field, names]) => {
+      const candidates = mapping[field] ? [mapping[field]] : names;
+      const index = headers.findIndex(header => candidates.includes(header));
+      if (index >= 0) columns[field] = index;
+    });
+    
+    const hasAmount = columns.monto !== undefined || columns.debito !== undefined || columns.credito !== undefined;
+    if (columns.fecha !== undefined && hasAmount) {
+      return { headerIndex, columns };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Interpreta una fecha de extracto: dd/mm/yyyy, yyyy-mm-dd, dd-mm-yy o yyyymmdd
+ * @param {string} text - Fecha escrita por el banco
+ * @returns {string|null} - Fecha yyyy-mm-dd o null si no es válida
+ */
+function parseStatementDate(text) {
+  const value = String(text || '').trim();
+  let year, month, day;
+  
+  let match = value.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else {
+    match = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/);
+    if (!match) return null;
+    
+    const [, first, second, yearText] = match.map(Number);
+    [day, month] = config.statementImport.dateOrder === 'mdy' ? [second, first] : [first, second];
+    year = yearText < 100 ? 2000 + yearText : yearText;
+  }
+  
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Interpreta un monto con signo: "-45.000", "(45.000)", "45.000-", "45,000.00 DB"
+ * @param {string} text - Monto escrito por el banco
+ * @returns {number|null} - Monto con signo (negativo para débitos)
+ */
+function parseSignedAmount(text) {
+  const value = String(text || '').trim();
+  if (!value) return null;
+  
+  const amount = money.parseAmount(value.replace(/[^0-9.,]/g, ''));
+  if (amount === null) return null;
+  
+  const negative = /^-|^\(.*\)$|-$|\b(?:db|dr)\b/i.test(value.replace(/[$€\s]/g, ' ').trim());
+  return negative ? -amount : amount;
+}
+
+/**
+ * Lee un extracto en CSV
+ * @param {string} text - Contenido del archivo
+ * @param {Object} mapping - Columnas indicadas por el usuario (ver parseColumnMapping)
+ * @returns {Array} - Movimientos
+ * @throws {Error} - Si no se reconocen las columnas de fecha y monto
+ */
+function parseCsv(text, mapping = {}) {
+  const rows = splitCsv(text.replace(/^\uFEFF/, ''), detectSeparator(text));
+  const found = findColumns(rows, mapping);
+  
+  if (!found) {
+    throw new Error('No encontré las columnas de fecha y monto');
+  }
+  
+  const { headerIndex, columns } = found;
+  const cell = (row, field) => (columns[field] !== undefined ? row[columns[field]] : undefined);
+  const movements = [];
+  
+  rows.slice(headerIndex + 1).forEach(row => {
+    const fecha = parseStatementDate(cell(row, 'fecha'));
+    if (!fecha) return;
+    
+    let amount;
+    if (columns.monto !== undefined) {
+      amount = parseSignedAmount(cell(row, 'monto'));
+      if (amount !== null && !config.statementImport.expensesNegative) amount = -amount;
+    } else {
+      const debit = parseSignedAmount(cell(row, 'debito'));
+      const credit = parseSignedAmount(cell(row, 'credito'));
+      amount = debit ? -Math.abs(debit) : (credit ? Math.abs(credit) : null);
+    }
+    if (!amount) return;
+    
+    movements.push({
+      fecha,
+      monto: Math.abs(amount),
+      tipo: amount < 0 ? 'gasto' : 'ingreso',
+      concepto: String(cell(row, 'concepto') || '').replace(/\s+/g, ' ').trim(),
+      moneda: money.normalizeCurrency(cell(row, 'moneda')),
+      referencia: null
+    });
+  });
+  
+  return movements;
+}
+
+/**
+ * Obtiene el valor de una etiqueta OFX. Sirve para OFX 1.x (SGML, sin
+ * etiquetas de cierre) y OFX 2.x (XML).
+ * @param {string} block - Fragmento del archivo
+ * @param {string} tag - Nombre de la etiqueta
+ * @returns {string|null}
+ */
+function ofxValue(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Lee un extracto en OFX o QFX
+ * @param {string} text - Contenido del archivo
+ * @returns {Array} - Movimientos
+ * @throws {Error} - Si el archivo no tiene movimientos OFX
+ */
+function parseOfx(text) {
+  const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi);
+  
+  if (!blocks) {
+    throw new Error('El archivo no tiene movimientos OFX');
+  }
+  
+  const moneda = money.normalizeCurrency(ofxValue(text, 'CURDEF'));
+  
+  return blocks
+    .map(block => {
+      // TRNAMT siempre usa punto decimal; los débitos son negativos
+      const amount = parseFloat((ofxValue(block, 'TRNAMT') || '').replace(',', '.'));
+      const name = ofxValue(block, 'NAME');
+      const memo = ofxValue(block, 'MEMO');
+      
+      return {
+        fecha: parseStatementDate(ofxValue(block, 'DTPOSTED')),
+        monto: Math.abs(amount),
+        tipo: amount < 0 ? 'gasto' : 'ingreso',
+        concepto: [name, memo].filter(Boolean).filter((value, i, all) => all.indexOf(value) === i).join(' - '),
+        moneda,
+        referencia: ofxValue(block, 'FITID')
+      };
+    })
+    .filter(movement => movement.fecha && movement.monto > 0);
+}
+
+/**
+ * Lee un extracto según la extensión del archivo
+ * @param {string} fileName - Nombre del archivo
+ * @param {string} text - Contenido del archivo
+ * @param {string} caption - Texto que acompaña al archivo (columnas del CSV)
+ * @returns {Array} - Movimientos
+ * @throws {Error} - Si el formato no es soportado o no se puede leer
+ */
+function parseStatement(fileName, text, caption = '') {
+  const extension = (fileName.split('.').pop() || '').toLowerCase();
+  
+  if (extension === 'ofx' || extension === 'qfx' || /<OFX>/i.test(text)) {
+    return parseOfx(text);
+  }
+  if (extension === 'csv' || extension === 'txt') {
+    return parseCsv(text, parseColumnMapping(caption));
+  }
+  
+  throw new Error(`Formato no soportado: .${extension}`);
+}
+
+module.exports = {
+  parseStatement,
+  parseCsv,
+  parseOfx,
+  parseColumnMapping
+};
\ No newline at end of file
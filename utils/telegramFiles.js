@@ -0,0 +1,34 @@
+const fs = require('fs');
+const axios = require('axios');
+
+/**
+ * Descarga un archivo de Telegram al disco local
+ * @param {Object} bot - Instancia del bot de Telegram
+ * @param {string} token - Token de Telegram
+ * @param {string} fileId - ID del archivo en Telegram
+ * @param {string} destPath - Ruta local donde guardar el archivo
+ * @returns {Promise<string>} - Ruta del archivo descargado
+ */
+async function downloadFile(bot, token, fileId, destPath) {
+  const fileInfo = await bot.getFile(fileId);
+  const fileUrl = `https://api.telegram.org/file/bot${token}/${fileInfo.file_path}`;
+  
+  const response = await axios({
+    method: 'GET',
+    url: fileUrl,
+    responseType: 'stream'
+  });
+  
+  const writer = fs.createWriteStream(destPath);
+  
+  return new Promise((resolve, reject) => {
+    response.data.pipe(writer);
+    
+    writer.on('finish', () => resolve(destPath));
+    writer.on('error', (error) => reject(error));
+  });
+}
+
+module.exports = {
+  downloadFile
+};
\ No newline at end of file
@@ -4,6 +4,8 @@ const wordTokenizer = new WordTokenizer();
 const sentenceTokenizer = new SentenceTokenizer();
 
 const config = require('../config');
+const money = require('./money');
+const dates = require('./dates');
 
 /**
  * Determina la intención principal del mensaje
@@ -31,16 +33,18 @@ function getIntent(text) {
 }
 
 /**
- * Extrae el monto de un texto
+ * Extrae el monto de un texto ("Gasté $1.500.000", "Pagué cincuenta mil en...")
  * @param {string} text - Texto del usuario
- * @returns {string} - Monto en formato numérico o null
+ * @returns {number|null} - Monto en pesos o null si no hay monto
  */
 function extractAmountFromText(text) {
+  const normalized = money.writtenNumbersToDigits(text);
+  
   for (const pattern of config.amountPatterns) {
-    const match = text.match(pattern);
+    const match = normalized.match(pattern);
     if (match && match[1]) {
-      // Normalizar el formato del monto
-      return match[1].trim().replace(',', '.');
+      const amount = money.parseAmount(match[1]);
+      if (amount) return amount;
     }
   }
   
@@ -50,17 +54,27 @@ function extractAmountFromText(text) {
 /**
  * Extrae la fecha de un texto
  * @param {string} text - Texto del usuario
+ * @param {string} today - Fecha actual del chat yyyy-mm-dd (por defecto la del servidor)
  * @returns {string} - Fecha en formato yyyy-mm-dd
  */
-function extractDateFromText(text) {
-  const today = new Date();
-  
+function extractDateFromText(text, today = formatDate(new Date())) {
+  // Si no se encuentra fecha, devolver la fecha actual
+  return findDateInText(text, today) || today;
+}
+
+/**
+ * Busca una fecha mencionada en un texto ("el 15/03", "ayer")
+ * @param {string} text - Texto del usuario
+ * @param {string} today - Fecha actual del chat yyyy-mm-dd (por defecto la del servidor)
+ * @returns {string|null} - Fecha en formato yyyy-mm-dd o null si el texto no menciona ninguna
+ */
+function findDateInText(text, today = formatDate(new Date())) {
   // Buscar patrones de fecha específicos
   const dateMatch = text.match(config.datePatterns[0]);
   if (dateMatch) {
     const day = parseInt(dateMatch[1], 10);
     const month = parseInt(dateMatch[2], 10);
-    let year = dateMatch[3] ? parseInt(dateMatch[3], 10) : today.getFullYear();
+    let year = dateMatch[3] ? parseInt(dateMatch[3], 10) : parseInt(today.slice(0, 4), 10);
     
     // Ajustar año si está en formato de 2 dígitos
     if (year < 100) {
@@ -70,21 +84,17 @@ function extractDateFromText(text) {
     return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
   }
   
-  // Buscar palabras clave de tiempo relativo
-  if (text.toLowerCase().includes('hoy')) {
-    return formatDate(today);
-  } else if (text.toLowerCase().includes('ayer')) {
-    const yesterday = new Date(today);
-    yesterday.setDate(today.getDate() - 1);
-    return formatDate(yesterday);
-  } else if (text.toLowerCase().includes('anteayer')) {
-    const dayBeforeYesterday = new Date(today);
-    dayBeforeYesterday.setDate(today.getDate() - 2);
-    return formatDate(dayBeforeYesterday);
+  // Buscar palabras clave de tiempo relativo ("anteayer" antes que "ayer", que lo contiene)
+  const textLower = text.toLowerCase();
+  if (textLower.includes('hoy')) {
+    return today;
+  } else if (textLower.includes('anteayer')) {
+    return dates.addDays(today, -2);
+  } else if (textLower.includes('ayer')) {
+    return dates.addDays(today, -1);
   }
   
-  // Si no se encuentra fecha, devolver la fecha actual
-  return formatDate(today);
+  return null;
 }
 
 /**
@@ -121,8 +131,9 @@ function extractConceptFromText(text, tipo = 'gasto') {
       let concept = match[2].trim();
       
       // Eliminar palabras finales que sean montos o fechas
-      concept = concept.replace(/\$?\s*[0-9.,]+\s*(?:pesos)?$/, '').trim();
+      concept = concept.replace(/\$?\s*[0-9.,]+\s*(?:k|mil|mill[oó]n|millones|palos?|lucas?)?\s*(?:de\s+)?(?:pesos)?$/, '').trim();
       concept = concept.replace(/\d{1,2}[\/\-\.]\d{1,2}(?:[\/\-\.]\d{2,4})?$/, '').trim();
+      concept = concept.replace(/(?:^|\s)(?:hoy|ayer|anteayer)$/, '').trim();
       
       if (concept.length > 0) {
         return concept.charAt(0).toUpperCase() + concept.slice(1);
@@ -138,7 +149,7 @@ function extractConceptFromText(text, tipo = 'gasto') {
       
       if (match && match[1]) {
         let concept = match[1].trim();
-        concept = concept.replace(/\$?\s*[0-9.,]+\s*(?:pesos)?$/, '').trim();
+        concept = concept.replace(/\$?\s*[0-9.,]+\s*(?:k|mil|mill[oó]n|millones|palos?|lucas?)?\s*(?:de\s+)?(?:pesos)?$/, '').trim();
         
         if (concept.length > 0) {
           if (concept.toLowerCase().includes('freelance') || 
@@ -168,31 +179,83 @@ function extractConceptFromText(text, tipo = 'gasto') {
 }
 
 /**
- * Categoriza el gasto basado en palabras clave
+ * Reglas de categorización por defecto (categorías y palabras clave de config)
+ * @returns {Array} - [{ keyword, categoria, aprendida }]
+ */
+function defaultCategoryRules() {
+  const rules = [];
+  
+  Object.entries(config.expenseCategories).forEach(([categoria, keywords]) => {
+    rules.push({ keyword: categoria, categoria, aprendida: false });
+    keywords.forEach(keyword => rules.push({ keyword, categoria, aprendida: false }));
+  });
+  
+  return rules;
+}
+
+/**
+ * Categoriza el gasto basado en palabras clave. Gana la regla aprendida de
+ * las correcciones del usuario y, entre las demás, la palabra más larga.
+ * Las palabras de 4 o más letras también coinciden como prefijo ("farmacia"
+ * en "farmacias"); las más cortas solo como palabra completa ("gas" no
+ * coincide con "gasté").
  * @param {string} text - Texto del recibo o mensaje
+ * @param {Array} rules - Reglas [{ keyword, categoria, aprendida }] (por defecto las de config)
  * @returns {string} - Categoría del gasto
  */
-function categorizeExpense(text) {
-  const textLower = text.toLowerCase();
+function categorizeExpense(text, rules = defaultCategoryRules()) {
+  const textNorm = normalizeText(text);
+  let bestCategory = 'otros';
+  let bestScore = 0;
   
-  for (const [category, keywords] of Object.entries(config.expenseCategories)) {
-    for (const keyword of keywords) {
-      if (textLower.includes(keyword.toLowerCase())) {
-        return category;
-      }
+  for (const rule of rules) {
+    const keyword = normalizeText(rule.keyword);
+    if (!keyword) continue;
+    
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const exact = new RegExp(`(?:^|[^a-z0-9])${escaped}(?![a-z0-9])`).test(textNorm);
+    const prefix = !exact && keyword.length >= 4 && new RegExp(`(?:^|[^a-z0-9])${escaped}`).test(textNorm);
+    
+    if (!exact && !prefix) continue;
+    
+    const score = (rule.aprendida ? 1000 : 0) + keyword.length + (exact ? 0.5 : 0);
+    if (score > bestScore) {
+      bestScore = score;
+      bestCategory = rule.categoria;
     }
   }
   
-  return 'otros';
+  return bestCategory;
+}
+
+/**
+ * Normaliza un texto para comparaciones (minúsculas y sin tildes)
+ * @param {string} text - Texto a normalizar
+ * @returns {string} - Texto normalizado
+ */
+function normalizeText(text) {
+  return String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+}
+
+/**
+ * Escapa un texto del usuario para incluirlo en un mensaje con Markdown, fuera
+ * de negritas o cursivas ("UBER *TRIP" o "meta_viaje" harían que Telegram rechace el mensaje)
+ * @param {string} text - Texto a escapar
+ * @returns {string} - Texto con _, *, ` y [ escapados
+ */
+function escapeMarkdown(text) {
+  return String(text == null ? '' : text).replace(/[_*`[]/g, '\\$&');
 }
 
 /**
  * Procesa el texto del usuario para extraer información financiera
  * @param {string} text - Texto del usuario
  * @param {string} forcedIntent - Intención forzada (opcional)
+ * @param {Array} categoryRules - Reglas de categorización del chat (opcional)
+ * @param {string} today - Fecha actual del chat yyyy-mm-dd (opcional)
  * @returns {Object} - Datos estructurados de la información financiera
  */
-function processText(text, forcedIntent = null) {
+function processText(text, forcedIntent = null, categoryRules = undefined, today = undefined) {
   const textLower = text.toLowerCase();
   const tokens = wordTokenizer.tokenize(textLower);
   
@@ -202,18 +265,22 @@ function processText(text, forcedIntent = null) {
   // Extraer el monto
   const monto = extractAmountFromText(text);
   
+  // Detectar la moneda (null = moneda base del chat)
+  const moneda = money.detectCurrency(text);
+  
   // Extraer la fecha
-  const fecha = extractDateFromText(text);
+  const fecha = extractDateFromText(text, today);
   
   // Extraer comercio o concepto
   const concepto = extractConceptFromText(text, tipo);
   
   // Categorizar
-  const categoria = tipo === 'gasto' ? categorizeExpense(text) : 'ingreso';
+  const categoria = tipo === 'gasto' ? categorizeExpense(text, categoryRules) : 'ingreso';
   
   return {
     tipo: tipo,
     monto: monto,
+    moneda: moneda,
     fecha: fecha,
     concepto: concepto,
     categoria: categoria,
@@ -229,23 +296,193 @@ function processText(text, forcedIntent = null) {
  * @returns {string} - 'gasto', 'ingreso' o null
  */
 function detectIntent(tokens, fullText) {
+  const intent = keywordIntent(fullText);
+  if (intent) return intent;
+  
+  // Si no hay intención clara, hacer una suposición basada en contexto
+  // Suponer que es un gasto por defecto si hay un monto
+  return (extractAmountFromText(fullText) !== null) ? 'gasto' : null;
+}
+
+/**
+ * Busca las palabras clave de gasto o de ingreso en un texto
+ * @param {string} text - Texto en minúsculas
+ * @returns {string|null} - 'gasto', 'ingreso' o null si no aparece ninguna
+ */
+function keywordIntent(text) {
   // Verificar si hay palabras clave de gasto
   for (const keyword of config.intentKeywords.gasto) {
-    if (fullText.includes(keyword)) {
+    if (text.includes(keyword)) {
       return 'gasto';
     }
   }
   
   // Verificar si hay palabras clave de ingreso
   for (const keyword of config.intentKeywords.ingreso) {
-    if (fullText.includes(keyword)) {
+    if (text.includes(keyword)) {
       return 'ingreso';
     }
   }
   
-  // Si no hay intención clara, hacer una suposición basada en contexto
-  // Suponer que es un gasto por defecto si hay un monto
-  return (extractAmountFromText(fullText) !== null) ? 'gasto' : null;
+  return null;
+}
+
+// Separadores entre movimientos de una misma línea: "uber 12000, almuerzo 35000",
+// "12000 en uber y 35000 en almuerzo". La coma debe ir seguida de un espacio
+// para no partir montos como "1,5 millones".
+const PIECE_SEPARATOR = /(\s*;\s*|,\s+|\s+(?:y|e)\s+)/i;
+
+// Viñetas al inicio de las líneas de una lista ("- uber 12000", "2) almuerzo 35000")
+const LIST_BULLET = /^\s*(?:[-*•]|\d{1,2}[.)])\s+/;
+
+// Fecha al inicio de una línea de una lista ("15/03 uber 12000")
+const LEADING_DATE = /^(\d{1,2}[\/\-]\d{1,2}(?:[\/\-]\d{2,4})?)\s/;
+
+// Un número suelto ("uber 12000") cuenta como monto desde este valor; los menores
+// suelen ser cantidades ("2 cervezas") o números de un nombre ("d1")
+const MIN_BARE_AMOUNT = 1000;
+
+/**
+ * Busca el monto de una parte de un mensaje. Además de los montos con contexto
+ * ("$12.000", "gasté 12000") acepta números sueltos ("uber 12000", "almuerzo 35 mil").
+ * @param {string} text - Parte del mensaje
+ * @returns {number|null} - Monto en pesos o null si no hay monto
+ */
+function findPieceAmount(text) {
+  const amount = extractAmountFromText(text);
+  if (amount) return amount;
+  
+  // Las fechas ("15/03") no son montos
+  const normalized = money.writtenNumbersToDigits(text)
+    .replace(/(?<![\d.,])\d{1,2}[\/\-]\d{1,2}(?:[\/\-]\d{2,4})?(?!\d)/g, ' ');
+  const pattern = /(?<![\wáéíóúñ.,])(\d[\d.,]*(?:\s*(?:k|mil|mill[oó]n|millones|palos?|lucas?)(?![a-záéíóúñ]))?)/gi;
+  
+  for (const match of normalized.matchAll(pattern)) {
+    const bare = money.parseAmount(match[1]);
+    if (bare && (bare >= MIN_BARE_AMOUNT || /[a-z]/i.test(match[1]))) return bare;
+  }
+  
+  return null;
+}
+
+/**
+ * Parte una línea en movimientos. Solo se parte si al menos dos partes tienen
+ * monto; las partes sin monto se unen a la siguiente ("compré pan y leche por 5000")
+ * o, al final de la línea, a la anterior.
+ * @param {string} line - Línea del mensaje
+ * @returns {Array} - Partes de la línea con su monto: [{ texto, monto }]
+ */
+function splitLine(line) {
+  const parts = line.split(PIECE_SEPARATOR);
+  const pieces = [];
+  let pending = '';
+  
+  for (let i = 0; i < parts.length; i += 2) {
+    const texto = pending + parts[i];
+    const monto = findPieceAmount(parts[i]);
+    
+    if (monto) {
+      pieces.push({ texto, monto });
+      pending = '';
+    } else {
+      pending = texto + (parts[i + 1] || '');
+    }
+  }
+  
+  if (pending.trim()) {
+    if (pieces.length > 0) {
+      pieces[pieces.length - 1].texto += pending.replace(/^[\s,;]*/, ' ').replace(/[\s,;]*$/, '');
+    } else {
+      pieces.push({ texto: pending.trim(), monto: null });
+    }
+  }
+  
+  return pieces.length >= 2 ? pieces : [{ texto: line, monto: findPieceAmount(line) }];
+}
+
+/**
+ * Extrae todos los movimientos de un mensaje: frases compuestas ("Gasté 12000 en
+ * uber y 35000 en almuerzo ayer") y listas de varias líneas (los gastos del día
+ * pegados uno por línea). Una fecha o un tipo mencionado en la línea o en un
+ * encabezado sin monto ("Gastos de ayer:") se aplica a los movimientos que siguen.
+ * @param {string} text - Texto del usuario
+ * @param {string} forcedIntent - Tipo cuando una parte no lo indica ('gasto' o 'ingreso')
+ * @param {Array} categoryRules - Reglas de categorización del chat (opcional)
+ * @param {string} today - Fecha actual del chat yyyy-mm-dd (opcional)
+ * @returns {Array} - Movimientos como processText; uno solo si el mensaje no se puede partir
+ */
+function processTransactions(text, forcedIntent = null, categoryRules = undefined, today = undefined) {
+  const lines = text
+    .split(/\r?\n/)
+    .map(line => line.replace(LIST_BULLET, '').trim())
+    .filter(Boolean);
+  
+  const pieces = [];
+  let header = { fecha: null, tipo: null };
+  
+  lines.forEach(line => {
+    const leadingDate = line.match(LEADING_DATE);
+    const lineDate = findDateInText(line, today) || (leadingDate && parseDateInput(leadingDate[1], today));
+    const lineType = keywordIntent(line.toLowerCase());
+    const linePieces = splitLine(line);
+    
+    // Las líneas sin monto son encabezados para las siguientes
+    if (linePieces.length === 1 && !linePieces[0].monto) {
+      header = { fecha: lineDate || header.fecha, tipo: lineType || header.tipo };
+      return;
+    }
+    
+    linePieces.forEach(piece => pieces.push({
+      ...piece,
+      fecha: findDateInText(piece.texto, today) || lineDate || header.fecha,
+      tipo: keywordIntent(piece.texto.toLowerCase()) || lineType || header.tipo
+    }));
+  });
+  
+  if (pieces.length < 2) return [processText(text, forcedIntent, categoryRules, today)];
+  
+  return pieces.map(piece => {
+    const data = processText(piece.texto, piece.tipo || forcedIntent || 'gasto', categoryRules, today);
+    data.monto = piece.monto;
+    if (piece.fecha) data.fecha = piece.fecha;
+    
+    // En las listas el concepto suele ir sin preposición ("uber 12000"); se usa
+    // el texto de la parte en lugar del nombre de la categoría
+    const generic = ['No especificado', 'Ingreso variable', capitalize(data.categoria)];
+    if (generic.includes(data.concepto)) data.concepto = pieceConcept(piece.texto) || data.concepto;
+    
+    return data;
+  });
+}
+
+/**
+ * Concepto de una parte de un mensaje: su texto sin montos, fechas ni verbos de gasto o ingreso
+ * @param {string} text - Parte del mensaje
+ * @returns {string|null} - Concepto o null si no queda texto
+ */
+function pieceConcept(text) {
+  const keywords = [...config.intentKeywords.gasto, ...config.intentKeywords.ingreso];
+  const words = money.writtenNumbersToDigits(text.toLowerCase())
+    .replace(/\$?\s*\d[\d.,\/\-]*(?:\s*(?:k|mil|mill[oó]n|millones|palos?|lucas?)(?![a-záéíóúñ]))?/g, ' ')
+    .replace(/[^\wáéíóúüñ\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !keywords.includes(word) && !['hoy', 'ayer', 'anteayer', 'me', 'pesos'].includes(word));
+  
+  // Sin artículos ni preposiciones al inicio o al final ("en el taxi", "almuerzo de")
+  const connectors = ['en', 'de', 'del', 'por', 'para', 'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'a', 'al'];
+  while (words.length > 0 && connectors.includes(words[0])) words.shift();
+  while (words.length > 0 && connectors.includes(words[words.length - 1])) words.pop();
+  
+  return words.length > 0 ? capitalize(words.join(' ')) : null;
+}
+
+/**
+ * Pone en mayúscula la primera letra de un texto
+ * @param {string} text - Texto
+ * @returns {string}
+ */
+function capitalize(text) {
+  return text ? text.charAt(0).toUpperCase() + text.slice(1) : text;
 }
 
 /**
@@ -256,27 +493,74 @@ function detectIntent(tokens, fullText) {
 function formatTextData(data) {
   if (data.tipo === 'gasto') {
     return `💸 *Gasto registrado*\n\n` +
-           `*Monto:* $${data.monto}\n` +
-           `*Concepto:* ${data.concepto}\n` +
-           `*Categoría:* ${data.categoria}\n` +
+           `*Monto:* ${money.formatAmount(data.monto, data.moneda)}\n` +
+           `*Concepto:* ${escapeMarkdown(data.concepto)}\n` +
+           `*Categoría:* ${escapeMarkdown(data.categoria)}\n` +
            `*Fecha:* ${data.fecha}\n`;
   } else if (data.tipo === 'ingreso') {
     return `💰 *Ingreso registrado*\n\n` +
-           `*Monto:* $${data.monto}\n` +
-           `*Concepto:* ${data.concepto}\n` +
+           `*Monto:* ${money.formatAmount(data.monto, data.moneda)}\n` +
+           `*Concepto:* ${escapeMarkdown(data.concepto)}\n` +
            `*Fecha:* ${data.fecha}\n`;
   }
   
   return '';
 }
 
+/**
+ * Interpreta un monto escrito por el usuario
+ * @param {string} text - Texto del usuario
+ * @returns {number|null} - Monto en pesos o null si no es válido
+ */
+function parseAmountInput(text) {
+  const amount = extractAmountFromText(text) || money.parseAmount(text);
+  return amount && amount > 0 ? amount : null;
+}
+
+/**
+ * Interpreta una fecha escrita por el usuario
+ * @param {string} text - Texto del usuario
+ * @param {string} today - Fecha actual del chat yyyy-mm-dd (por defecto la del servidor)
+ * @returns {string|null} - Fecha en formato yyyy-mm-dd o null si no es válida
+ */
+function parseDateInput(text, today = formatDate(new Date())) {
+  const match = text.match(/^(\d{1,2})[\/\-\.](\d{1,2})(?:[\/\-\.](\d{2,4}))?$/);
+  
+  if (match) {
+    const day = parseInt(match[1], 10);
+    const month = parseInt(match[2], 10);
+    let year = match[3] ? parseInt(match[3], 10) : parseInt(today.slice(0, 4), 10);
+    if (year < 100) year += 2000;
+    
+    const date = new Date(year, month - 1, day);
+    if (date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+    return formatDate(date);
+  }
+  
+  // Días hacia atrás para las fechas relativas
+  const offsets = { hoy: 0, ayer: 1, anteayer: 2 };
+  const offset = offsets[text.toLowerCase()];
+  if (offset !== undefined) {
+    return dates.addDays(today, -offset);
+  }
+  
+  return null;
+}
+
 module.exports = {
   getIntent,
   extractAmountFromText,
   extractDateFromText,
+  findDateInText,
   formatDate,
   extractConceptFromText,
   categorizeExpense,
+  defaultCategoryRules,
+  normalizeText,
+  escapeMarkdown,
   processText,
-  formatTextData
+  processTransactions,
+  formatTextData,
+  parseAmountInput,
+  parseDateInput
 };
\ No newline at end of file